@@ -67,7 +67,16 @@ const PacketType = {
     GAME_LANG_OBJECT_UPDATE: 37,
     GAME_LANG_OBJECT_REQUEST: 38,
     SPECIAL_CUSTOM_ACTION_EXECUTE: 39,
-    FACTORY_DESTROY: 40
+    FACTORY_DESTROY: 40,
+    GAME_SCHEDULE: 41,
+    PLAYER_TRANSFER_REQUEST: 42,
+    PLAYER_TRANSFER_OFFER: 43,
+    PLAYER_TRANSFER_RESPONSE: 44,
+    TEAM_TREASURY_DEPOSIT: 45,
+    TEAM_TREASURY_WITHDRAW: 46,
+    FACTORY_SIEGE: 47,
+    FACTORY_ALERT: 48,
+    FACTORY_JAMMER_BUY: 49
 };
 
 /**
@@ -738,6 +747,10 @@ var Dworek = {
                 // Put the packet type in the packet object
                 packet.type = packetType;
 
+                // Put the current game in the packet, so the server can pass it to the worker that runs the game
+                if(packet.game === undefined && Dworek.utils.isGamePage())
+                    packet.game = Dworek.utils.getGameId();
+
                 // Send the packet over the socket
                 socket.emit(PACKET_ROOM_DEFAULT, packet);
             },
@@ -1484,19 +1497,30 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.GAME_STAGE_CHANGED, f
     var message = 'The stage of the game <b>' + gameName + '</b> has changed.';
     var actions = [];
 
+    // Determine whether the game is resumed after being paused
+    const resumed = stage == 1 && Dworek.state.activeGame == gameId && Dworek.state.activeGameStage == 3;
+
     // Determine the title
-    if(stage == 1)
+    if(resumed)
+        title = 'Game resumed';
+    else if(stage == 1)
         title = 'Game started';
     else if(stage == 2)
         title = 'Game finished';
+    else if(stage == 3)
+        title = 'Game paused';
 
     // Determine whether this game, or a different game has been started
     if(Dworek.utils.getGameId() == gameId) {
         // Build a message to show to the user
-        if(stage == 1)
+        if(resumed)
+            message = 'The game has been resumed.';
+        else if(stage == 1)
             message = 'The game has been started.';
         else if(stage == 2)
             message = 'The game has been finished.';
+        else if(stage == 3)
+            message = 'The game has been paused.<br><br>Production, ' + __('shop.names', { game: gameId }) + ' and trading are frozen until the game is resumed.';
 
         // Create the dialog actions
         actions.push({
@@ -1510,6 +1534,8 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.GAME_STAGE_CHANGED, f
             message = 'The game <b>' + gameName + '</b> has been started.<br><br>You\'ve joined this game.';
         else if(stage == 2)
             message = 'The game <b>' + gameName + '</b> has been finished.<br><br>You\'ve joined this game.';
+        else if(stage == 3)
+            message = 'The game <b>' + gameName + '</b> has been paused.<br><br>You\'ve joined this game.';
 
         // Create the dialog actions
         actions.push({
@@ -1599,6 +1625,7 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_BUILD, functi
     const factoryName = packet.factoryName;
     const isSelf = packet.self;
     const userName = packet.userName;
+    const construction = packet.construction || 0;
 
     // TODO: Get the correct game ID for this factory, instead of using getGameId()
     var gameId = Dworek.utils.getGameId();
@@ -1613,7 +1640,8 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_BUILD, functi
         // Show a dialog
         showDialog({
             title: __('factory.name', { capitalizeFirst: true, game: gameId }) + ' built',
-            message: 'The ' + __('factory.name', { game: gameId }) + ' <b>' + factoryName + '</b> has successfully been built!',
+            message: 'The ' + __('factory.name', { game: gameId }) + ' <b>' + factoryName + '</b> has successfully been built!' +
+                (construction > 0 ? '<br><br>Stay close to it for about ' + Math.ceil(construction / 60 / 1000) + ' minute(s) to finish the construction.' : ''),
             actions: [
                 {
                     text: 'View ' + __('factory.name', { game: gameId }),
@@ -1750,6 +1778,108 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_CAPTURED, fun
     }
 });
 
+// Handle factory siege packets
+Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_SIEGE, function(packet) {
+    // Get all properties
+    const factoryId = packet.factory;
+    const factoryName = packet.factoryName;
+    const state = packet.state;
+    const isSelf = packet.self;
+    const userName = packet.userName;
+    const teamName = packet.teamName;
+    const isAlly = packet.ally;
+    const isEnemy = packet.enemy;
+
+    // TODO: Get the correct game ID for this factory, instead of using getGameId()
+    var gameId = Dworek.utils.getGameId();
+
+    // Get the factory name
+    const langFactory = __('factory.name', { game: gameId });
+
+    // Create a function to navigate to the factory
+    const navigateToFactory = function() {
+        Dworek.utils.navigateToPage('/game/' + gameId + '/factory/' + factoryId, false, true, 'flip');
+    };
+
+    // Determine the message to show
+    var message;
+    if(state === 'started') {
+        if(isSelf)
+            message = 'You started capturing the <b>' + factoryName + '</b> ' + langFactory + '. Keep the conquer value above zero until it\'s captured.';
+        else if(isAlly)
+            message = '<b>' + userName + '</b> started capturing an enemy ' + langFactory;
+        else if(isEnemy)
+            message = '<b>' + teamName + '</b> is capturing our ' + langFactory + ' <b>' + factoryName + '</b>! Defend it to stop the capture.';
+        else
+            message = '<b>' + teamName + '</b> is capturing a ' + langFactory + ' nearby';
+
+    } else if(state === 'repelled') {
+        if(isAlly)
+            message = 'The capture of the <b>' + factoryName + '</b> ' + langFactory + ' failed, it has been defended';
+        else if(isEnemy)
+            message = 'The capture of our ' + langFactory + ' <b>' + factoryName + '</b> has been stopped';
+        else
+            message = 'The capture of a ' + langFactory + ' nearby has been stopped';
+
+    } else
+        return;
+
+    // Show a notification, vibrate when our factory is being captured
+    showNotification(message, {
+        action: {
+            text: 'View',
+            action: navigateToFactory
+        },
+        vibrate: isEnemy && state === 'started'
+    });
+
+    // Update the factory page
+    if(Dworek.utils.isFactoryPage() && Dworek.utils.getFactoryId() == factoryId)
+        requestFactoryData(factoryId);
+});
+
+// Handle factory alert packets
+Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_ALERT, function(packet) {
+    // Get all properties
+    const factoryId = packet.factory;
+    const factoryName = packet.factoryName;
+    const type = packet.type;
+    const conquerValue = packet.conquerValue;
+
+    // TODO: Get the correct game ID for this factory, instead of using getGameId()
+    var gameId = Dworek.utils.getGameId();
+
+    // Get the factory name
+    const langFactory = __('factory.name', { game: gameId });
+
+    // Create a function to navigate to the factory
+    const navigateToFactory = function() {
+        Dworek.utils.navigateToPage('/game/' + gameId + '/factory/' + factoryId, false, true, 'flip');
+    };
+
+    // Determine the message to show
+    var message;
+    if(type === 'enemy')
+        message = 'An enemy is near our ' + langFactory + ' <b>' + factoryName + '</b>!';
+    else if(type === 'conquer')
+        message = 'Our ' + langFactory + ' <b>' + factoryName + '</b> is in danger, the conquer value is ' + conquerValue + '!';
+    else
+        return;
+
+    // Show a notification with an urgent vibration pattern
+    showNotification(message, {
+        action: {
+            text: 'View',
+            action: navigateToFactory
+        },
+        vibrate: true,
+        vibrationPattern: [200, 100, 200, 100, 200, 100, 600]
+    });
+
+    // Highlight the factory on the map
+    highlightFactoryMarker(factoryId);
+});
+
 // Handle factory destroy packets
 Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_DESTROYED, function(packet) {
     // Get all properties
@@ -1761,6 +1891,7 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_DESTROYED, fu
     const teamName = packet.teamName;
     const isAlly = packet.ally;
     const isEnemy = packet.enemy;
+    const isDecoy = packet.decoy === true;
 
     // Get the game ID
     //  TODO: Get the correct game ID instead of the ID of the current page
@@ -1778,7 +1909,9 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_DESTROYED, fu
             // Show a dialog
             showDialog({
                 title: __('factory.name', { capitalizeFirst: true, game: gameId }) + ' destroyed',
-                message: 'You\'ve successfully destroyed the <b>' + factoryName + '</b> ' + __('factory.name', { game: gameId }) + '!',
+                message: isDecoy ?
+                    'The <b>' + factoryName + '</b> ' + __('factory.name', { game: gameId }) + ' turned out to be a decoy, and has been destroyed.' :
+                    'You\'ve successfully destroyed the <b>' + factoryName + '</b> ' + __('factory.name', { game: gameId }) + '!',
                 actions: [
                     {
                         text: 'Game overview',
@@ -1806,7 +1939,7 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_DESTROYED, fu
 
             } else {
                 // Show a notification
-                showNotification('<b>' + userName + '</b> destroyed an enemy ' + __('factory.name', { game: gameId }), {
+                showNotification('<b>' + userName + '</b> destroyed an enemy ' + (isDecoy ? 'decoy' : __('factory.name', { game: gameId })), {
                     vibrate: true
                 });
             }
@@ -1830,7 +1963,7 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.FACTORY_DESTROYED, fu
 
             } else {
                 // Show a notification
-                showNotification('<b>' + userName + '</b> destroyed one of our ' + __('factory.name', { game: gameId }) + 's', {
+                showNotification('<b>' + userName + '</b> destroyed one of our ' + (isDecoy ? 'decoys' : __('factory.name', { game: gameId }) + 's'), {
                     vibrate: true
                 });
             }
@@ -2052,6 +2185,129 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.GAME_INFO, function(p
     }
 });
 
+/**
+ * Object containing the schedules of all games a schedule is known for.
+ * @type {Object}
+ */
+var gameSchedules = {};
+
+// Update the game schedule
+Dworek.realtime.packetProcessor.registerHandler(PacketType.GAME_SCHEDULE, function(packet) {
+    // Make sure the packet contains the required properties
+    if(!packet.hasOwnProperty('game') || !packet.hasOwnProperty('stage'))
+        return;
+
+    // Set the game schedule
+    gameSchedules[packet.game] = {
+        stage: packet.stage,
+        startDate: packet.startDate != null ? new Date(packet.startDate) : null,
+        endDate: packet.endDate != null ? new Date(packet.endDate) : null
+    };
+
+    // Update the countdown
+    updateGameScheduleVisuals();
+});
+
+// Show transfer offers from teammates
+Dworek.realtime.packetProcessor.registerHandler(PacketType.PLAYER_TRANSFER_OFFER, function(packet) {
+    // Make sure the packet contains the required properties
+    if(!packet.hasOwnProperty('game') || !packet.hasOwnProperty('token') || !packet.hasOwnProperty('type') || !packet.hasOwnProperty('amount'))
+        return;
+
+    // Format the amount that is offered
+    const amountText = packet.type === 'money' ?
+        formatMoney(packet.amount, true) :
+        packet.amount + ' ' + __(packet.type + '.name' + (packet.amount === 1 ? '' : 's'), { game: packet.game });
+
+    // Create a function to respond to the offer
+    const respond = function(accept) {
+        Dworek.realtime.packetProcessor.sendPacket(PacketType.PLAYER_TRANSFER_RESPONSE, {
+            game: packet.game,
+            token: packet.token,
+            accept: accept
+        });
+    };
+
+    // Ask the user to accept the transfer
+    showDialog({
+        title: 'Transfer from teammate',
+        message: packet.userName + ' would like to give you ' + amountText + '.<br><br>' +
+        'Stay close to your teammate to receive it.',
+        actions: [
+            {
+                text: 'Accept',
+                state: 'primary',
+                action: function() {
+                    respond(true);
+                }
+            },
+            {
+                text: 'Decline',
+                action: function() {
+                    respond(false);
+                }
+            }
+        ]
+    });
+
+    // Vibrate
+    vibrate();
+});
+
+// Update the game schedule countdown every second, and when initializing a page
+setInterval(updateGameScheduleVisuals, 1000);
+$(document).bind("pageshow", function() {
+    updateGameScheduleVisuals();
+});
+
+/**
+ * Update the countdown of the game schedule on the active page.
+ */
+function updateGameScheduleVisuals() {
+    // Make sure we're on a game page
+    if(!Dworek.utils.isGamePage())
+        return;
+
+    // Get the schedule row on the active page, and make sure it's available
+    const scheduleRow = getActivePage().find('.game-schedule-row');
+    if(scheduleRow.length == 0)
+        return;
+
+    // Get the schedule for this game
+    const schedule = gameSchedules[Dworek.utils.getGameId()];
+
+    // Determine the date to count down to, and it's label
+    var countdownDate = null;
+    var label = null;
+    if(schedule != null && schedule.stage == 0 && schedule.startDate != null) {
+        countdownDate = schedule.startDate;
+        label = 'Starts in';
+    } else if(schedule != null && schedule.stage == 1 && schedule.endDate != null) {
+        countdownDate = schedule.endDate;
+        label = 'Finishes in';
+    }
+
+    // Hide the row if there's nothing to count down to
+    if(countdownDate == null) {
+        scheduleRow.hide();
+        return;
+    }
+
+    // Determine the number of seconds left
+    const secondsLeft = Math.max(Math.floor((countdownDate.getTime() - Date.now()) / 1000), 0);
+
+    // Format the time left
+    const hours = Math.floor(secondsLeft / 3600);
+    const minutes = Math.floor(secondsLeft / 60) % 60;
+    const seconds = secondsLeft % 60;
+    const timeLeft = (hours > 0 ? hours + ':' + (minutes < 10 ? '0' : '') : '') + minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+
+    // Update the row
+    scheduleRow.find('.game-schedule-label').text(label);
+    scheduleRow.find('.game-schedule-countdown').text(timeLeft);
+    scheduleRow.show();
+}
+
 // Game location updates
 Dworek.realtime.packetProcessor.registerHandler(PacketType.GAME_LOCATIONS_UPDATE, function(packet) {
     // Make sure a message has been set
@@ -2079,6 +2335,10 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.GAME_LOCATIONS_UPDATE
     if(hasFactories)
         updateFactoryMarkers(packet.factories);
 
+    // Update the last seen positions
+    if(packet.hasOwnProperty('lastSeen'))
+        updateLastSeenMarkers(packet.lastSeen);
+
     // Focus on everything if enabled, also focus on everything if we should focus on the player, but no player is available
     if(getFollowPlayer() || getFollowEverything() || (getFollowPlayer() && playerMarker == null))
         focusMap(true);
@@ -2718,6 +2978,7 @@ $(document).bind("pageinit", function() {
     const popupTeamSelector = 'select[name=field-team]';
     const popupSpecialSelector = 'select[name=field-special]';
     const popupSpectatorSelector = 'select[name=field-spectator]';
+    const popupTreasurerSelector = 'select[name=field-treasurer]';
     const userListSelector = '.user-list';
 
     // Handle button click events
@@ -2761,10 +3022,11 @@ $(document).bind("pageinit", function() {
             // Prevent the default action
             e.preventDefault();
 
-            // Get the team, special and spectator fields
+            // Get the team, special, spectator and treasurer fields
             const teamField = popup.find(popupTeamSelector);
             const specialField = popup.find(popupSpecialSelector);
             const spectatorField = popup.find(popupSpectatorSelector);
+            const treasurerField = popup.find(popupTreasurerSelector);
 
             // Get the game
             const gameId = Dworek.utils.getGameId();
@@ -2775,6 +3037,7 @@ $(document).bind("pageinit", function() {
             // Determine whether the users will be special players and/or spectators
             const special = specialField.val() == 'true';
             const spectator = spectatorField.val() == 'true';
+            const treasurer = treasurerField.val() == 'true';
 
             // Create an role change object to send to the server
             const updateObject = {
@@ -2783,7 +3046,8 @@ $(document).bind("pageinit", function() {
                 role: {
                     team: teamValue,
                     special: special,
-                    spectator: spectator
+                    spectator: spectator,
+                    treasurer: treasurer
                 }
             };
 
@@ -3191,6 +3455,7 @@ $(document).bind("pagecreate", function() {
     const startGameButton = $('.action-game-start');
     const stopGameButton = $('.action-game-stop');
     const resumeGameButton = $('.action-game-resume');
+    const pauseGameButton = $('.action-game-pause');
 
     // Define the start action
     const gameStartAction = function() {
@@ -3227,6 +3492,15 @@ $(document).bind("pagecreate", function() {
         });
     };
 
+    // Define the pause action
+    const gamePauseAction = function() {
+        // Send a game pausing packet to the server
+        Dworek.realtime.packetProcessor.sendPacket(PacketType.GAME_STAGE_CHANGE, {
+            game: Dworek.utils.getGameId(),
+            stage: 3
+        });
+    };
+
     // Bind a game start button
     startGameButton.unbind('click');
     startGameButton.click(function(e) {
@@ -3298,6 +3572,30 @@ $(document).bind("pagecreate", function() {
             ]
         });
     });
+
+    // Bind a game pause button
+    pauseGameButton.unbind('click');
+    pauseGameButton.click(function(e) {
+        // Prevent the default action
+        e.preventDefault();
+
+        // Show a dialog, and ask whether the user is sure
+        showDialog({
+            title: 'Pause game',
+            message: 'Are you sure you want to pause the game?<br><br>Production, trading and attacks are frozen until the game is resumed.',
+            actions: [
+                {
+                    text: 'Pause game',
+                    icon: 'zmdi zmdi-pause',
+                    state: 'warning',
+                    action: gamePauseAction
+                },
+                {
+                    text: 'Cancel'
+                }
+            ]
+        });
+    });
 });
 
 // Broadcast button
@@ -3892,6 +4190,26 @@ var playersMarkers = [];
  */
 var factoryMarkers = [];
 
+/**
+ * Faded markers showing the last known positions of enemies that aren't visible anymore.
+ */
+var lastSeenMarkers = [];
+
+/**
+ * Polygon showing the play area of the game.
+ */
+var playAreaPolygon = null;
+
+/**
+ * Layers showing the no-build and safe zones of the game.
+ */
+var zoneLayers = [];
+
+/**
+ * Layers showing the fixed dealers of the game, with their range.
+ */
+var dealerLayers = [];
+
 /**
  * Button to toggle to follow the current player.
  */
@@ -4351,6 +4669,10 @@ function initMap(element) {
             playerMarker = null;
             playersMarkers = [];
             factoryMarkers = [];
+            lastSeenMarkers = [];
+            playAreaPolygon = null;
+            zoneLayers = [];
+            dealerLayers = [];
 
             // Build the new map container
             console.log('Building the new map container...');
@@ -4517,6 +4839,11 @@ function initMap(element) {
             // Force update the last player position if it's known
             if(Dworek.state.geoPlayerPosition != null)
                 updatePlayerPosition(Dworek.state.geoPlayerPosition);
+
+            // Draw the play area, zones and fixed dealers if they're known
+            updatePlayAreaPolygon();
+            updateZoneLayers();
+            updateDealerLayers();
         }
 
         // Invalidate the map size, because the container size might be changed
@@ -4570,75 +4897,979 @@ $(window).resize(function() {
 });
 
 /**
- * Refresh the location data for the map.
- *
- * @param {string} [game] ID of the game to request the location data for, or null to use the current game.
- * @param {boolean} [notify=true] True to notify, false if not.
+ * Colors used for the teams in a game replay, as sprite icon name and hexadecimal color.
+ * @type {Array}
  */
-function requestMapData(game, notify) {
-    // Parse the game parameter
-    if(game == undefined)
-        game = Dworek.state.activeGame;
-    if(notify == undefined)
-        notify = true;
+const REPLAY_TEAM_COLORS = [
+    {sprite: 'green', color: '#2aad27'},
+    {sprite: 'red', color: '#cb2b3e'},
+    {sprite: 'blue', color: '#2a81cb'},
+    {sprite: 'yellow', color: '#ffd326'},
+    {sprite: 'violet', color: '#9c2bcb'},
+    {sprite: 'orange', color: '#cb8427'}
+];
 
-    // Don't request if we aren't authenticated yet
-    if(!Dworek.state.loggedIn)
+/**
+ * Time in milliseconds a player is still shown in a replay after his last recorded location.
+ * @type {Number}
+ */
+const REPLAY_PLAYER_DECAY = 5 * 60 * 1000;
+
+/**
+ * Interval in milliseconds a playing replay is rendered at.
+ * @type {Number}
+ */
+const REPLAY_FRAME_INTERVAL = 250;
+
+/**
+ * State of the game replay that is currently loaded, or null if no replay is loaded.
+ * @type {Object|null}
+ */
+var replayState = null;
+
+// Load the replay when the replay page is shown
+$(document).bind('pageshow', function() {
+    // Get the replay container on the active page
+    const container = getActivePage().find('#replay-container');
+
+    // Make sure we're on a replay page
+    if(container.length <= 0)
         return;
 
-    // Make sure the game isn't null
-    if(game == null)
+    // Don't load the replay again if it's already loaded in this container
+    if(replayState !== null && replayState.container.is(container))
         return;
 
-    // Show a status message
-    if(notify)
-        showNotification('Refreshing map...');
+    // Stop any other replay
+    stopReplay();
+
+    // Get the status element
+    const statusElement = container.find('.replay-status');
+
+    // Request the replay data
+    $.ajax({
+        type: 'GET',
+        url: '/game/' + container.data('game') + '/replay/data',
+        dataType: 'json',
+        success: function(data) {
+            // Show an error message if any kind of error occurred
+            if(data.status != 'ok' || data.hasOwnProperty('error')) {
+                statusElement.html('<i>Failed to load the replay: ' + (typeof data.error.message === 'string' ? data.error.message : 'an unknown error occurred') + '</i>');
+                return;
+            }
 
-    // Request the map data
-    Dworek.realtime.packetProcessor.sendPacket(PacketType.GAME_LOCATIONS_REQUEST, {
-        game: game
+            // Make sure anything has been recorded
+            if(data.replay.start === null) {
+                statusElement.html('<i>Nothing has been recorded for this game yet...</i>');
+                return;
+            }
+
+            // Show the controls
+            statusElement.hide();
+            container.find('.replay-controls').show();
+
+            // Set up the replay
+            setUpReplay(container, data.replay);
+        },
+        error: function() {
+            statusElement.html('<i>Failed to load the replay, please try again later.</i>');
+        }
+    });
+});
+
+/**
+ * Set up the replay map and controls in the given container.
+ *
+ * @param {Object} container Replay container element.
+ * @param {Object} data Replay data.
+ */
+function setUpReplay(container, data) {
+    // Build the map options
+    var mapOptions = {};
+
+    // Add animation options when animations are disabled
+    if(!Dworek.state.animate) {
+        mapOptions.fadeAnimation = false;
+        mapOptions.zoomAnimation = false;
+        mapOptions.makerZoomAnimation = false;
+        mapOptions.inertia = false;
+    }
+
+    // Create the map
+    const replayMap = L.map(container.find('#replay-map')[0], mapOptions).setView([52.0705, 4.3007], 16);
+
+    // Set up the tile layers
+    L.tileLayer('https://api.mapbox.com/styles/v1/timvisee/cirawmn8f001ch4m27llnb45d/tiles/256/{z}/{x}/{y}?access_token=pk.eyJ1IjoidGltdmlzZWUiLCJhIjoiY2lyZXY5cDhzMDAxM2lsbTNicGViaTZkYyJ9.RqbUkoWLWeh_WZoyoxxt-Q', {
+        attribution: 'Hosted by <a href="https://timvisee.com/" target="_blank">timvisee.com</a>'
+    }).addTo(replayMap);
+
+    // Assign a color to each team, and build the legend
+    var teamColors = {};
+    const legendElement = container.find('.replay-legend');
+    data.teams.forEach(function(team, i) {
+        // Assign the color
+        teamColors[team.id] = REPLAY_TEAM_COLORS[i % REPLAY_TEAM_COLORS.length];
+
+        // Add the team to the legend
+        legendElement.append('<li><span style="color: ' + teamColors[team.id].color + ';">&#9679;</span>&nbsp;&nbsp;' + team.name + '</li>');
+    });
+    legendElement.append('<li><span style="color: #9c27b0;">&#9711;</span>&nbsp;&nbsp;' + __('shop.name', {game: container.data('game'), capitalizeFirst: true}) + '</li>');
+    legendElement.listview('refresh');
+
+    // Create a list of locations to fit the map to
+    var bounds = [];
+
+    // Create a marker for each player
+    data.players.forEach(function(player) {
+        // Get the team color
+        const color = teamColors.hasOwnProperty(player.team) ? teamColors[player.team].color : '#777777';
+
+        // Create the marker
+        player.marker = L.circleMarker([0, 0], {
+            radius: 7,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: color,
+            fillOpacity: 1
+        }).bindPopup(player.name);
+
+        // Add the samples to the bounds
+        player.samples.forEach(function(sample) {
+            bounds.push([sample[1], sample[2]]);
+        });
+    });
+
+    // Create a marker for each factory
+    data.factories.forEach(function(factory) {
+        factory.marker = L.marker(factory.location).bindPopup(factory.name);
+        factory.markerTeam = undefined;
+        bounds.push(factory.location);
+    });
+
+    // Fit the map to everything in the replay
+    if(bounds.length > 0)
+        replayMap.fitBounds(L.latLngBounds(bounds), {
+            padding: [15, 15]
+        });
+
+    // Set the replay state
+    replayState = {
+        container: container,
+        map: replayMap,
+        data: data,
+        teamColors: teamColors,
+        time: data.start,
+        speed: 60,
+        timer: null,
+        updatingPosition: false
+    };
+
+    // Get the control elements
+    const playButton = container.find('.action-replay-play');
+    const speedElement = container.find('#field-replay-speed');
+    const positionElement = container.find('#field-replay-position');
+
+    // Toggle playback when the play button is clicked
+    playButton.unbind('click');
+    playButton.click(function() {
+        // Pause or play the replay
+        if(replayState.timer !== null)
+            pauseReplay();
+        else
+            playReplay();
+
+        return false;
+    });
+
+    // Update the speed when it's changed
+    replayState.speed = parseInt(speedElement.val());
+    speedElement.change(function() {
+        replayState.speed = parseInt(speedElement.val());
+    });
+
+    // Scrub through the replay when the position is changed
+    positionElement.change(function() {
+        // Skip changes made while rendering
+        if(replayState === null || replayState.updatingPosition)
+            return;
+
+        // Set the time
+        replayState.time = data.start + (data.end - data.start) * parseInt(positionElement.val()) / 1000;
+
+        // Render the replay
+        renderReplay();
     });
+
+    // Update the map size, and render the first frame
+    replayMap.invalidateSize(true);
+    renderReplay();
 }
 
 /**
- * Update the last known player position.
- * @param position Player position or undefined.
+ * Start playing the loaded replay.
  */
-function updatePlayerPosition(position) {
-    // Return if the user doesn't have the right roles
-    if(Dworek.state.activeGameRoles == null || !(Dworek.state.activeGameRoles.player || Dworek.state.activeGameRoles.special) || position === null || position === undefined)
+function playReplay() {
+    // Make sure a replay is loaded and not playing already
+    if(replayState === null || replayState.timer !== null)
         return;
 
-    // Set the last known location
-    Dworek.state.geoPlayerPosition = position;
+    // Start from the beginning if the end was reached
+    if(replayState.time >= replayState.data.end)
+        replayState.time = replayState.data.start;
 
-    // Update the player marker
-    updatePlayerMarker();
+    // Update the play button
+    replayState.container.find('.action-replay-play').html('<i class="zmdi zmdi-pause"></i>&nbsp;&nbsp;Pause');
+
+    // Render the replay on an interval
+    replayState.timer = setInterval(function() {
+        // Stop the replay if it's no longer on the page
+        if(!$.contains(document, replayState.container[0])) {
+            stopReplay();
+            return;
+        }
+
+        // Move the time forward, and pause at the end
+        replayState.time += REPLAY_FRAME_INTERVAL * replayState.speed;
+        if(replayState.time >= replayState.data.end) {
+            replayState.time = replayState.data.end;
+            pauseReplay();
+        }
+
+        // Render the replay
+        renderReplay();
+    }, REPLAY_FRAME_INTERVAL);
 }
 
 /**
- * Update the player marker.
+ * Pause the loaded replay.
  */
-function updatePlayerMarker() {
-    // Return if the user doesn't have the right roles
-    if(Dworek.state.activeGameRoles === null || !(Dworek.state.activeGameRoles.player || Dworek.state.activeGameRoles.special))
+function pauseReplay() {
+    // Make sure a replay is playing
+    if(replayState === null || replayState.timer === null)
         return;
 
-    // Set the last known location
-    const position = Dworek.state.geoPlayerPosition;
+    // Stop the timer
+    clearInterval(replayState.timer);
+    replayState.timer = null;
 
-    // Update the player markers if the map is created
-    if(map !== null) {
-        // Create a player marker if we don't have one yet
-        if(playerMarker === null) {
-            // Make sure a player position is known
-            if(position === null)
-                return;
+    // Update the play button
+    replayState.container.find('.action-replay-play').html('<i class="zmdi zmdi-play"></i>&nbsp;&nbsp;Play');
+}
 
-            // Create the player marker
-            playerMarker = L.marker([position.coords.latitude, position.coords.longitude], {
-                icon: L.spriteIcon('blue')
-            });
+/**
+ * Stop and unload the loaded replay, if any.
+ */
+function stopReplay() {
+    // Make sure a replay is loaded
+    if(replayState === null)
+        return;
+
+    // Pause the replay, and remove the map
+    pauseReplay();
+    replayState.map.remove();
+
+    // Reset the state
+    replayState = null;
+}
+
+/**
+ * Render the loaded replay at it's current time.
+ */
+function renderReplay() {
+    // Make sure a replay is loaded
+    if(replayState === null)
+        return;
+
+    // Get the map, data and time
+    const replayMap = replayState.map;
+    const data = replayState.data;
+    const time = replayState.time;
+
+    // Function to show or hide a layer on the map
+    const setLayerVisible = function(layer, visible) {
+        if(visible && !replayMap.hasLayer(layer))
+            layer.addTo(replayMap);
+        else if(!visible && replayMap.hasLayer(layer))
+            replayMap.removeLayer(layer);
+    };
+
+    // Update the player markers
+    data.players.forEach(function(player) {
+        // Get the player position
+        const position = getReplayPlayerPosition(player, time);
+
+        // Show or hide the marker
+        setLayerVisible(player.marker, position !== null);
+        if(position === null)
+            return;
+
+        // Determine whether the player is a shop at this time
+        const isShop = data.shops.some(function(shop) {
+            return shop.user === player.id && shop.start <= time && (shop.end === null || shop.end > time);
+        });
+
+        // Update the marker
+        player.marker.setLatLng(position);
+        player.marker.setStyle({
+            color: isShop ? '#9c27b0' : '#ffffff',
+            weight: isShop ? 4 : 2
+        });
+        player.marker.setRadius(isShop ? 9 : 7);
+    });
+
+    // Update the factory markers
+    data.factories.forEach(function(factory) {
+        // Show or hide the marker depending on whether the factory exists
+        const exists = factory.built <= time && (factory.destroyed === null || factory.destroyed > time);
+        setLayerVisible(factory.marker, exists);
+        if(!exists)
+            return;
+
+        // Find the owning team at this time
+        var team = null;
+        factory.owners.forEach(function(owner) {
+            if(owner[0] <= time)
+                team = owner[1];
+        });
+
+        // Update the icon if the owner changed
+        if(factory.markerTeam !== team) {
+            factory.marker.setIcon(L.spriteIcon(replayState.teamColors.hasOwnProperty(team) ? replayState.teamColors[team].sprite : 'blue'));
+            factory.markerTeam = team;
+        }
+    });
+
+    // Update the time labels
+    replayState.container.find('.replay-time').text(new Date(time).toLocaleString());
+    replayState.container.find('.replay-elapsed').text(formatReplayDuration(time - data.start) + ' / ' + formatReplayDuration(data.end - data.start));
+
+    // Update the position slider
+    replayState.updatingPosition = true;
+    replayState.container.find('#field-replay-position')
+        .val(data.end > data.start ? Math.round((time - data.start) / (data.end - data.start) * 1000) : 0)
+        .slider('refresh');
+    replayState.updatingPosition = false;
+}
+
+/**
+ * Get the interpolated position of a player in a replay at the given time.
+ *
+ * @param {Object} player Replay player object.
+ * @param {Number} time Replay time.
+ * @return {Array|null} Latitude and longitude, or null if the player's location isn't known at this time.
+ */
+function getReplayPlayerPosition(player, time) {
+    // Get the samples
+    const samples = player.samples;
+
+    // Binary search for the last sample at or before the given time
+    var low = 0;
+    var high = samples.length - 1;
+    var index = -1;
+    while(low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if(samples[middle][0] <= time) {
+            index = middle;
+            low = middle + 1;
+        } else
+            high = middle - 1;
+    }
+
+    // Make sure a recent sample is found
+    if(index < 0 || time - samples[index][0] > REPLAY_PLAYER_DECAY)
+        return null;
+
+    // Get the sample, and the next sample
+    const sample = samples[index];
+    const next = index + 1 < samples.length ? samples[index + 1] : null;
+
+    // Return the sample position if there's no close next sample to interpolate to
+    if(next === null || next[0] - sample[0] > REPLAY_PLAYER_DECAY)
+        return [sample[1], sample[2]];
+
+    // Interpolate between the two samples
+    const factor = (time - sample[0]) / (next[0] - sample[0]);
+    return [
+        sample[1] + (next[1] - sample[1]) * factor,
+        sample[2] + (next[2] - sample[2]) * factor
+    ];
+}
+
+/**
+ * Format a replay duration in milliseconds as hours, minutes and seconds.
+ *
+ * @param {Number} duration Duration in milliseconds.
+ * @return {string} Formatted duration, such as 1:05:09.
+ */
+function formatReplayDuration(duration) {
+    // Get the number of hours, minutes and seconds
+    const seconds = Math.floor(duration / 1000) % 60;
+    const minutes = Math.floor(duration / (60 * 1000)) % 60;
+    const hours = Math.floor(duration / (60 * 60 * 1000));
+
+    // Format the duration
+    return hours + ':' + (minutes < 10 ? '0' : '') + minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+}
+
+// Set up the play area editor when the play area page is shown
+$(document).bind('pageshow', function() {
+    // Get the play area container on the active page
+    const container = getActivePage().find('#area-container');
+
+    // Make sure we're on a play area page, and that the editor isn't set up yet
+    if(container.length <= 0 || container.find('#area-map div.leaflet-map-pane').length > 0)
+        return;
+
+    // Get the hidden input field and the status element
+    const inputElement = container.find('#field-play-area');
+    const statusElement = container.find('.area-status');
+
+    // Get the current play area points
+    var points = container.data('area');
+    if(!Array.isArray(points))
+        points = [];
+
+    // Build the map options
+    var mapOptions = {};
+
+    // Add animation options when animations are disabled
+    if(!Dworek.state.animate) {
+        mapOptions.fadeAnimation = false;
+        mapOptions.zoomAnimation = false;
+        mapOptions.makerZoomAnimation = false;
+        mapOptions.inertia = false;
+    }
+
+    // Center the map on the player if the location is known
+    var latlng = [52.0705, 4.3007];
+    if(Dworek.state.geoPlayerPosition !== null)
+        latlng = [Dworek.state.geoPlayerPosition.coords.latitude, Dworek.state.geoPlayerPosition.coords.longitude];
+
+    // Create the map
+    const areaMap = L.map(container.find('#area-map')[0], mapOptions).setView(latlng, 16);
+
+    // Set up the tile layers
+    L.tileLayer('https://api.mapbox.com/styles/v1/timvisee/cirawmn8f001ch4m27llnb45d/tiles/256/{z}/{x}/{y}?access_token=pk.eyJ1IjoidGltdmlzZWUiLCJhIjoiY2lyZXY5cDhzMDAxM2lsbTNicGViaTZkYyJ9.RqbUkoWLWeh_WZoyoxxt-Q', {
+        attribution: 'Hosted by <a href="https://timvisee.com/" target="_blank">timvisee.com</a>'
+    }).addTo(areaMap);
+
+    // Create the polygon showing the play area
+    const polygon = L.polygon(points, {
+        color: 'dimgray',
+        weight: 3,
+        dashArray: '10,10'
+    }).addTo(areaMap);
+
+    // Create a function to update the polygon, input field and status after the points changed
+    const updateArea = function() {
+        // Update the polygon and the input field
+        polygon.setLatLngs(points);
+        inputElement.val(JSON.stringify(points));
+
+        // Update the status
+        if(points.length === 0)
+            statusElement.html('<i>No play area, players can go anywhere.</i>');
+        else if(points.length < 3)
+            statusElement.html('<i>Add at least ' + (3 - points.length) + ' more corner' + (3 - points.length !== 1 ? 's' : '') + ' to the play area.</i>');
+        else
+            statusElement.html('<i>The play area has ' + points.length + ' corners.</i>');
+    };
+
+    // Fit the map to the current play area
+    if(points.length > 0)
+        areaMap.fitBounds(points);
+
+    // Add a corner when the map is clicked
+    areaMap.on('click', function(e) {
+        points.push([e.latlng.lat, e.latlng.lng]);
+        updateArea();
+    });
+
+    // Remove the last corner
+    container.find('.action-area-undo').click(function(e) {
+        e.preventDefault();
+        points.pop();
+        updateArea();
+    });
+
+    // Remove all corners
+    container.find('.action-area-clear').click(function(e) {
+        e.preventDefault();
+        points = [];
+        updateArea();
+    });
+
+    // Don't submit an incomplete play area
+    container.find('form').submit(function(e) {
+        if(points.length > 0 && points.length < 3) {
+            e.preventDefault();
+            showNotification('The play area needs at least three corners');
+        }
+    });
+
+    // Update the area
+    updateArea();
+});
+
+// Set up the zones editor when the zones page is shown
+$(document).bind('pageshow', function() {
+    // Get the zones container on the active page
+    const container = getActivePage().find('#zones-container');
+
+    // Make sure we're on a zones page, and that the editor isn't set up yet
+    if(container.length <= 0 || container.find('#zones-map div.leaflet-map-pane').length > 0)
+        return;
+
+    // Get the input fields, the list and the status element
+    const inputElement = container.find('#field-zones');
+    const nameElement = container.find('#field-zone-name');
+    const typeElement = container.find('#field-zone-type');
+    const shapeElement = container.find('#field-zone-shape');
+    const radiusElement = container.find('#field-zone-radius');
+    const listElement = container.find('.zones-list');
+    const statusElement = container.find('.zones-status');
+
+    // Get the current zones and the play area
+    var zones = container.data('zones');
+    if(!Array.isArray(zones))
+        zones = [];
+    const playArea = container.data('area');
+
+    // Points of the zone that is being drawn
+    var draftPoints = [];
+
+    // Build the map options
+    var mapOptions = {};
+
+    // Add animation options when animations are disabled
+    if(!Dworek.state.animate) {
+        mapOptions.fadeAnimation = false;
+        mapOptions.zoomAnimation = false;
+        mapOptions.makerZoomAnimation = false;
+        mapOptions.inertia = false;
+    }
+
+    // Center the map on the player if the location is known
+    var latlng = [52.0705, 4.3007];
+    if(Dworek.state.geoPlayerPosition !== null)
+        latlng = [Dworek.state.geoPlayerPosition.coords.latitude, Dworek.state.geoPlayerPosition.coords.longitude];
+
+    // Create the map
+    const zonesMap = L.map(container.find('#zones-map')[0], mapOptions).setView(latlng, 16);
+
+    // Set up the tile layers
+    L.tileLayer('https://api.mapbox.com/styles/v1/timvisee/cirawmn8f001ch4m27llnb45d/tiles/256/{z}/{x}/{y}?access_token=pk.eyJ1IjoidGltdmlzZWUiLCJhIjoiY2lyZXY5cDhzMDAxM2lsbTNicGViaTZkYyJ9.RqbUkoWLWeh_WZoyoxxt-Q', {
+        attribution: 'Hosted by <a href="https://timvisee.com/" target="_blank">timvisee.com</a>'
+    }).addTo(zonesMap);
+
+    // Show the play area for reference, and fit the map to it
+    if(Array.isArray(playArea) && playArea.length >= 3) {
+        L.polygon(playArea, {
+            color: 'dimgray',
+            weight: 3,
+            dashArray: '10,10',
+            fill: false,
+            interactive: false
+        }).addTo(zonesMap);
+        zonesMap.fitBounds(playArea);
+    }
+
+    // Layers of the saved zones, and of the zone that is being drawn
+    var zoneLayers = [];
+    var draftLayer = null;
+
+    // Create a function to update the zone layers, list and input field after the zones changed
+    const updateZones = function() {
+        // Replace the zone layers
+        zoneLayers.forEach(function(layer) {
+            zonesMap.removeLayer(layer);
+        });
+        zoneLayers = zones.map(function(zone) {
+            return createZoneLayer(zone).addTo(zonesMap);
+        });
+
+        // Rebuild the list of zones
+        listElement.empty();
+        if(zones.length === 0)
+            listElement.append('<li><i>This game doesn\'t have any zones yet.</i></li>');
+        zones.forEach(function(zone, i) {
+            listElement.append('<li><a href="#" class="action-zone-delete" data-zone-index="' + i + '">' +
+                '<i class="zmdi zmdi-delete"></i>&nbsp;&nbsp;' + zone.name + ' <span class="gray">(' + (zone.type === 'safe' ? 'safe zone' : 'no-build zone') + ')</span>' +
+                '</a></li>');
+        });
+        listElement.listview('refresh');
+
+        // Update the input field
+        inputElement.val(JSON.stringify(zones));
+    };
+
+    // Create a function to update the draft layer and status after the draft points changed
+    const updateDraft = function() {
+        // Remove the current draft layer
+        if(draftLayer !== null)
+            zonesMap.removeLayer(draftLayer);
+        draftLayer = null;
+
+        // Determine whether a circle is drawn
+        const circle = shapeElement.val() === 'circle';
+
+        // Create the draft layer
+        if(draftPoints.length > 0)
+            draftLayer = (circle ? L.circle(draftPoints[0], parseFloat(radiusElement.val()) || 1) : L.polygon(draftPoints)).setStyle({
+                color: 'gray',
+                dashArray: '2,6'
+            }).addTo(zonesMap);
+
+        // Update the status
+        if(circle)
+            statusElement.html('<i>' + (draftPoints.length > 0 ? 'Center selected, tap the map again to move it.' : 'Tap the map to select the center of the zone.') + '</i>');
+        else
+            statusElement.html('<i>' + (draftPoints.length < 3 ? 'Tap the map to add at least ' + (3 - draftPoints.length) + ' more corner' + (3 - draftPoints.length !== 1 ? 's' : '') + '.' : 'The zone has ' + draftPoints.length + ' corners.') + '</i>');
+    };
+
+    // Add a point when the map is clicked, a circle only has a single center point
+    zonesMap.on('click', function(e) {
+        if(shapeElement.val() === 'circle')
+            draftPoints = [];
+        draftPoints.push([e.latlng.lat, e.latlng.lng]);
+        updateDraft();
+    });
+
+    // Reset the draft when the shape changes, and update it when the radius changes
+    shapeElement.change(function() {
+        draftPoints = [];
+        updateDraft();
+    });
+    radiusElement.on('input change', updateDraft);
+
+    // Remove the last draft point
+    container.find('.action-zone-undo').click(function(e) {
+        e.preventDefault();
+        draftPoints.pop();
+        updateDraft();
+    });
+
+    // Add the drafted zone
+    container.find('.action-zone-add').click(function(e) {
+        e.preventDefault();
+
+        // Get the name, and make sure it's valid
+        const name = nameElement.val().trim();
+        if(name.length === 0) {
+            showNotification('Enter a name for the zone');
+            return;
+        }
+
+        // Create the zone object
+        var zone = {
+            name: name,
+            type: typeElement.val()
+        };
+
+        // Set the shape, and make sure it's complete
+        if(shapeElement.val() === 'circle') {
+            const radius = parseFloat(radiusElement.val());
+            if(draftPoints.length === 0 || !(radius > 0)) {
+                showNotification('Select a center and enter a radius for the zone');
+                return;
+            }
+            zone.center = draftPoints[0];
+            zone.radius = radius;
+
+        } else {
+            if(draftPoints.length < 3) {
+                showNotification('The zone needs at least three corners');
+                return;
+            }
+            zone.points = draftPoints;
+        }
+
+        // Add the zone, and reset the draft
+        zones.push(zone);
+        draftPoints = [];
+        nameElement.val('');
+        updateZones();
+        updateDraft();
+    });
+
+    // Delete a zone when it's clicked in the list
+    listElement.on('click', '.action-zone-delete', function(e) {
+        e.preventDefault();
+        zones.splice(parseInt($(this).data('zone-index')), 1);
+        updateZones();
+    });
+
+    // Update the zones and draft
+    updateZones();
+    updateDraft();
+});
+
+// Set up the fixed dealers editor when the dealers page is shown
+$(document).bind('pageshow', function() {
+    // Get the dealers container on the active page
+    const container = getActivePage().find('#dealers-container');
+
+    // Make sure we're on a dealers page, and that the editor isn't set up yet
+    if(container.length <= 0 || container.find('#dealers-map div.leaflet-map-pane').length > 0)
+        return;
+
+    // Get the input fields, the list and the status element
+    const inputElement = container.find('#field-dealers');
+    const nameElement = container.find('#field-dealer-name');
+    const teamElement = container.find('#field-dealer-team');
+    const openFromElement = container.find('#field-dealer-open-from');
+    const openUntilElement = container.find('#field-dealer-open-until');
+    const inMultiplierElement = container.find('#field-dealer-in-multiplier');
+    const outMultiplierElement = container.find('#field-dealer-out-multiplier');
+    const listElement = container.find('.dealers-list');
+    const statusElement = container.find('.dealers-status');
+
+    // Get the current dealers, the play area and the teams
+    var dealers = container.data('dealers');
+    if(!Array.isArray(dealers))
+        dealers = [];
+    const playArea = container.data('area');
+    const teams = container.data('teams') || [];
+
+    // Get the game ID
+    const gameId = Dworek.utils.getGameId();
+
+    // Location of the dealer that is being placed
+    var draftLocation = null;
+
+    // Build the map options
+    var mapOptions = {};
+
+    // Add animation options when animations are disabled
+    if(!Dworek.state.animate) {
+        mapOptions.fadeAnimation = false;
+        mapOptions.zoomAnimation = false;
+        mapOptions.makerZoomAnimation = false;
+        mapOptions.inertia = false;
+    }
+
+    // Center the map on the player if the location is known
+    var latlng = [52.0705, 4.3007];
+    if(Dworek.state.geoPlayerPosition !== null)
+        latlng = [Dworek.state.geoPlayerPosition.coords.latitude, Dworek.state.geoPlayerPosition.coords.longitude];
+
+    // Create the map
+    const dealersMap = L.map(container.find('#dealers-map')[0], mapOptions).setView(latlng, 16);
+
+    // Set up the tile layers
+    L.tileLayer('https://api.mapbox.com/styles/v1/timvisee/cirawmn8f001ch4m27llnb45d/tiles/256/{z}/{x}/{y}?access_token=pk.eyJ1IjoidGltdmlzZWUiLCJhIjoiY2lyZXY5cDhzMDAxM2lsbTNicGViaTZkYyJ9.RqbUkoWLWeh_WZoyoxxt-Q', {
+        attribution: 'Hosted by <a href="https://timvisee.com/" target="_blank">timvisee.com</a>'
+    }).addTo(dealersMap);
+
+    // Show the play area for reference, and fit the map to it
+    if(Array.isArray(playArea) && playArea.length >= 3) {
+        L.polygon(playArea, {
+            color: 'dimgray',
+            weight: 3,
+            dashArray: '10,10',
+            fill: false,
+            interactive: false
+        }).addTo(dealersMap);
+        dealersMap.fitBounds(playArea);
+    }
+
+    // Markers of the saved dealers, and of the dealer that is being placed
+    var dealerMarkers = [];
+    var draftMarker = null;
+
+    // Create a function to get the name of a team
+    const getTeamName = function(teamId) {
+        // Find the team
+        const team = teams.filter(function(team) {
+            return team.id === teamId;
+        })[0];
+
+        // Return the name
+        return team !== undefined ? team.name : 'Unknown team';
+    };
+
+    // Create a function to update the dealer markers, list and input field after the dealers changed
+    const updateDealers = function() {
+        // Replace the dealer markers
+        dealerMarkers.forEach(function(marker) {
+            dealersMap.removeLayer(marker);
+        });
+        dealerMarkers = dealers.map(function(dealer) {
+            return L.marker(dealer.location, {
+                icon: L.spriteIcon('violet')
+            }).bindPopup('<b>' + dealer.name + '</b><br />' + getDealerOpeningHours(dealer)).addTo(dealersMap);
+        });
+
+        // Rebuild the list of dealers
+        listElement.empty();
+        if(dealers.length === 0)
+            listElement.append('<li><i>This game doesn\'t have any fixed ' + __('shop.names', { game: gameId }) + ' yet.</i></li>');
+        dealers.forEach(function(dealer, i) {
+            listElement.append('<li><a href="#" class="action-dealer-delete" data-dealer-index="' + i + '">' +
+                '<i class="zmdi zmdi-delete"></i>&nbsp;&nbsp;' + dealer.name + ' <span class="gray">(' + (dealer.team != null ? getTeamName(dealer.team) : 'neutral') + ', ' + getDealerOpeningHours(dealer).toLowerCase() + ')</span>' +
+                '</a></li>');
+        });
+        listElement.listview('refresh');
+
+        // Update the input field
+        inputElement.val(JSON.stringify(dealers));
+    };
+
+    // Create a function to update the draft marker and status after the location changed
+    const updateDraft = function() {
+        // Remove the current draft marker
+        if(draftMarker !== null)
+            dealersMap.removeLayer(draftMarker);
+        draftMarker = null;
+
+        // Create the draft marker
+        if(draftLocation !== null)
+            draftMarker = L.marker(draftLocation, {
+                icon: L.spriteIcon('violet'),
+                opacity: 0.5
+            }).addTo(dealersMap);
+
+        // Update the status
+        statusElement.html('<i>' + (draftLocation !== null ? 'Location selected, tap the map again to move it.' : 'Tap the map to select the location of the ' + __('shop.name', { game: gameId }) + '.') + '</i>');
+    };
+
+    // Select the location when the map is clicked
+    dealersMap.on('click', function(e) {
+        draftLocation = [e.latlng.lat, e.latlng.lng];
+        updateDraft();
+    });
+
+    // Add the placed dealer
+    container.find('.action-dealer-add').click(function(e) {
+        e.preventDefault();
+
+        // Get the name, and make sure it's valid
+        const name = nameElement.val().trim();
+        if(name.length === 0) {
+            showNotification('Enter a name for the ' + __('shop.name', { game: gameId }));
+            return;
+        }
+
+        // Make sure a location is selected
+        if(draftLocation === null) {
+            showNotification('Tap the map to select a location for the ' + __('shop.name', { game: gameId }));
+            return;
+        }
+
+        // Get the opening hours, and make sure both or none are entered
+        const openFrom = openFromElement.val();
+        const openUntil = openUntilElement.val();
+        if((openFrom.length > 0) !== (openUntil.length > 0) || (openFrom.length > 0 && openFrom === openUntil)) {
+            showNotification('Enter both a different opening and closing time, or leave both empty');
+            return;
+        }
+
+        // Get the price multipliers, and make sure they're valid
+        const inSellMultiplier = parseFloat(inMultiplierElement.val());
+        const outBuyMultiplier = parseFloat(outMultiplierElement.val());
+        if(!(inSellMultiplier > 0) || !(outBuyMultiplier > 0)) {
+            showNotification('The price multipliers must be above zero');
+            return;
+        }
+
+        // Add the dealer, and reset the draft
+        dealers.push({
+            name: name,
+            location: draftLocation,
+            team: teamElement.val().length > 0 ? teamElement.val() : null,
+            openFrom: openFrom.length > 0 ? openFrom : null,
+            openUntil: openUntil.length > 0 ? openUntil : null,
+            inSellMultiplier: inSellMultiplier,
+            outBuyMultiplier: outBuyMultiplier
+        });
+        draftLocation = null;
+        nameElement.val('');
+        updateDealers();
+        updateDraft();
+    });
+
+    // Delete a dealer when it's clicked in the list
+    listElement.on('click', '.action-dealer-delete', function(e) {
+        e.preventDefault();
+        dealers.splice(parseInt($(this).data('dealer-index')), 1);
+        updateDealers();
+    });
+
+    // Update the dealers and draft
+    updateDealers();
+    updateDraft();
+});
+
+/**
+ * Refresh the location data for the map.
+ *
+ * @param {string} [game] ID of the game to request the location data for, or null to use the current game.
+ * @param {boolean} [notify=true] True to notify, false if not.
+ */
+function requestMapData(game, notify) {
+    // Parse the game parameter
+    if(game == undefined)
+        game = Dworek.state.activeGame;
+    if(notify == undefined)
+        notify = true;
+
+    // Don't request if we aren't authenticated yet
+    if(!Dworek.state.loggedIn)
+        return;
+
+    // Make sure the game isn't null
+    if(game == null)
+        return;
+
+    // Show a status message
+    if(notify)
+        showNotification('Refreshing map...');
+
+    // Request the map data
+    Dworek.realtime.packetProcessor.sendPacket(PacketType.GAME_LOCATIONS_REQUEST, {
+        game: game
+    });
+}
+
+/**
+ * Update the last known player position.
+ * @param position Player position or undefined.
+ */
+function updatePlayerPosition(position) {
+    // Return if the user doesn't have the right roles
+    if(Dworek.state.activeGameRoles == null || !(Dworek.state.activeGameRoles.player || Dworek.state.activeGameRoles.special) || position === null || position === undefined)
+        return;
+
+    // Set the last known location
+    Dworek.state.geoPlayerPosition = position;
+
+    // Update the player marker
+    updatePlayerMarker();
+}
+
+/**
+ * Update the player marker.
+ */
+function updatePlayerMarker() {
+    // Return if the user doesn't have the right roles
+    if(Dworek.state.activeGameRoles === null || !(Dworek.state.activeGameRoles.player || Dworek.state.activeGameRoles.special))
+        return;
+
+    // Set the last known location
+    const position = Dworek.state.geoPlayerPosition;
+
+    // Update the player markers if the map is created
+    if(map !== null) {
+        // Create a player marker if we don't have one yet
+        if(playerMarker === null) {
+            // Make sure a player position is known
+            if(position === null)
+                return;
+
+            // Create the player marker
+            playerMarker = L.marker([position.coords.latitude, position.coords.longitude], {
+                icon: L.spriteIcon('blue')
+            });
 
             // Show a popup when the user clicks on the marker
             playerMarker.on('click', function() {
@@ -4742,9 +5973,9 @@ function updatePlayerMarkers(users) {
 
         // Update or create a new marker
         if(marker == null) {
-            // Create the marker
+            // Create the marker, pinged enemy players are red
             marker = L.marker(pos, {
-                icon: !user.shop.isShop ? L.spriteIcon('green') : L.spriteIcon('purple')
+                icon: !user.shop.isShop ? L.spriteIcon(user.ally ? 'green' : 'red') : L.spriteIcon('purple')
             });
 
             // Bind a popup to the marker
@@ -4868,6 +6099,18 @@ function updatePlayerMarkers(users) {
                 });
             }
 
+            // Add a transfer action if the user is a teammate
+            if(user.ally && user.user !== Dworek.state.user) {
+                actions.push({
+                    text: 'Give',
+                    icon: 'zmdi zmdi-swap',
+                    action: function() {
+                        // Show the transfer dialog
+                        showPlayerTransferDialog(user.user, user.userName);
+                    }
+                });
+            }
+
             // Add the close button
             actions.push({
                 text: 'Close'
@@ -4964,13 +6207,15 @@ function updateFactoryMarkers(factories) {
 
         // Update or create a new marker
         if(marker == null) {
-            // Create the marker
+            // Create the marker, make it transparent while the factory is under construction
             marker = L.marker(pos, {
-                icon: L.spriteIcon(factory.ally ? 'orange' : 'red')
+                icon: L.spriteIcon(factory.ally ? 'orange' : 'red'),
+                opacity: factory.construction != null ? 0.5 : 1
             });
 
             // Bind a popup to the marker
-            marker.bindPopup('<b>' + __('factory.name', { capitalizeFirst: true, game: Dworek.utils.getGameId() }) + '</b><br />' + factory.name);
+            marker.bindPopup('<b>' + __('factory.name', { capitalizeFirst: true, game: Dworek.utils.getGameId() }) + '</b><br />' + factory.name +
+                '<br /><span style="color: gray;">' + factory.typeName + '</span>');
             marker.on('mouseover', function (e) {
                 this.openPopup();
             });
@@ -5011,6 +6256,9 @@ function updateFactoryMarkers(factories) {
                 dashArray: factory.inRange ? '' : '5,5'
             });
 
+            // Make the marker transparent while the factory is under construction
+            marker.setOpacity(factory.construction != null ? 0.5 : 1);
+
             // Update the factory sprite and color if the ally state changed
             if(marker.factory.ally != factory.ally) {
                 // Update the marker sprite
@@ -5036,11 +6284,18 @@ function updateFactoryMarkers(factories) {
                 '        <td class="left"><i class="zmdi zmdi-tag-more zmdi-hc-fw"></i> Name</td><td>' + factory.name + '</td>' +
                 '    </tr>' +
                 '    <tr>' +
+                '        <td class="left"><i class="zmdi zmdi-layers zmdi-hc-fw"></i> Type</td><td>' + factory.typeName + '</td>' +
+                '    </tr>' +
+                '    <tr>' +
                 '        <td class="left"><i class="zmdi zmdi-star zmdi-hc-fw"></i> Ally</td><td>' + (factory.ally ? '<span style="color: green;">Yes</span>' : '<span style="color: red;">No</span>') + '</td>' +
                 '    </tr>' +
                 '    <tr>' +
                 '        <td class="left"><i class="zmdi zmdi-dot-circle zmdi-hc-fw"></i> In range</td><td>' + (factory.inRange ? '<span style="color: green;">Yes</span>' : '<span style="color: red;">No</span>') + '</td>' +
                 '    </tr>' +
+                (factory.construction != null ?
+                '    <tr>' +
+                '        <td class="left"><i class="zmdi zmdi-wrench zmdi-hc-fw"></i> Construction</td><td>' + factory.construction + '%</td>' +
+                '    </tr>' : '') +
                 '</table>' +
                 '</div>';
 
@@ -5101,6 +6356,242 @@ function updateFactoryMarkers(factories) {
     }
 }
 
+/**
+ * Update the faded markers showing the last known positions of enemies that aren't visible anymore.
+ *
+ * @param lastSeen Last seen data.
+ */
+function updateLastSeenMarkers(lastSeen) {
+    // Make sure the map is loaded
+    if(map == null)
+        return;
+
+    // Remove the current last seen markers
+    lastSeenMarkers.forEach(function(marker) {
+        map.removeLayer(marker);
+    });
+    lastSeenMarkers = [];
+
+    // Create a faded marker for each entry
+    lastSeen.forEach(function(entry) {
+        // Determine how many minutes ago the entry was seen
+        const minutes = Math.floor(entry.age / 60 / 1000);
+
+        // Create the marker
+        const marker = L.marker([entry.location.latitude, entry.location.longitude], {
+            icon: L.spriteIcon('red'),
+            opacity: 0.35
+        });
+        marker.bindPopup('<b>' + (entry.type === 'factory' ? __('factory.name', { capitalizeFirst: true, game: Dworek.utils.getGameId() }) : 'Player') + '</b><br />' + entry.name +
+            '<br /><span style="color: gray;">Last seen ' + (minutes > 0 ? minutes + ' min ago' : 'just now') + '</span>');
+        marker.on('mouseover', function (e) {
+            this.openPopup();
+        });
+        marker.on('mouseout', function (e) {
+            this.closePopup();
+        });
+        marker.addTo(map);
+        lastSeenMarkers.push(marker);
+    });
+}
+
+/**
+ * Highlight the marker of the given factory on the map for a while, for example because it's in danger.
+ *
+ * @param {string} factoryId ID of the factory to highlight.
+ */
+function highlightFactoryMarker(factoryId) {
+    // Find the marker of the factory
+    var marker = null;
+    factoryMarkers.forEach(function(entry) {
+        if(entry.factory.factory == factoryId)
+            marker = entry;
+    });
+
+    // Make sure the marker is known
+    if(marker == null)
+        return;
+
+    // Highlight the range circle
+    marker.rangeCircle.setStyle({
+        color: 'red',
+        fillColor: 'red',
+        weight: 6
+    });
+
+    // Reset the range circle style after a while
+    clearTimeout(marker.highlightTimer);
+    marker.highlightTimer = setTimeout(function() {
+        marker.rangeCircle.setStyle({
+            color: marker.factory.ally ? 'darkorange' : 'red',
+            fillColor: marker.factory.ally ? 'darkorange' : 'red',
+            weight: 3
+        });
+    }, 30 * 1000);
+}
+
+/**
+ * Update the play area boundary on the map, based on the game data of the active game.
+ */
+function updatePlayAreaPolygon() {
+    // Make sure the map is loaded
+    if(map == null)
+        return;
+
+    // Get the game data, and the play area points
+    const data = getGameData();
+    const points = data != null && data.hasOwnProperty('playArea') ? data.playArea : null;
+
+    // Remove the polygon if the game doesn't have a play area
+    if(points == null || points.length < 3) {
+        if(playAreaPolygon != null) {
+            map.removeLayer(playAreaPolygon);
+            playAreaPolygon = null;
+        }
+        return;
+    }
+
+    // Update the points of the current polygon
+    if(playAreaPolygon != null) {
+        playAreaPolygon.setLatLngs(points);
+        return;
+    }
+
+    // Create the play area polygon, and add it to the map
+    playAreaPolygon = L.polygon(points, {
+        color: 'dimgray',
+        weight: 3,
+        dashArray: '10,10',
+        fill: false,
+        interactive: false
+    });
+    playAreaPolygon.addTo(map);
+}
+
+/**
+ * Create a map layer for the given zone, styled by the zone type.
+ *
+ * @param {Object} zone Zone object, with a list of points or a center and radius.
+ * @return {Object} Polygon or circle layer.
+ */
+function createZoneLayer(zone) {
+    // Determine the style, safe zones are green and no-build zones are red
+    const style = zone.type === 'safe' ? {
+        color: 'green',
+        weight: 2,
+        fillOpacity: 0.15
+    } : {
+        color: 'red',
+        weight: 2,
+        dashArray: '5,5',
+        fillOpacity: 0.1
+    };
+
+    // Create the polygon or circle
+    const layer = zone.hasOwnProperty('points') ? L.polygon(zone.points, style) : L.circle(zone.center, zone.radius, style);
+
+    // Bind a popup with the zone name and type
+    layer.bindPopup('<b>' + zone.name + '</b><br />' + (zone.type === 'safe' ? 'Safe zone' : 'No-build zone'));
+
+    // Return the layer
+    return layer;
+}
+
+/**
+ * Update the no-build and safe zones on the map, based on the game data of the active game.
+ */
+function updateZoneLayers() {
+    // Make sure the map is loaded
+    if(map == null)
+        return;
+
+    // Remove the current zone layers
+    zoneLayers.forEach(function(layer) {
+        map.removeLayer(layer);
+    });
+    zoneLayers = [];
+
+    // Get the game data, and make sure it has any zones
+    const data = getGameData();
+    if(data == null || !data.hasOwnProperty('zones'))
+        return;
+
+    // Create and add a layer for each zone
+    data.zones.forEach(function(zone) {
+        const layer = createZoneLayer(zone);
+        layer.addTo(map);
+        zoneLayers.push(layer);
+    });
+}
+
+/**
+ * Get a description of the opening hours of a fixed dealer.
+ *
+ * @param {Object} dealer Fixed dealer object.
+ * @return {string} Opening hours description.
+ */
+function getDealerOpeningHours(dealer) {
+    return dealer.openFrom != null && dealer.openUntil != null ? 'Open from ' + dealer.openFrom + ' until ' + dealer.openUntil : 'Always open';
+}
+
+/**
+ * Update the fixed dealers on the map, based on the game data of the active game.
+ */
+function updateDealerLayers() {
+    // Make sure the map is loaded
+    if(map == null)
+        return;
+
+    // Remove the current dealer layers
+    dealerLayers.forEach(function(layer) {
+        map.removeLayer(layer);
+    });
+    dealerLayers = [];
+
+    // Get the game data, and make sure it has any dealers
+    const data = getGameData();
+    if(data == null || !data.hasOwnProperty('dealers'))
+        return;
+
+    // Get the game ID
+    const gameId = Dworek.utils.getGameId();
+
+    // Create and add a marker and range circle for each dealer
+    data.dealers.forEach(function(dealer) {
+        // Determine whether the user is in range of the dealer
+        const inRange = data.shops.some(function(shop) {
+            return shop.token === dealer.token;
+        });
+
+        // Determine the allegiance
+        const allegiance = dealer.team == null ? 'Neutral' : (dealer.ally ? 'Allied' : 'Enemy');
+
+        // Create the marker
+        const marker = L.marker(dealer.location, {
+            icon: L.spriteIcon('violet'),
+            opacity: dealer.open ? 1 : 0.5
+        });
+        marker.bindPopup('<b>' + dealer.name + '</b><br />' +
+            allegiance + ' ' + __('shop.name', { game: gameId }) + '<br />' +
+            getDealerOpeningHours(dealer) + '<br />' +
+            (dealer.open ? '<span style="color: green;">Open</span>' : '<span style="color: red;">Closed</span>'));
+        marker.addTo(map);
+        dealerLayers.push(marker);
+
+        // Create the range circle if the dealer is open
+        if(dealer.open) {
+            const rangeCircle = L.circle(dealer.location, dealer.range, {
+                opacity: inRange ? 1 : 0.4,
+                dashArray: inRange ? '' : '5,5',
+                color: 'purple',
+                interactive: false
+            });
+            rangeCircle.addTo(map);
+            dealerLayers.push(rangeCircle);
+        }
+    });
+}
+
 // Build NativeDroid on page initialization
 $(document).bind("pageinit", bindFactoryBuildButton);
 
@@ -5122,6 +6613,99 @@ function bindFactoryBuildButton() {
     });
 }
 
+// Bind the team treasury buttons on page initialization
+$(document).bind("pageinit", bindTeamTreasuryButtons);
+
+/**
+ * Bind the team treasury deposit and withdraw buttons.
+ */
+function bindTeamTreasuryButtons() {
+    // Get the deposit and withdraw buttons
+    const depositButton = $('.action-treasury-deposit');
+    const withdrawButton = $('.action-treasury-withdraw');
+
+    // Bind the click events
+    depositButton.unbind('click');
+    depositButton.click(function(event) {
+        // Cancel the default event
+        event.preventDefault();
+
+        // Show the deposit dialog
+        showTeamTreasuryDialog(false);
+    });
+    withdrawButton.unbind('click');
+    withdrawButton.click(function(event) {
+        // Cancel the default event
+        event.preventDefault();
+
+        // Show the withdraw dialog
+        showTeamTreasuryDialog(true);
+    });
+}
+
+/**
+ * Show a dialog to deposit money into, or withdraw money from the team treasury.
+ *
+ * @param {boolean} withdraw True to withdraw from the treasury, false to deposit into it.
+ */
+function showTeamTreasuryDialog(withdraw) {
+    // Get the game ID and data
+    const gameId = Dworek.utils.getGameId();
+    const data = getGameData();
+
+    // Determine how much money is available
+    var current = 0;
+    if(data != null && data.hasOwnProperty('treasury') && data.hasOwnProperty('balance'))
+        current = withdraw ? data.treasury.money : data.balance.money;
+
+    // Make sure there's anything available
+    if(current <= 0) {
+        showDialog({
+            title: withdraw ? 'Nothing to withdraw' : 'Nothing to deposit',
+            message: withdraw ?
+                'There\'s no money in the team treasury that you can withdraw.' :
+                'You currently don\'t have any ' + __('currency.names', { game: gameId }) + ' that you can deposit into the team treasury.'
+        });
+        return;
+    }
+
+    // Generate an unique field ID
+    const amountFieldId = generateUniqueId('amount-field-');
+
+    // Show the dialog
+    showDialog({
+        title: withdraw ? 'Withdraw from treasury' : 'Deposit into treasury',
+        message: (withdraw ?
+            'Enter the amount of ' + __('currency.names', { game: gameId }) + ' you\'d like to withdraw from the team treasury.' :
+            'Enter the amount of ' + __('currency.names', { game: gameId }) + ' you\'d like to deposit into the team treasury. ' +
+            'Only treasurers of your team can take it out again.') + '<br><br>' +
+        '<label for="' + amountFieldId + '">' + (withdraw ? 'Withdrawal' : 'Deposit') + ' amount:</label>' +
+        '<input type="range" name="' + amountFieldId + '" id="' + amountFieldId + '" value="' + Math.round(current / 2) + '" min="1" max="' + current + '" data-highlight="true">',
+        actions: [
+            {
+                text: withdraw ? 'Withdraw' : 'Deposit',
+                state: 'primary',
+                action: function() {
+                    // Get the input field value
+                    const amount = parseInt($('#' + amountFieldId).val());
+
+                    // Send a packet to the server
+                    Dworek.realtime.packetProcessor.sendPacket(withdraw ? PacketType.TEAM_TREASURY_WITHDRAW : PacketType.TEAM_TREASURY_DEPOSIT, {
+                        game: gameId,
+                        amount: amount
+                    });
+
+                    // Show a notification
+                    showNotification(withdraw ? 'Withdrawing...' : 'Depositing...');
+                }
+            },
+            {
+                text: 'Cancel'
+            }
+        ]
+    });
+}
+
 /**
  * Upper case the first character in a string.
  * @param {string} str String to uppercase the first character of.
@@ -5147,49 +6731,99 @@ function buildFactory() {
         return;
     }
 
-    // Get a new unique ID
+    // Get a new unique ID for the name and type fields
     const fieldId = generateUniqueId('field-factory-name');
+    const typeFieldId = generateUniqueId('field-factory-type');
+
+    // Get the factory types that can be chosen from
+    const data = getGameData();
+    const types = data != null && data.hasOwnProperty('factory') && data.factory.hasOwnProperty('types') ? data.factory.types : [];
 
     // Build the dialog message
     var dialogMessage = 'Enter a name for the ' + __('factory.name', { game: Dworek.utils.getGameId() }) + ':<br><br>' +
         '<label for="' + fieldId + '">' + __('factory.name', { capitalizeFirst: true, game: Dworek.utils.getGameId() }) + ' name</label>' +
         '<input type="text" name="' + fieldId + '" id="' + fieldId + '" value="" data-clear-btn="true" />' +
-        '<br><br>' +
-        'Building this ' + __('factory.name', { game: Dworek.utils.getGameId() }) + ' will cost you <b class="game-factory-cost">?</b>.';
+        '<br><br>';
+
+    // Let the user choose the factory type
+    if(types.length > 1) {
+        dialogMessage += '<label for="' + typeFieldId + '">' + __('factory.name', { capitalizeFirst: true, game: Dworek.utils.getGameId() }) + ' type</label>' +
+            '<select name="' + typeFieldId + '" id="' + typeFieldId + '">';
+        types.forEach(function(type) {
+            dialogMessage += '<option value="' + type.id + '">' + type.name + ' - ' + type.description + '</option>';
+        });
+        dialogMessage += '</select><br>';
+    }
+
+    // Show the cost
+    dialogMessage += 'Building this ' + __('factory.name', { game: Dworek.utils.getGameId() }) + ' will cost you <b class="game-factory-cost">?</b>.';
 
-    // Create a variable for the factory name
+    // Tell the user about decoys
+    if(data != null && data.hasOwnProperty('factory') && data.factory.hasOwnProperty('decoyPrice'))
+        dialogMessage += '<br><br>You may also build a decoy for <b>' + formatMoney(data.factory.decoyPrice, true) + '</b>. ' +
+            'It looks like a real ' + __('factory.name', { game: Dworek.utils.getGameId() }) + ' to enemies, but it doesn\'t produce anything and it\'s destroyed when it\'s attacked.';
+
+    // Create a variable for the factory name and type field
     var nameField = null;
+    var typeField = null;
 
     // Get the game ID
     var gameId = Dworek.utils.getGameId();
 
+    // Create a function to send the build request
+    const build = function(fromTreasury, decoy) {
+        // Send a factory creation request
+        Dworek.realtime.packetProcessor.sendPacket(PacketType.FACTORY_BUILD_REQUEST, {
+            game: gameId,
+            name: nameField.val(),
+            type: typeField.length > 0 ? typeField.val() : undefined,
+            decoy: decoy === true,
+            treasury: fromTreasury
+        });
+
+        // Show a notification
+        showNotification('Building ' + (decoy ? 'decoy' : __('factory.name', { game: gameId })) + '...');
+    };
+
+    // Create the dialog actions
+    var actions = [
+        {
+            text: 'Build ' + __('factory.name', { capitalizeFirst: true, game: Dworek.utils.getGameId() }),
+            state: 'primary',
+            action: function() {
+                build(false);
+            }
+        },
+        {
+            text: 'Build decoy',
+            action: function() {
+                build(false, true);
+            }
+        },
+        {
+            text: 'Cancel'
+        }
+    ];
+
+    // Allow treasurers to pay from the team treasury
+    if(isTreasurer())
+        actions.splice(1, 0, {
+            text: 'Pay from treasury',
+            action: function() {
+                build(true);
+            }
+        });
+
     // Show a dialog message
     showDialog({
         title: 'Build ' + __('factory.name', { game: Dworek.utils.getGameId() }),
         message: dialogMessage,
-        actions: [
-            {
-                text: 'Build ' + __('factory.name', { capitalizeFirst: true, game: Dworek.utils.getGameId() }),
-                state: 'primary',
-                action: function() {
-                    // Send a factory creation request
-                    Dworek.realtime.packetProcessor.sendPacket(PacketType.FACTORY_BUILD_REQUEST, {
-                        game: gameId,
-                        name: nameField.val()
-                    });
-
-                    // Show a notification
-                    showNotification('Building ' + __('factory.name', { game: gameId }) + '...');
-                }
-            },
-            {
-                text: 'Cancel'
-            }
-        ]
+        actions: actions
     });
 
-    // Select the field
+    // Select the fields
     nameField = getActivePage().find('#' + fieldId);
+    typeField = getActivePage().find('#' + typeFieldId);
 
     // Update the game data visuals
     updateGameDataVisuals();
@@ -5240,6 +6874,20 @@ function getGameData(game) {
     return gameData[game];
 }
 
+/**
+ * Check whether the user is a treasurer of their team in the active game.
+ * Treasurers may withdraw and spend money from the team treasury.
+ *
+ * @return {boolean} True if the user is a treasurer, false if not.
+ */
+function isTreasurer() {
+    // Get the game data
+    const data = getGameData();
+
+    // Check the treasurer flag
+    return data != null && data.hasOwnProperty('treasury') && data.treasury.treasurer;
+}
+
 /**
  * Request the game data for the given game.
  *
@@ -5312,6 +6960,11 @@ Dworek.realtime.packetProcessor.registerHandler(PacketType.GAME_DATA, function(p
     // Set the game data
     gameData[packet.game] = packet.data;
 
+    // Update the play area, zones and fixed dealers on the map
+    updatePlayAreaPolygon();
+    updateZoneLayers();
+    updateDealerLayers();
+
     // Update the game data visuals
     updateGameDataVisuals();
 });
@@ -5639,6 +7292,22 @@ function updateGameDataVisuals() {
             activePage.find('.game-balance-out').html(formatGoods(data.balance.out));
     }
 
+    // Show the team treasury if the user is in a team
+    const treasuryCard = activePage.find('.card-treasury');
+    if(data.hasOwnProperty('treasury')) {
+        // Show the treasury money and the user's role
+        activePage.find('.game-treasury-money').html(formatMoney(data.treasury.money, false));
+        activePage.find('.game-treasury-role').html(data.treasury.treasurer ? 'Treasurer' : 'Member');
+
+        // Only treasurers can withdraw
+        treasuryCard.find('.action-treasury-withdraw').toggle(data.treasury.treasurer);
+
+        // Show the card
+        treasuryCard.show();
+
+    } else
+        treasuryCard.hide();
+
     // Check whether strength data is being sent
     if(data.hasOwnProperty('strength')) {
         // Make sure the current strength value is included
@@ -5722,7 +7391,7 @@ function updateGameDataVisuals() {
 
                 // Append a button
                 pingsButtonList.append('<a id="' + buttonId + '" class="ui-btn waves-effect waves-button" href="#" data-transition="slide" data-rel="popup">' +
-                    '    <i class="zmdi zmdi-portable-wifi-changes"></i>&nbsp;' +
+                    '    <i class="zmdi ' + (ping.type === 'player' ? 'zmdi-accounts' : (ping.type === 'bearing' ? 'zmdi-navigation' : 'zmdi-portable-wifi-changes')) + '"></i>&nbsp;' +
                     '    ' + ping.name + '&nbsp;&nbsp;<span style="color: gray;">(' + formatMoney(ping.cost, true) + ' / ' + (ping.range >= 0 ? ping.range : '&#8734;') + ' m)</span>' +
                     '</a>');
 
@@ -5731,54 +7400,88 @@ function updateGameDataVisuals() {
 
                 // Bind a click action
                 button.click(function() {
+                    // Create a function to execute the ping
+                    const executePing = function(fromTreasury) {
+                        // Get the amount of money that is currently available
+                        var moneyCurrent = 0;
+                        if(hasGameData()) {
+                            const gameData = getGameData();
+                            if(gameData != null && fromTreasury && gameData.hasOwnProperty('treasury'))
+                                moneyCurrent = gameData.treasury.money;
+                            else if(gameData != null && !fromTreasury && gameData.hasOwnProperty('balance') && gameData.balance.hasOwnProperty('money'))
+                                moneyCurrent = gameData.balance.money;
+                        }
+
+                        // Make sure there's enough money
+                        if(ping.cost > moneyCurrent) {
+                            showDialog({
+                                title: 'Not enough money',
+                                message: fromTreasury ?
+                                    'The team treasury doesn\'t have enough money to execute this ping.' :
+                                    'You don\'t have enough money to execute this ping.<br><br>' +
+                                    'Make some money to execute one later in the game!'
+                            });
+                            return;
+                        }
+
+                        // Send an ping packet
+                        Dworek.realtime.packetProcessor.sendPacket(PacketType.PING_BUY, {
+                            game: Dworek.utils.getGameId(),
+                            pingId: ping.id,
+                            cost: ping.cost,
+                            treasury: fromTreasury
+                        });
+
+                        // Show a notification
+                        showNotification('Executing ping...');
+                    };
+
+                    // Create the dialog actions
+                    var actions = [
+                        {
+                            text: 'Execute ping',
+                            state: 'primary',
+                            action: function() {
+                                executePing(false);
+                            }
+                        },
+                        {
+                            text: 'Cancel'
+                        }
+                    ];
+
+                    // Allow treasurers to pay from the team treasury
+                    if(isTreasurer())
+                        actions.splice(1, 0, {
+                            text: 'Pay from treasury',
+                            action: function() {
+                                executePing(true);
+                            }
+                        });
+
+                    // Determine the name of the things this ping discovers
+                    const targetName = ping.type === 'player' ? 'player' : __('factory.name', { game: gameId });
+                    const targetNames = ping.type === 'player' ? 'players' : __('factory.names', { game: gameId });
+
+                    // Describe the result of the ping
+                    var resultMessage;
+                    if(ping.type === 'bearing')
+                        resultMessage = 'You\'ll be told in what direction the nearest enemy ' + targetName + ' is, and roughly how far away it is. ' +
+                            'It won\'t appear on your map.';
+                    else
+                        resultMessage = capitalizeFirst(targetNames) + ' that have been found, will appear on your map for just ' + Math.round(ping.duration / 1000) + ' seconds.';
+
                     // Show the ping dialog
                     showDialog({
                         title: ping.name,
                         message: 'Are you sure you want to execute this ping for <b>' + formatMoney(ping.cost, true) + '</b>?<br><br>' +
                         '<table class="table-list ui-responsive">' +
                         '<tr><td>Max range</td><td> ' + (ping.range >= 0 ? ping.range + ' meters' : '<i>Infinite</i>') + '</td></tr>' +
-                        '<tr><td>Max discoveries</td><td>' + (ping.max > 0 ? ping.max + ' ' + (ping.max != 1 ? __('factory.names', { game: gameId }) : __('factory.name', { game: gameId })) : '<i>Infinite</i>') + '</td></tr>' +
+                        '<tr><td>Max discoveries</td><td>' + (ping.max > 0 ? ping.max + ' ' + (ping.max != 1 ? targetNames : targetName) : '<i>Infinite</i>') + '</td></tr>' +
                         '</table><br>' +
-                        __('factory.names', { capitalizeFirst: true, game: gameId }) + ' that have been found, will appear on your map for just ' + Math.round(ping.duration / 1000) + ' seconds.<br><br>' +
+                        resultMessage + '<br><br>' +
                         'The ping will be consumed immediately after executing.',
-                        actions: [
-                            {
-                                text: 'Execute ping',
-                                state: 'primary',
-                                action: function() {
-                                    // Get the amount of money the user currently has
-                                    var moneyCurrent = 0;
-                                    if(hasGameData()) {
-                                        const gameData = getGameData();
-                                        if(gameData != null && gameData.hasOwnProperty('balance') && gameData.balance.hasOwnProperty('money'))
-                                            moneyCurrent = gameData.balance.money;
-                                    }
-
-                                    // Make sure the user has enough money
-                                    if(ping.cost > moneyCurrent) {
-                                        showDialog({
-                                            title: 'Not enough money',
-                                            message: 'You don\'t have enough money to execute this ping.<br><br>' +
-                                            'Make some money to execute one later in the game!'
-                                        });
-                                        return;
-                                    }
-
-                                    // Send an ping packet
-                                    Dworek.realtime.packetProcessor.sendPacket(PacketType.PING_BUY, {
-                                        game: Dworek.utils.getGameId(),
-                                        pingId: ping.id,
-                                        cost: ping.cost
-                                    });
-
-                                    // Show a notification
-                                    showNotification('Executing ping...');
-                                }
-                            },
-                            {
-                                text: 'Cancel'
-                            }
-                        ]
+                        actions: actions
                     })
                 });
             });
@@ -5788,6 +7491,32 @@ function updateGameDataVisuals() {
         pingsButtonList.trigger('create');
     }
 
+    if(data.hasOwnProperty('market')) {
+        // Create a function to format a price with it's trend, and a list of recent prices
+        const formatMarketPrice = function(type) {
+            // Get the recent prices, and the change since the oldest one
+            const recent = data.market.history.slice(-8).map(function(entry) {
+                return entry[type];
+            });
+            const change = data.market[type] - recent[0];
+
+            // Determine the trend
+            var trend = '';
+            if(change > 0)
+                trend = ' <span style="color: green;">&#9650; +' + change.toFixed(1) + '</span>';
+            else if(change < 0)
+                trend = ' <span style="color: red;">&#9660; ' + change.toFixed(1) + '</span>';
+
+            // Build the HTML
+            return data.market[type] + ' <span style="color: gray">' + __('currency.names', { game: gameId }) + '</span>' + trend +
+                '<br><span style="color: gray; font-size: 0.85em;">' + recent.join(', ') + '</span>';
+        };
+
+        // Show the prices
+        activePage.find('.game-market-in').html(formatMarketPrice('in'));
+        activePage.find('.game-market-out').html(formatMarketPrice('out'));
+    }
+
     if(data.hasOwnProperty('standings')) {
         const list = activePage.find('.current-standings');
 
@@ -5798,21 +7527,38 @@ function updateGameDataVisuals() {
 
         // Sort the list of standings
         data.standings.sort(function(a, b) {
-            return b.money - a.money;
+            return b.score - a.score;
         });
 
+        // Get the win condition type
+        const winConditionType = data.hasOwnProperty('winCondition') ? data.winCondition.type : 'money';
+
         // Build the HTML
         var tableHtml = '';
 
         data.standings.forEach(function(entry) {
+            // Format the score depending on the win condition
+            var score;
+            if(winConditionType === 'factories')
+                score = entry.score + ' <span style="color: gray">' + __(entry.score === 1 ? 'factory.name' : 'factory.names', { game: gameId }) + '</span>';
+            else if(winConditionType === 'production')
+                score = entry.score + ' <span style="color: gray">' + __('out.names', { game: gameId }) + '/tick</span>';
+            else
+                score = formatMoney(entry.score, false) + ' <span style="color: gray">' + __('currency.names', { game: gameId }) + '</span>';
+
             tableHtml += '<tr>' +
                 '<td><span style="color: ' + (entry.ally ? 'green' : 'red') + ';">' + entry.name + '</span></td>' +
-                '<td>' + formatMoney(entry.money, false) + ' <span style="color: gray">' + __('currency.names', { game: gameId }) + '</span></td>' +
+                '<td>' + score + '</td>' +
                 '</tr>'
         });
 
         list.html(tableHtml);
 
+        // Show the win condition the standings are ranked by
+        if(data.hasOwnProperty('winCondition'))
+            activePage.find('.current-standings-condition').text(data.winCondition.name +
+                (data.winCondition.target !== null ? ' (' + formatMoney(data.winCondition.target, false) + ' ' + __('currency.names', { game: gameId }) + ')' : ''));
+
         // Trigger a create on the list
         list.trigger('create');
     }
@@ -5837,6 +7583,117 @@ function showError(message) {
     });
 }
 
+/**
+ * Show the dialog to transfer money or goods to a teammate.
+ *
+ * @param {string} userId ID of the teammate.
+ * @param {string} userName Name of the teammate.
+ */
+function showPlayerTransferDialog(userId, userName) {
+    // Get the game ID
+    const gameId = Dworek.utils.getGameId();
+
+    // Get the current balance of the user
+    var balance = {
+        money: 0,
+        in: 0,
+        out: 0
+    };
+    if(hasGameData()) {
+        const gameData = getGameData();
+        if(gameData != null && gameData.hasOwnProperty('balance'))
+            balance = gameData.balance;
+    }
+
+    // Create a list of actions, for each type the user has any of
+    var actions = [];
+    [
+        {
+            type: 'money',
+            name: __('currency.names', { game: gameId })
+        },
+        {
+            type: 'in',
+            name: __('in.names', { game: gameId })
+        },
+        {
+            type: 'out',
+            name: __('out.names', { game: gameId })
+        }
+    ].forEach(function(entry) {
+        // Skip types the user doesn't have
+        if(!(balance[entry.type] >= 1))
+            return;
+
+        // Add the action
+        actions.push({
+            text: 'Give ' + entry.name,
+            action: function() {
+                // Show the amount dialog
+                showPlayerTransferAmountDialog(userId, userName, entry.type, entry.name, Math.floor(balance[entry.type]));
+            }
+        });
+    });
+
+    // Add the close button
+    actions.push({
+        text: 'Close'
+    });
+
+    // Show the dialog
+    showDialog({
+        title: 'Give to ' + userName,
+        message: actions.length > 1 ?
+            'Choose what you\'d like to give to your teammate.<br><br>Your teammate must accept it, and you need to stay close to each other.' :
+            'You don\'t have anything to give to your teammate.',
+        actions: actions
+    });
+}
+
+/**
+ * Show the dialog to choose the amount to transfer to a teammate.
+ *
+ * @param {string} userId ID of the teammate.
+ * @param {string} userName Name of the teammate.
+ * @param {string} type Type to transfer, money, in or out.
+ * @param {string} typeName Display name of the type.
+ * @param {Number} max Maximum amount the user can transfer.
+ */
+function showPlayerTransferAmountDialog(userId, userName, type, typeName, max) {
+    // Generate an unique field ID
+    const amountFieldId = generateUniqueId('amount-field');
+
+    // Show the dialog
+    //noinspection JSCheckFunctionSignatures
+    showDialog({
+        title: 'Give ' + typeName,
+        message: 'Enter the amount of ' + typeName + ' you\'d like to give to ' + userName + '.<br><br>' +
+        '<label for="' + amountFieldId + '">Amount of ' + typeName + ':</label>' +
+        '<input type="range" name="' + amountFieldId + '" id="' + amountFieldId + '" value="' + Math.max(Math.round(max / 2), 1) + '" min="1" max="' + max + '" data-highlight="true">',
+        actions: [
+            {
+                text: 'Give',
+                state: 'primary',
+                action: function() {
+                    // Send a packet to the server
+                    Dworek.realtime.packetProcessor.sendPacket(PacketType.PLAYER_TRANSFER_REQUEST, {
+                        game: Dworek.utils.getGameId(),
+                        user: userId,
+                        type: type,
+                        amount: parseInt($('#' + amountFieldId).val())
+                    });
+
+                    // Show a notification
+                    showNotification('Offering ' + typeName + '...');
+                }
+            },
+            {
+                text: 'Cancel'
+            }
+        ]
+    });
+}
+
 /**
  * Show the buying dialog for a shop with the given token.
  *
@@ -5905,6 +7762,7 @@ function showShopBuyDialog(shopToken) {
 
                     // Send a packet to the server
                     Dworek.realtime.packetProcessor.sendPacket(PacketType.SHOP_SELL_IN, {
+                        game: gameId,
                         shop: shopToken,
                         moneyAmount: moneyAmount,
                         all: false
@@ -5919,6 +7777,7 @@ function showShopBuyDialog(shopToken) {
                 action: function() {
                     // Send a packet to the server
                     Dworek.realtime.packetProcessor.sendPacket(PacketType.SHOP_SELL_IN, {
+                        game: gameId,
                         shop: shopToken,
                         moneyAmount: 0,
                         all: true
@@ -6110,6 +7969,7 @@ function showShopSellDialog(shopToken) {
 
                     // Send a packet to the server
                     Dworek.realtime.packetProcessor.sendPacket(PacketType.SHOP_BUY_OUT, {
+                        game: gameId,
                         shop: shopToken,
                         outAmount: outAmount,
                         all: false
@@ -6124,6 +7984,7 @@ function showShopSellDialog(shopToken) {
                 action: function() {
                     // Send a packet to the server
                     Dworek.realtime.packetProcessor.sendPacket(PacketType.SHOP_BUY_OUT, {
+                        game: gameId,
                         shop: shopToken,
                         outAmount: 0,
                         all: true
@@ -6394,6 +8255,7 @@ function updateFactoryDataVisuals(firstShow) {
     var transferTab = activePage.find('.tabs-bar-factory li[data-tab=transfer]');
     var transferTabNone = activePage.find('.tab-factory-transfer-none');
     var defenceCard = activePage.find('.card-factory-defence');
+    var jammerCard = activePage.find('.card-factory-jammer');
     var defenceTab = activePage.find('.tabs-bar-factory li[data-tab=defence]');
     var defenceTabNone = activePage.find('.tab-factory-defence-none');
     var levelCard = activePage.find('.card-factory-level');
@@ -6491,6 +8353,7 @@ function updateFactoryDataVisuals(firstShow) {
             transferCard.slideDown();
             transferTab.fadeIn();
             defenceCard.slideDown();
+            jammerCard.slideDown();
             defenceTab.fadeIn();
             levelCard.slideDown();
             levelTab.fadeIn();
@@ -6498,6 +8361,7 @@ function updateFactoryDataVisuals(firstShow) {
             transferCard.show();
             transferTab.show();
             defenceCard.show();
+            jammerCard.show();
             defenceTab.show();
             levelCard.show();
             levelTab.show();
@@ -6531,31 +8395,49 @@ function updateFactoryDataVisuals(firstShow) {
 
                 // Bind a click action
                 button.click(function() {
+                    // Create a function to buy the upgrade
+                    const buyUpgrade = function(fromTreasury) {
+                        // Send an upgrade packet
+                        Dworek.realtime.packetProcessor.sendPacket(PacketType.FACTORY_DEFENCE_BUY, {
+                            factory: factoryId,
+                            index: i,
+                            cost: upgrade.cost,
+                            defence: upgrade.defence,
+                            treasury: fromTreasury
+                        });
+
+                        // Show a notification
+                        showNotification('Buying upgrade...');
+                    };
+
+                    // Create the dialog actions
+                    var actions = [
+                        {
+                            text: 'Buy upgrade',
+                            state: 'primary',
+                            action: function() {
+                                buyUpgrade(false);
+                            }
+                        },
+                        {
+                            text: 'Cancel'
+                        }
+                    ];
+
+                    // Allow treasurers to pay from the team treasury
+                    if(isTreasurer())
+                        actions.splice(1, 0, {
+                            text: 'Pay from treasury',
+                            action: function() {
+                                buyUpgrade(true);
+                            }
+                        });
+
                     showDialog({
                         title: 'Defence upgrade',
                         message: 'Are you sure you want to buy this upgrade for <b>' + formatMoney(upgrade.cost, true) + '</b>?<br><br>' +
                         'This will improve the ' + __('factory.name', { game: gameId }) + ' with <b>' + upgrade.defence + '</b> defence.',
-                        actions: [
-                            {
-                                text: 'Buy upgrade',
-                                state: 'primary',
-                                action: function() {
-                                    // Send an upgrade packet
-                                    Dworek.realtime.packetProcessor.sendPacket(PacketType.FACTORY_DEFENCE_BUY, {
-                                        factory: factoryId,
-                                        index: i,
-                                        cost: upgrade.cost,
-                                        defence: upgrade.defence
-                                    });
-
-                                    // Show a notification
-                                    showNotification('Buying upgrade...');
-                                }
-                            },
-                            {
-                                text: 'Cancel'
-                            }
-                        ]
+                        actions: actions
                     })
                 });
             });
@@ -6568,28 +8450,106 @@ function updateFactoryDataVisuals(firstShow) {
             const levelUpgradeButton = levelCard.find('.action-factory-level-upgrade');
             levelUpgradeButton.unbind('click');
             levelUpgradeButton.click(function() {
+                // Create a function to buy the upgrade
+                const buyUpgrade = function(fromTreasury) {
+                    // Send an upgrade packet
+                    Dworek.realtime.packetProcessor.sendPacket(PacketType.FACTORY_LEVEL_BUY, {
+                        factory: factoryId,
+                        cost: data.nextLevelCost,
+                        treasury: fromTreasury
+                    });
+
+                    // Show a notification
+                    showNotification('Buying upgrade...');
+                };
+
+                // Create the dialog actions
+                var actions = [
+                    {
+                        text: 'Buy upgrade',
+                        state: 'primary',
+                        action: function() {
+                            buyUpgrade(false);
+                        }
+                    },
+                    {
+                        text: 'Cancel'
+                    }
+                ];
+
+                // Allow treasurers to pay from the team treasury
+                if(isTreasurer())
+                    actions.splice(1, 0, {
+                        text: 'Pay from treasury',
+                        action: function() {
+                            buyUpgrade(true);
+                        }
+                    });
+
                 showDialog({
                     title: 'Level upgrade',
                     message: 'Are you sure you want to upgrade one level for <b>' + formatMoney(data.nextLevelCost, true) + '</b>?',
-                    actions: [
-                        {
-                            text: 'Buy upgrade',
-                            state: 'primary',
-                            action: function() {
-                                // Send an upgrade packet
-                                Dworek.realtime.packetProcessor.sendPacket(PacketType.FACTORY_LEVEL_BUY, {
-                                    factory: factoryId,
-                                    cost: data.nextLevelCost
-                                });
+                    actions: actions
+                });
+            });
+        }
 
-                                // Show a notification
-                                showNotification('Buying upgrade...');
-                            }
-                        },
-                        {
-                            text: 'Cancel'
+        // Only show the jammer to allies
+        if(!data.hasOwnProperty('jammer') || data.jammer == null)
+            jammerCard.hide();
+
+        else {
+            // Set the remaining jammer time and the jammer price
+            jammerCard.find('.factory-jammer-remaining').html(data.jammer.remaining > 0 ?
+                '<span style="color: green;">Active for ' + Math.ceil(data.jammer.remaining / 60 / 1000) + ' minute(s)</span>' :
+                '<span style="color: gray;">Inactive</span>');
+            jammerCard.find('.factory-jammer-price').html(formatMoney(data.jammer.price, true));
+
+            const jammerBuyButton = jammerCard.find('.action-factory-jammer-buy');
+            jammerBuyButton.unbind('click');
+            jammerBuyButton.click(function() {
+                // Create a function to buy the jammer
+                const buyJammer = function(fromTreasury) {
+                    // Send a jammer packet
+                    Dworek.realtime.packetProcessor.sendPacket(PacketType.FACTORY_JAMMER_BUY, {
+                        factory: factoryId,
+                        cost: data.jammer.price,
+                        treasury: fromTreasury
+                    });
+
+                    // Show a notification
+                    showNotification('Buying jammer...');
+                };
+
+                // Create the dialog actions
+                var actions = [
+                    {
+                        text: 'Buy jammer',
+                        state: 'primary',
+                        action: function() {
+                            buyJammer(false);
                         }
-                    ]
+                    },
+                    {
+                        text: 'Cancel'
+                    }
+                ];
+
+                // Allow treasurers to pay from the team treasury
+                if(isTreasurer())
+                    actions.splice(1, 0, {
+                        text: 'Pay from treasury',
+                        action: function() {
+                            buyJammer(true);
+                        }
+                    });
+
+                showDialog({
+                    title: 'Jammer',
+                    message: 'Are you sure you want to hide this ' + __('factory.name', { game: gameId }) + ' from enemy pings for ' +
+                        Math.round(data.jammer.duration / 60 / 1000) + ' minute(s), for <b>' + formatMoney(data.jammer.price, true) + '</b>?' +
+                        (data.jammer.remaining > 0 ? '<br><br>The time is added to the jammer that is currently active.' : ''),
+                    actions: actions
                 });
             });
         }
@@ -6807,6 +8767,7 @@ function updateFactoryDataVisuals(firstShow) {
             transferTab.hide();
             transferTabNone.show();
             defenceCard.hide();
+            jammerCard.hide();
             defenceTab.hide();
             defenceTabNone.show();
             levelCard.hide();
@@ -6817,6 +8778,7 @@ function updateFactoryDataVisuals(firstShow) {
                 transferCard.slideUp();
                 transferTab.fadeOut();
                 defenceCard.slideUp();
+                jammerCard.slideUp();
                 defenceTab.fadeOut();
                 levelCard.slideUp();
                 levelTab.fadeOut();
@@ -6824,6 +8786,7 @@ function updateFactoryDataVisuals(firstShow) {
                 transferCard.hide();
                 transferTab.hide();
                 defenceCard.hide();
+                jammerCard.hide();
                 defenceTab.hide();
                 levelCard.hide();
                 levelTab.hide();
@@ -6921,6 +8884,8 @@ function updateFactoryDataVisuals(firstShow) {
     const factoryOutLabel = activePage.find('.factory-out');
     const factoryProductionOutLabel = activePage.find('.factory-production-out');
     const factoryNextLevelCostLabel = activePage.find('.factory-next-level-cost');
+    const factoryUpkeepLabel = activePage.find('.factory-upkeep');
+    const factoryTypeLabel = activePage.find('.factory-type');
 
     // Create some label constants
     const hiddenLabel = '<span style="color: gray;">Hidden</i>';
@@ -6947,9 +8912,19 @@ function updateFactoryDataVisuals(firstShow) {
         else
             factoryTeamLabel.html((visible ? data.teamName : hiddenLabel));
 
-    // Set the defence label
-    if(!visible || data.hasOwnProperty('defence'))
-        factoryDefenceLabel.html(visible ? data.defence : hiddenLabel);
+    // Set the type label
+    if(!visible || data.hasOwnProperty('type'))
+        factoryTypeLabel.html(visible ? data.type.name : hiddenLabel);
+
+    // Set the defence label, show the bonus defence of the factory type
+    if(!visible || data.hasOwnProperty('defence')) {
+        if(!visible)
+            factoryDefenceLabel.html(hiddenLabel);
+        else if(data.hasOwnProperty('type') && data.type.defenceBonus > 0)
+            factoryDefenceLabel.html(data.defence + ' <span style="color: gray;">(+' + data.type.defenceBonus + ' ' + data.type.name.toLowerCase() + ')</span>');
+        else
+            factoryDefenceLabel.html(data.defence);
+    }
 
     // Set the conquer value label
     if(!visible || data.hasOwnProperty('conquerValue')) {
@@ -7018,6 +8993,111 @@ function updateFactoryDataVisuals(firstShow) {
     // Set the next level cost label
     if(!visible || data.hasOwnProperty('nextLevelCost'))
         factoryNextLevelCostLabel.html(canModify ? formatMoney(data.nextLevelCost, true) : '?');
+
+    // Set the upkeep label, make it red if the upkeep couldn't be paid
+    if(!visible || data.hasOwnProperty('upkeep')) {
+        if(!visible)
+            factoryUpkeepLabel.html(hiddenLabel);
+        else if(data.upkeepUnpaid)
+            factoryUpkeepLabel.html('<span style="color: red;">' + formatMoney(data.upkeep, true) + ' / tick</span><br /><span style="color: gray;">Not paid, production stopped</span>');
+        else
+            factoryUpkeepLabel.html(formatMoney(data.upkeep, true) + ' / tick');
+    }
+
+    // Show the construction progress of factories under construction
+    const constructionCard = activePage.find('.card-factory-construction');
+    if(visible && data.hasOwnProperty('construction') && data.construction.remaining > 0) {
+        // Determine the construction progress
+        const constructionTime = Math.max(data.construction.time, data.construction.remaining);
+        const progress = Math.floor((1 - data.construction.remaining / constructionTime) * 100);
+
+        // Update the progress
+        constructionCard.find('.factory-construction-progress').val(progress);
+        constructionCard.find('.factory-construction-percentage').html(progress + '%');
+
+        // Update the remaining time, and tell the user when the construction is paused
+        if(data.construction.paused)
+            constructionCard.find('.factory-construction-remaining').html('<span style="color: red;">Paused</span><br />' +
+                '<span style="color: gray;">The constructing player must be in range</span>');
+        else
+            constructionCard.find('.factory-construction-remaining').html(Math.ceil(data.construction.remaining / 1000) + ' seconds');
+
+        // Show the card
+        if(Dworek.state.animate && !firstShow)
+            constructionCard.slideDown();
+        else
+            constructionCard.show();
+
+    } else if(Dworek.state.animate && !firstShow)
+        constructionCard.slideUp();
+    else
+        constructionCard.hide();
+
+    // Show the capture progress of a siege on the factory
+    const siegeCard = activePage.find('.card-factory-siege');
+    if(visible && data.hasOwnProperty('siege') && data.siege != null) {
+        // Update the progress
+        siegeCard.find('.factory-siege-progress').val(data.siege.progress);
+        siegeCard.find('.factory-siege-percentage').html(data.siege.progress + '%');
+
+        // Set the message for defenders and besiegers
+        if(data.ally)
+            siegeCard.find('.factory-siege-message').html('<span style="color: red;">Enemies are capturing this ' + __('factory.name', { game: gameId }) + '!</span> ' +
+                'Get the conquer value below zero to drain the capture progress.');
+        else if(data.siege.besieging)
+            siegeCard.find('.factory-siege-message').html('Your team is capturing this ' + __('factory.name', { game: gameId }) + '. ' +
+                'Keep the conquer value above zero until the capture progress is full.');
+        else
+            siegeCard.find('.factory-siege-message').html('This ' + __('factory.name', { game: gameId }) + ' is being captured.');
+
+        // Show the card
+        if(Dworek.state.animate && !firstShow)
+            siegeCard.slideDown();
+        else
+            siegeCard.show();
+
+    } else if(Dworek.state.animate && !firstShow)
+        siegeCard.slideUp();
+    else
+        siegeCard.hide();
+
+    // Tell allies the factory is a decoy
+    const decoyCard = activePage.find('.card-factory-decoy');
+    if(visible && data.ally && data.decoy) {
+        if(Dworek.state.animate && !firstShow)
+            decoyCard.slideDown();
+        else
+            decoyCard.show();
+
+    } else if(Dworek.state.animate && !firstShow)
+        decoyCard.slideUp();
+    else
+        decoyCard.hide();
+
+    // Warn allies about neglected factories that are about to decay, or are decaying
+    const decayCard = activePage.find('.card-factory-decay');
+    if(visible && data.ally && data.hasOwnProperty('decay') && (data.decay.warning || data.decay.decaying)) {
+        // Get the factory name
+        const langFactory = __('factory.name', { game: gameId });
+
+        // Set the message
+        if(data.decay.decaying)
+            decayCard.find('.factory-decay-message').html('<span style="color: red;">No teammate visited this ' + langFactory + ' in a long time. ' +
+                'It\'s losing defence, and its level once the defence is gone.</span><br /><br />Visit this ' + langFactory + ' to stop it from decaying.');
+        else
+            decayCard.find('.factory-decay-message').html('No teammate visited this ' + langFactory + ' in a while. ' +
+                'It starts losing defence in about ' + Math.ceil(data.decay.remainingTime / 60 / 1000) + ' minute(s).<br /><br />Visit this ' + langFactory + ' to prevent it from decaying.');
+
+        // Show the card
+        if(Dworek.state.animate && !firstShow)
+            decayCard.slideDown();
+        else
+            decayCard.show();
+
+    } else if(Dworek.state.animate && !firstShow)
+        decayCard.slideUp();
+    else
+        decayCard.hide();
 }
 
 /**
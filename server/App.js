@@ -32,6 +32,7 @@ var Raven = require('raven');
 
 var Core = require('./Core');
 var GameManager = require('./app/live/game/GameManager');
+var ClusterManager = require('./app/cluster/ClusterManager');
 var MongoUtils = require('./app/mongo/MongoUtils');
 var RedisUtils = require('./app/redis/RedisUtils');
 var Router = require('./app/router/Router');
@@ -42,6 +43,8 @@ var GameModelManager = require('./app/model/game/GameModelManager');
 var GameTeamModelManager = require('./app/model/gameteam/GameTeamModelManager');
 var GameUserModelManager = require('./app/model/gameuser/GameUserModelManager');
 var FactoryModelManager = require('./app/model/factory/FactoryModelManager');
+var GameEventModelManager = require('./app/model/gameevent/GameEventModelManager');
+var GameLocationModelManager = require('./app/model/gamelocation/GameLocationModelManager');
 var RealTime = require('./app/realtime/RealTime');
 var PortUtils = require('./app/util/PortUtils');
 var EventLoopMonitor = require('./app/latency/EventLoopMonitor');
@@ -94,6 +97,12 @@ App.prototype.init = function(callback) {
     // Initialize the application wide language manager
     this._initLangManager();
 
+    // Store the live game state when the application is shut down
+    this._initShutdownHandler();
+
+    // Create the cluster manager, it's started when Redis is available
+    Core.clusterManager = new ClusterManager();
+
     // Store the current instance
     const self = this;
 
@@ -143,16 +152,7 @@ App.prototype.init = function(callback) {
             }
 
             // Initialize the real-time component
-            self._initRealTime(function(err) {
-                // Call back errors
-                if(err !== null) {
-                    completeCallback(err);
-                    return;
-                }
-
-                // Initialize the game controller
-                self._initGameController(completeCallback);
-            });
+            self._initRealTime(completeCallback);
         }),
 
         // Initialize Redis
@@ -168,22 +168,34 @@ App.prototype.init = function(callback) {
             return;
         }
 
-        // Initialize the router and real-time server
-        self._initRouter(function(err) {
+        // Initialize the game controller, after Redis is available so the games can be divided over the cluster workers
+        self._initGameController(function(err) {
             // Call back any errors, or throw it if no callback was defined
             if(err !== null) {
                 if(callback !== undefined)
                     callback(err);
                 else
                     throw err;
+                return;
             }
 
-            // Set the initialization status
-            self._init = true;
+            // Initialize the router and real-time server
+            self._initRouter(function(err) {
+                // Call back any errors, or throw it if no callback was defined
+                if(err !== null) {
+                    if(callback !== undefined)
+                        callback(err);
+                    else
+                        throw err;
+                }
+
+                // Set the initialization status
+                self._init = true;
 
-            // Call back
-            if(callback !== undefined)
-                callback(null);
+                // Call back
+                if(callback !== undefined)
+                    callback(null);
+            });
         });
     });
 };
@@ -230,15 +242,62 @@ App.prototype._initLangManager = function() {
     Core.langManager = new LangManager();
 };
 
+/**
+ * Initialize the shutdown handler.
+ * This stores the live state of all loaded games when the application is terminated, so it can be restored when
+ * the application is started again.
+ *
+ * @private
+ */
+App.prototype._initShutdownHandler = function() {
+    // Create the shutdown function
+    const shutdown = function(signal) {
+        // Show a status message
+        console.log('Received ' + signal + ', storing live game state before shutting down...');
+
+        // Exit directly if the game manager isn't initialized
+        if(Core.gameManager === null || Core.gameManager === undefined) {
+            process.exit(0);
+            return;
+        }
+
+        // Store the state of all games and exit
+        Core.gameManager.saveState(function(err) {
+            // Show errors
+            if(err !== null) {
+                console.error('Failed to store live game state');
+                console.error(err.stack || err);
+            }
+
+            // Exit
+            process.exit(0);
+        });
+    };
+
+    // Listen for termination signals
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+};
+
 /**
  * Initialize the game manager.
+ * The cluster manager is started first, so that the game manager only loads the games owned by this worker.
  */
 App.prototype._initGameController = function(callback) {
-    // Initialize the game manager
-    Core.gameManager = new GameManager();
+    // Start the cluster manager
+    Core.clusterManager.start(function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
 
-    // Load all active games
-    Core.gameManager.load(callback);
+        // Initialize the game manager
+        Core.gameManager = new GameManager();
+
+        // Load all active games
+        Core.gameManager.load(callback);
+    });
 };
 
 /**
@@ -440,6 +499,8 @@ App.prototype._initModelManagers = function(callback) {
     modelManagers.push(Core.model.gameTeamModelManager = new GameTeamModelManager());
     modelManagers.push(Core.model.gameUserModelManager = new GameUserModelManager());
     modelManagers.push(Core.model.factoryModelManager = new FactoryModelManager());
+    modelManagers.push(Core.model.gameEventModelManager = new GameEventModelManager());
+    modelManagers.push(Core.model.gameLocationModelManager = new GameLocationModelManager());
 
     // Create an interval to clear all internal model caches
     setInterval(function() {
@@ -84,6 +84,20 @@ Core.model.gameUserModelManager = null;
  */
 Core.model.factoryModelManager = null;
 
+/**
+ * Get the game event model manager.
+ *
+ * @type {GameEventModelManager|null} Game event model manager, or null if it isn't instantiated yet.
+ */
+Core.model.gameEventModelManager = null;
+
+/**
+ * Get the game location model manager.
+ *
+ * @type {GameLocationModelManager|null} Game location model manager, or null if it isn't instantiated yet.
+ */
+Core.model.gameLocationModelManager = null;
+
 /**
  * HTTP(S) server instance.
  *
@@ -112,6 +126,13 @@ Core.router = null;
  */
 Core.gameManager = null;
 
+/**
+ * Cluster manager instance.
+ *
+ * @type {ClusterManager|null} Cluster manager instance, or null if the core hasn't been initialized.
+ */
+Core.clusterManager = null;
+
 /**
  * Real time server instance.
  *
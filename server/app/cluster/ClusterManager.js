@@ -0,0 +1,474 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var cluster = require('cluster');
+var redis = require('redis');
+
+var config = require('../../config');
+
+var Core = require('../../Core');
+var RedisUtils = require('../redis/RedisUtils');
+
+/**
+ * Root key for cluster related values in Redis.
+ * @type {string}
+ */
+const REDIS_KEY_ROOT = 'cluster';
+
+/**
+ * Name of the channel that is received by all workers.
+ * @type {string}
+ */
+const CHANNEL_ALL = 'all';
+
+/**
+ * Redis script to claim a key for a worker.
+ * The key is claimed if it isn't set, if it's already claimed by the worker, or if it's claimed by the given worker to
+ * take over from. Returns 1 if the key has been claimed, 0 if not.
+ *
+ * Keys: the key to claim.
+ * Arguments: the claiming worker ID, expiration time in milliseconds, worker ID to take over from or an empty string.
+ *
+ * @type {string}
+ */
+const SCRIPT_CLAIM = "local owner = redis.call('get', KEYS[1]) " +
+    "if owner == false or owner == ARGV[1] or owner == ARGV[3] then " +
+    "redis.call('set', KEYS[1], ARGV[1], 'PX', ARGV[2]) " +
+    "return 1 " +
+    "end " +
+    "return 0";
+
+/**
+ * Redis script to release a key that is claimed by a worker.
+ *
+ * Keys: the key to release.
+ * Arguments: the releasing worker ID.
+ *
+ * @type {string}
+ */
+const SCRIPT_RELEASE = "if redis.call('get', KEYS[1]) == ARGV[1] then " +
+    "return redis.call('del', KEYS[1]) " +
+    "end " +
+    "return 0";
+
+/**
+ * Cluster manager class.
+ * Coordinates the workers of a cluster, so that each live game is owned by a single worker,
+ * and lets workers send messages to each other through Redis pub/sub.
+ *
+ * Clustering is disabled if this process isn't a cluster worker, or if Redis isn't available.
+ * Every game is then owned by this process, and messages are never sent.
+ *
+ * @class
+ * @constructor
+ */
+var ClusterManager = function() {
+    /**
+     * ID of this worker, unique among all workers that are or have been running.
+     * @type {string}
+     */
+    this.workerId = process.pid.toString();
+
+    /**
+     * Redis client that is subscribed to the channels of this worker, or null if clustering isn't enabled.
+     * @type {RedisClient|null}
+     * @private
+     */
+    this._subscriber = null;
+
+    /**
+     * Map containing all message handlers, with the message type as key.
+     * @type {Map}
+     * @private
+     */
+    this._handlers = new Map();
+
+    /**
+     * Ownership worker interval handle, that renews the ownership of the loaded games.
+     * @type {*|null}
+     * @private
+     */
+    this._ownershipWorker = null;
+};
+
+/**
+ * Start the cluster manager.
+ * This subscribes to the channels of this worker, and starts renewing the ownership of loaded games.
+ * Nothing is started if this process isn't a cluster worker, or if Redis isn't ready.
+ *
+ * @param {ClusterManager~startCallback} callback Called when started or when an error occurred.
+ */
+ClusterManager.prototype.start = function(callback) {
+    // Don't cluster if this isn't a worker, or if Redis isn't available
+    if(!cluster.isWorker || !RedisUtils.isReady()) {
+        console.log('Not enabling cluster coordination, not running as cluster worker or Redis is unavailable.');
+        callback(null);
+        return;
+    }
+
+    // Show a status message
+    console.log('Enabling cluster coordination for worker ' + this.workerId + '...');
+
+    // Store this instance
+    const self = this;
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create a separate Redis client to subscribe with, as a subscribed client can't send other commands
+    const subscriber = redis.createClient(config.redis.url);
+
+    // Handle errors
+    subscriber.on('error', function(err) {
+        // Show an error message
+        console.warn('Redis cluster subscriber error: ' + err);
+
+        // Call back
+        if(!calledBack)
+            callback(err);
+        calledBack = true;
+    });
+
+    // Handle received messages
+    subscriber.on('message', function(channel, message) {
+        self._receiveMessage(message);
+    });
+
+    // Subscribe to the channel of this worker, and the channel of all workers
+    subscriber.subscribe(this._getChannel(this.workerId), this._getChannel(CHANNEL_ALL), function(err) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the subscriber
+        self._subscriber = subscriber;
+
+        // Renew the ownership of loaded games, before it expires
+        self._ownershipWorker = setInterval(function() {
+            self.renewGames();
+        }, config.cluster.ownershipRenewInterval);
+
+        // Take over the games of workers the cluster master reports as dead
+        process.on('message', function(message) {
+            if(_.isObject(message) && message.type === 'workerDied')
+                Core.gameManager.loadOwnedGames(message.worker.toString(), function(err) {
+                    // Show errors
+                    if(err !== null) {
+                        console.error('Failed to take over games of dead worker, ignoring');
+                        console.error(err.stack || err);
+                    }
+                });
+        });
+
+        // Call back
+        if(!calledBack)
+            callback(null);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called when started or when an error occurred.
+ *
+ * @callback ClusterManager~startCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Check whether cluster coordination is enabled.
+ *
+ * @return {boolean} True if enabled, false if this process owns everything.
+ */
+ClusterManager.prototype.isEnabled = function() {
+    return this._subscriber !== null && RedisUtils.isReady();
+};
+
+/**
+ * Check whether the given worker ID is the ID of this worker.
+ *
+ * @param {string} workerId Worker ID.
+ * @return {boolean} True if this is the local worker, false if not.
+ */
+ClusterManager.prototype.isLocalWorker = function(workerId) {
+    return workerId === this.workerId;
+};
+
+/**
+ * Get the Redis channel name for the given worker ID.
+ *
+ * @param {string} workerId Worker ID, or the name of the channel for all workers.
+ * @return {string} Channel name.
+ * @private
+ */
+ClusterManager.prototype._getChannel = function(workerId) {
+    return REDIS_KEY_ROOT + ':channel:' + workerId;
+};
+
+/**
+ * Get the Redis key that stores the owner of the given game.
+ *
+ * @param {GameModel|Game|ObjectId|string} gameId Game or game ID.
+ * @return {string} Redis key.
+ * @private
+ */
+ClusterManager.prototype._getGameKey = function(gameId) {
+    // Get the game ID as a string
+    if(_.isFunction(gameId.getIdHex))
+        gameId = gameId.getIdHex();
+
+    return REDIS_KEY_ROOT + ':game:' + gameId.toString().toLowerCase() + ':owner';
+};
+
+/**
+ * Claim the ownership of the given game for this worker.
+ * A game can only be claimed if it isn't owned by another worker, unless it's owned by the given worker to take over
+ * from. The game is always claimed if clustering isn't enabled.
+ *
+ * @param {GameModel|Game|ObjectId|string} gameId Game or game ID to claim.
+ * @param {string|null} takeOverFrom ID of a dead worker to take the game over from, or null.
+ * @param {ClusterManager~claimGameCallback} callback Called with the result or when an error occurred.
+ */
+ClusterManager.prototype.claimGame = function(gameId, takeOverFrom, callback) {
+    // Always claim the game if clustering isn't enabled
+    if(!this.isEnabled()) {
+        callback(null, true);
+        return;
+    }
+
+    // Claim the game
+    RedisUtils.getConnection().eval(SCRIPT_CLAIM, 1, this._getGameKey(gameId), this.workerId, config.cluster.ownershipTimeout, takeOverFrom !== null ? takeOverFrom : '', function(err, result) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            callback(new Error(err));
+            return;
+        }
+
+        // Call back with the result
+        callback(null, result === 1);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback ClusterManager~claimGameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if this worker owns the game, false if another worker does.
+ */
+
+/**
+ * Release the ownership of the given game, if it's owned by this worker.
+ *
+ * @param {GameModel|Game|ObjectId|string} gameId Game or game ID to release.
+ */
+ClusterManager.prototype.releaseGame = function(gameId) {
+    // Nothing to release if clustering isn't enabled
+    if(!this.isEnabled())
+        return;
+
+    // Release the game
+    RedisUtils.getConnection().eval(SCRIPT_RELEASE, 1, this._getGameKey(gameId), this.workerId, function(err) {
+        // Show errors
+        if(err !== null && err !== undefined) {
+            console.error('Failed to release game ownership, it will expire');
+            console.error(new Error(err));
+        }
+    });
+};
+
+/**
+ * Renew the ownership of all games that are loaded on this worker, so it doesn't expire.
+ * Games of which the ownership has been lost in the meanwhile are unloaded.
+ */
+ClusterManager.prototype.renewGames = function() {
+    // Store this instance
+    const self = this;
+
+    // Renew each loaded game
+    Core.gameManager.games.forEach(function(liveGame) {
+        self.claimGame(liveGame, null, function(err, claimed) {
+            // Handle errors
+            if(err !== null) {
+                console.error('Failed to renew game ownership, ignoring');
+                console.error(err.stack || err);
+                return;
+            }
+
+            // Unload the game if another worker took it over
+            if(!claimed) {
+                console.log('Lost ownership of live game to another worker, unloading (id: ' + liveGame.getIdHex() + ')');
+                Core.gameManager.unloadGame(liveGame.getId());
+            }
+        });
+    });
+};
+
+/**
+ * Get the ID of the worker that owns the given game.
+ * If clustering isn't enabled, this worker owns every game.
+ *
+ * @param {GameModel|Game|ObjectId|string} gameId Game or game ID.
+ * @param {ClusterManager~getGameOwnerCallback} callback Called with the worker ID or when an error occurred.
+ */
+ClusterManager.prototype.getGameOwner = function(gameId, callback) {
+    // This worker owns everything if clustering isn't enabled
+    if(!this.isEnabled()) {
+        callback(null, this.workerId);
+        return;
+    }
+
+    // Get the owner
+    RedisUtils.getConnection().get(this._getGameKey(gameId), function(err, owner) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            callback(new Error(err));
+            return;
+        }
+
+        // Call back with the owner
+        callback(null, owner !== undefined ? owner : null);
+    });
+};
+
+/**
+ * Called with the worker ID or when an error occurred.
+ *
+ * @callback ClusterManager~getGameOwnerCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string|null=} ID of the worker owning the game, or null if the game isn't owned by any worker.
+ */
+
+/**
+ * Acquire a cluster wide lock with the given name, so that a task is only run by a single worker.
+ * The lock isn't released, it expires after the given duration. The lock is always acquired if clustering isn't enabled.
+ *
+ * @param {string} name Lock name.
+ * @param {Number} duration Duration in milliseconds the lock is held for.
+ * @param {ClusterManager~acquireLockCallback} callback Called with the result or when an error occurred.
+ */
+ClusterManager.prototype.acquireLock = function(name, duration, callback) {
+    // Always acquire the lock if clustering isn't enabled
+    if(!this.isEnabled()) {
+        callback(null, true);
+        return;
+    }
+
+    // Acquire the lock if it isn't held by another worker
+    RedisUtils.getConnection().set(REDIS_KEY_ROOT + ':lock:' + name, this.workerId, 'PX', duration, 'NX', function(err, result) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            callback(new Error(err));
+            return;
+        }
+
+        // Call back with the result
+        callback(null, result === 'OK');
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback ClusterManager~acquireLockCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the lock has been acquired, false if another worker holds it.
+ */
+
+/**
+ * Send a message to another worker, or to all other workers.
+ * Nothing is sent if clustering isn't enabled.
+ *
+ * @param {string|null} workerId ID of the worker to send the message to, or null to send it to all other workers.
+ * @param {string} type Message type.
+ * @param {Object} data Message data, must be serializable to JSON.
+ */
+ClusterManager.prototype.publish = function(workerId, type, data) {
+    // Don't send anything if clustering isn't enabled
+    if(!this.isEnabled())
+        return;
+
+    // Build the message
+    const message = JSON.stringify({
+        type,
+        worker: this.workerId,
+        data
+    });
+
+    // Publish the message
+    RedisUtils.getConnection().publish(this._getChannel(workerId !== null ? workerId : CHANNEL_ALL), message, function(err) {
+        // Show errors
+        if(err !== null && err !== undefined) {
+            console.error('Failed to publish cluster message, ignoring');
+            console.error(new Error(err));
+        }
+    });
+};
+
+/**
+ * Register a message handler.
+ *
+ * @param {string} type Message type.
+ * @param {function} handler Handler callback, called with the message data and the ID of the sending worker.
+ */
+ClusterManager.prototype.registerHandler = function(type, handler) {
+    // Get the current handlers for this type
+    var handlers = [];
+    if(this._handlers.has(type))
+        handlers = this._handlers.get(type);
+
+    // Add the handler, and put the handlers back into the map
+    handlers.push(handler);
+    this._handlers.set(type, handlers);
+};
+
+/**
+ * Process a raw message received from another worker, and invoke it's handlers.
+ *
+ * @param {string} rawMessage Raw message.
+ * @private
+ */
+ClusterManager.prototype._receiveMessage = function(rawMessage) {
+    // Parse the message
+    var message;
+    try {
+        message = JSON.parse(rawMessage);
+    } catch(err) {
+        console.log('Received malformed cluster message, ignoring');
+        return;
+    }
+
+    // Ignore messages sent by this worker to all workers
+    if(!_.isObject(message) || this.isLocalWorker(message.worker))
+        return;
+
+    // Invoke the handlers for this message type
+    if(this._handlers.has(message.type))
+        this._handlers.get(message.type).forEach((handler) => handler(message.data, message.worker));
+};
+
+// Export the class
+module.exports = ClusterManager;
@@ -107,5 +107,38 @@ Coordinate.prototype.isInRange = function(other, maxRange) {
     return this.getDistanceTo(other) <= maxRange;
 };
 
+/**
+ * Get the bearing to the other given location in degrees.
+ * The bearing is measured clockwise from the north, in the range [0, 360).
+ *
+ * @param {Coordinate} other Other location.
+ * @return {Number} Bearing in degrees.
+ */
+Coordinate.prototype.getBearingTo = function(other) {
+    return geolib.getGreatCircleBearing(this, other) % 360;
+};
+
+/**
+ * Names of the compass directions, clockwise starting from the north.
+ *
+ * @type {Array}
+ */
+Coordinate.COMPASS_DIRECTIONS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+/**
+ * Get the name of the compass direction for the given bearing.
+ *
+ * @param {Number} bearing Bearing in degrees, clockwise from the north.
+ * @return {string} Name of the compass direction, such as north-east.
+ */
+Coordinate.getCompassDirection = function(bearing) {
+    // Normalize the bearing and determine the index of the closest direction
+    const step = 360 / Coordinate.COMPASS_DIRECTIONS.length;
+    const index = Math.round((((bearing % 360) + 360) % 360) / step) % Coordinate.COMPASS_DIRECTIONS.length;
+
+    // Return the direction name
+    return Coordinate.COMPASS_DIRECTIONS[index];
+};
+
 // Export the module
 module.exports = Coordinate;
\ No newline at end of file
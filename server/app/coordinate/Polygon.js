@@ -0,0 +1,106 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var geolib = require('geolib');
+
+var Coordinate = require('./Coordinate');
+
+/**
+ * Polygon class, an area on the map defined by a list of corner coordinates.
+ *
+ * @param {Array} points Array of coordinates, at least three.
+ *
+ * @class
+ * @constructor
+ */
+var Polygon = function(points) {
+    /**
+     * Corner points of the polygon.
+     * @type {Array}
+     */
+    this.points = points;
+};
+
+/**
+ * Parse a raw polygon.
+ *
+ * @param {Array} raw Array of raw coordinate objects, each with a latitude and longitude property.
+ * @return {Polygon|null} Polygon or null if parsing failed.
+ */
+Polygon.parse = function(raw) {
+    // Make sure the raw polygon is an array with at least three points
+    if(!_.isArray(raw) || raw.length < 3)
+        return null;
+
+    // Parse each point, and make sure all are valid
+    const points = raw.map((point) => _.isObject(point) ? Coordinate.parse(point) : null);
+    if(points.some((point) => point === null))
+        return null;
+
+    // Create a polygon object, and return it
+    return new Polygon(points);
+};
+
+/**
+ * Serialize the polygon to a string.
+ *
+ * @return {string} Serialized polygon.
+ */
+Polygon.prototype.serialize = function() {
+    // Stringify the points and return it
+    return JSON.stringify(this.points);
+};
+
+/**
+ * Deserialize a previously serialized polygon.
+ *
+ * @param {string} serialized Serialized polygon.
+ *
+ * @return {Polygon|null} Deserialized polygon, or null on error.
+ */
+Polygon.deserialize = function(serialized) {
+    // Convert the serialized data into an array, and parse that as polygon
+    return Polygon.parse(JSON.parse(serialized));
+};
+
+/**
+ * Get the points as an array of latitude and longitude pairs, as used by the client map.
+ *
+ * @return {Array} Array of [latitude, longitude] arrays.
+ */
+Polygon.prototype.toLatLngArray = function() {
+    return this.points.map((point) => [point.latitude, point.longitude]);
+};
+
+/**
+ * Check whether the given coordinate is inside this polygon.
+ *
+ * @param {Coordinate} coordinate Coordinate to check.
+ * @return {boolean} True if the coordinate is inside the polygon, false if not.
+ */
+Polygon.prototype.contains = function(coordinate) {
+    return geolib.isPointInPolygon(coordinate, this.points);
+};
+
+// Export the module
+module.exports = Polygon;
@@ -0,0 +1,243 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Coordinate = require('./Coordinate');
+var Polygon = require('./Polygon');
+
+/**
+ * Zone class, an area on the map defined by the host with special rules.
+ * A zone is either a polygon, or a circle with a center and radius.
+ *
+ * @param {Object} raw Raw zone object.
+ * @param {string} raw.name Name of the zone.
+ * @param {string} raw.type Zone type, see Zone.TYPE_NO_BUILD and Zone.TYPE_SAFE.
+ * @param {Polygon|null} raw.polygon Polygon of the zone, or null if this is a circle zone.
+ * @param {Coordinate|null} raw.center Center of the zone, or null if this is a polygon zone.
+ * @param {Number|null} raw.radius Radius of the zone in meters, or null if this is a polygon zone.
+ *
+ * @class
+ * @constructor
+ */
+var Zone = function(raw) {
+    /**
+     * Name of the zone.
+     * @type {string}
+     */
+    this.name = raw.name;
+
+    /**
+     * Zone type.
+     * @type {string}
+     */
+    this.type = raw.type;
+
+    /**
+     * Polygon of the zone, or null if this is a circle zone.
+     * @type {Polygon|null}
+     */
+    this.polygon = raw.polygon;
+
+    /**
+     * Center of the zone, or null if this is a polygon zone.
+     * @type {Coordinate|null}
+     */
+    this.center = raw.center;
+
+    /**
+     * Radius of the zone in meters, or null if this is a polygon zone.
+     * @type {Number|null}
+     */
+    this.radius = raw.radius;
+};
+
+/**
+ * Zone type in which no factories can be built.
+ * @type {string}
+ */
+Zone.TYPE_NO_BUILD = 'nobuild';
+
+/**
+ * Zone type in which factories can't be built or attacked, and players don't count toward conquering factories.
+ * @type {string}
+ */
+Zone.TYPE_SAFE = 'safe';
+
+/**
+ * Parse a raw zone.
+ *
+ * @param {Object} raw Raw zone object, with a name, type and either a list of points or a center and radius.
+ * @return {Zone|null} Zone or null if parsing failed.
+ */
+Zone.parse = function(raw) {
+    // Make sure the raw zone is an object with a valid name and type
+    if(!_.isObject(raw) || !_.isString(raw.name) || (raw.type !== Zone.TYPE_NO_BUILD && raw.type !== Zone.TYPE_SAFE))
+        return null;
+
+    // Parse a polygon zone
+    if(raw.hasOwnProperty('points')) {
+        // Parse the polygon
+        const polygon = Polygon.parse(raw.points);
+        if(polygon === null)
+            return null;
+
+        // Create the zone
+        return new Zone({
+            name: raw.name,
+            type: raw.type,
+            polygon: polygon,
+            center: null,
+            radius: null
+        });
+    }
+
+    // Parse the center and radius of a circle zone
+    const center = _.isObject(raw.center) ? Coordinate.parse(raw.center) : null;
+    if(center === null || !_.isFinite(raw.radius) || raw.radius <= 0)
+        return null;
+
+    // Create the zone
+    return new Zone({
+        name: raw.name,
+        type: raw.type,
+        polygon: null,
+        center: center,
+        radius: raw.radius
+    });
+};
+
+/**
+ * Parse a list of raw zones.
+ * Zones that couldn't be parsed are skipped.
+ *
+ * @param {Array} raw Array of raw zone objects.
+ * @return {Array} Array of zones.
+ */
+Zone.parseList = function(raw) {
+    // Return an empty list if the input isn't an array
+    if(!_.isArray(raw))
+        return [];
+
+    // Parse the zones, and filter the invalid ones
+    return raw.map((zone) => Zone.parse(zone)).filter((zone) => zone !== null);
+};
+
+/**
+ * Convert the zone to a raw object, which can be parsed again with Zone.parse.
+ *
+ * @return {Object} Raw zone object.
+ */
+Zone.prototype.toObject = function() {
+    // Create the base object
+    var raw = {
+        name: this.name,
+        type: this.type
+    };
+
+    // Add the shape
+    if(this.isPolygon())
+        raw.points = this.polygon.points.map((point) => ({
+            latitude: point.latitude,
+            longitude: point.longitude
+        }));
+    else {
+        raw.center = {
+            latitude: this.center.latitude,
+            longitude: this.center.longitude
+        };
+        raw.radius = this.radius;
+    }
+
+    // Return the object
+    return raw;
+};
+
+/**
+ * Convert the zone to an object that is used by the client map.
+ *
+ * @return {Object} Zone object, with a list of [latitude, longitude] points, or a center and radius.
+ */
+Zone.prototype.toClientObject = function() {
+    // Create the base object
+    var data = {
+        name: this.name,
+        type: this.type
+    };
+
+    // Add the shape
+    if(this.isPolygon())
+        data.points = this.polygon.toLatLngArray();
+    else {
+        data.center = [this.center.latitude, this.center.longitude];
+        data.radius = this.radius;
+    }
+
+    // Return the object
+    return data;
+};
+
+/**
+ * Check whether this zone is a polygon.
+ *
+ * @return {boolean} True if this zone is a polygon, false if it's a circle.
+ */
+Zone.prototype.isPolygon = function() {
+    return this.polygon !== null;
+};
+
+/**
+ * Check whether this is a safe zone.
+ *
+ * @return {boolean} True if this is a safe zone, false if not.
+ */
+Zone.prototype.isSafe = function() {
+    return this.type === Zone.TYPE_SAFE;
+};
+
+/**
+ * Check whether factories can be built inside this zone.
+ * Building is blocked in no-build zones and in safe zones.
+ *
+ * @return {boolean} True if building is blocked, false if not.
+ */
+Zone.prototype.isBuildBlocked = function() {
+    return this.type === Zone.TYPE_NO_BUILD || this.type === Zone.TYPE_SAFE;
+};
+
+/**
+ * Check whether the given coordinate is inside this zone.
+ *
+ * @param {Coordinate} coordinate Coordinate to check.
+ * @return {boolean} True if the coordinate is inside the zone, false if not.
+ */
+Zone.prototype.contains = function(coordinate) {
+    // Check the polygon
+    if(this.isPolygon())
+        return this.polygon.contains(coordinate);
+
+    // Check the circle
+    return this.center.isInRange(coordinate, this.radius);
+};
+
+// Export the module
+module.exports = Zone;
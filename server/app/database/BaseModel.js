@@ -510,6 +510,143 @@ BaseModel.prototype.setFields = function(fields, callback) {
  * @param {Error|null} Error instance if an error occurred, null on success.
  */
 
+/**
+ * Atomically increment a model field by the given amount.
+ * A negative amount decrements the field. Decrements are guarded by a lower bound, the field is left untouched if the
+ * value would drop below it.
+ *
+ * @param {String} field Field name.
+ * @param {Number} amount Amount to increment the field by, negative to decrement.
+ * @param {BaseModel~incrementFieldCallback} [callback] Called with the new value, or when an error occurred.
+ * @param {Object} [options] Options object (min).
+ */
+BaseModel.prototype.incrementField = function(field, amount, callback, options) {
+    // Increment the field through the bulk function
+    this.incrementFields({
+        [field]: amount
+    }, function(err, values) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back with the new value, or null if the lower bound was reached
+        callback(null, values !== null ? values[field] : null);
+    }, options);
+};
+
+/**
+ * Called with the new value, or when an error occurred.
+ *
+ * @callback BaseModel~incrementFieldCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Number|null=} New field value, or null if the field would drop below the lower bound and wasn't changed.
+ */
+
+/**
+ * Atomically decrement a model field by the given amount.
+ * The field is left untouched if the value would drop below the lower bound.
+ *
+ * @param {String} field Field name.
+ * @param {Number} amount Amount to decrement the field by.
+ * @param {BaseModel~decrementFieldCallback} [callback] Called with the new value, or when an error occurred.
+ * @param {Object} [options] Options object (min).
+ */
+BaseModel.prototype.decrementField = function(field, amount, callback, options) {
+    this.incrementField(field, -amount, callback, options);
+};
+
+/**
+ * Called with the new value, or when an error occurred.
+ *
+ * @callback BaseModel~decrementFieldCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Number|null=} New field value, or null if the field would drop below the lower bound and wasn't changed.
+ */
+
+/**
+ * Atomically increment the given model fields by the given amounts, in a single operation.
+ * Negative amounts decrement fields. Decremented fields are guarded by a lower bound, which is zero by default.
+ * If any of the fields would drop below the bound, none of the fields are changed.
+ *
+ * The fields are flushed from the local cache and Redis afterwards, so all worker threads fetch the new values.
+ *
+ * @param {Object} fields Object with field names as keys and the amounts to increment them by as values.
+ * @param {BaseModel~incrementFieldsCallback} [callback] Called with the new values, or when an error occurred.
+ * @param {Object} [options] Options object (min). Set min to null to disable the lower bound guard.
+ */
+BaseModel.prototype.incrementFields = function(fields, callback, options) {
+    // A call back must be given
+    if(!_.isFunction(callback)) {
+        console.error('ERROR: A callback must be given!');
+        console.trace();
+
+        // Set a placeholder callback
+        callback = function(err) {
+            if(err !== null)
+                console.error(err.stack || err);
+        };
+    }
+
+    // Determine the lower bound
+    var min = 0;
+    if(options !== undefined && _.has(options, 'min'))
+        min = options.min;
+
+    // Make sure all amounts are valid integers
+    for(var field in fields) {
+        // Make sure the object owns the key
+        if(!fields.hasOwnProperty(field))
+            continue;
+
+        // Validate the amount
+        if(!_.isInteger(fields[field])) {
+            callback(new Error('Invalid increment amount for field \'' + field + '\': ' + fields[field]));
+            return;
+        }
+    }
+
+    // Store the current instance
+    const self = this;
+
+    // Increment the fields in MongoDB
+    this.mongoIncrementFields(fields, min, function(err, values) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back if nothing was changed
+        if(values === null) {
+            callback(null, null);
+            return;
+        }
+
+        // Flush the fields from cache, the next fetch will get the new values from MongoDB
+        self.flushCache(Object.keys(fields), function(err) {
+            // Show a warning on error, the values are already stored so we continue
+            if(err !== null) {
+                console.error('A Redis error occurred while flushing incremented model data, ignoring.');
+                console.error(err.stack || err);
+            }
+
+            // Call back with the new values
+            callback(null, values);
+        });
+    });
+};
+
+/**
+ * Called with the new values, or when an error occurred.
+ *
+ * @callback BaseModel~incrementFieldsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Object|null=} Object with the new field values, or null if a field would drop below the lower bound and
+ * nothing was changed.
+ */
+
 /**
  * Check whether a field is available.
  *
@@ -1077,6 +1214,108 @@ BaseModel.prototype.mongoSetFields = function(fields, callback) {
  * @param {Error|null} Error instance if an error occurred, null on success.
  */
 
+/**
+ * Atomically increment a list of fields in MongoDB.
+ * Decremented fields are only updated if their current value is high enough to stay at or above the given lower bound.
+ *
+ * @param {Object} fields Object with field names and the amounts to increment them by.
+ * @param {Number|null} min Lower bound for decremented fields, or null to disable the guard.
+ * @param {BaseModel~mongoIncrementFieldsCallback} callback Called with the new values, or when an error occurred.
+ */
+BaseModel.prototype.mongoIncrementFields = function(fields, min, callback) {
+    // Get the MongoDB connection instance
+    const mongo = MongoUtils.getConnection();
+
+    // Create the query object
+    var queryObject = {
+        _id: this._instance.getId()
+    };
+
+    // Create an increment object, and a map of field name translations
+    var incrementObject = {};
+    var mongoFields = {};
+
+    // Loop through the fields, convert them to MongoDB fields and build the guards
+    for(var field in fields) {
+        // Make sure the object owns the key
+        if(!fields.hasOwnProperty(field))
+            continue;
+
+        // Get the amount
+        var amount = fields[field];
+
+        // Get the MongoDB field name
+        var mongoField = field;
+        if(_.has(this._modelConfig.fields, field + '.mongo.field'))
+            mongoField = this._modelConfig.fields[field].mongo.field || field;
+
+        // Add the amount to the increment object
+        incrementObject[mongoField] = amount;
+        mongoFields[field] = mongoField;
+
+        // Guard decrements with the lower bound
+        if(amount < 0 && min !== null)
+            queryObject[mongoField] = {
+                $gte: min - amount
+            };
+    }
+
+    // Call back if the object doesn't contain any keys
+    if(Object.keys(incrementObject).length === 0) {
+        callback(new Error('Trying to increment fields in MongoDb, but no fields are given'));
+        return;
+    }
+
+    // Store the current instance
+    const self = this;
+
+    // Increment the fields, and fetch the updated document
+    mongo.collection(this._modelConfig.mongo.collection).findOneAndUpdate(queryObject, {
+        $inc: incrementObject
+    }, {
+        returnDocument: 'after'
+    }, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            callback(new Error(err));
+            return;
+        }
+
+        // Call back null if no document matched, because a guard failed
+        if(!_.isObject(result) || result.value === null || result.value === undefined) {
+            callback(null, null);
+            return;
+        }
+
+        // Create a results object
+        var results = {};
+
+        // Loop through the fields, convert it's values and add it to the result object
+        for(var field in mongoFields) {
+            // Get the value for the mongo field
+            var value = result.value[mongoFields[field]];
+
+            // Convert the value
+            if(_.has(self._modelConfig.fields, field + '.mongo.from'))
+                value = self._modelConfig.fields[field].mongo.from(value);
+
+            // Add the value to the results object
+            results[field] = value;
+        }
+
+        // Call back with the results
+        callback(null, results);
+    });
+};
+
+/**
+ * Called with the new values, or when an error occurred.
+ *
+ * @callback BaseModel~mongoIncrementFieldsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Object|null=} Object with the new field values, or null if a guard failed and nothing was changed.
+ */
+
 /**
  * Check whether the given field is in MongoDB.
  *
@@ -2024,10 +2263,13 @@ BaseModel.prototype.redisFlush = function(fields, callback) {
             fields = [fields];
         }
 
+        // Store the current instance
+        const self = this;
+
         // Loop through the fields, and push their Redis keys to the keys array
         fields.forEach(function(field) {
             // Get the Redis key, and put it in the keys array
-            keys.push(this.redisGetKey(field));
+            keys.push(self.redisGetKey(field));
         });
 
     } else
@@ -2057,5 +2299,88 @@ BaseModel.prototype.redisFlush = function(fields, callback) {
  * @param {Number} Number of keys that were deleted from Redis.
  */
 
+/**
+ * Transfer values between fields of multiple models, all-or-nothing.
+ *
+ * Each operation atomically increments fields of a single model, where decrements are guarded to never drop below
+ * zero. Operations that decrement fields are applied first. If any operation fails, the operations that were already
+ * applied are reverted, so either all or none of the changes remain.
+ *
+ * @param {Array} operations Array of operation objects, each with a model implementing incrementFields, and a fields
+ * object with field names and the amounts to increment them by.
+ * @param {BaseModel~transferCallback} callback Called when the transfer is applied or aborted, or when an error occurred.
+ */
+BaseModel.transfer = function(operations, callback) {
+    // Determine whether an operation decrements any field
+    const isDecrement = (operation) => _.some(_.values(operation.fields), (amount) => amount < 0);
+
+    // Order the operations, so the guarded ones are applied first
+    operations = _.sortBy(operations, (operation) => isDecrement(operation) ? 0 : 1);
+
+    // Keep track of the operations that are applied, and whether a guard failed
+    var applied = [];
+    var guardFailed = false;
+
+    // Apply the operations one by one
+    async.eachSeries(operations, function(operation, next) {
+        operation.model.incrementFields(operation.fields, function(err, values) {
+            // Stop on errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Stop if a guard failed
+            if(values === null) {
+                guardFailed = true;
+                next(new Error('Transfer aborted, a field would drop below zero'));
+                return;
+            }
+
+            // Mark the operation as applied, and continue
+            applied.push(operation);
+            next();
+        });
+
+    }, function(err) {
+        // Call back on success
+        if(err === undefined || err === null) {
+            callback(null, true);
+            return;
+        }
+
+        // Revert the applied operations
+        async.eachSeries(applied, function(operation, next) {
+            operation.model.incrementFields(_.mapValues(operation.fields, (amount) => -amount), function(err) {
+                // Continue reverting on errors, but report them
+                if(err !== null) {
+                    console.error('Failed to revert a transfer operation, model data may be inconsistent.');
+                    console.error(err.stack || err);
+                }
+
+                // Continue
+                next();
+            }, {
+                min: null
+            });
+
+        }, function() {
+            // Call back the failed transfer, or the error
+            if(guardFailed)
+                callback(null, false);
+            else
+                callback(err);
+        });
+    });
+};
+
+/**
+ * Called when the transfer is applied or aborted, or when an error occurred.
+ *
+ * @callback BaseModel~transferCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True if the transfer was applied, false if a field would drop below zero and nothing was changed.
+ */
+
 // Export the class
 module.exports = BaseModel;
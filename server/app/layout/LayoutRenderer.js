@@ -28,6 +28,7 @@ var appInfo = require('../../appInfo');
 var Core = require("../../Core");
 var MergeUtils = require('../util/MergeUtils');
 var CallbackLatch = require('../util/CallbackLatch');
+var GameLangManager = require('../lang/GameLangManager');
 
 /**
  * LayoutRenderer class.
@@ -176,11 +177,32 @@ LayoutRenderer.render = function(req, res, next, pugName, pageTitle, options) {
             }
 
             // Set the language manager and render function
-            config.lang.manager = liveGame.getGameLangManager();
-            config.__ = config.lang.manager.renderNameConfig;
+            if(liveGame !== null) {
+                config.lang.manager = liveGame.getGameLangManager();
+                config.__ = config.lang.manager.renderNameConfig;
 
-            // Resolve the latch
-            latch.resolve();
+                // Resolve the latch
+                latch.resolve();
+                return;
+            }
+
+            // The game is owned by another worker, create a language manager from the stored language object
+            req.game.getLangObject(function(err, gameLangObject) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the language manager and render function
+                config.lang.manager = new GameLangManager(gameLangObject);
+                config.__ = config.lang.manager.renderNameConfig;
+
+                // Resolve the latch
+                latch.resolve();
+            });
         });
     }
 
@@ -29,6 +29,7 @@ var config = require('../../../config');
 var Core = require('../../../Core');
 var PacketType = require('../../realtime/PacketType');
 var FactoryModel = require('../../model/factory/FactoryModel');
+var GameEventType = require('../../model/gameevent/GameEventType');
 var CallbackLatch = require('../../util/CallbackLatch');
 
 /**
@@ -78,6 +79,87 @@ var Factory = function(factory, game) {
      */
     this._userPingMem = [];
 
+    /**
+     * Object containing the timers that end the pings of this factory, with the ID of the pinged user as key.
+     *
+     * @type {Object} Object of PausableTimer instances.
+     * @private
+     */
+    this._userPingTimers = {};
+
+    /**
+     * Date a friendly player last visited this factory, or null if it isn't loaded yet.
+     *
+     * @type {Date|null}
+     * @private
+     */
+    this._visitDate = null;
+
+    /**
+     * Date the visit date was last stored in the factory model, or null if it isn't loaded yet.
+     *
+     * @type {Date|null}
+     * @private
+     */
+    this._visitStoreDate = null;
+
+    /**
+     * Date this factory last decayed, or null if it didn't decay yet.
+     *
+     * @type {Date|null}
+     * @private
+     */
+    this._decayDate = null;
+
+    /**
+     * True if players were last warned about the decay of this factory.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._decayWarning = false;
+
+    /**
+     * True if the construction of this factory is paused, because the constructing player isn't in range.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._constructionPaused = false;
+
+    /**
+     * Siege on this factory in the siege capture mode, or null if it isn't besieged.
+     * The siege object contains the live user that started it, the besieging team and the capture progress in milliseconds.
+     *
+     * @type {{user: User, team: GameTeamModel, progress: Number}|null}
+     * @private
+     */
+    this._siege = null;
+
+    /**
+     * Object containing the dates alerts of each type were last sent to the owning team, to rate limit them.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._alertMem = {};
+
+    /**
+     * True if the conquer value of this factory was close to zero on the last tick.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._conquerDanger = false;
+
+    /**
+     * True if the upkeep of this factory couldn't be paid on the last tick.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._upkeepUnpaid = false;
+
     // Get and set the factory ID
     if(factory instanceof FactoryModel)
         this._id = factory.getId();
@@ -89,6 +171,12 @@ var Factory = function(factory, game) {
         this._id = factory;
 };
 
+/**
+ * Minimum time in milliseconds between storing visits of friendly players in the factory model.
+ * @type {Number}
+ */
+Factory.VISIT_STORE_INTERVAL = 60 * 1000;
+
 /**
  * Get the factory ID for this factory.
  *
@@ -364,9 +452,32 @@ Factory.prototype.sendData = function(user, sockets, callback) {
                     latch.resolve();
                 });
 
-                // Get the defence value
+                // Get the factory type
+                latch.add();
+                liveFactory.getTypeConfig(function(err, type) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the type
+                    factoryData.type = {
+                        id: type.id,
+                        name: type.name,
+                        description: type.description,
+                        defenceBonus: type.defenceBonus
+                    };
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Get the defence value, including the bonus defence of the factory type
                 latch.add();
-                factoryModel.getDefence(function(err, defence) {
+                liveFactory.getDefence(function(err, defence) {
                     // Call back errors
                     if(err !== null) {
                         if(!calledBack)
@@ -571,6 +682,130 @@ Factory.prototype.sendData = function(user, sockets, callback) {
                     latch.resolve();
                 });
 
+                // Get the upkeep
+                latch.add();
+                self.getUpkeep(function(err, upkeep) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the upkeep, and whether it couldn't be paid
+                    factoryData.upkeep = upkeep;
+                    factoryData.upkeepUnpaid = self._upkeepUnpaid;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Get the construction state
+                latch.add();
+                self.getConstruction(function(err, construction) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the construction state
+                    factoryData.construction = {
+                        remaining: construction.remaining,
+                        time: construction.time,
+                        paused: construction.remaining > 0 && self._constructionPaused
+                    };
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Get the siege state
+                latch.add();
+                self.getSiegeProgress(function(err, progress) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the siege state, remember the besieging team before it may change
+                    const siege = self._siege;
+                    if(progress === null || siege === null) {
+                        factoryData.siege = null;
+                        latch.resolve();
+                        return;
+                    }
+
+                    // Get the live user and its team to determine whether the user is besieging
+                    self.getGame().getUser(user, function(err, liveUser) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Create a function to set the siege state
+                        const setSiege = function(besieging) {
+                            factoryData.siege = {
+                                progress,
+                                besieging
+                            };
+                            latch.resolve();
+                        };
+
+                        // The user isn't besieging if he isn't in the game
+                        if(liveUser === null) {
+                            setSiege(false);
+                            return;
+                        }
+
+                        // Get the team of the user
+                        liveUser.getTeam(function(err, userTeam) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Set the siege state
+                            setSiege(userTeam !== null && userTeam !== undefined && userTeam.getId().equals(siege.team.getId()));
+                        });
+                    });
+                });
+
+                // Get the decay state
+                latch.add();
+                self.getDecayState(function(err, decayState) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the decay state
+                    factoryData.decay = {
+                        enabled: decayState.enabled,
+                        remainingTime: decayState.remainingTime,
+                        warning: decayState.warning,
+                        decaying: decayState.decaying
+                    };
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
                 // Get the live user this data is send to
                 latch.add();
                 self.getGame().getUser(user, function(err, liveUser) {
@@ -592,12 +827,49 @@ Factory.prototype.sendData = function(user, sockets, callback) {
                             return;
                         }
 
-                        // Set the visibility, range and ally states
+                        // Set the visibility, range, ally and decoy states
                         factoryData.inRange = visibilityState.inRange;
                         factoryData.ally = visibilityState.ally;
+                        factoryData.decoy = visibilityState.decoy;
 
-                        // Resolve the latch
-                        latch.resolve();
+                        // Only tell allies about the jammer
+                        if(!visibilityState.ally) {
+                            factoryData.jammer = null;
+                            latch.resolve();
+                            return;
+                        }
+
+                        // Get the game configuration for the jammer price and duration
+                        self.getGame().getConfig(function(err, gameConfig) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Get the remaining jammer time
+                            self.getJammerTime(function(err, remaining) {
+                                // Call back errors
+                                if(err !== null) {
+                                    if(!calledBack)
+                                        callback(err);
+                                    calledBack = true;
+                                    return;
+                                }
+
+                                // Set the jammer state
+                                factoryData.jammer = {
+                                    remaining,
+                                    price: gameConfig.factory.jammerPrice,
+                                    duration: gameConfig.factory.jammerDuration
+                                };
+
+                                // Resolve the latch
+                                latch.resolve();
+                            });
+                        });
                     });
                 });
 
@@ -704,7 +976,7 @@ Factory.prototype.isVisibleFor = function(liveUser, callback) {
         }
 
         // Call back true if the game is finished
-        if(gameStage >= 2) {
+        if(gameStage === 2) {
             callback(null, true);
             return;
         }
@@ -747,32 +1019,58 @@ Factory.prototype.updateVisibilityState = function(liveUser, callback) {
             return;
         }
 
-        // Set whether the state changed
-        var stateChanged = false;
+        // Create a callback latch
+        var latch = new CallbackLatch();
 
-        // Set the visibility and range state, remember whether any of these states changed
-        if(self.setInVisibilityMemory(liveUser, visibilityData.visible))
-            stateChanged = true;
-        if(self.setInRangeMemory(liveUser, visibilityData.inRange))
-            stateChanged = true;
-
-        // Send the factory data if the state changed
-        if(stateChanged)
-            // Broadcast the factory data to all relevant user
-            self.broadcastData(function(err) {
+        // Register a visit if a friendly player is in range, to prevent decay
+        if(visibilityData.ally && visibilityData.inRange) {
+            latch.add();
+            self.visit(function(err) {
                 // Call back errors
                 if(err !== null) {
                     callback(err);
                     return;
                 }
 
-                // Call back
-                callback(null, true);
+                // Resolve the latch
+                latch.resolve();
             });
+        }
 
-        else
-            // Call back
-            callback(null, false);
+        // Continue
+        latch.then(function() {
+            // Set whether the state changed
+            var stateChanged = false;
+
+            // Set the visibility and range state, remember whether any of these states changed
+            if(self.setInVisibilityMemory(liveUser, visibilityData.visible))
+                stateChanged = true;
+            if(self.setInRangeMemory(liveUser, visibilityData.inRange)) {
+                stateChanged = true;
+
+                // Alert the owning team if a non-ally player entered the range
+                if(visibilityData.inRange && !visibilityData.ally)
+                    self.alertEnemyInRange(liveUser);
+            }
+
+            // Send the factory data if the state changed
+            if(stateChanged)
+                // Broadcast the factory data to all relevant user
+                self.broadcastData(function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        callback(err);
+                        return;
+                    }
+
+                    // Call back
+                    callback(null, true);
+                });
+
+            else
+                // Call back
+                callback(null, false);
+        });
     });
 };
 
@@ -784,6 +1082,64 @@ Factory.prototype.updateVisibilityState = function(liveUser, callback) {
  * @param {boolean=} True if the state changed, false if not.
  */
 
+/**
+ * Alert the team owning this factory that the given user entered its range, if the user is an enemy player.
+ * Errors are printed to the console.
+ *
+ * @param {User} liveUser User that entered the range.
+ */
+Factory.prototype.alertEnemyInRange = function(liveUser) {
+    // Store this instance
+    const self = this;
+
+    // Create a function to handle errors
+    const handleError = function(err) {
+        console.error('Failed to alert team about an enemy near a factory, ignoring');
+        console.error(err.stack || err);
+    };
+
+    // Get the team of the user
+    liveUser.getTeam(function(err, userTeam) {
+        // Handle errors
+        if(err !== null) {
+            handleError(err);
+            return;
+        }
+
+        // Make sure the user is part of a team
+        if(userTeam === null)
+            return;
+
+        // Make sure the user isn't part of the factory team
+        self.isTeam(userTeam, function(err, isTeam) {
+            // Handle errors
+            if(err !== null) {
+                handleError(err);
+                return;
+            }
+
+            // Skip allies
+            if(isTeam)
+                return;
+
+            // Get the conquer value, and alert the team
+            self.getConquer(function(err, conquerValue) {
+                // Handle errors
+                if(err !== null) {
+                    handleError(err);
+                    return;
+                }
+
+                // Alert the team
+                self.alertTeam('enemy', conquerValue, function(err) {
+                    if(err !== null)
+                        handleError(err);
+                });
+            });
+        });
+    });
+};
+
 /**
  * Check whether the given user is in the visibility memory.
  *
@@ -814,6 +1170,9 @@ Factory.prototype.setInVisibilityMemory = function(liveUser, visible) {
     else
         this._userVisibleMem.splice(this._userVisibleMem.indexOf(liveUser), 1);
 
+    // Remember where the team of the user has last seen this factory
+    this.rememberLastSeenFor(liveUser);
+
     // Return the result
     return true;
 };
@@ -883,6 +1242,9 @@ Factory.prototype.setInPingMemory = function(liveUser, isPinged, sendLocationUpd
     else
         this._userPingMem.splice(this._userPingMem.indexOf(liveUser), 1);
 
+    // Remember where the team of the user has last seen this factory
+    this.rememberLastSeenFor(liveUser);
+
     // Update the location data for the live user
     if(sendLocationUpdate === undefined || sendLocationUpdate)
         Core.gameManager.broadcastLocationData(isPinged ? config.game.locationUpdateInterval : null, liveUser.getGame(), liveUser, undefined, function(err) {
@@ -897,6 +1259,61 @@ Factory.prototype.setInPingMemory = function(liveUser, isPinged, sendLocationUpd
     return true;
 };
 
+/**
+ * Remember the current position of this factory as last seen position for the team of the given user,
+ * if the user is an enemy of this factory. Errors are printed to the console.
+ *
+ * @param {User} liveUser User that has seen this factory.
+ */
+Factory.prototype.rememberLastSeenFor = function(liveUser) {
+    // Store this instance
+    const self = this;
+
+    // Create a function to handle errors
+    const handleError = function(err) {
+        console.error('Failed to remember last seen position of factory, ignoring');
+        console.error(err.stack || err);
+    };
+
+    // Get the team of the user
+    liveUser.getTeam(function(err, userTeam) {
+        // Handle errors
+        if(err !== null) {
+            handleError(err);
+            return;
+        }
+
+        // Make sure the user is part of a team
+        if(userTeam === null)
+            return;
+
+        // Only remember factories of other teams
+        self.isTeam(userTeam, function(err, isTeam) {
+            // Handle errors
+            if(err !== null) {
+                handleError(err);
+                return;
+            }
+
+            // Skip allies
+            if(isTeam)
+                return;
+
+            // Get the factory name and location
+            self.getFactoryModel().getFields(['name', 'location'], function(err, fields) {
+                // Handle errors
+                if(err !== null) {
+                    handleError(err);
+                    return;
+                }
+
+                // Remember the position
+                self.getGame().lastSeenMemory.remember(userTeam, 'factory', self.getIdHex(), fields.name, fields.location);
+            });
+        });
+    });
+};
+
 /**
  * Ping this factory for the given user and the given duration.
  *
@@ -919,8 +1336,12 @@ Factory.prototype.pingFor = function (liveUser, pingDuration, sendLocationUpdate
     // Store this instance
     const self = this;
 
-    // Create a timeout to remove the user from the ping memory
-    setTimeout(function() {
+    // Create a timer to remove the user from the ping memory, which is frozen while the game is paused
+    const timer = this.getGame().setTimer(function() {
+        // Forget the timer if it's the last one for this user
+        if(self._userPingTimers[liveUser.getIdHex()] === timer)
+            delete self._userPingTimers[liveUser.getIdHex()];
+
         // Remove the user from the ping memory
         self.setInPingMemory(liveUser, false, true);
 
@@ -929,6 +1350,9 @@ Factory.prototype.pingFor = function (liveUser, pingDuration, sendLocationUpdate
             callback(null);
 
     }, pingDuration);
+
+    // Remember the timer, to know how long the ping lasts
+    this._userPingTimers[liveUser.getIdHex()] = timer;
 };
 
 /**
@@ -939,18 +1363,95 @@ Factory.prototype.pingFor = function (liveUser, pingDuration, sendLocationUpdate
  */
 
 /**
- * Calculate the input production per tick.
+ * Get the live in-memory state of this factory, so it can be stored and restored after a server restart.
+ * This contains the users the factory is visible for, the users in range, the pings with the time they have left,
+ * and the siege on the factory.
  *
- * @param callback (err, productionValue)
+ * @return {Object} Factory state.
  */
-Factory.prototype.getProductionIn = function(callback) {
+Factory.prototype.getState = function() {
+    // Store this instance
+    const self = this;
+
+    // Build and return the state
+    return {
+        factory: this.getIdHex(),
+        visible: this._userVisibleMem.map((liveUser) => liveUser.getIdHex()),
+        range: this._userRangeMem.map((liveUser) => liveUser.getIdHex()),
+        pings: this._userPingMem
+            .filter((liveUser) => self._userPingTimers.hasOwnProperty(liveUser.getIdHex()))
+            .map(function(liveUser) {
+                return {
+                    user: liveUser.getIdHex(),
+                    time: self._userPingTimers[liveUser.getIdHex()].getRemainingTime()
+                };
+            }),
+        siege: this._siege !== null ? {
+            user: this._siege.user.getIdHex(),
+            team: this._siege.team.getIdHex(),
+            progress: this._siege.progress
+        } : null
+    };
+};
+
+/**
+ * Restore the live in-memory state of this factory, as returned by getState().
+ * Users that aren't loaded anymore are skipped. Pings continue with the time they had left.
+ *
+ * @param {Object} state Factory state.
+ */
+Factory.prototype.restoreState = function(state) {
+    // Store this instance
+    const self = this;
+
+    // Get the user manager
+    const userManager = this.getGame().userManager;
+
+    // Restore the visibility and range memory, without alerting anybody about the change
+    state.visible.forEach(function(userId) {
+        const liveUser = userManager.getLoadedUser(userId);
+        if(liveUser !== null && !self.isInVisibilityMemory(liveUser))
+            self._userVisibleMem.push(liveUser);
+    });
+    state.range.forEach(function(userId) {
+        const liveUser = userManager.getLoadedUser(userId);
+        if(liveUser !== null && !self.isInRangeMemory(liveUser))
+            self._userRangeMem.push(liveUser);
+    });
+
+    // Restore the pings
+    state.pings.forEach(function(ping) {
+        const liveUser = userManager.getLoadedUser(ping.user);
+        if(liveUser !== null && ping.time > 0)
+            self.pingFor(liveUser, ping.time, false);
+    });
+
+    // Restore the siege, if the besieging user is still loaded
+    if(state.siege !== undefined && state.siege !== null) {
+        const liveUser = userManager.getLoadedUser(state.siege.user);
+        if(liveUser !== null)
+            this._siege = {
+                user: liveUser,
+                team: Core.model.gameTeamModelManager._instanceManager.create(state.siege.team),
+                progress: state.siege.progress
+            };
+    }
+};
+
+/**
+ * Calculate the input production per tick.
+ *
+ * @param callback (err, productionValue)
+ */
+Factory.prototype.getProductionIn = function(callback) {
     // Create a callback latch
     var latch = new CallbackLatch();
     var calledBack = false;
 
-    // Get the game config and level
+    // Get the game config, level and type
     var gameConfig = null;
     var level = null;
+    var type = null;
 
     // Get the game config
     latch.add();
@@ -988,9 +1489,27 @@ Factory.prototype.getProductionIn = function(callback) {
         latch.resolve();
     });
 
-    // Calculate the production in
+    // Get the factory type
+    latch.add();
+    this.getTypeConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the type
+        type = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Calculate the production in, and apply the production ratio of the factory type
     latch.then(function() {
-        callback(null, gameConfig.factory.getProductionIn(level));
+        callback(null, Math.round(gameConfig.factory.getProductionIn(level) * type.productionRatio));
     });
 };
 
@@ -1004,9 +1523,10 @@ Factory.prototype.getProductionOut = function(callback) {
     var latch = new CallbackLatch();
     var calledBack = false;
 
-    // Get the game config and level
+    // Get the game config, level and type
     var gameConfig = null;
     var level = null;
+    var type = null;
 
     // Get the game config
     latch.add();
@@ -1044,9 +1564,27 @@ Factory.prototype.getProductionOut = function(callback) {
         latch.resolve();
     });
 
-    // Calculate the production in
+    // Get the factory type
+    latch.add();
+    this.getTypeConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the type
+        type = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Calculate the production out, and apply the production ratio of the factory type
     latch.then(function() {
-        callback(null, gameConfig.factory.getProductionOut(level));
+        callback(null, Math.round(gameConfig.factory.getProductionOut(level) * type.productionRatio));
     });
 };
 
@@ -1108,12 +1646,60 @@ Factory.prototype.getNextLevelCost = function(callback) {
 
 /**
  * Get the defence value for this factory.
+ * This includes the bonus defence of the factory type.
  *
  * @param {Factory~getDefenceCallback} callback Called back with the defence value or when an error occurred.
  * @param {Object} options Model options.
  */
 Factory.prototype.getDefence = function(callback, options) {
-    this.getFactoryModel().getDefence(callback, options);
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the factory type and defence
+    var type = null;
+    var defence = null;
+
+    // Get the factory type
+    latch.add();
+    this.getTypeConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the type
+        type = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the defence
+    latch.add();
+    this.getFactoryModel().getDefence(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the defence
+        defence = result;
+
+        // Resolve the latch
+        latch.resolve();
+    }, options);
+
+    // Add the bonus defence of the factory type
+    latch.then(function() {
+        callback(null, defence + type.defenceBonus);
+    });
 };
 
 /**
@@ -1124,6 +1710,186 @@ Factory.prototype.getDefence = function(callback, options) {
  * @param {Number=} Defence value for this factory.
  */
 
+/**
+ * Get the configuration of the type of this factory.
+ *
+ * @param {Factory~getTypeConfigCallback} callback Called back with the type configuration or when an error occurred.
+ */
+Factory.prototype.getTypeConfig = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the game config and factory type
+    var gameConfig = null;
+    var type = null;
+
+    // Get the game config
+    latch.add();
+    this.getGame().getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the game config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the factory type
+    latch.add();
+    this.getFactoryModel().getType(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the type
+        type = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Call back the type configuration, fall back to the default type if the type isn't configured
+    latch.then(function() {
+        // Determine the type ID
+        if(!gameConfig.factory.types.hasOwnProperty(type))
+            type = gameConfig.factory.defaultType;
+
+        // Call back the configuration including its ID
+        callback(null, _.assign({
+            id: type
+        }, gameConfig.factory.getType(type)));
+    });
+};
+
+/**
+ * Called back with the type configuration or when an error occurred.
+ *
+ * @callback Factory~getTypeConfigCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object=} Configuration of the factory type, with an additional id property.
+ */
+
+/**
+ * Check whether this factory is a decoy.
+ * A decoy looks like a real factory to enemies, but doesn't produce anything and is destroyed when it's attacked.
+ *
+ * @param {Factory~isDecoyCallback} callback Called back with the result or when an error occurred.
+ */
+Factory.prototype.isDecoy = function(callback) {
+    this.getFactoryModel().isDecoy(callback);
+};
+
+/**
+ * Called back with the result or when an error occurred.
+ *
+ * @callback Factory~isDecoyCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the factory is a decoy, false if not.
+ */
+
+/**
+ * Get the remaining time of the jammer of this factory.
+ * A factory with an active jammer is hidden from enemy pings.
+ *
+ * @param {Factory~getJammerTimeCallback} callback Called back with the remaining time or when an error occurred.
+ */
+Factory.prototype.getJammerTime = function(callback) {
+    this.getFactoryModel().getJammerDate(function(err, jammerDate) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the remaining time
+        callback(null, jammerDate !== null ? Math.max(jammerDate.getTime() - Date.now(), 0) : 0);
+    });
+};
+
+/**
+ * Called back with the remaining jammer time or when an error occurred.
+ *
+ * @callback Factory~getJammerTimeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Remaining time of the jammer in milliseconds, zero if the factory isn't jammed.
+ */
+
+/**
+ * Activate the jammer of this factory for the given duration.
+ * The duration is added to the remaining time if the jammer is already active.
+ *
+ * @param {Number} duration Duration in milliseconds.
+ * @param {Factory~jamCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.jam = function(duration, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the remaining jammer time
+    this.getJammerTime(function(err, remaining) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Set the new jammer date
+        self.getFactoryModel().setJammerDate(new Date(Date.now() + remaining + duration), callback);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Factory~jamCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Postpone the end of an active jammer by the given time, because the game was paused.
+ *
+ * @param {Number} time Time in milliseconds to postpone the jammer by.
+ */
+Factory.prototype.postponeJammer = function(time) {
+    // Store this instance
+    const self = this;
+
+    // Get the remaining jammer time
+    this.getJammerTime(function(err, remaining) {
+        // Show errors in the console
+        if(err !== null) {
+            console.error('Failed to postpone factory jammer, ignoring.');
+            console.error(err.stack || err);
+            return;
+        }
+
+        // Only postpone active jammers
+        if(remaining <= 0)
+            return;
+
+        // Move the jammer date forward
+        self.jam(time, function(err) {
+            // Show errors in the console
+            if(err !== null) {
+                console.error('Failed to store factory jammer date, ignoring.');
+                console.error(err.stack || err);
+            }
+        });
+    });
+};
+
 /**
  * Get the level for this factory.
  *
@@ -1365,124 +2131,102 @@ Factory.prototype.isUserInRange = function(liveUser, callback) {
 
 /**
  * Invoke a tick for this factory.
+ * This progresses a siege on the factory, and ticks the operation of the factory.
+ * Decoy factories don't do anything on a tick.
  *
  * @param {Factory~tickCallback} callback Called on success or when an error occurred.
  */
 Factory.prototype.tick = function(callback) {
-    // Create a callback latch
-    var latch = new CallbackLatch();
-
-    // Only call back once
-    var calledBack = false;
-
     // Store this instance
     const self = this;
 
-    // Create a variable for the production and value in/out
-    var productionIn,
-        productionOut,
-        valueIn;
-
-    // Get the production in
-    latch.add();
-    this.getProductionIn(function(err, result) {
+    // Skip the tick for decoys
+    this.isDecoy(function(err, decoy) {
         // Call back errors
         if(err !== null) {
-            if(!calledBack)
-                callback(err);
-            calledBack = true;
+            callback(err);
             return;
         }
 
-        // Set the production in
-        productionIn = result;
-
-        // Resolve the latch
-        latch.resolve();
-    });
-
-    // Get the production out
-    latch.add();
-    this.getProductionOut(function(err, result) {
-        // Call back errors
-        if(err !== null) {
-            if(!calledBack)
-                callback(err);
-            calledBack = true;
+        // Stop if the factory is a decoy
+        if(decoy) {
+            callback(null);
             return;
         }
 
-        // Set the production out
-        productionOut = result;
-
-        // Resolve the latch
-        latch.resolve();
-    });
-
-    // Get the value in
-    latch.add();
-    this.getFactoryModel().getIn(function(err, result) {
-        // Call back errors
-        if(err !== null) {
-            if(!calledBack)
+        // Progress the siege on this factory, stop if it has been conquered
+        self.progressSiege(function(err, siegeChanged, conquered) {
+            // Call back errors
+            if(err !== null) {
                 callback(err);
-            calledBack = true;
-            return;
-        }
+                return;
+            }
 
-        // Set the value in
-        valueIn = result;
+            // Stop if the factory was conquered, it's already updated
+            if(conquered) {
+                callback(null);
+                return;
+            }
 
-        // Resolve the latch
-        latch.resolve();
-    }, {
-        noCache: true
-    });
+            // Alert the owning team if the conquer value is getting close to zero
+            self.checkConquerAlert(function(err) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
 
-    // Continue
-    latch.then(function() {
-        // Make sure we've enough in
-        if(valueIn < productionIn) {
-            callback(null);
-            return;
-        }
+                // Continue the tick
+                self.tickOperation(siegeChanged, callback);
+            });
+        });
+    });
+};
 
-        // Reset the latch to it's identity
-        latch.identity();
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Factory~tickCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
 
-        // Subtract the in value
-        latch.add();
-        self.getFactoryModel().subtractIn(productionIn, function(err) {
-            // Call back errors
-            if(err !== null) {
-                if(!calledBack)
-                    callback(err);
-                calledBack = true;
-                return;
-            }
+/**
+ * Check whether the conquer value of this factory is getting close to zero, and alert the owning team if it is.
+ * The team is alerted once each time the conquer value reaches the alert margin.
+ *
+ * @param {Factory~checkConquerAlertCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.checkConquerAlert = function(callback) {
+    // Store this instance
+    const self = this;
 
-            // Resolve the latch
-            latch.resolve();
-        });
+    // Get the game configuration
+    this.getGame().getConfig(function(err, gameConfig) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
 
-        // Add the out value
-        latch.add();
-        self.getFactoryModel().addOut(productionOut, function(err) {
+        // Get the conquer value
+        self.getConquer(function(err, conquerValue, userCount, enemyStrength) {
             // Call back errors
             if(err !== null) {
-                if(!calledBack)
-                    callback(err);
-                calledBack = true;
+                callback(err);
                 return;
             }
 
-            // Resolve the latch
-            latch.resolve();
-        });
+            // Determine whether the factory is in danger, and remember it
+            // The factory is only in danger if enemies in range bring the conquer value within the margin
+            const danger = enemyStrength.total > 0 && conquerValue >= -gameConfig.factory.alertConquerMargin;
+            const wasDanger = self._conquerDanger;
+            self._conquerDanger = danger;
 
-        // Broadcast the location data when we're done, an call back
-        latch.then(function() {
-            self.broadcastData(callback);
+            // Alert the team if the factory just got in danger
+            if(danger && !wasDanger)
+                self.alertTeam('conquer', conquerValue, callback);
+            else
+                callback(null);
         });
     });
 };
@@ -1490,29 +2234,30 @@ Factory.prototype.tick = function(callback) {
 /**
  * Called on success or when an error occurred.
  *
- * @callback Factory~tickCallback
+ * @callback Factory~checkConquerAlertCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
  */
 
 /**
- * Get the range of the factory.
+ * Alert all members of the team owning this factory, because the factory is in danger.
+ * Alerts of the same type are rate limited by the alert interval from the game configuration.
  *
- * @param {User|undefined} liveUser Live user instance to get the range for, or undefined to get the global factory range.
- * @param {Factory~getRangeCallback} callback Called back with the range or when an error occurred.
+ * @param {string} type Alert type, 'enemy' if an enemy entered the range, 'conquer' if the conquer value is close to zero.
+ * @param {Number} conquerValue Current conquer value of the factory.
+ * @param {Factory~alertTeamCallback} callback Called on success or when an error occurred.
  */
-Factory.prototype.getRange = function(liveUser, callback) {
-    // Store this instance
-    const self = this;
-
+Factory.prototype.alertTeam = function(type, conquerValue, callback) {
     // Create a callback latch
     var latch = new CallbackLatch();
-
-    // Only call back once
     var calledBack = false;
 
-    // Get the config and lab level
+    // Store this instance
+    const self = this;
+
+    // Get the game config, factory name and team
     var gameConfig = null;
-    var level = null;
+    var factoryName = null;
+    var factoryTeam = null;
 
     // Get the game config
     latch.add();
@@ -1525,16 +2270,16 @@ Factory.prototype.getRange = function(liveUser, callback) {
             return;
         }
 
-        // Set the config
+        // Set the game config
         gameConfig = result;
 
         // Resolve the latch
         latch.resolve();
     });
 
-    // Get the lab level
+    // Get the factory name
     latch.add();
-    this.getLevel(function(err, result) {
+    this.getName(function(err, result) {
         // Call back errors
         if(err !== null) {
             if(!calledBack)
@@ -1543,81 +2288,15 @@ Factory.prototype.getRange = function(liveUser, callback) {
             return;
         }
 
-        // Set the lab level
-        level = result;
+        // Set the factory name
+        factoryName = result;
 
         // Resolve the latch
         latch.resolve();
     });
 
-    // Determine and call back the range when we fetched the required data
-    latch.then(function() {
-        // Check whether the active or global range should be used, call back the result
-        if(self.isInRangeMemory(liveUser))
-            callback(null, gameConfig.factory.getActiveRange(level));
-        else
-            callback(null, gameConfig.factory.getRange(level));
-    });
-};
-
-/**
- * Called back with the range or when an error occurred.
- *
- * @callback Factory~getRangeCallback
- * @param {Error|null} Error instance if an error occurred, null on success.
- * @param {Number=} Factory range in meters.
- */
-
-/**
- * Check whether this factory is visible for the given user.
- *
- * @param {User} liveUser Given user.
- * @param {Factory~getVisibilityStateCallback} callback Called with the result or when an error occurred.
- */
-Factory.prototype.getVisibilityState = function(liveUser, callback) {
-    // Create a result object
-    var resultObject = {
-        ally: false,
-        visible: false,
-        inRange: false,
-        pinged: false
-    };
-
-    // Make sure a valid user is given
-    if(liveUser === null) {
-        callback(null, resultObject);
-        return;
-    }
-
-    // Get the factory model and make sure it's valid
-    const factoryModel = this.getFactoryModel();
-    if(factoryModel === null) {
-        callback(null, resultObject);
-        return;
-    }
-
-    // Get the user and game model
-    const userModel = liveUser.getUserModel();
-    const gameModel = this.getGame().getGameModel();
-
-    // Define the current instance
-    const self = this;
-
-    // Create a callback latch
-    var latch = new CallbackLatch();
-
-    // Create a callback latch for the ally check
-    var allyLatch = new CallbackLatch();
-
-    // Only call back once
-    var calledBack = false;
-
-    // Create a variable for the factor and user team
-    var factoryTeam = null;
-    var userTeam = null;
-
-    // Get the factory's team
-    allyLatch.add();
+    // Get the factory team
+    latch.add();
     this.getTeam(function(err, result) {
         // Call back errors
         if(err !== null) {
@@ -1627,376 +2306,2153 @@ Factory.prototype.getVisibilityState = function(liveUser, callback) {
             return;
         }
 
-        // Store the factory team
+        // Set the factory team
         factoryTeam = result;
 
         // Resolve the latch
-        allyLatch.resolve();
+        latch.resolve();
     });
 
-    // Get the game user
-    latch.add();
-    allyLatch.add();
-    Core.model.gameUserModelManager.getGameUser(gameModel, userModel, function(err, gameUser) {
-        // Call back errors
-        if(err !== null) {
-            if(!calledBack)
-                callback(err);
-            calledBack = true;
+    // Continue
+    latch.then(function() {
+        // Call back if an alert of this type was sent recently, or if the factory doesn't have a team
+        const now = Date.now();
+        if(factoryTeam === null || (_.has(self._alertMem, type) && now - self._alertMem[type] < gameConfig.factory.alertInterval)) {
+            callback(null);
             return;
         }
 
-        // Resolve the latch if the game user is null
-        if(gameUser === null) {
-            latch.resolve();
-            allyLatch.resolve();
-            return;
-        }
+        // Remember the time of this alert
+        self._alertMem[type] = now;
 
-        // Get the user's team
-        gameUser.getTeam(function(err, result) {
-            // Call back errors
-            if(err !== null) {
-                if(!calledBack)
-                    callback(err);
-                calledBack = true;
-                return;
-            }
+        // Loop through the list of users
+        self.getGame().userManager.users.forEach(function(otherUser) {
+            // Get the user's team
+            otherUser.getTeam(function(err, otherTeam) {
+                // Handle errors
+                if(err !== null) {
+                    console.error('Failed to fetch user team, ignoring');
+                    console.error(err.stack || err);
+                    return;
+                }
 
-            // Set the user
-            userTeam = result;
+                // Make sure the user is part of the team owning this factory
+                if(otherTeam === null || !factoryTeam.getId().equals(otherTeam.getId()))
+                    return;
 
-            // Resolve the ally latch
-            allyLatch.resolve();
+                // Send the alert
+                Core.realTime.packetProcessor.sendPacketUser(PacketType.FACTORY_ALERT, {
+                    factory: self.getIdHex(),
+                    factoryName,
+                    type,
+                    conquerValue
+                }, otherUser.getUserModel());
+            });
         });
 
-        // Resolve the latch
-        latch.resolve();
+        // Call back
+        callback(null);
     });
+};
 
-    // Get the game stage
-    latch.add();
-    gameModel.getStage(function(err, gameStage) {
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Factory~alertTeamCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Tick the operation of this factory.
+ * This decays the factory if it's neglected, and progresses its construction if it's under construction.
+ * Operational factories are charged their upkeep, and produce goods if the upkeep was paid.
+ *
+ * @param {boolean} changed True if the factory already changed this tick, and its data must be broadcasted.
+ * @param {Factory~tickCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.tickOperation = function(changed, callback) {
+    // Store this instance
+    const self = this;
+
+    // Decay the factory if it's neglected
+    this.decay(function(err, decayChanged) {
         // Call back errors
         if(err !== null) {
-            if(!calledBack)
-                callback(err);
-            calledBack = true;
+            callback(err);
             return;
         }
 
-        // Get the user state
-        gameModel.getUserState(userModel, function(err, userState) {
+        // Include earlier changes
+        decayChanged = decayChanged || changed;
+
+        // Progress the construction of the factory
+        self.construct(function(err, constructionChanged, underConstruction) {
             // Call back errors
             if(err !== null) {
-                if(!calledBack)
-                    callback(err);
-                calledBack = true;
+                callback(err);
                 return;
             }
 
-            // Set the visibility state if the user is a spectator
-            if(userState.spectator || gameStage >= 2) {
-                resultObject.visible = true;
-                resultObject.inRange = false;
-            }
+            // Create a function to broadcast the factory data if anything changed, and to call back
+            const finish = function(changed) {
+                // Call back if nothing changed
+                if(!decayChanged && !constructionChanged && !changed) {
+                    callback(null);
+                    return;
+                }
 
-            // Set the visibility to true if the factory is pinged
-            if(self.isInPingMemory(liveUser)) {
-                resultObject.visible = true;
-                resultObject.pinged = true;
+                // Broadcast the factory data and call back
+                self.broadcastData(callback);
+            };
+
+            // Don't charge upkeep or produce while under construction
+            if(underConstruction) {
+                finish(false);
+                return;
             }
 
-            // Determine whether the factory is ally when we fetched the team data
-            latch.add();
-            allyLatch.then(function() {
-                // Make sure the user is a player
-                if(!userState.player) {
-                    latch.resolve();
+            // Pay the upkeep of the factory
+            self.payUpkeep(function(err, paid) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
                     return;
                 }
 
-                // Set the ally and visibility status if the teams equal and aren't null
-            if(factoryTeam !== null && userTeam !== null && factoryTeam.getId().equals(userTeam.getId())) {
-                    resultObject.ally = true;
-                    resultObject.visible = true;
-                }
+                // Remember whether the upkeep state changed
+                const upkeepChanged = self._upkeepUnpaid === paid;
+                self._upkeepUnpaid = !paid;
 
-                // Resolve the latch
-                latch.resolve();
-            });
+                // Don't produce if the upkeep wasn't paid
+                if(!paid) {
+                    finish(upkeepChanged);
+                    return;
+                }
 
-            // If the user is a player or special player, check whether he's in range
-            // Make sure the user has a recently known location
-            if((userState.player || userState.special) && liveUser.hasRecentLocation() && gameStage < 2) {
-                // Get the factory range
-                latch.add();
-                self.isUserInRange(liveUser, function(err, result) {
+                // Produce goods
+                self.produce(function(err, produced) {
                     // Call back errors
                     if(err !== null) {
-                        if(!calledBack)
-                            callback(err);
-                        calledBack = true;
+                        callback(err);
                         return;
                     }
 
-                    // Set whether the user is in range
-                    resultObject.inRange = result;
-
-                    // Set the visibility state if the factory is in range
-                    if(result)
-                        resultObject.visible = true;
-
-                    // Resolve the latch
-                    latch.resolve();
+                    // Finish
+                    finish(upkeepChanged || produced);
                 });
-            }
-
-            // Resolve the latch
-            latch.resolve();
+            });
         });
     });
-
-    // Call back the result object when we're done
-    latch.then(function() {
-        // Call back the results
-        callback(null, resultObject);
-    });
 };
 
 /**
- * Called with the result or when an error occurred.
+ * Get the construction state of this factory.
  *
- * @callback Factory~getVisibilityStateCallback
- * @param {Error|null} Error instance if an error occurred, null otherwise.
- * @param {VisibilityStateObject=} Object with the result.
+ * @param {Factory~getConstructionCallback} callback Called with the construction state or when an error occurred.
+ * @param {Object} [options] Model options.
  */
+Factory.prototype.getConstruction = function(callback, options) {
+    this.getFactoryModel().getConstruction(callback, options);
+};
 
 /**
- * @typedef {Object} VisibilityStateObject
- * @param {boolean} ally True if this factory is allied, false if not.
- * @param {boolean} visible True if the factory is visible for the user, false if not.
- * @param {boolean} inRange True if the factory is in the user's range, false if not.
- * @param {boolean} pinged True if the factory is pinged for the user, false if not.
+ * Called with the construction state or when an error occurred.
+ *
+ * @callback Factory~getConstructionCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {ConstructionObject=} Construction state.
  */
 
 /**
- * Get the conquer value for this factory.
- * If this value is above zero, the factory may be taken over by an other team.
+ * Check whether this factory is under construction.
  *
- * @param {Factory~getConquerCallback} callback Called with the conquer value or when an error occurred.
+ * @param {Factory~isUnderConstructionCallback} callback Called with the result or when an error occurred.
  */
-Factory.prototype.getConquer = function(callback) {
-    // Create a variable to store the conquer value and the user count
-    var conquerValue = 0;
-    var userCount = 0;
+Factory.prototype.isUnderConstruction = function(callback) {
+    this.getConstruction(function(err, construction) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
 
-    // Only call back once
-    var calledBack = false;
+        // Call back the result
+        callback(null, construction.remaining > 0);
+    });
+};
 
-    // Create a function to call back errors
-    const callbackError = function(err) {
-        if(!calledBack)
-            callback(err);
-        calledBack = true;
-    };
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Factory~isUnderConstructionCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the factory is under construction, false if not.
+ */
 
+/**
+ * Progress the construction of this factory by a single tick, if it's under construction.
+ * The construction only progresses while the constructing player is in range of the factory.
+ *
+ * @param {Factory~constructCallback} callback Called with the result or when an error occurred.
+ */
+Factory.prototype.construct = function(callback) {
     // Create a callback latch
     var latch = new CallbackLatch();
+    var calledBack = false;
 
     // Store this instance
     const self = this;
 
-    // Get the defence value of the lab
+    // Get the game config and construction state
+    var gameConfig = null;
+    var construction = null;
+
+    // Get the game config
     latch.add();
-    this.getDefence(function(err, defence) {
+    this.getGame().getConfig(function(err, result) {
         // Call back errors
         if(err !== null) {
-            callbackError(err);
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
             return;
         }
 
-        // Subtract the defence value from the conquer value
-        conquerValue -= defence;
+        // Set the game config
+        gameConfig = result;
 
         // Resolve the latch
         latch.resolve();
     });
 
-    // Get factory team
+    // Get the construction state
     latch.add();
-    this.getTeam(function(err, factoryTeam) {
+    this.getConstruction(function(err, result) {
         // Call back errors
         if(err !== null) {
-            callbackError(err);
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
             return;
         }
 
-        // Loop through the users that are in-range
-        self._userRangeMem.forEach(function(liveUser) {
-            // Make sure the user has a recently known location
-            if(!liveUser.hasRecentLocation())
-                return;
+        // Set the construction state
+        construction = result;
 
-            // Create a callback latch for this user
-            var userLatch = new CallbackLatch();
+        // Resolve the latch
+        latch.resolve();
+    }, {
+        noCache: true
+    });
 
-            // Create a variable to define the user strength and whether the user is in the ally team
-            var ally = null;
-            var userStrength = null;
+    // Continue
+    latch.then(function() {
+        // Call back if the factory isn't under construction
+        if(construction.remaining <= 0) {
+            callback(null, false, false);
+            return;
+        }
 
-            // Add a latch
-            latch.add();
+        // Create a function to set whether the construction is paused, which calls back if it is
+        const setPaused = function(paused) {
+            // Update the paused state
+            const pausedChanged = self._constructionPaused !== paused;
+            self._constructionPaused = paused;
 
-            // Check whether the user is ally
-            userLatch.add();
-            liveUser.isTeam(factoryTeam, function(err, result) {
-                // Call back errors
-                if(err !== null) {
-                    callbackError(err);
-                    return;
-                }
+            // Call back if the construction is paused
+            if(paused)
+                callback(null, pausedChanged, true);
+        };
 
-                // Set the result
-                ally = result;
+        // Pause the construction if nobody is constructing
+        if(construction.user === null) {
+            setPaused(true);
+            return;
+        }
 
-                // Resolve the user latch
-                userLatch.resolve();
-            });
+        // Get the live user that is constructing
+        self.getGame().getUser(construction.user, function(err, liveUser) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
 
-            // Get the user's strength
-            userLatch.add();
-            liveUser.getStrength(function(err, result) {
+            // Check whether the user is in range
+            self.isUserInRange(liveUser, function(err, inRange) {
                 // Call back errors
                 if(err !== null) {
-                    callbackError(err);
+                    callback(err);
                     return;
                 }
 
-                // Set the team
-                userStrength = result;
+                // Pause the construction if the user isn't in range
+                setPaused(!inRange);
+                if(!inRange)
+                    return;
 
-                // Resolve the user latch
-                userLatch.resolve();
-            });
+                // Progress the construction by the tick interval
+                self.getFactoryModel().incrementFields({
+                    construction: -Math.min(gameConfig.game.tickInterval, construction.remaining)
+                }, function(err, values) {
+                    // Call back errors
+                    if(err !== null) {
+                        callback(err);
+                        return;
+                    }
 
-            // Process the user's team and strength when fetched
-            userLatch.then(function() {
-                // Process the strength if valid
-                if(userStrength !== null) {
-                    // Add or subtract the user strength from the conquer value, depending if the user is an ally or not
-                    conquerValue += ally ? -userStrength : userStrength;
+                    // Call back if the construction was changed in the meanwhile
+                    if(values === null) {
+                        callback(null, false, true);
+                        return;
+                    }
 
-                    // Increase the user count
-                    userCount++;
-                }
+                    // Call back if the construction isn't finished yet
+                    if(values.construction > 0) {
+                        callback(null, true, true);
+                        return;
+                    }
 
-                // Resolve the latch
-                latch.resolve();
-            });
-        });
+                    // Notify the constructing user
+                    self.getName(function(err, name) {
+                        // Call back errors
+                        if(err !== null) {
+                            callback(err);
+                            return;
+                        }
 
-        // Resolve the latch
-        latch.resolve();
-    });
+                        // Send a notification
+                        Core.realTime.packetProcessor.sendPacketUser(PacketType.MESSAGE_RESPONSE, {
+                            error: false,
+                            message: 'The construction of your ' + self.getGame().__('factory.name') + ' <b>' + name + '</b> is finished!',
+                            dialog: false,
+                            toast: true
+                        }, construction.user);
 
-    // Call back the conquer value when the latch is resolved
-    latch.then(function() {
-        callback(null, conquerValue, userCount);
+                        // Call back
+                        callback(null, true, false);
+                    });
+                });
+            });
+        });
     });
 };
 
 /**
- * Called with the conquer value or when an error occurred.
+ * Called with the result or when an error occurred.
  *
- * @callback Factory~getConquerCallback
+ * @callback Factory~constructCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
- * @param {Number=} Current conquer value for this factory.
- * @param {Number=} Number of users that defined this conquer value.
+ * @param {boolean=} True if the construction state changed, false if not.
+ * @param {boolean=} True if the factory is still under construction, false if it's operational.
  */
 
 /**
- * Check whether this factory is owned by the given team.
- * Null is also called back if the team of the current factory is unknown and/or if the given team is null.
+ * Start a construction on this factory, for example when it's upgraded.
+ * The construction time is added to any remaining construction time.
  *
- * @param {GameTeamModel} otherTeam Other team.
- * @param {Factory~isTeamCallback} callback Called back with the result or when an error occurred.
+ * @param {Number} time Construction time in milliseconds.
+ * @param {UserModel} user User that must stay near the factory to construct it.
+ * @param {Factory~startConstructionCallback} callback Called on success or when an error occurred.
  */
-Factory.prototype.isTeam = function(otherTeam, callback) {
-    // Call back if the other team is null
-    if(otherTeam === null) {
-        callback(null, false);
+Factory.prototype.startConstruction = function(time, user, callback) {
+    // Get the factory model
+    const factoryModel = this.getFactoryModel();
+
+    // Call back if there's nothing to construct
+    if(time <= 0) {
+        callback(null);
         return;
     }
 
-    // Get the team of the current user
-    this.getTeam(function(err, team) {
+    // Get the current construction state
+    this.getConstruction(function(err, construction) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Call back false if the team is unknown
-        if(team === null) {
-            callback(null, false);
-            return;
-        }
+        // Reset the total construction time if the last construction is finished
+        var fields = {
+            construction: time,
+            construction_time: construction.remaining > 0 ? time : time - construction.time
+        };
 
-        // Compare the teams and return the result
-        callback(null, team.getId().equals(otherTeam.getId()));
+        // Add the construction time
+        factoryModel.incrementFields(fields, function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Set the constructing user
+            factoryModel.setConstructionUser(user, callback);
+        });
+    }, {
+        noCache: true
     });
 };
 
 /**
- * Called back with the result or when an error occurred.
+ * Called on success or when an error occurred.
  *
- * @callback Factory~isTeamCallback
+ * @callback Factory~startConstructionCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
- * @param {boolean=} True if the teams are the same, false if not.
  */
 
 /**
- * Attack the factory.
+ * Start the construction of a level upgrade that was just bought for this factory.
+ * The construction time depends on the new level of the factory.
  *
- * @param {User} user User that is attacking this factory.
- * @param {Factory~attackCallback} callback Called on success or when an error occurred.
+ * @param {UserModel} user User that bought the upgrade, and must stay near the factory to construct it.
+ * @param {Factory~startConstructionCallback} callback Called on success or when an error occurred.
  */
-Factory.prototype.attack = function(user, callback) {
-    // Create a callback latch
-    var latch = new CallbackLatch();
-
-    // Only call back once
-    var calledBack = false;
-
-    // Create a variable for the user's and factory's team
-    var factoryTeam = null;
-    var userTeam = null;
-    
+Factory.prototype.startLevelConstruction = function(user, callback) {
     // Store this instance
     const self = this;
 
-    // Get the factory's team
-    latch.add();
-    self.getTeam(function(err, result) {
+    // Get the game configuration
+    this.getGame().getConfig(function(err, gameConfig) {
         // Call back errors
         if(err !== null) {
-            if(!calledBack)
-                callback(err);
-            calledBack = true;
+            callback(err);
             return;
         }
 
-        // Set the factory team
-        factoryTeam = result;
+        // Get the new level of the factory
+        self.getLevel(function(err, level) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
 
-        // Resolve the latch
-        latch.resolve();
+            // Start the construction
+            self.startConstruction(gameConfig.factory.getLevelUpgradeTime(level), user, callback);
+        }, {
+            noCache: true
+        });
     });
+};
 
-    // Get the user's team
+/**
+ * Get the effective defence value of this factory.
+ * The defence is reduced while the factory is under construction.
+ *
+ * @param {Factory~getEffectiveDefenceCallback} callback Called with the defence value or when an error occurred.
+ */
+Factory.prototype.getEffectiveDefence = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the game config, defence and whether the factory is under construction
+    var gameConfig = null;
+    var defence = null;
+    var underConstruction = null;
+
+    // Get the game config
+    latch.add();
+    this.getGame().getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the game config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the defence
+    latch.add();
+    this.getDefence(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the defence
+        defence = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Check whether the factory is under construction
+    latch.add();
+    this.isUnderConstruction(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the construction state
+        underConstruction = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Call back the defence, reduce it while under construction
+    latch.then(function() {
+        if(underConstruction)
+            callback(null, Math.floor(defence * gameConfig.factory.constructionDefenceRatio));
+        else
+            callback(null, defence);
+    });
+};
+
+/**
+ * Called with the defence value or when an error occurred.
+ *
+ * @callback Factory~getEffectiveDefenceCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Effective defence value.
+ */
+
+/**
+ * Get the upkeep cost of this factory for each tick.
+ *
+ * @param {Factory~getUpkeepCallback} callback Called with the upkeep or when an error occurred.
+ */
+Factory.prototype.getUpkeep = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the game config and level
+    var gameConfig = null;
+    var level = null;
+
+    // Get the game config
+    latch.add();
+    this.getGame().getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the game config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the factory level
+    latch.add();
+    this.getFactoryModel().getLevel(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the level
+        level = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Calculate the upkeep
+    latch.then(function() {
+        callback(null, gameConfig.factory.getUpkeep(level));
+    });
+};
+
+/**
+ * Called with the upkeep or when an error occurred.
+ *
+ * @callback Factory~getUpkeepCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Upkeep cost for each tick.
+ */
+
+/**
+ * Pay the upkeep of this factory for a single tick.
+ * Depending on the game configuration, the upkeep is paid by the builder of the factory or by the team treasury.
+ * The team treasury is also charged if the builder isn't part of the team owning the factory anymore.
+ *
+ * @param {Factory~payUpkeepCallback} callback Called with the result or when an error occurred.
+ */
+Factory.prototype.payUpkeep = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Only call back once
+    var calledBack = false;
+
+    // Store this instance
+    const self = this;
+
+    // Get the factory model
+    const factoryModel = this.getFactoryModel();
+
+    // Create variables for the game config, upkeep, factory team and builder
+    var gameConfig = null;
+    var upkeep = null;
+    var factoryTeam = null;
+    var builder = null;
+
+    // Get the game config
+    latch.add();
+    this.getGame().getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the game config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the upkeep
+    latch.add();
+    this.getUpkeep(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the upkeep
+        upkeep = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the factory team
+    latch.add();
+    factoryModel.getTeam(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the factory team
+        factoryTeam = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the builder
+    latch.add();
+    factoryModel.getUser(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the builder
+        builder = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Continue
+    latch.then(function() {
+        // Call back if there's nothing to pay, or if the factory doesn't have a team to pay for it
+        if(upkeep <= 0 || factoryTeam === null) {
+            callback(null, true);
+            return;
+        }
+
+        // Create a function to charge the given model, and to call back the result
+        const charge = function(model, field) {
+            model.incrementFields({
+                [field]: -upkeep
+            }, function(err, values) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Call back whether the upkeep was paid
+                callback(null, values !== null);
+            });
+        };
+
+        // Charge the team treasury if configured
+        if(gameConfig.factory.upkeepPayer !== 'builder') {
+            charge(factoryTeam, 'treasury');
+            return;
+        }
+
+        // Get the game user of the builder
+        Core.model.gameUserModelManager.getGameUser(self.getGame().getGameModel(), builder, function(err, gameUser) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Charge the team treasury if the builder isn't in the game anymore
+            if(gameUser === null) {
+                charge(factoryTeam, 'treasury');
+                return;
+            }
+
+            // Get the team of the builder
+            gameUser.getTeam(function(err, builderTeam) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Charge the team treasury if the builder isn't part of the factory team anymore
+                if(builderTeam === null || !builderTeam.getId().equals(factoryTeam.getId())) {
+                    charge(factoryTeam, 'treasury');
+                    return;
+                }
+
+                // Charge the builder
+                charge(gameUser, 'money');
+            });
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Factory~payUpkeepCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the upkeep was paid, false if there wasn't enough money.
+ */
+
+/**
+ * Get the date a friendly player last visited this factory.
+ *
+ * @param {Factory~getVisitDateCallback} callback Called with the visit date or when an error occurred.
+ */
+Factory.prototype.getVisitDate = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Call back the remembered visit date if known
+    if(this._visitDate !== null) {
+        callback(null, this._visitDate);
+        return;
+    }
+
+    // Get the visit date from the factory model
+    this.getFactoryModel().getVisitDate(function(err, visitDate) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Remember the visit date, unless a visit was registered in the meanwhile
+        if(self._visitDate === null) {
+            self._visitDate = visitDate;
+            self._visitStoreDate = visitDate;
+        }
+
+        // Call back the visit date
+        callback(null, self._visitDate);
+    });
+};
+
+/**
+ * Called with the visit date or when an error occurred.
+ *
+ * @callback Factory~getVisitDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date=} Date a friendly player last visited this factory.
+ */
+
+/**
+ * Register a visit of a friendly player to this factory, which resets its decay.
+ * The visit is stored in the factory model, at most once every visit store interval.
+ *
+ * @param {Factory~visitCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.visit = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Make sure the visit date is loaded
+    this.getVisitDate(function(err) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Remember the visit
+        const now = new Date();
+        self._visitDate = now;
+
+        // Call back if the visit was stored recently
+        if(now.getTime() - self._visitStoreDate.getTime() < Factory.VISIT_STORE_INTERVAL) {
+            callback(null);
+            return;
+        }
+
+        // Store the visit date
+        self._visitStoreDate = now;
+        self.getFactoryModel().setVisitDate(now, callback);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Factory~visitCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Postpone the decay of this factory by the given time, by moving its visit date forward.
+ * This is used to freeze decay while a game is paused.
+ *
+ * @param {Number} time Time in milliseconds to postpone the decay by.
+ */
+Factory.prototype.postponeDecay = function(time) {
+    // Store this instance
+    const self = this;
+
+    // Get the visit date
+    this.getVisitDate(function(err, visitDate) {
+        // Show errors in the console
+        if(err !== null) {
+            console.error('Failed to postpone factory decay, ignoring.');
+            console.error(err.stack || err);
+            return;
+        }
+
+        // Move the visit date forward, and store it
+        self._visitDate = new Date(visitDate.getTime() + time);
+        self._visitStoreDate = new Date();
+        self.getFactoryModel().setVisitDate(self._visitDate, function(err) {
+            // Show errors in the console
+            if(err !== null) {
+                console.error('Failed to store factory visit date, ignoring.');
+                console.error(err.stack || err);
+            }
+        });
+    });
+};
+
+/**
+ * Get the decay state of this factory, based on the last visit of a friendly player.
+ *
+ * @param {Factory~getDecayStateCallback} callback Called with the decay state or when an error occurred.
+ */
+Factory.prototype.getDecayState = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Get the game config and visit date
+    var gameConfig = null;
+    var visitDate = null;
+
+    // Get the game config
+    latch.add();
+    this.getGame().getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the game config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the visit date
+    latch.add();
+    this.getVisitDate(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the visit date
+        visitDate = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Determine the decay state
+    latch.then(function() {
+        // Get the decay times, and the time this factory has been neglected
+        const decayTime = gameConfig.factory.decayTime;
+        const warningTime = gameConfig.factory.decayWarningTime;
+        const neglectTime = Date.now() - visitDate.getTime();
+        const enabled = decayTime > 0;
+
+        // Call back the state
+        callback(null, {
+            enabled,
+            neglectTime,
+            decayTime,
+            remainingTime: Math.max(decayTime - neglectTime, 0),
+            warning: enabled && neglectTime < decayTime && neglectTime >= decayTime - warningTime,
+            decaying: enabled && neglectTime >= decayTime
+        });
+    });
+};
+
+/**
+ * Called with the decay state or when an error occurred.
+ *
+ * @callback Factory~getDecayStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {DecayStateObject=} Decay state.
+ */
+
+/**
+ * @typedef {Object} DecayStateObject
+ * @param {boolean} enabled True if decay is enabled for this game.
+ * @param {Number} neglectTime Time in milliseconds since a friendly player last visited the factory.
+ * @param {Number} decayTime Time in milliseconds a factory may be neglected before it starts to decay.
+ * @param {Number} remainingTime Time in milliseconds until the factory starts to decay.
+ * @param {boolean} warning True if the factory is about to decay.
+ * @param {boolean} decaying True if the factory is decaying.
+ */
+
+/**
+ * Decay this factory if it's neglected.
+ * A neglected factory loses defence on every decay interval, and loses a level when it doesn't have any defence left.
+ *
+ * @param {Factory~decayCallback} callback Called with the result or when an error occurred.
+ */
+Factory.prototype.decay = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Store this instance
+    const self = this;
+
+    // Get the factory model
+    const factoryModel = this.getFactoryModel();
+
+    // Get the game config and decay state
+    var gameConfig = null;
+    var decayState = null;
+
+    // Get the game config
+    latch.add();
+    this.getGame().getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the game config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the decay state
+    latch.add();
+    this.getDecayState(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the decay state
+        decayState = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Continue
+    latch.then(function() {
+        // Remember whether the warning state changed
+        const warning = decayState.warning || decayState.decaying;
+        const warningChanged = self._decayWarning !== warning;
+        self._decayWarning = warning;
+
+        // Call back if the factory isn't decaying
+        if(!decayState.decaying) {
+            self._decayDate = null;
+            callback(null, warningChanged);
+            return;
+        }
+
+        // Call back if the factory decayed recently
+        const now = new Date();
+        if(self._decayDate !== null && now.getTime() - self._decayDate.getTime() < gameConfig.factory.decayInterval) {
+            callback(null, warningChanged);
+            return;
+        }
+        self._decayDate = now;
+
+        // Reset the latch to it's identity
+        latch.identity();
+
+        // Get the current defence and level
+        var defence = null;
+        var level = null;
+
+        // Get the defence
+        latch.add();
+        factoryModel.getDefence(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the defence
+            defence = result;
+
+            // Resolve the latch
+            latch.resolve();
+        }, {
+            noCache: true
+        });
+
+        // Get the level
+        latch.add();
+        factoryModel.getLevel(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the level
+            level = result;
+
+            // Resolve the latch
+            latch.resolve();
+        }, {
+            noCache: true
+        });
+
+        // Decay the defence, or the level if there's no defence left
+        latch.then(function() {
+            // Determine what to decay
+            var fields = null;
+            const defenceLoss = Math.min(gameConfig.factory.decayDefence, defence);
+            if(defenceLoss > 0)
+                fields = {
+                    defence: -defenceLoss
+                };
+            else if(defence <= 0 && level > 1)
+                fields = {
+                    level: -1
+                };
+
+            // Call back if there's nothing left to decay
+            if(fields === null) {
+                callback(null, warningChanged);
+                return;
+            }
+
+            // Decay the factory
+            factoryModel.incrementFields(fields, function(err, values) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Call back whether the factory changed
+                callback(null, warningChanged || values !== null);
+            });
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Factory~decayCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the factory or its decay state changed, false if not.
+ */
+
+/**
+ * Produce goods, by converting the input goods in the factory into output goods.
+ *
+ * @param {Factory~produceCallback} callback Called with the result or when an error occurred.
+ */
+Factory.prototype.produce = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Only call back once
+    var calledBack = false;
+
+    // Store this instance
+    const self = this;
+
+    // Create a variable for the production and value in/out
+    var productionIn,
+        productionOut,
+        valueIn;
+
+    // Get the production in
+    latch.add();
+    this.getProductionIn(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the production in
+        productionIn = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the production out
+    latch.add();
+    this.getProductionOut(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the production out
+        productionOut = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the value in
+    latch.add();
+    this.getFactoryModel().getIn(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the value in
+        valueIn = result;
+
+        // Resolve the latch
+        latch.resolve();
+    }, {
+        noCache: true
+    });
+
+    // Continue
+    latch.then(function() {
+        // Make sure we've enough in
+        if(valueIn < productionIn) {
+            callback(null, false);
+            return;
+        }
+
+        // Reset the latch to it's identity
+        latch.identity();
+
+        // Convert the in into out in a single atomic operation
+        latch.add();
+        self.getFactoryModel().incrementFields({
+            in: -productionIn,
+            out: productionOut
+        }, function(err, values) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Skip this tick if the in was taken out in the meanwhile
+            if(values === null) {
+                if(!calledBack)
+                    callback(null, false);
+                calledBack = true;
+                return;
+            }
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Call back when we're done
+        latch.then(function() {
+            callback(null, true);
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Factory~produceCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if goods were produced, false if not.
+ */
+
+/**
+ * Get the range of the factory.
+ *
+ * @param {User|undefined} liveUser Live user instance to get the range for, or undefined to get the global factory range.
+ * @param {Factory~getRangeCallback} callback Called back with the range or when an error occurred.
+ */
+Factory.prototype.getRange = function(liveUser, callback) {
+    // Store this instance
+    const self = this;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Only call back once
+    var calledBack = false;
+
+    // Get the config, lab level and type
+    var gameConfig = null;
+    var level = null;
+    var type = null;
+
+    // Get the game config
+    latch.add();
+    this.getGame().getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the lab level
+    latch.add();
+    this.getLevel(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the lab level
+        level = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the lab type
+    latch.add();
+    this.getTypeConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the lab type
+        type = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Determine and call back the range when we fetched the required data
+    latch.then(function() {
+        // Check whether the active or global range should be used, apply the range ratio of the type and call back the result
+        if(self.isInRangeMemory(liveUser))
+            callback(null, gameConfig.factory.getActiveRange(level) * type.rangeRatio);
+        else
+            callback(null, gameConfig.factory.getRange(level) * type.rangeRatio);
+    });
+};
+
+/**
+ * Called back with the range or when an error occurred.
+ *
+ * @callback Factory~getRangeCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Number=} Factory range in meters.
+ */
+
+/**
+ * Check whether this factory is visible for the given user.
+ *
+ * @param {User} liveUser Given user.
+ * @param {Factory~getVisibilityStateCallback} callback Called with the result or when an error occurred.
+ */
+Factory.prototype.getVisibilityState = function(liveUser, callback) {
+    // Create a result object
+    var resultObject = {
+        ally: false,
+        visible: false,
+        inRange: false,
+        pinged: false,
+        decoy: false,
+        jammed: false
+    };
+
+    // Make sure a valid user is given
+    if(liveUser === null) {
+        callback(null, resultObject);
+        return;
+    }
+
+    // Get the factory model and make sure it's valid
+    const factoryModel = this.getFactoryModel();
+    if(factoryModel === null) {
+        callback(null, resultObject);
+        return;
+    }
+
+    // Get the user and game model
+    const userModel = liveUser.getUserModel();
+    const gameModel = this.getGame().getGameModel();
+
+    // Define the current instance
+    const self = this;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Create a callback latch for the ally check
+    var allyLatch = new CallbackLatch();
+
+    // Only call back once
+    var calledBack = false;
+
+    // Create a variable for the factor and user team, and whether the factory is a decoy or jammed
+    var factoryTeam = null;
+    var userTeam = null;
+    var decoy = false;
+    var jammed = false;
+
+    // Check whether the factory is a decoy
+    latch.add();
+    this.isDecoy(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the decoy state
+        decoy = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Check whether the factory is jammed
+    latch.add();
+    this.getJammerTime(function(err, remaining) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the jammed state
+        jammed = remaining > 0;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the factory's team
+    allyLatch.add();
+    this.getTeam(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Store the factory team
+        factoryTeam = result;
+
+        // Resolve the latch
+        allyLatch.resolve();
+    });
+
+    // Get the game user
+    latch.add();
+    allyLatch.add();
+    Core.model.gameUserModelManager.getGameUser(gameModel, userModel, function(err, gameUser) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Resolve the latch if the game user is null
+        if(gameUser === null) {
+            latch.resolve();
+            allyLatch.resolve();
+            return;
+        }
+
+        // Get the user's team
+        gameUser.getTeam(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the user
+            userTeam = result;
+
+            // Resolve the ally latch
+            allyLatch.resolve();
+        });
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the game stage
+    latch.add();
+    gameModel.getStage(function(err, gameStage) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Get the user state
+        gameModel.getUserState(userModel, function(err, userState) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the visibility state if the user is a spectator
+            if(userState.spectator || gameStage === 2) {
+                resultObject.visible = true;
+                resultObject.inRange = false;
+            }
+
+            // Set the pinged state, the visibility is determined when we know whether the factory is jammed
+            if(self.isInPingMemory(liveUser))
+                resultObject.pinged = true;
+
+            // Determine whether the factory is ally when we fetched the team data
+            latch.add();
+            allyLatch.then(function() {
+                // Make sure the user is a player
+                if(!userState.player) {
+                    latch.resolve();
+                    return;
+                }
+
+                // Set the ally and visibility status if the teams equal and aren't null
+            if(factoryTeam !== null && userTeam !== null && factoryTeam.getId().equals(userTeam.getId())) {
+                    resultObject.ally = true;
+                    resultObject.visible = true;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // If the user is a player or special player, check whether he's in range
+            // Make sure the user has a recently known location
+            if((userState.player || userState.special) && liveUser.hasRecentLocation() && gameStage !== 2) {
+                // Get the factory range
+                latch.add();
+                self.isUserInRange(liveUser, function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set whether the user is in range
+                    resultObject.inRange = result;
+
+                    // Set the visibility state if the factory is in range
+                    if(result)
+                        resultObject.visible = true;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            }
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back the result object when we're done
+    latch.then(function() {
+        // A jammer hides the factory from enemy pings, make it visible if it's pinged otherwise
+        if(jammed && !resultObject.ally)
+            resultObject.pinged = false;
+        if(resultObject.pinged)
+            resultObject.visible = true;
+
+        // Only tell allies whether the factory is a decoy or jammed
+        resultObject.decoy = resultObject.ally && decoy;
+        resultObject.jammed = resultObject.ally && jammed;
+
+        // Call back the results
+        callback(null, resultObject);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Factory~getVisibilityStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {VisibilityStateObject=} Object with the result.
+ */
+
+/**
+ * @typedef {Object} VisibilityStateObject
+ * @param {boolean} ally True if this factory is allied, false if not.
+ * @param {boolean} visible True if the factory is visible for the user, false if not.
+ * @param {boolean} inRange True if the factory is in the user's range, false if not.
+ * @param {boolean} pinged True if the factory is pinged for the user, false if not.
+ * @param {boolean} decoy True if the factory is a decoy, only set for allies.
+ * @param {boolean} jammed True if the factory is hidden from enemy pings by a jammer, only set for allies.
+ */
+
+/**
+ * Get the conquer value for this factory.
+ * If this value is above zero, the factory may be taken over by an other team.
+ *
+ * @param {Factory~getConquerCallback} callback Called with the conquer value or when an error occurred.
+ */
+Factory.prototype.getConquer = function(callback) {
+    // Create a variable to store the conquer value, the user count and the strength of enemies
+    var conquerValue = 0;
+    var userCount = 0;
+    var enemyStrength = {
+        total: 0,
+        teams: {}
+    };
+
+    // Only call back once
+    var calledBack = false;
+
+    // Create a function to call back errors
+    const callbackError = function(err) {
+        if(!calledBack)
+            callback(err);
+        calledBack = true;
+    };
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Store this instance
+    const self = this;
+
+    // Get the defence value of the lab, which is reduced while it's under construction
+    latch.add();
+    this.getEffectiveDefence(function(err, defence) {
+        // Call back errors
+        if(err !== null) {
+            callbackError(err);
+            return;
+        }
+
+        // Subtract the defence value from the conquer value
+        conquerValue -= defence;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get factory team
+    latch.add();
+    this.getTeam(function(err, factoryTeam) {
+        // Call back errors
+        if(err !== null) {
+            callbackError(err);
+            return;
+        }
+
+        // Loop through the users that are in-range
+        self._userRangeMem.forEach(function(liveUser) {
+            // Make sure the user has a recently known location
+            if(!liveUser.hasRecentLocation())
+                return;
+
+            // Create a callback latch for this user
+            var userLatch = new CallbackLatch();
+
+            // Create a variable to define the user strength, the team of the user, whether the user is in the ally team and whether the user is in a safe zone
+            var ally = null;
+            var userTeam = null;
+            var userStrength = null;
+            var inSafeZone = false;
+
+            // Add a latch
+            latch.add();
+
+            // Get the team of the user, and check whether the user is ally
+            userLatch.add();
+            liveUser.getTeam(function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    callbackError(err);
+                    return;
+                }
+
+                // Set the team, and whether the user is ally
+                userTeam = result;
+                ally = userTeam !== null && factoryTeam !== null && userTeam.getId().equals(factoryTeam.getId());
+
+                // Resolve the user latch
+                userLatch.resolve();
+            });
+
+            // Get the user's strength
+            userLatch.add();
+            liveUser.getStrength(function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    callbackError(err);
+                    return;
+                }
+
+                // Set the team
+                userStrength = result;
+
+                // Resolve the user latch
+                userLatch.resolve();
+            });
+
+            // Check whether the user is inside a safe zone, users in a safe zone don't count
+            userLatch.add();
+            self.getGame().isInSafeZone(liveUser.getLocation(), function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    callbackError(err);
+                    return;
+                }
+
+                // Set the result
+                inSafeZone = result;
+
+                // Resolve the user latch
+                userLatch.resolve();
+            });
+
+            // Process the user's team and strength when fetched
+            userLatch.then(function() {
+                // Process the strength if valid, and if the user isn't in a safe zone
+                if(userStrength !== null && !inSafeZone) {
+                    // Add or subtract the user strength from the conquer value, depending if the user is an ally or not
+                    conquerValue += ally ? -userStrength : userStrength;
+
+                    // Increase the user count
+                    userCount++;
+
+                    // Add the strength of enemies to the total and to their team
+                    if(!ally) {
+                        enemyStrength.total += userStrength;
+                        if(userTeam !== null)
+                            enemyStrength.teams[userTeam.getIdHex()] = (enemyStrength.teams[userTeam.getIdHex()] || 0) + userStrength;
+                    }
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Call back the conquer value when the latch is resolved
+    latch.then(function() {
+        callback(null, conquerValue, userCount, enemyStrength);
+    });
+};
+
+/**
+ * Called with the conquer value or when an error occurred.
+ *
+ * @callback Factory~getConquerCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number=} Current conquer value for this factory.
+ * @param {Number=} Number of users that defined this conquer value.
+ * @param {EnemyStrengthObject=} Strength of the enemies in range, that is part of the conquer value.
+ */
+
+/**
+ * @typedef {Object} EnemyStrengthObject
+ * @param {Number} total Total strength of all enemies in range.
+ * @param {Object} teams Strength of the enemies in range for each team, by the team ID.
+ */
+
+/**
+ * Check whether this factory is owned by the given team.
+ * Null is also called back if the team of the current factory is unknown and/or if the given team is null.
+ *
+ * @param {GameTeamModel} otherTeam Other team.
+ * @param {Factory~isTeamCallback} callback Called back with the result or when an error occurred.
+ */
+Factory.prototype.isTeam = function(otherTeam, callback) {
+    // Call back if the other team is null
+    if(otherTeam === null) {
+        callback(null, false);
+        return;
+    }
+
+    // Get the team of the current user
+    this.getTeam(function(err, team) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back false if the team is unknown
+        if(team === null) {
+            callback(null, false);
+            return;
+        }
+
+        // Compare the teams and return the result
+        callback(null, team.getId().equals(otherTeam.getId()));
+    });
+};
+
+/**
+ * Called back with the result or when an error occurred.
+ *
+ * @callback Factory~isTeamCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the teams are the same, false if not.
+ */
+
+/**
+ * Check whether this factory is protected from attacks by the given user.
+ * The factory is protected if the factory itself or the attacking user is inside a safe zone.
+ *
+ * @param {User} liveUser Live user that is attacking.
+ * @param {Factory~isProtectedFromCallback} callback Called with the result or when an error occurred.
+ */
+Factory.prototype.isProtectedFrom = function(liveUser, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the factory location
+    this.getFactoryModel().getLocation(function(err, factoryLocation) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Check whether the factory is inside a safe zone
+        self.getGame().isInSafeZone(factoryLocation, function(err, factoryProtected) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back if the factory is protected, or if the location of the user is unknown
+            if(factoryProtected || !liveUser.hasLocation()) {
+                callback(null, factoryProtected);
+                return;
+            }
+
+            // Check whether the user is inside a safe zone
+            self.getGame().isInSafeZone(liveUser.getLocation(), callback);
+        });
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Factory~isProtectedFromCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the factory is protected by a safe zone, false if not.
+ */
+
+/**
+ * Attack the factory.
+ * The factory is conquered right away, or a siege is started on it in the siege capture mode.
+ *
+ * @param {User} user User that is attacking this factory.
+ * @param {Factory~attackCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.attack = function(user, callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Only call back once
+    var calledBack = false;
+
+    // Create a variable for the user's and factory's team
+    var factoryTeam = null;
+    var userTeam = null;
+    
+    // Store this instance
+    const self = this;
+
+    // Get the factory's team
+    latch.add();
+    self.getTeam(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the factory team
+        factoryTeam = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the user's team
+    latch.add();
+    user.getTeam(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Make sure the user's team isn't null
+        if(result === null) {
+            if(!calledBack)
+                callback(new Error('User doesn\'t have team'));
+            calledBack = true;
+            return;
+        }
+
+        // Set the user's team
+        userTeam = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Make sure the conquer value is above zero
+    latch.add();
+    this.getConquer(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Make sure the value is above zero
+        if(result <= 0) {
+            if(!calledBack)
+                callback(new Error('Conquer value must be above zero'));
+            calledBack = true;
+            return;
+        }
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Make sure the factory isn't protected by a safe zone
+    latch.add();
+    this.isProtectedFrom(user, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Make sure the factory isn't protected
+        if(result) {
+            if(!calledBack)
+                callback(new Error('Factory can\'t be attacked in a safe zone'));
+            calledBack = true;
+            return;
+        }
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Continue when the latch is resolved
+    latch.then(function() {
+        // Reset the latch
+        latch.identity();
+        
+        // Make sure the user's team is different than the factories team
+        if(factoryTeam !== null && factoryTeam.getId().equals(userTeam.getId())) {
+            if(!calledBack)
+                callback(new Error('User can\'t take over ally factory'));
+            calledBack = true;
+            return;
+        }
+        
+        // Get the game configuration
+        self.getGame().getConfig(function(err, gameConfig) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Check whether the factory is a decoy
+            self.isDecoy(function(err, decoy) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Start a siege in the siege capture mode, the factory is conquered when the siege is complete, decoys are destroyed right away
+                if(gameConfig.factory.captureMode === 'siege' && !decoy) {
+                    self.startSiege(user, userTeam, callback);
+                    return;
+                }
+
+                // Conquer the factory right away
+                self.conquer(user, userTeam, factoryTeam, callback);
+            });
+        });
+    });
+};
+
+/**
+ * Called when the factory has successfully been attacked or when an error occurred.
+ *
+ * @callback Factory~attackCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Start a siege on this factory, for the siege capture mode.
+ * A siege by a different team replaces the current siege.
+ *
+ * @param {User} user User that starts the siege.
+ * @param {GameTeamModel} userTeam Team of the user.
+ * @param {Factory~startSiegeCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.startSiege = function(user, userTeam, callback) {
+    // Call back if the team is already besieging this factory
+    if(this._siege !== null && this._siege.team.getId().equals(userTeam.getId())) {
+        callback(null);
+        return;
+    }
+
+    // Start the siege
+    this._siege = {
+        user,
+        team: userTeam,
+        progress: 0
+    };
+
+    // Notify the users about the siege
+    this.broadcastSiege('started', function(err) {
+        // Handle errors
+        if(err !== null) {
+            console.error('Failed to send siege update to users, ignoring');
+            console.error(err.stack || err);
+        }
+    });
+
+    // Broadcast the factory data
+    this.broadcastData(callback);
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Factory~startSiegeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Get the capture progress of the current siege on this factory.
+ *
+ * @param {Factory~getSiegeProgressCallback} callback Called with the progress or when an error occurred.
+ */
+Factory.prototype.getSiegeProgress = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Call back if the factory isn't besieged
+    if(this._siege === null) {
+        callback(null, null);
+        return;
+    }
+
+    // Get the game configuration
+    this.getGame().getConfig(function(err, gameConfig) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // The siege might have ended in the meanwhile
+        if(self._siege === null) {
+            callback(null, null);
+            return;
+        }
+
+        // Calculate the progress percentage
+        const captureTime = Math.max(gameConfig.factory.captureTime, 1);
+        callback(null, Math.min(Math.floor(self._siege.progress / captureTime * 100), 100));
+    });
+};
+
+/**
+ * Called with the progress or when an error occurred.
+ *
+ * @callback Factory~getSiegeProgressCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number|null=} Capture progress percentage, or null if the factory isn't besieged.
+ */
+
+/**
+ * Progress the siege on this factory by a single tick.
+ * The capture progress fills while the conquer value is positive, and drains while it isn't.
+ * The factory is conquered when the capture progress is complete, and the siege ends when it's drained.
+ *
+ * @param {Factory~progressSiegeCallback} callback Called with the result or when an error occurred.
+ */
+Factory.prototype.progressSiege = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Store this instance
+    const self = this;
+
+    // Call back if the factory isn't besieged
+    if(this._siege === null) {
+        callback(null, false, false);
+        return;
+    }
+
+    // Get the game config, conquer value, enemy strength and factory team
+    var gameConfig = null;
+    var conquerValue = null;
+    var enemyStrength = null;
+    var factoryTeam = null;
+
+    // Get the game config
     latch.add();
-    user.getTeam(function(err, result) {
+    this.getGame().getConfig(function(err, result) {
         // Call back errors
         if(err !== null) {
             if(!calledBack)
@@ -2005,24 +4461,35 @@ Factory.prototype.attack = function(user, callback) {
             return;
         }
 
-        // Make sure the user's team isn't null
-        if(result === null) {
+        // Set the game config
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the conquer value
+    latch.add();
+    this.getConquer(function(err, result, userCount, enemies) {
+        // Call back errors
+        if(err !== null) {
             if(!calledBack)
-                callback(new Error('User doesn\'t have team'));
+                callback(err);
             calledBack = true;
             return;
         }
 
-        // Set the user's team
-        userTeam = result;
+        // Set the conquer value and enemy strength
+        conquerValue = result;
+        enemyStrength = enemies;
 
         // Resolve the latch
         latch.resolve();
     });
 
-    // Make sure the conquer value is above zero
+    // Get the factory team
     latch.add();
-    this.getConquer(function(err, result) {
+    this.getTeam(function(err, result) {
         // Call back errors
         if(err !== null) {
             if(!calledBack)
@@ -2031,178 +4498,304 @@ Factory.prototype.attack = function(user, callback) {
             return;
         }
 
-        // Make sure the value is above zero
-        if(result <= 0) {
+        // Set the factory team
+        factoryTeam = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Continue
+    latch.then(function() {
+        // Get the siege, and make sure it didn't end in the meanwhile
+        const siege = self._siege;
+        if(siege === null) {
+            callback(null, false, false);
+            return;
+        }
+
+        // End the siege if the besieging team owns the factory, or if the game is in the instant capture mode
+        if((factoryTeam !== null && factoryTeam.getId().equals(siege.team.getId())) || gameConfig.factory.captureMode !== 'siege') {
+            self._siege = null;
+            callback(null, true, false);
+            return;
+        }
+
+        // Determine the conquer value for the besieging team, without the strength of enemies from other teams
+        const siegeValue = conquerValue - enemyStrength.total + (enemyStrength.teams[siege.team.getIdHex()] || 0);
+
+        // Fill the capture progress while the conquer value of the besieging team is positive, drain it otherwise
+        const tickInterval = gameConfig.game.tickInterval;
+        if(siegeValue > 0)
+            siege.progress += tickInterval;
+        else
+            siege.progress -= tickInterval * gameConfig.factory.captureTime / Math.max(gameConfig.factory.captureDrainTime, 1);
+
+        // Conquer the factory if the capture progress is complete
+        if(siege.progress >= gameConfig.factory.captureTime) {
+            self._siege = null;
+            self.conquer(siege.user, siege.team, factoryTeam, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Call back
+                callback(null, true, true);
+            });
+            return;
+        }
+
+        // End the siege if the capture progress is drained
+        if(siege.progress <= 0) {
+            // Notify the users
+            self.broadcastSiege('repelled', function(err) {
+                // Handle errors
+                if(err !== null) {
+                    console.error('Failed to send siege update to users, ignoring');
+                    console.error(err.stack || err);
+                }
+            });
+
+            // End the siege
+            self._siege = null;
+        }
+
+        // Call back
+        callback(null, true, false);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Factory~progressSiegeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the siege state changed, false if not.
+ * @param {boolean=} True if the factory has been conquered.
+ */
+
+/**
+ * Notify users about a change of the current siege on this factory.
+ * The besieging team and the team owning the factory are notified, along with other users in range.
+ *
+ * @param {string} state Siege state, 'started' or 'repelled'.
+ * @param {Factory~broadcastSiegeCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.broadcastSiege = function(state, callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+    var calledBack = false;
+
+    // Store this instance
+    const self = this;
+
+    // Get the siege
+    const siege = this._siege;
+
+    // Get the factory name, the name of the user, the name of the besieging team, and the factory team
+    var factoryName = null;
+    var userName = null;
+    var siegeTeamName = null;
+    var factoryTeam = null;
+
+    // Get the factory name
+    latch.add();
+    this.getName(function(err, result) {
+        // Call back errors
+        if(err !== null) {
             if(!calledBack)
-                callback(new Error('Conquer value must be above zero'));
+                callback(err);
             calledBack = true;
             return;
         }
 
+        // Set the factory name
+        factoryName = result;
+
         // Resolve the latch
         latch.resolve();
     });
 
-    // Continue when the latch is resolved
-    latch.then(function() {
-        // Reset the latch
-        latch.identity();
-        
-        // Make sure the user's team is different than the factories team
-        if(factoryTeam !== null && factoryTeam.getId().equals(userTeam.getId())) {
+    // Get the user name
+    latch.add();
+    siege.user.getName(function(err, result) {
+        // Call back errors
+        if(err !== null) {
             if(!calledBack)
-                callback(new Error('User can\'t take over ally factory'));
+                callback(err);
             calledBack = true;
             return;
         }
-        
-        // Get the factory level
-        self.getLevel(function(err, factoryLevel) {
-            // Call back errors
-            if(err !== null) {
-                if(!calledBack)
-                    callback(err);
-                calledBack = true;
-                return;
-            }
 
-            // Destroy the factory if the level is one
-            if(factoryLevel <= 1) {
-                // Get the factory name, the name of the user and name of the team
-                var factoryName = null;
-                var userName = null;
-                var userTeamName = null;
+        // Set the user name
+        userName = result;
 
-                // Get the factory name
-                latch.add();
-                self.getName(function(err, result) {
-                    // Call back errors
-                    if(err !== null) {
-                        if(!calledBack)
-                            callback(err);
-                        calledBack = true;
-                        return;
-                    }
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the besieging team name
+    latch.add();
+    siege.team.getName(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
 
-                    // Set the factory name
-                    factoryName = result;
+        // Set the team name
+        siegeTeamName = result;
 
-                    // Resolve the latch
-                    latch.resolve();
-                });
+        // Resolve the latch
+        latch.resolve();
+    });
 
-                // Get the user name
-                latch.add();
-                user.getName(function(err, result) {
-                    // Call back errors
-                    if(err !== null) {
-                        if(!calledBack)
-                            callback(err);
-                        calledBack = true;
-                        return;
-                    }
+    // Get the factory team
+    latch.add();
+    this.getTeam(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
 
-                    // Set the user name
-                    userName = result;
+        // Set the factory team
+        factoryTeam = result;
 
-                    // Resolve the latch
-                    latch.resolve();
-                });
+        // Resolve the latch
+        latch.resolve();
+    });
 
-                // Get the team name
-                latch.add();
-                userTeam.getName(function(err, result) {
-                    // Call back errors
-                    if(err !== null) {
-                        if(!calledBack)
-                            callback(err);
-                        calledBack = true;
-                        return;
-                    }
+    // Send the update to all relevant users when we fetched the data
+    latch.then(function() {
+        // Loop through the list of users
+        self.getGame().userManager.users.forEach(function(otherUser) {
+            // Get the user's team
+            otherUser.getTeam(function(err, otherTeam) {
+                // Handle errors
+                if(err !== null) {
+                    console.error('Failed to fetch user team, ignoring');
+                    console.error(err.stack || err);
+                }
 
-                    // Set the team name
-                    userTeamName = result;
+                // Make sure the user's team is known
+                if(otherTeam === null || otherTeam === undefined)
+                    return;
 
-                    // Resolve the latch
-                    latch.resolve();
-                });
+                // Determine whether the user is ally/enemy
+                const isAlly = siege.team.getId().equals(otherTeam.getId());
+                const isEnemy = factoryTeam !== null && factoryTeam.getId().equals(otherTeam.getId());
 
-                // Send a broadcast to all relevant users when we fetched the data
-                latch.then(function() {
-                    // Destroy the factory
-                    self.destroy(function() {
-                        // Call back errors
-                        if(err !== null) {
-                            if(!calledBack)
-                                callback(err);
-                            calledBack = true;
-                            return;
-                        }
+                // The user must be in range if he isn't ally/enemy
+                if(!isAlly && !isEnemy && !self.isInRangeMemory(otherUser))
+                    return;
 
-                        // Loop through the list of users
-                        self.getGame().userManager.users.forEach(function(otherUser) {
-                            // Get the user's team
-                            otherUser.getTeam(function(err, otherTeam) {
-                                // Handle errors
-                                if(err !== null) {
-                                    console.error('Failed to fetch user team, ignoring');
-                                    console.error(err.stack || err);
-                                }
+                // Send a siege update
+                Core.realTime.packetProcessor.sendPacketUser(PacketType.FACTORY_SIEGE, {
+                    factory: self.getIdHex(),
+                    factoryName,
+                    state,
+                    self: siege.user.getId().equals(otherUser.getId()),
+                    userName,
+                    teamName: siegeTeamName,
+                    ally: isAlly,
+                    enemy: isEnemy
+                }, otherUser.getUserModel());
+            });
+        });
 
-                                // Make sure the user's team is known
-                                if(otherTeam === null)
-                                    return;
+        // Call back
+        callback(null);
+    });
+};
 
-                                // Check whether this is the user itself
-                                const isSelf = user.getId().equals(otherUser.getId());
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback Factory~broadcastSiegeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
 
-                                // Determine whether the user is ally/enemy
-                                const isAlly = userTeam.getId().equals(otherTeam.getId());
-                                const isEnemy = factoryTeam.getId().equals(otherTeam.getId());
+/**
+ * Conquer the factory, for example when it's attacked.
+ * The factory is taken over by the team of the given user and loses a level, or it's destroyed if it's on the first level or if it's a decoy.
+ *
+ * @param {User} user User that conquers this factory.
+ * @param {GameTeamModel} userTeam Team of the user, that takes over the factory.
+ * @param {GameTeamModel} factoryTeam Team currently owning the factory.
+ * @param {Factory~conquerCallback} callback Called on success or when an error occurred.
+ */
+Factory.prototype.conquer = function(user, userTeam, factoryTeam, callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
 
-                                // The user must be in range if he isn't ally/enemy
-                                if(!isAlly && !isEnemy && !self.isInRangeMemory(otherUser))
-                                    return;
+    // Only call back once
+    var calledBack = false;
 
-                                // Send a capture update
-                                Core.realTime.packetProcessor.sendPacketUser(PacketType.FACTORY_DESTROYED, {
-                                    factory: self.getId(),
-                                    broadcast: true,
-                                    factoryName,
-                                    self: isSelf,
-                                    userName,
-                                    teamName: userTeamName,
-                                    ally: isAlly,
-                                    enemy: isEnemy
-                                }, otherUser.getUserModel());
+    // Store this instance
+    const self = this;
+
+    // Get the factory level and whether it's a decoy
+    var factoryLevel = null;
+    var decoy = false;
+
+    // Get the factory level
+    latch.add();
+    self.getLevel(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the level
+        factoryLevel = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Check whether the factory is a decoy
+    latch.add();
+    self.isDecoy(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
 
-                                // Send an game data update
-                                Core.gameManager.sendGameData(self.getGame().getGameModel(), otherUser.getUserModel(), undefined, function(err) {
-                                    // Handle errors
-                                    if(err !== null) {
-                                        console.error('Failed to game data to user, ignoring');
-                                        console.error(err.stack || err);
-                                    }
-                                });
-                            });
-                        });
-                    });
-                });
+        // Set the decoy state
+        decoy = result;
 
-                return;
-            }
+        // Resolve the latch
+        latch.resolve();
+    });
 
-            // Get the factory model
-            const factoryModel = self.getFactoryModel();
+    // Continue when the latch is complete
+    latch.then(function() {
+        // Reset the latch
+        latch.identity();
 
-            // Get the factory level, input, output and defence
-            var factoryIn = 0;
-            var factoryOut = 0;
-            var factoryDefence = 0;
+        // Destroy the factory if the level is one, or if it's a decoy
+        if(factoryLevel <= 1 || decoy) {
+            // Get the factory name, the name of the user and name of the team
+            var factoryName = null;
+            var userName = null;
+            var userTeamName = null;
 
-            // Get the factory in
+            // Get the factory name
             latch.add();
-            factoryModel.getIn(function(err, result) {
+            self.getName(function(err, result) {
                 // Call back errors
                 if(err !== null) {
                     if(!calledBack)
@@ -2211,16 +4804,16 @@ Factory.prototype.attack = function(user, callback) {
                     return;
                 }
 
-                // Set the factory in
-                factoryIn = result;
+                // Set the factory name
+                factoryName = result;
 
                 // Resolve the latch
                 latch.resolve();
             });
 
-            // Get the factory out
+            // Get the user name
             latch.add();
-            factoryModel.getOut(function(err, result) {
+            user.getName(function(err, result) {
                 // Call back errors
                 if(err !== null) {
                     if(!calledBack)
@@ -2229,16 +4822,16 @@ Factory.prototype.attack = function(user, callback) {
                     return;
                 }
 
-                // Set the factory out
-                factoryOut = result;
+                // Set the user name
+                userName = result;
 
                 // Resolve the latch
                 latch.resolve();
             });
 
-            // Get the factory defence
+            // Get the team name
             latch.add();
-            factoryModel.getDefence(function(err, result) {
+            userTeam.getName(function(err, result) {
                 // Call back errors
                 if(err !== null) {
                     if(!calledBack)
@@ -2247,20 +4840,17 @@ Factory.prototype.attack = function(user, callback) {
                     return;
                 }
 
-                // Set the factory defence
-                factoryDefence = result;
+                // Set the team name
+                userTeamName = result;
 
                 // Resolve the latch
                 latch.resolve();
             });
 
-            // Continue when the latch is complete
+            // Send a broadcast to all relevant users when we fetched the data
             latch.then(function() {
-                // Reset the latch
-                latch.identity();
-
-                // Get the game configuration
-                self.getGame().getConfig(function(err, gameConfig) {
+                // Destroy the factory
+                self.destroy(function(err) {
                     // Call back errors
                     if(err !== null) {
                         if(!calledBack)
@@ -2269,29 +4859,217 @@ Factory.prototype.attack = function(user, callback) {
                         return;
                     }
 
-                    // Process the factory in/out/defence values
-                    factoryIn = gameConfig.factory.attackNewIn(factoryIn);
-                    factoryOut = gameConfig.factory.attackNewOut(factoryOut);
-                    factoryDefence = gameConfig.factory.attackNewDefence(factoryDefence);
-
-                    // Set the factory team
-                    latch.add();
-                    factoryModel.setTeam(userTeam, function(err) {
-                        // Call back errors
-                        if(err !== null) {
-                            if(!calledBack)
-                                callback(err);
-                            calledBack = true;
-                            return;
+                    // Log the destroy event
+                    Core.model.gameEventModelManager.logGameEvent(self.getGame().getGameModel(), GameEventType.FACTORY_DESTROY, {
+                        user: user.getUserModel(),
+                        team: userTeam,
+                        targetTeam: factoryTeam,
+                        location: user.getLocation(),
+                        data: {
+                            factory: self.getIdHex(),
+                            factoryName,
+                            attacked: true,
+                            decoy
                         }
+                    });
 
-                        // Resolve the latch
-                        latch.resolve();
+                    // Loop through the list of users
+                    self.getGame().userManager.users.forEach(function(otherUser) {
+                        // Get the user's team
+                        otherUser.getTeam(function(err, otherTeam) {
+                            // Handle errors
+                            if(err !== null) {
+                                console.error('Failed to fetch user team, ignoring');
+                                console.error(err.stack || err);
+                            }
+
+                            // Make sure the user's team is known
+                            if(otherTeam === null)
+                                return;
+
+                            // Check whether this is the user itself
+                            const isSelf = user.getId().equals(otherUser.getId());
+
+                            // Determine whether the user is ally/enemy
+                            const isAlly = userTeam.getId().equals(otherTeam.getId());
+                            const isEnemy = factoryTeam.getId().equals(otherTeam.getId());
+
+                            // The user must be in range if he isn't ally/enemy
+                            if(!isAlly && !isEnemy && !self.isInRangeMemory(otherUser))
+                                return;
+
+                            // Send a capture update
+                            Core.realTime.packetProcessor.sendPacketUser(PacketType.FACTORY_DESTROYED, {
+                                factory: self.getId(),
+                                broadcast: true,
+                                factoryName,
+                                self: isSelf,
+                                userName,
+                                teamName: userTeamName,
+                                ally: isAlly,
+                                enemy: isEnemy,
+                                decoy
+                            }, otherUser.getUserModel());
+
+                            // Send an game data update
+                            Core.gameManager.sendGameData(self.getGame().getGameModel(), otherUser.getUserModel(), undefined, function(err) {
+                                // Handle errors
+                                if(err !== null) {
+                                    console.error('Failed to game data to user, ignoring');
+                                    console.error(err.stack || err);
+                                }
+                            });
+                        });
                     });
 
-                    // Set the factory level
+                    // Call back
+                    if(!calledBack)
+                        callback(null);
+                });
+            });
+
+            return;
+        }
+
+        // Get the factory model
+        const factoryModel = self.getFactoryModel();
+
+        // Get the factory level, input, output, defence and type
+        var factoryIn = 0;
+        var factoryOut = 0;
+        var factoryDefence = 0;
+        var factoryType = null;
+
+        // Get the factory type
+        latch.add();
+        self.getTypeConfig(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the factory type
+            factoryType = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the factory in
+        latch.add();
+        factoryModel.getIn(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the factory in
+            factoryIn = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the factory out
+        latch.add();
+        factoryModel.getOut(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the factory out
+            factoryOut = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the factory defence
+        latch.add();
+        factoryModel.getDefence(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the factory defence
+            factoryDefence = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Continue when the latch is complete
+        latch.then(function() {
+            // Reset the latch
+            latch.identity();
+
+            // Get the game configuration
+            self.getGame().getConfig(function(err, gameConfig) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Determine how much in and out is lost with the loss ratio of the factory type, and process the defence value
+                const lostIn = Math.round((factoryIn - gameConfig.factory.attackNewIn(factoryIn)) * factoryType.attackLossRatio);
+                const lostOut = Math.round((factoryOut - gameConfig.factory.attackNewOut(factoryOut)) * factoryType.attackLossRatio);
+                factoryDefence = gameConfig.factory.attackNewDefence(factoryDefence);
+
+                // Set the factory team
+                latch.add();
+                factoryModel.setTeam(userTeam, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Set the factory level
+                latch.add();
+                factoryModel.setLevel(factoryLevel - 1, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Take the lost in and out from the factory, goods deposited in the meanwhile are kept,
+                // and nothing is taken if the goods were withdrawn in the meanwhile
+                if(lostIn !== 0 || lostOut !== 0) {
                     latch.add();
-                    factoryModel.setLevel(factoryLevel - 1, function(err) {
+                    factoryModel.incrementFields({
+                        in: -lostIn,
+                        out: -lostOut
+                    }, function(err) {
                         // Call back errors
                         if(err !== null) {
                             if(!calledBack)
@@ -2303,10 +5081,36 @@ Factory.prototype.attack = function(user, callback) {
                         // Resolve the latch
                         latch.resolve();
                     });
+                }
+
+                // Update the the defence value
+                latch.add();
+                factoryModel.setDefence(factoryDefence, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+
+                // Continue when we're done
+                latch.then(function() {
+                    // Reset the latch
+                    latch.identity();
+
+                    // Get the factory name, the name of the user and name of the team
+                    var factoryName = null;
+                    var userName = null;
+                    var userTeamName = null;
 
-                    // Update the the in value
+                    // Get the factory name
                     latch.add();
-                    factoryModel.setIn(factoryIn, function(err) {
+                    self.getName(function(err, result) {
                         // Call back errors
                         if(err !== null) {
                             if(!calledBack)
@@ -2315,13 +5119,16 @@ Factory.prototype.attack = function(user, callback) {
                             return;
                         }
 
+                        // Set the factory name
+                        factoryName = result;
+
                         // Resolve the latch
                         latch.resolve();
                     });
 
-                    // Update the the out value
+                    // Get the user name
                     latch.add();
-                    factoryModel.setOut(factoryOut, function(err) {
+                    user.getName(function(err, result) {
                         // Call back errors
                         if(err !== null) {
                             if(!calledBack)
@@ -2330,13 +5137,16 @@ Factory.prototype.attack = function(user, callback) {
                             return;
                         }
 
+                        // Set the user name
+                        userName = result;
+
                         // Resolve the latch
                         latch.resolve();
                     });
 
-                    // Update the the defence value
+                    // Get the team name
                     latch.add();
-                    factoryModel.setDefence(factoryDefence, function(err) {
+                    userTeam.getName(function(err, result) {
                         // Call back errors
                         if(err !== null) {
                             if(!calledBack)
@@ -2345,137 +5155,88 @@ Factory.prototype.attack = function(user, callback) {
                             return;
                         }
 
+                        // Set the team name
+                        userTeamName = result;
+
                         // Resolve the latch
                         latch.resolve();
                     });
 
-                    // Continue when we're done
+                    // Send a broadcast to all relevant users when we fetched the data
                     latch.then(function() {
-                        // Reset the latch
-                        latch.identity();
-
-                        // Get the factory name, the name of the user and name of the team
-                        var factoryName = null;
-                        var userName = null;
-                        var userTeamName = null;
-
-                        // Get the factory name
-                        latch.add();
-                        self.getName(function(err, result) {
-                            // Call back errors
-                            if(err !== null) {
-                                if(!calledBack)
-                                    callback(err);
-                                calledBack = true;
-                                return;
+                        // Log the capture event
+                        Core.model.gameEventModelManager.logGameEvent(self.getGame().getGameModel(), GameEventType.FACTORY_CAPTURE, {
+                            user: user.getUserModel(),
+                            team: userTeam,
+                            targetTeam: factoryTeam,
+                            location: user.getLocation(),
+                            data: {
+                                factory: self.getIdHex(),
+                                factoryName,
+                                level: factoryLevel - 1
                             }
-
-                            // Set the factory name
-                            factoryName = result;
-
-                            // Resolve the latch
-                            latch.resolve();
                         });
 
-                        // Get the user name
-                        latch.add();
-                        user.getName(function(err, result) {
-                            // Call back errors
-                            if(err !== null) {
-                                if(!calledBack)
-                                    callback(err);
-                                calledBack = true;
-                                return;
-                            }
-
-                            // Set the user name
-                            userName = result;
+                        // Loop through the list of users
+                        self.getGame().userManager.users.forEach(function(otherUser) {
+                            // Get the user's team
+                            otherUser.getTeam(function(err, otherTeam) {
+                                // Handle errors
+                                if(err !== null) {
+                                    console.error('Failed to fetch user team, ignoring');
+                                    console.error(err.stack || err);
+                                }
 
-                            // Resolve the latch
-                            latch.resolve();
-                        });
+                                // Make sure the user's team is known
+                                if(otherTeam === null)
+                                    return;
 
-                        // Get the team name
-                        latch.add();
-                        userTeam.getName(function(err, result) {
-                            // Call back errors
-                            if(err !== null) {
-                                if(!calledBack)
-                                    callback(err);
-                                calledBack = true;
-                                return;
-                            }
+                                // Check whether this is the user itself
+                                const isSelf = user.getId().equals(otherUser.getId());
 
-                            // Set the team name
-                            userTeamName = result;
+                                // Determine whether the user is ally/enemy
+                                const isAlly = userTeam.getId().equals(otherTeam.getId());
+                                const isEnemy = factoryTeam.getId().equals(otherTeam.getId());
 
-                            // Resolve the latch
-                            latch.resolve();
-                        });
+                                // The user must be in range if he isn't ally/enemy
+                                if(!isAlly && !isEnemy && !self.isInRangeMemory(otherUser))
+                                    return;
 
-                        // Send a broadcast to all relevant users when we fetched the data
-                        latch.then(function() {
-                            // Loop through the list of users
-                            self.getGame().userManager.users.forEach(function(otherUser) {
-                                // Get the user's team
-                                otherUser.getTeam(function(err, otherTeam) {
-                                    // Handle errors
-                                    if(err !== null) {
-                                        console.error('Failed to fetch user team, ignoring');
-                                        console.error(err.stack || err);
-                                    }
-
-                                    // Make sure the user's team is known
-                                    if(otherTeam === null)
-                                        return;
-
-                                    // Check whether this is the user itself
-                                    const isSelf = user.getId().equals(otherUser.getId());
-
-                                    // Determine whether the user is ally/enemy
-                                    const isAlly = userTeam.getId().equals(otherTeam.getId());
-                                    const isEnemy = factoryTeam.getId().equals(otherTeam.getId());
-
-                                    // The user must be in range if he isn't ally/enemy
-                                    if(!isAlly && !isEnemy && !self.isInRangeMemory(otherUser))
-                                        return;
-
-                                    // Send a capture update
-                                    Core.realTime.packetProcessor.sendPacketUser(PacketType.FACTORY_CAPTURED, {
-                                        factory: self.getId(),
-                                        factoryName,
-                                        self: isSelf,
-                                        userName,
-                                        teamName: userTeamName,
-                                        ally: isAlly,
-                                        enemy: isEnemy
-                                    }, otherUser.getUserModel());
-                                });
+                                // Send a capture update
+                                Core.realTime.packetProcessor.sendPacketUser(PacketType.FACTORY_CAPTURED, {
+                                    factory: self.getId(),
+                                    factoryName,
+                                    self: isSelf,
+                                    userName,
+                                    teamName: userTeamName,
+                                    ally: isAlly,
+                                    enemy: isEnemy
+                                }, otherUser.getUserModel());
                             });
                         });
+                    });
 
-                        // Broadcast the factory data
-                        self.broadcastData(function(err) {
-                            // Handle errors
-                            if(err !== null) {
-                                console.error('Failed to broadcast factory data to users, ignoring');
-                                console.error(err.stack || err);
-                            }
-                        });
-
-                        // Broadcast location data
-                        Core.gameManager.broadcastLocationData(null, self.getGame(), undefined, undefined, function(err) {
-                            // Handle errors
-                            if(err !== null) {
-                                console.error('Failed to broadcast updated location data to users, ignoring');
-                                console.error(err.stack || err);
-                            }
-                        });
+                    // Broadcast the factory data
+                    self.broadcastData(function(err) {
+                        // Handle errors
+                        if(err !== null) {
+                            console.error('Failed to broadcast factory data to users, ignoring');
+                            console.error(err.stack || err);
+                        }
+                    });
 
-                        // Call back
-                        if(!calledBack)
-                            callback(null);
+                    // Broadcast location data
+                    Core.gameManager.broadcastLocationData(null, self.getGame(), undefined, undefined, function(err) {
+                        // Handle errors
+                        if(err !== null) {
+                            console.error('Failed to broadcast updated location data to users, ignoring');
+                            console.error(err.stack || err);
+                        }
                     });
+
+                    // Call back
+                    if(!calledBack)
+                        callback(null);
                 });
             });
         });
@@ -2483,9 +5244,9 @@ Factory.prototype.attack = function(user, callback) {
 };
 
 /**
- * Called when the factory has successfully been attacked or when an error occurred.
+ * Called when the factory has successfully been conquered or when an error occurred.
  *
- * @callback Factory~attackCallback
+ * @callback Factory~conquerCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
  */
 
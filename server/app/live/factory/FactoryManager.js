@@ -319,6 +319,9 @@ FactoryManager.prototype.unloadFactory = function(factory) {
         // Set the unloaded flag
         unloadedAny = true;
 
+        // Forget the last seen position of the factory
+        self.game.lastSeenMemory.forget('factory', entry.getIdHex());
+
         // Splice the list to remove it
         self.factories.splice(i, 1);
     });
@@ -336,6 +339,7 @@ FactoryManager.prototype.getGame = function() {
 
 /**
  * Get the visible factories for the given user.
+ * Enemy decoys are included like real factories, factories hidden by a jammer aren't included through pings.
  *
  * @param {UserModel} user User to check for.
  * @param {function} callback callback(err, factories) with an array of factories.
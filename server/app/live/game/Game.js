@@ -31,9 +31,16 @@ var User = require('../../live/user/User');
 var FactoryManager = require('../factory/FactoryManager');
 var GameLangManager = require('../../lang/GameLangManager');
 var GameTeamModel = require('../../model/gameteam/GameTeamModel');
+var GameEventType = require('../../model/gameevent/GameEventType');
 var ShopManager = require('../shop/ShopManager');
+var TransferManager = require('../user/TransferManager');
+var Market = require('../shop/Market');
+var LastSeenMemory = require('./LastSeenMemory');
+var WinCondition = require('./WinCondition');
 var CallbackLatch = require('../../util/CallbackLatch');
+var PausableTimer = require('../../util/PausableTimer');
 var PacketType = require("../../realtime/PacketType");
+var config = require('../../../config');
 
 /**
  * Game class.
@@ -68,12 +75,58 @@ var Game = function(game) {
      */
     this.shopManager = new ShopManager(this);
 
+    /**
+     * Market instance, with the dealer prices shared by all shops in this game.
+     * @type {Market}
+     */
+    this.market = new Market();
+
+    /**
+     * Transfer manager instance, with the transfers between teammates that are waiting to be confirmed.
+     * @type {TransferManager}
+     */
+    this.transferManager = new TransferManager(this);
+
+    /**
+     * Last seen memory, with the last known positions of enemy factories and players each team has seen.
+     * @type {LastSeenMemory}
+     */
+    this.lastSeenMemory = new LastSeenMemory();
+
     /**
      * Language manager instance.
      * @type {GameLangManager}
      */
     this.gameLangManager = new GameLangManager();
 
+    /**
+     * Tick worker interval handle.
+     * @type {Number|null}
+     * @private
+     */
+    this._tickWorker = null;
+
+    /**
+     * Flag defining whether this game is paused.
+     * @type {boolean}
+     * @private
+     */
+    this._paused = false;
+
+    /**
+     * Date the game was paused at, or null if it isn't paused or if it's unknown.
+     * @type {Date|null}
+     * @private
+     */
+    this._pauseDate = null;
+
+    /**
+     * List of timers for this game, that are paused along with the game.
+     * @type {Array} Array of PausableTimer instances.
+     * @private
+     */
+    this._timers = [];
+
     // Get and set the game ID
     if(game instanceof GameModel)
         this._id = game.getId();
@@ -238,6 +291,62 @@ Game.prototype.load = function(callback) {
         latch.resolve();
     });
 
+    // Determine whether the game is paused
+    latch.add();
+    this.getGameModel().getStage(function(err, stage) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the paused flag
+        self._paused = stage === 3;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Start the tick worker, with the tick interval from the game configuration
+    latch.add();
+    this.getConfig(function(err, gameConfig) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Load the market with the shop configuration
+        self.market.load(gameConfig.shop);
+
+        // Get the tick interval
+        const tickInterval = gameConfig.game.tickInterval;
+
+        // Stop any old worker
+        if(self._tickWorker !== null)
+            clearInterval(self._tickWorker);
+
+        // Start the tick worker
+        self._tickWorker = setInterval(function() {
+            // Run a game tick
+            self.tick(tickInterval, function(err) {
+                // Report errors
+                if(err !== null) {
+                    console.error(err.stack || err);
+                    console.error('An error occurred while invoking a game tick, ignoring.');
+                    // TODO: Push this error to Raven / sentry!
+                }
+            });
+        }, tickInterval);
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
     // Call back
     latch.then(() => callback(null));
 };
@@ -253,9 +362,255 @@ Game.prototype.load = function(callback) {
  * Unload this live game instance.
  */
 Game.prototype.unload = function() {
+    // Stop the tick worker
+    if(this._tickWorker !== null) {
+        clearInterval(this._tickWorker);
+        this._tickWorker = null;
+    }
+
+    // Clear all game timers
+    this._timers.forEach((timer) => timer.clear());
+    this._timers = [];
+
     // TODO: Unload the user manager for this game?
 };
 
+/**
+ * Check whether this game is paused.
+ *
+ * @return {boolean} True if paused, false if not.
+ */
+Game.prototype.isPaused = function() {
+    return this._paused;
+};
+
+/**
+ * Pause this game.
+ * This stops game ticks, and freezes all game timers such as shop lifetimes and ping durations.
+ */
+Game.prototype.pause = function() {
+    // Remember when the game was paused
+    if(!this._paused)
+        this._pauseDate = new Date();
+
+    // Set the paused flag
+    this._paused = true;
+
+    // Pause all game timers
+    this._timers.forEach((timer) => timer.pause());
+};
+
+/**
+ * Resume this game if it's paused.
+ * All game timers continue with the time they had left, and the decay and jammers of factories are postponed by the paused time.
+ */
+Game.prototype.resume = function() {
+    // Postpone the decay and jammers of all factories by the time the game was paused
+    if(this._paused && this._pauseDate !== null) {
+        const pausedTime = Date.now() - this._pauseDate.getTime();
+        this.factoryManager.factories.forEach(function(liveFactory) {
+            liveFactory.postponeDecay(pausedTime);
+            liveFactory.postponeJammer(pausedTime);
+        });
+    }
+    this._pauseDate = null;
+
+    // Reset the paused flag
+    this._paused = false;
+
+    // Resume all game timers
+    this._timers.forEach((timer) => timer.resume());
+};
+
+/**
+ * Call the given function once after the given delay.
+ * Unlike a regular timeout, the delay is frozen while the game is paused.
+ *
+ * @param {function} callback Function to call.
+ * @param {Number} delay Delay in milliseconds.
+ * @return {PausableTimer} Timer instance.
+ */
+Game.prototype.setTimer = function(callback, delay) {
+    // Store this instance
+    const self = this;
+
+    // Create the timer, and remove it from the list of timers when it fires
+    const timer = new PausableTimer(function() {
+        self._timers.splice(self._timers.indexOf(timer), 1);
+        callback();
+    }, delay);
+
+    // Add the timer to the list, and start it if the game isn't paused
+    this._timers.push(timer);
+    if(!this._paused)
+        timer.start();
+
+    // Return the timer
+    return timer;
+};
+
+/**
+ * Get a snapshot of the live in-memory state of this game, so it can be restored after a server restart.
+ * This contains the state of all users, factories, active player shops, the market, the last seen memory and the
+ * pending transfers.
+ *
+ * @return {Object} Game state.
+ */
+Game.prototype.getState = function() {
+    return {
+        users: this.userManager.users.map((liveUser) => liveUser.getState()),
+        factories: this.factoryManager.factories.map((liveFactory) => liveFactory.getState()),
+        shops: this.shopManager.getState(),
+        market: this.market.isLoaded() ? this.market.getState() : null,
+        lastSeen: this.lastSeenMemory.getState(),
+        transfers: this.transferManager.getState()
+    };
+};
+
+/**
+ * Restore the live in-memory state of this game, as returned by getState().
+ * Users and factories that aren't loaded anymore are skipped.
+ *
+ * Timers, such as pings and shop lifetimes, continue with the time they had left when the state was stored.
+ * The time the server was offline isn't counted, as if the game was paused.
+ *
+ * @param {Object} state Game state.
+ * @param {Game~restoreStateCallback} callback Called when done or when an error occurred.
+ */
+Game.prototype.restoreState = function(state, callback) {
+    // Store this instance
+    const self = this;
+
+    // Restore the users
+    state.users.forEach(function(userState) {
+        const liveUser = self.userManager.getLoadedUser(userState.user);
+        if(liveUser !== null)
+            liveUser.restoreState(userState);
+    });
+
+    // Restore the factories
+    state.factories.forEach(function(factoryState) {
+        const liveFactory = self.factoryManager.getLoadedFactory(factoryState.factory);
+        if(liveFactory !== null)
+            liveFactory.restoreState(factoryState);
+    });
+
+    // Restore the market prices, instead of the newly picked prices
+    if(state.market !== undefined && state.market !== null && this.market.isLoaded())
+        this.market.restoreState(state.market);
+
+    // Restore the last seen memory
+    if(state.lastSeen !== undefined)
+        this.lastSeenMemory.restoreState(state.lastSeen);
+
+    // Restore the pending transfers
+    if(state.transfers !== undefined)
+        this.transferManager.restoreState(state.transfers);
+
+    // Resume the player shops
+    this.shopManager.restoreState(state.shops, callback);
+};
+
+/**
+ * Called when done or when an error occurred.
+ *
+ * @callback Game~restoreStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Run a game tick.
+ * This invokes a tick on all factories in this game, and lets the market prices recover.
+ * The game is finished afterwards if a team reached the target, when the game uses the target win condition.
+ *
+ * @param {int|null|undefined} scheduleTime=0 Time in milliseconds ticks may be scheduled in. Zero to not schedule.
+ * @param {Game~tickCallback} callback Called when the tick has been processed, or when an error occurred.
+ */
+Game.prototype.tick = function(scheduleTime, callback) {
+    // Store this instance
+    const self = this;
+
+    // Don't tick while the game is paused
+    if(this._paused) {
+        callback(null);
+        return;
+    }
+
+    // Parse the schedule time
+    if(scheduleTime < 0 || scheduleTime === undefined || scheduleTime === null)
+        scheduleTime = 0;
+
+    // Tick the market, and send the recorded prices to all players
+    if(this.market.isLoaded() && this.market.tick())
+        Core.gameManager.sendGameDataToAll(this.getGameModel(), function(err) {
+            // Handle errors
+            if(err !== null) {
+                console.error(err.stack || err);
+                console.error('Failed to send game data with the market prices, ignoring');
+            }
+        });
+
+    // Create a new callback latch
+    var latch = new CallbackLatch();
+
+    // We may only call back once
+    var calledBack = false;
+
+    // Count the number of ticks that need to be processed
+    const tickCount = this.factoryManager.factories.length;
+
+    // Define the delay value in milliseconds
+    var delay = 0;
+
+    // Loop through the factories
+    this.factoryManager.factories.forEach(function(liveFactory) {
+        // Add a latch for this factory
+        latch.add();
+
+        // Define a function to invoke the tick
+        var doTick = function() {
+            liveFactory.tick(function(err) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        };
+
+        // Run tasks with a delay of zero immediately and schedule delayed tasks
+        if(delay === 0)
+            doTick();
+        else
+            setTimeout(doTick, parseInt(delay));
+
+        // Increase the delay
+        if(config.game.spreadTicks && scheduleTime !== 0)
+            delay += scheduleTime / tickCount;
+    });
+
+    // Finish the game if a team reached the target, and call back when we're done
+    latch.then(function() {
+        Core.gameManager.processWinTarget(self, function(err) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+        });
+    });
+};
+
+/**
+ * Called when the tick is processed, or when an error occurred.
+ *
+ * @callback Game~tickCallback
+ * @param {Error|null} Error instance if an error occurred, or null on success.
+ */
+
 /**
  * @callback Game~getNameCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
@@ -270,6 +625,88 @@ Game.prototype.getConfig = function(callback) {
     this.getGameModel().getConfig(callback);
 };
 
+/**
+ * Check whether the given location is inside the play area of this game.
+ * Every location is inside the play area if the game doesn't have a play area.
+ *
+ * @param {Coordinate} location Location to check.
+ * @param {Game~isInPlayAreaCallback} callback Called with the result or when an error occurred.
+ */
+Game.prototype.isInPlayArea = function(location, callback) {
+    this.getGameModel().getPlayArea(function(err, playArea) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back with the result
+        callback(null, playArea === null || playArea.contains(location));
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Game~isInPlayAreaCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the location is inside the play area, false if not.
+ */
+
+/**
+ * Get the no-build and safe zones of this game the given location is in.
+ *
+ * @param {Coordinate} location Location to check.
+ * @param {Game~getZonesAtCallback} callback Called with the zones or when an error occurred.
+ */
+Game.prototype.getZonesAt = function(location, callback) {
+    this.getGameModel().getZones(function(err, zones) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the zones that contain the location
+        callback(null, zones.filter((zone) => zone.contains(location)));
+    });
+};
+
+/**
+ * Called with the zones or when an error occurred.
+ *
+ * @callback Game~getZonesAtCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of zones the location is in.
+ */
+
+/**
+ * Check whether the given location is inside a safe zone of this game.
+ *
+ * @param {Coordinate} location Location to check.
+ * @param {Game~isInSafeZoneCallback} callback Called with the result or when an error occurred.
+ */
+Game.prototype.isInSafeZone = function(location, callback) {
+    this.getZonesAt(location, function(err, zones) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back with the result
+        callback(null, zones.some((zone) => zone.isSafe()));
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback Game~isInSafeZoneCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the location is inside a safe zone, false if not.
+ */
+
 /**
  * Calculate the cost to build a new factory.
  *
@@ -556,6 +993,239 @@ Game.prototype.getTeamMoney = function(teamFilter, callback) {
  * @param {Number} money Amount of money the team has.
  */
 
+/**
+ * Get the standings of all teams, scored and ranked by the win condition of this game.
+ *
+ * @param {Game~getTeamStandingsCallback} callback Called with the ranked standings, or when an error occurred.
+ */
+Game.prototype.getTeamStandings = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the game configuration, for the win condition
+    this.getConfig(function(err, gameConfig) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Get the win condition
+        const condition = gameConfig.game.winCondition;
+
+        // Get the money of each team
+        self.getTeamMoney(undefined, function(err, teamMoneys) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Create a map of team totals by their ID
+            var teamMap = {};
+            teamMoneys.forEach(function(team) {
+                teamMap[team.id] = {
+                    money: team.money,
+                    in: 0,
+                    out: 0,
+                    factories: 0,
+                    production: 0
+                };
+            });
+
+            // Create a callback latch
+            var latch = new CallbackLatch();
+            var calledBack = false;
+
+            // Create a function to call back errors
+            const callbackError = function(err) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+            };
+
+            // Count the factories, production and stored goods of each team if the win condition needs them
+            if(WinCondition.usesFactories(condition))
+                self.factoryManager.factories.forEach(function(liveFactory) {
+                    latch.add();
+                    liveFactory.getTeam(function(err, factoryTeam) {
+                        // Call back errors
+                        if(err !== null) {
+                            callbackError(err);
+                            return;
+                        }
+
+                        // Make sure the factory is owned by a known team
+                        if(factoryTeam === null || !_.has(teamMap, factoryTeam.getIdHex())) {
+                            latch.resolve();
+                            return;
+                        }
+
+                        // Get the team totals, and count the factory
+                        var team = teamMap[factoryTeam.getIdHex()];
+                        team.factories++;
+
+                        // Add the production and the stored goods of the factory
+                        latch.add(3);
+                        liveFactory.getProductionOut(function(err, production) {
+                            // Call back errors
+                            if(err !== null) {
+                                callbackError(err);
+                                return;
+                            }
+
+                            // Add the production, and resolve the latch
+                            team.production += production;
+                            latch.resolve();
+                        });
+                        liveFactory.getFactoryModel().getIn(function(err, factoryIn) {
+                            // Call back errors
+                            if(err !== null) {
+                                callbackError(err);
+                                return;
+                            }
+
+                            // Add the goods, and resolve the latch
+                            team.in += factoryIn;
+                            latch.resolve();
+                        });
+                        liveFactory.getFactoryModel().getOut(function(err, factoryOut) {
+                            // Call back errors
+                            if(err !== null) {
+                                callbackError(err);
+                                return;
+                            }
+
+                            // Add the goods, and resolve the latch
+                            team.out += factoryOut;
+                            latch.resolve();
+                        });
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+
+            // Count the goods players of each team have if the win condition needs them
+            if(WinCondition.usesGoods(condition)) {
+                latch.add();
+                Core.model.gameUserModelManager.getGameUsers(self.getGameModel(), {
+                    players: true
+                }, function(err, users) {
+                    // Call back errors
+                    if(err !== null) {
+                        callbackError(err);
+                        return;
+                    }
+
+                    // Loop through the users
+                    users.forEach(function(user) {
+                        latch.add();
+                        Core.model.gameUserModelManager.getGameUser(self.getGameModel(), user, function(err, gameUser) {
+                            // Call back errors
+                            if(err !== null) {
+                                callbackError(err);
+                                return;
+                            }
+
+                            // Skip users that don't have a game user
+                            if(gameUser === null) {
+                                latch.resolve();
+                                return;
+                            }
+
+                            // Get the team of the user
+                            gameUser.getTeam(function(err, userTeam) {
+                                // Call back errors
+                                if(err !== null) {
+                                    callbackError(err);
+                                    return;
+                                }
+
+                                // Make sure the user is in a known team
+                                if(userTeam === null || !_.has(teamMap, userTeam.getIdHex())) {
+                                    latch.resolve();
+                                    return;
+                                }
+
+                                // Get the team totals
+                                var team = teamMap[userTeam.getIdHex()];
+
+                                // Add the goods of the user
+                                latch.add(2);
+                                gameUser.getIn(function(err, userIn) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        callbackError(err);
+                                        return;
+                                    }
+
+                                    // Add the goods, and resolve the latch
+                                    team.in += userIn;
+                                    latch.resolve();
+                                });
+                                gameUser.getOut(function(err, userOut) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        callbackError(err);
+                                        return;
+                                    }
+
+                                    // Add the goods, and resolve the latch
+                                    team.out += userOut;
+                                    latch.resolve();
+                                });
+
+                                // Resolve the latch
+                                latch.resolve();
+                            });
+                        });
+                    });
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            }
+
+            // Score and rank the teams when we're done
+            latch.then(function() {
+                // Value the goods at the current market prices
+                const prices = self.market.isLoaded() ? self.market.getPrices() : WinCondition.getConfigPrices(gameConfig);
+
+                // Create the standings
+                const standings = teamMoneys.map((team) => ({
+                    id: team.id,
+                    name: team.name,
+                    money: team.money,
+                    score: WinCondition.getScore(condition, teamMap[team.id], prices)
+                }));
+
+                // Rank the standings, and call them back
+                if(!calledBack)
+                    callback(null, WinCondition.rankTeams(standings));
+                calledBack = true;
+            });
+        });
+    });
+};
+
+/**
+ * Called with the ranked team standings, or when an error occurred.
+ *
+ * @callback Game~getTeamStandingsCallback
+ * @param {Error|null} Error instance if an error occurred.
+ * @param {Array=} An array of TeamStandingObject objects, sorted by their rank.
+ */
+
+/**
+ * @typedef {Object} TeamStandingObject
+ * @param {String} id ID of the team, as a string.
+ * @param {String} name Display name of the team.
+ * @param {Number} money Amount of money the team has.
+ * @param {Number} score Score of the team for the win condition of the game.
+ * @param {Number} rank Rank of the team, teams with the same score share the same rank.
+ */
+
 /**
  * Get the language manager.
  *
@@ -1270,30 +1940,44 @@ Game.prototype.executeSpecialCustomAction = function(user, properties, callback)
                                 // Process the money
                                 if(properties.units.money) {
                                     affectLatch.add();
-                                    game._processPlayerUnitChange(player, player.getMoney, player.setMoney, changeMethod, changeType, changeAmount, unitChangeCallback);
+                                    game._processPlayerUnitChange(player, 'money', changeMethod, changeType, changeAmount, unitChangeCallback);
                                 }
                                 
                                 // Process the in units
                                 if(properties.units.in) {
                                     affectLatch.add();
-                                    game._processPlayerUnitChange(player, player.getIn, player.setIn, changeMethod, changeType, changeAmount, unitChangeCallback);
+                                    game._processPlayerUnitChange(player, 'in', changeMethod, changeType, changeAmount, unitChangeCallback);
                                 }
 
                                 // Process the out units
                                 if(properties.units.out) {
                                     affectLatch.add();
-                                    game._processPlayerUnitChange(player, player.getOut, player.setOut, changeMethod, changeType, changeAmount, unitChangeCallback);
+                                    game._processPlayerUnitChange(player, 'out', changeMethod, changeType, changeAmount, unitChangeCallback);
                                 }
 
                                 // Process the strength units
                                 if(properties.units.strength) {
                                     affectLatch.add();
-                                    game._processPlayerUnitChange(player, player.getStrength, player.setStrength, changeMethod, changeType, changeAmount, unitChangeCallback);
+                                    game._processPlayerUnitChange(player, 'strength', changeMethod, changeType, changeAmount, unitChangeCallback);
                                 }
                             });
 
                             // Continue when the values have been changed
                             affectLatch.then(function() {
+                                // Log the special action event
+                                Core.model.gameEventModelManager.logGameEvent(game.getGameModel(), GameEventType.SPECIAL_ACTION, {
+                                    user: user.getUserModel(),
+                                    team: null,
+                                    location: user.getLocation(),
+                                    data: {
+                                        method: changeMethod,
+                                        type: changeType,
+                                        amount: changeAmount,
+                                        units: ['money', 'in', 'out', 'strength'].filter((unit) => properties.units[unit]),
+                                        players: affectPlayers.map((player) => player.getIdHex())
+                                    }
+                                });
+
                                 // Check whether a message should be sent
                                 if(properties.message.type !== 'none') {
                                     // Define a message to send
@@ -1389,47 +2073,41 @@ Game.prototype.executeSpecialCustomAction = function(user, properties, callback)
 
 /**
  * Process a unit change for the given player.
+ * Additions and subtractions are applied atomically, a value never drops below zero.
  *
  * @param {User} liveUser The live user instance of the player to change the value for.
- * @param {function} getter The current value getter function.
- * @param {function} setter The value setter function.
+ * @param {string} field The name of the game user field to change, such as 'money'.
  * @param {string} changeMethod The method to change, see {@see SpecialCustomActionPropertiesObject.amounts.method}.
  * @param {string} changeType The type to change, see {@see SpecialCustomActionPropertiesObject.amounts.type}.
  * @param {int} changeAmount The change amount, which is a fixed value or a percentage.
  * @param {Game~_processPlayerUnitChangeCallback} callback Called on success or when an error occurred.
  */
-Game.prototype._processPlayerUnitChange = function(liveUser, getter, setter, changeMethod, changeType, changeAmount, callback) {
-    // Create a latch
-    var latch = new CallbackLatch();
+Game.prototype._processPlayerUnitChange = function(liveUser, field, changeMethod, changeType, changeAmount, callback) {
+    // Store the current instance
+    const self = this;
 
-    // Define a variable for the current value
-    var current = 0;
+    // Get the game user
+    liveUser.getGameUser(function(err, gameUser) {
+        // Call back errors
+        if(err !== null || gameUser === null) {
+            callback(err !== null ? err : new Error('Game user is null'));
+            return;
+        }
 
-    // Check whether to get the current value
-    if(changeMethod !== 'set') {
-        latch.add();
-        getter.call(liveUser, function(err, value) {
+        // Just set the value, make sure it's at least zero
+        if(changeMethod === 'set') {
+            gameUser.setField(field, Math.max(changeAmount, 0), callback);
+            return;
+        }
+
+        // Get the current value
+        gameUser.getField(field, function(err, current) {
             // Call back errors
             if(err !== null) {
                 callback(err);
                 return;
             }
 
-            // Set the value
-            current = value;
-
-            // Resolve the latch
-            latch.resolve();
-        });
-    }
-
-    // Continue when we're done
-    latch.then(function() {
-        // Just set the value
-        if(changeMethod === 'set')
-            current = changeAmount;
-        
-        else {
             // Determine the delta change value
             var delta = 0;
             if(changeType === 'fixed')
@@ -1440,20 +2118,38 @@ Game.prototype._processPlayerUnitChange = function(liveUser, getter, setter, cha
             // Absolute the value
             delta = Math.abs(delta);
 
-            // Negate the delta if we want to subtract
+            // Negate the delta if we want to subtract, never subtract more than the current value
             if(changeMethod === 'subtract')
-                delta *= -1;
+                delta = -Math.min(delta, current);
 
-            // Add the delta to the current value
-            current += delta;
-        }
+            // Call back if nothing changes
+            if(delta === 0) {
+                callback(null);
+                return;
+            }
 
-        // Make sure the current value is at least zero
-        if(current < 0)
-            current = 0;
+            // Apply the delta
+            gameUser.incrementFields({
+                [field]: delta
+            }, function(err, values) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
 
-        // Set the value
-        setter.call(liveUser, current, callback);
+                // Try again if the value changed in the meanwhile and would drop below zero
+                if(values === null) {
+                    self._processPlayerUnitChange(liveUser, field, changeMethod, changeType, changeAmount, callback);
+                    return;
+                }
+
+                // Call back
+                callback(null);
+            });
+        }, {
+            noCache: true
+        });
     });
 };
 
@@ -29,12 +29,15 @@ var config = require('../../../config');
 var Core = require('../../../Core');
 var PacketType = require('../../realtime/PacketType');
 var Game = require('./Game');
+var WinCondition = require('./WinCondition');
 var GameModel = require('../../model/game/GameModel');
 var User = require('../user/User');
 var UserModel = require('../../model/user/UserModel');
 var CallbackLatch = require('../../util/CallbackLatch');
 var MutexLoader = require('../../util/MutexLoader');
-var gameConfig = require('../../../gameConfig');
+var TokenGenerator = require('../../token/TokenGenerator');
+var GameEventType = require('../../model/gameevent/GameEventType');
+var GameStateDatabase = require('../../model/gamestate/GameStateDatabase');
 
 /**
  * GameManager class.
@@ -57,6 +60,27 @@ var GameManager = function() {
      */
     this._mutexLoader = new MutexLoader();
 
+    /**
+     * Schedule worker handle, that starts and finishes scheduled games.
+     * @type {*|null}
+     * @private
+     */
+    this._scheduleWorker = null;
+
+    /**
+     * Flag defining whether the game schedules are currently being processed.
+     * @type {boolean}
+     * @private
+     */
+    this._scheduleProcessing = false;
+
+    /**
+     * Set of game ID's for games that players have been warned about that they're finishing soon.
+     * @type {Set}
+     * @private
+     */
+    this._finishWarnings = new Set();
+
     // Set up the location update interval
     setInterval(function() {
         Core.gameManager.broadcastLocationData(config.game.locationUpdateInterval, undefined, undefined, undefined, function(err) {
@@ -65,6 +89,84 @@ var GameManager = function() {
                 console.error('An error occurred while broadcasting location data to clients, ignoring (' + err + ')');
         });
     }, config.game.locationUpdateInterval);
+
+    // Apply the stages of games owned by this worker, that are changed by other workers
+    Core.clusterManager.registerHandler('gameStage', function(data) {
+        Core.gameManager.applyGameStage(Core.model.gameModelManager._instanceManager.create(data.game), data.stage, function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('An error occurred while applying a game stage from another worker, ignoring (' + err + ')');
+        });
+    });
+
+    // Broadcast game stages changed by other workers to the clients connected to this worker
+    Core.clusterManager.registerHandler('gameStageBroadcast', function(data) {
+        Core.gameManager.broadcastGameStage(Core.model.gameModelManager._instanceManager.create(data.game), data.stage, true);
+    });
+
+    // Reload the language object of games owned by this worker, that is changed by other workers
+    Core.clusterManager.registerHandler('gameLangReload', function(data) {
+        // Get the loaded game, ignore the message if the game isn't loaded here
+        const liveGame = Core.gameManager.getLoadedGame(data.game);
+        if(liveGame === null)
+            return;
+
+        // Get the language object
+        liveGame.getGameModel().getLangObject(function(err, gameLangObject) {
+            // Show errors in the console
+            if(err !== null) {
+                console.error('An error occurred while reloading a game language object, ignoring (' + err + ')');
+                return;
+            }
+
+            // Update the language object
+            liveGame.getGameLangManager().setGameLangObject(gameLangObject);
+
+            // Send a language update to each user
+            liveGame.userManager.users.forEach(function(liveUser) {
+                Core.realTime.packetProcessor.sendPacketUser(PacketType.GAME_LANG_OBJECT_UPDATE, {
+                    game: data.game,
+                    langObject: gameLangObject
+                }, liveUser);
+            });
+        });
+    });
+
+    // Unload factories of games owned by this worker, that are destroyed by other workers
+    Core.clusterManager.registerHandler('factoryUnload', function(data) {
+        // Get the loaded game, ignore the message if the game isn't loaded here
+        const liveGame = Core.gameManager.getLoadedGame(data.game);
+        if(liveGame === null)
+            return;
+
+        // Unload the factory if it's loaded
+        const liveFactory = liveGame.factoryManager.getLoadedFactory(data.factory);
+        if(liveFactory !== null)
+            liveGame.factoryManager.unloadFactory(liveFactory);
+    });
+
+    // Send the game data to all players of games owned by this worker, when requested by other workers
+    Core.clusterManager.registerHandler('gameDataSendAll', function(data) {
+        // Ignore the message if the game isn't loaded here
+        if(!Core.gameManager.isGameLoaded(data.game))
+            return;
+
+        // Send the game data
+        Core.gameManager.sendGameDataToAll(Core.model.gameModelManager._instanceManager.create(data.game), function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('An error occurred while sending game data requested by another worker, ignoring (' + err + ')');
+        });
+    });
+
+    // Set up the state snapshot interval
+    setInterval(function() {
+        Core.gameManager.saveState(function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('An error occurred while storing the live game state, ignoring (' + err + ')');
+        });
+    }, config.game.stateSnapshotInterval);
 };
 
 /**
@@ -156,7 +258,7 @@ GameManager.prototype.getLoadedGameCount = function() {
 };
 
 /**
- * Load all active games, that aren't loaded yet.
+ * Load all active games, that aren't owned by another worker.
  *
  * @param {GameManager~loadCallback} [callback] Callback called when done loading.
  */
@@ -167,69 +269,158 @@ GameManager.prototype.load = function(callback) {
     // Store this instance
     const self = this;
 
-    // Determine whether we called back
-    var calledBack = false;
+    // Note: each live game runs it's own tick worker, using the tick interval from it's game configuration
 
-    // Start the game tick
-    setInterval(function() {
-        // Run a game tick
-        self.tick(gameConfig.game.tickInterval, function(err) {
-            // Report errors
-            if(err !== null) {
-                console.error(err.stack || err);
-                console.error('An error occurred while invoking a game tick, ignoring.')
-                // TODO: Push this error to Raven / sentry!
-            }
-        });
+    // Start the schedule worker if it isn't running yet, schedules are stored in the database and survive a restart
+    if(this._scheduleWorker === null)
+        this._scheduleWorker = setInterval(function() {
+            // Process the schedules on a single worker of the cluster
+            Core.clusterManager.acquireLock('schedule', config.game.scheduleInterval, function(err, acquired) {
+                // Show errors in the console
+                if(err !== null) {
+                    console.error('An error occurred while acquiring schedule lock, ignoring (' + err + ')');
+                    return;
+                }
+
+                // Process the schedules
+                if(acquired)
+                    self.processSchedules(function(err) {
+                        // Show errors in the console
+                        if(err !== null)
+                            console.error('An error occurred while processing game schedules, ignoring (' + err + ')');
+                    });
+            });
+
+            // Load the games of which the ownership of another worker expired
+            if(Core.clusterManager.isEnabled())
+                self.loadOwnedGames(null, function(err) {
+                    // Show errors in the console
+                    if(err !== null)
+                        console.error('An error occurred while loading unowned games, ignoring (' + err + ')');
+                });
+        }, config.game.scheduleInterval);
+
+    // Unload all currently loaded games
+    this.unload();
+
+    // Load all active and paused games owned by this worker
+    this.loadOwnedGames(null, callback);
+};
+
+/**
+ * @callback GameManager~loadCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Load all active and paused games that aren't loaded yet, and that can be claimed by this worker.
+ * The live state of each loaded game is restored.
+ *
+ * @param {string|null} takeOverFrom ID of a dead worker to take the games over from, or null.
+ * @param {GameManager~loadOwnedGamesCallback} callback Called when done loading or when an error occurred.
+ */
+GameManager.prototype.loadOwnedGames = function(takeOverFrom, callback) {
+    // Store this instance
+    const self = this;
 
-    }, gameConfig.game.tickInterval);
+    // Determine whether we called back
+    var calledBack = false;
 
-    // Load all active games
-    Core.model.gameModelManager.getGamesWithStage(1, function(err, games) {
+    // Load all active and paused games
+    Core.model.gameModelManager.getGamesWithStage(1, {limit: 0}, function(err, activeGames) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Unload all currently loaded games
-        self.unload();
+        // Get all paused games
+        Core.model.gameModelManager.getGamesWithStage(3, {limit: 0}, function(err, pausedGames) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
 
-        // Create a callback latch
-        var latch = new CallbackLatch();
+            // Create a callback latch
+            var latch = new CallbackLatch();
 
-        // Loop through the list of games
-        games.forEach(function(game) {
-            // Load the game
-            latch.add();
-            self.loadGame(game.getId(), function(err) {
-                // Handle errors
-                if(err !== null) {
-                    if(!calledBack)
-                        callback(err);
-                    calledBack = true;
+            // Loop through the list of games
+            activeGames.concat(pausedGames).forEach(function(game) {
+                // Skip games that are already loaded
+                if(self.isGameLoaded(game))
                     return;
-                }
 
-                // Resolve the latch
-                latch.resolve();
+                // Claim the game for this worker
+                latch.add();
+                Core.clusterManager.claimGame(game, takeOverFrom, function(err, claimed) {
+                    // Handle errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Skip games owned by another worker
+                    if(!claimed) {
+                        latch.resolve();
+                        return;
+                    }
+
+                    // Load the game
+                    self.loadGame(game.getId(), function(err, liveGame) {
+                        // Handle errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Skip if the game was claimed by another worker in the meanwhile
+                        if(liveGame === null) {
+                            latch.resolve();
+                            return;
+                        }
+
+                        // Restore the live state the game had before the server was restarted, or before it's worker died
+                        self.restoreGameState(liveGame, function(err) {
+                            // Handle errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Resolve the latch
+                            latch.resolve();
+                        });
+                    });
+                });
             });
-        });
 
-        // Call back when we're done loading
-        latch.then(function() {
-            callback(null);
+            // Call back when we're done loading
+            latch.then(function() {
+                if(!calledBack)
+                    callback(null);
+                calledBack = true;
+            });
         });
     });
 };
 
 /**
- * @callback GameManager~loadCallback
+ * Called when done loading or when an error occurred.
+ *
+ * @callback GameManager~loadOwnedGamesCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
  */
 
 /**
  * Load a specific game.
+ * The game is only loaded if it isn't owned by another worker in the cluster.
  *
  * @param {GameModel|ObjectId|string} gameId Game instance of game ID of the game to load.
  * @param {GameManager~loadGameCallback} callback Called on success or when an error occurred.
@@ -250,36 +441,51 @@ GameManager.prototype.loadGame = function(gameId, callback) {
 
     // Load the game through the mutex loader
     this._mutexLoader.load(gameId.toString(), function(callback) {
-        // Show a status message
-        console.log('Loading live game... (id: ' + gameId.toString() + ')');
-
-        // Unload the game if it's already loaded
-        self.unloadGame(gameId);
-
-        // Create a new game instance
-        const newGame = new Game(gameId);
-
-        // Load the game
-        newGame.load(function(err) {
+        // Claim the game, so that it's ticks and shops only run on this worker
+        Core.clusterManager.claimGame(gameId, null, function(err, claimed) {
             // Call back errors
             if(err !== null) {
                 callback(err);
                 return;
             }
 
-            // Add the game to the games list
-            self.games.push(newGame);
+            // Don't load the game if it's owned by another worker
+            if(!claimed) {
+                callback(null, null);
+                return;
+            }
+
+            // Show a status message
+            console.log('Loading live game... (id: ' + gameId.toString() + ')');
 
-            // Get the name of the game, and print a status message
-            newGame.getGameModel().getName(function(err, name) {
-                // Handle errors
-                if(err !== null)
-                    console.error('Failed to fetch game name, ignoring.');
-                else
-                    console.log('Live game loaded successfully. (name: ' + name + ', id: ' + gameId.toString() + ')');
+            // Unload the game if it's already loaded
+            self.unloadGame(gameId, true);
 
-                // Call back
-                callback(null, newGame);
+            // Create a new game instance
+            const newGame = new Game(gameId);
+
+            // Load the game
+            newGame.load(function(err) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Add the game to the games list
+                self.games.push(newGame);
+
+                // Get the name of the game, and print a status message
+                newGame.getGameModel().getName(function(err, name) {
+                    // Handle errors
+                    if(err !== null)
+                        console.error('Failed to fetch game name, ignoring.');
+                    else
+                        console.log('Live game loaded successfully. (name: ' + name + ', id: ' + gameId.toString() + ')');
+
+                    // Call back
+                    callback(null, newGame);
+                });
             });
         });
     }, callback);
@@ -290,7 +496,83 @@ GameManager.prototype.loadGame = function(gameId, callback) {
  *
  * @callback GameManager~loadGameCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
- * @param {Game=} Loaded game instance.
+ * @param {Game|null=} Loaded game instance, or null if the game is owned by another worker.
+ */
+
+/**
+ * Store a snapshot of the live state of all loaded games, so it can be restored after a server restart.
+ *
+ * @param {GameManager~saveStateCallback} callback Called when done or when an error occurred.
+ */
+GameManager.prototype.saveState = function(callback) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Store the state of each game
+    this.games.forEach(function(liveGame) {
+        latch.add();
+        GameStateDatabase.saveState(liveGame, liveGame.getState(), function(err) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    });
+
+    // Call back when we're done
+    latch.then(() => callback(null));
+};
+
+/**
+ * Called when done or when an error occurred.
+ *
+ * @callback GameManager~saveStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Restore the last stored live state of the given loaded game, if any state was stored.
+ *
+ * @param {Game} liveGame Live game to restore the state for.
+ * @param {GameManager~restoreGameStateCallback} callback Called when done or when an error occurred.
+ */
+GameManager.prototype.restoreGameState = function(liveGame, callback) {
+    // Get the stored state
+    GameStateDatabase.getState(liveGame, function(err, state) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back if no state was stored
+        if(state === null) {
+            callback(null);
+            return;
+        }
+
+        // Show a status message
+        console.log('Restoring live game state... (id: ' + liveGame.getIdHex() + ')');
+
+        // Restore the state
+        liveGame.restoreState(state, callback);
+    });
+};
+
+/**
+ * Called when done or when an error occurred.
+ *
+ * @callback GameManager~restoreGameStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
  */
 
 /**
@@ -313,10 +595,12 @@ GameManager.prototype.unload = function() {
 
 /**
  * Unload the given game.
+ * The ownership of the game is released, so another worker may load it.
  *
  * @param {GameModel|ObjectId|string} gameId Game instance or game ID to unload.
+ * @param {boolean} [keepOwnership=false] True to keep the ownership of the game, because it's loaded again.
  */
-GameManager.prototype.unloadGame = function(gameId) {
+GameManager.prototype.unloadGame = function(gameId, keepOwnership) {
     // Get the game ID as an ObjectId
     if(gameId instanceof GameModel)
         gameId = gameId.getId();
@@ -354,11 +638,1432 @@ GameManager.prototype.unloadGame = function(gameId) {
         }
     });
 
-    // Remove the game at the given index
-    if(removeIndex >= 0)
-        this.games.splice(removeIndex, 1);
+    // Remove the game at the given index
+    if(removeIndex >= 0)
+        this.games.splice(removeIndex, 1);
+
+    // Release the ownership of the game
+    if(!keepOwnership)
+        Core.clusterManager.releaseGame(gameId);
+};
+
+/**
+ * Change the stage of the given game.
+ * This loads, pauses, resumes or unloads the live game, and broadcasts the new stage to all connected clients.
+ *
+ * When the game is started, it's scheduled end date is determined from the game duration if no end date is set.
+ * The scheduled start date is cleared when the game leaves the first stage, so it isn't started again automatically
+ * when it's moved back to the first stage.
+ * An end date that has already passed, for example when resuming a finished game, is reset.
+ * When the game is paused, the time left until the scheduled end date is stored as duration instead,
+ * so the game continues with the same time left when it's resumed.
+ *
+ * @param {GameModel} game Game to change the stage for.
+ * @param {Number} stage New game stage.
+ * @param {GameManager~changeGameStageCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.changeGameStage = function(game, stage, callback) {
+    // Store this instance
+    const self = this;
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create a function to broadcast the stage and schedule, and to call back
+    const broadcastStage = function() {
+        self.broadcastGameStage(game, stage);
+        self.sendGameSchedule(game, undefined, function(err) {
+            // Show errors in the console
+            if(err !== null)
+                console.error('Failed to send game schedule, ignoring (' + err + ')');
+        });
+
+        // Call back
+        if(!calledBack)
+            callback(null);
+        calledBack = true;
+    };
+
+    // Create a function to set the game stage
+    const setStage = function() {
+        // Get the current stage
+        game.getStage(function(err, previousStage) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the stage, and clear the scheduled start date once the game has left the first stage
+            game.setFields(stage !== 0 ? {
+                stage,
+                start_date: null
+            } : {
+                stage
+            }, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Log the stage change event
+                Core.model.gameEventModelManager.logGameEvent(game, GameEventType.STAGE_CHANGE, {
+                    data: {
+                        stage,
+                        previousStage
+                    }
+                });
+
+                // Continue
+                onStageSet();
+            });
+        });
+    };
+
+    // Create a function to load, pause or unload the game after the stage is set
+    const onStageSet = function() {
+        // Players may be warned again about the game finishing
+        self._finishWarnings.delete(game.getIdHex());
+
+        // Create a function to apply the stage on this worker
+        const applyStage = function() {
+            self.applyGameStage(game, stage, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Broadcast the game stage
+                broadcastStage();
+            });
+        };
+
+        // Apply the stage here if the live game is loaded on this worker
+        if(self.isGameLoaded(game)) {
+            applyStage();
+            return;
+        }
+
+        // Let the worker that owns the live game apply the stage if it's owned by another worker
+        Core.clusterManager.getGameOwner(game, function(err, owner) {
+            // Apply the stage here if the game isn't owned by another worker
+            if(err !== null || owner === null || Core.clusterManager.isLocalWorker(owner)) {
+                applyStage();
+                return;
+            }
+
+            // Send the stage to the owning worker, and broadcast the stage
+            Core.clusterManager.publish(owner, 'gameStage', {
+                game: game.getIdHex(),
+                stage
+            });
+            broadcastStage();
+        });
+    };
+
+    // Store the final results before finishing the game
+    if(stage === 2) {
+        self.createGameResults(game, function(err, results) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Store the results, and set the stage
+            game.setResults(results, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the stage
+                setStage();
+            });
+        });
+        return;
+    }
+
+    // Set the stage right away if the game isn't started or paused
+    if(stage !== 1 && stage !== 3) {
+        setStage();
+        return;
+    }
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Get the end date and duration
+    var endDate = null;
+    var duration = null;
+    latch.add();
+    game.getEndDate(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the end date
+        endDate = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+    latch.add();
+    game.getDuration(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the duration
+        duration = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Determine the new end date and duration when we're done
+    latch.then(function() {
+        // Remember the current end date
+        const currentEndDate = endDate;
+
+        // Store the time that is left as duration if the game is paused
+        if(stage === 3 && endDate !== null) {
+            duration = Math.max(endDate.getTime() - Date.now(), 0);
+            endDate = null;
+        }
+
+        // Reset the end date if it has already passed
+        if(endDate !== null && endDate.getTime() <= Date.now())
+            endDate = null;
+
+        // Determine the end date from the duration if the game is started
+        if(stage === 1 && endDate === null && duration !== null)
+            endDate = new Date(Date.now() + duration);
+
+        // Set the stage if the end date didn't change
+        if(endDate === currentEndDate) {
+            setStage();
+            return;
+        }
+
+        // Store the new end date and duration, and set the stage
+        game.setFields({
+            end_date: endDate,
+            duration
+        }, function(err) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the stage
+            setStage();
+        });
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~changeGameStageCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Apply the given stage to the live game on this worker.
+ * This loads, pauses, resumes or unloads the live game. The stage itself isn't changed, and isn't broadcasted.
+ *
+ * @param {GameModel} game Game to apply the stage for.
+ * @param {Number} stage Game stage.
+ * @param {GameManager~applyGameStageCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.applyGameStage = function(game, stage, callback) {
+    // Get the live game if it's loaded
+    const loadedGame = this.getLoadedGame(game);
+
+    // Resume the game if it was paused
+    if(stage === 1 && loadedGame !== null && loadedGame.isPaused()) {
+        loadedGame.resume();
+        callback(null);
+        return;
+    }
+
+    // Unload the game if it isn't active or paused, and forget it's live state
+    if(stage !== 1 && stage !== 3) {
+        this.unloadGame(game);
+        GameStateDatabase.removeState(game, function(err) {
+            // Show errors
+            if(err !== null) {
+                console.error('Failed to remove live game state, ignoring');
+                console.error(err.stack || err);
+            }
+        });
+        callback(null);
+        return;
+    }
+
+    // Pause the game, keep it loaded so it's state is preserved
+    if(stage === 3 && loadedGame !== null) {
+        loadedGame.pause();
+        callback(null);
+        return;
+    }
+
+    // Load the game, it will be paused when loaded if the game stage is paused
+    this.loadGame(game, (err) => callback(err));
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~applyGameStageCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Create a snapshot of the final results of the given game.
+ * The results contain the team ranking, the balances of each player, the factories and some key totals.
+ * Teams are ranked by the win condition of the game, teams with the same score share the same rank.
+ *
+ * @param {GameModel} game Game to create the results for.
+ * @param {GameManager~createGameResultsCallback} callback Called with the results or when an error occurred.
+ */
+GameManager.prototype.createGameResults = function(game, callback) {
+    // Store this instance
+    const self = this;
+
+    // Create the results object
+    var results = {
+        date: new Date().toISOString(),
+        winCondition: null,
+        winner: null,
+        teams: [],
+        players: [],
+        factories: [],
+        totals: {
+            money: 0,
+            in: 0,
+            out: 0,
+            strength: 0,
+            factories: 0,
+            factoryIn: 0,
+            factoryOut: 0
+        }
+    };
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create a function to handle errors
+    const onError = function(err) {
+        if(!calledBack)
+            callback(err);
+        calledBack = true;
+    };
+
+    // Create a map for the output production of each factory
+    var factoryProduction = {};
+
+    // Create a function to get the output production of a factory, decoys and factories under construction don't produce
+    // The live factory is used if it's loaded on this worker, the factory model is used otherwise
+    const getFactoryProduction = function(factory, callback) {
+        // Create a latch for the production properties, and make sure we only call back once
+        var productionLatch = new CallbackLatch();
+        var productionCalledBack = false;
+
+        // Create the production properties
+        var properties = {};
+
+        // Create a function to fetch a production property
+        const fetch = function(name, getter) {
+            productionLatch.add();
+            getter(function(err, result) {
+                // Call back errors
+                if(err !== null) {
+                    if(!productionCalledBack)
+                        callback(err);
+                    productionCalledBack = true;
+                    return;
+                }
+
+                // Set the property
+                properties[name] = result;
+
+                // Resolve the latch
+                productionLatch.resolve();
+            });
+        };
+
+        // Get the live factory
+        factory.getLiveFactory(function(err, liveFactory) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Fetch the production properties from the live factory if it's available
+            if(liveFactory !== null) {
+                fetch('production', (cb) => liveFactory.getProductionOut(cb));
+                fetch('decoy', (cb) => liveFactory.isDecoy(cb));
+                fetch('underConstruction', (cb) => liveFactory.isUnderConstruction(cb));
+
+                // Call back the production
+                productionLatch.then(function() {
+                    callback(null, properties.decoy || properties.underConstruction ? 0 : properties.production);
+                });
+                return;
+            }
+
+            // Fetch the production properties from the factory model
+            fetch('gameConfig', (cb) => game.getConfig(cb));
+            fetch('level', (cb) => factory.getLevel(cb));
+            fetch('type', (cb) => factory.getType(cb));
+            fetch('decoy', (cb) => factory.isDecoy(cb));
+            fetch('construction', (cb) => factory.getConstruction(cb));
+
+            // Calculate the production, and apply the production ratio of the factory type
+            productionLatch.then(function() {
+                // Decoys and factories under construction don't produce
+                if(properties.decoy || properties.construction.remaining > 0) {
+                    callback(null, 0);
+                    return;
+                }
+
+                // Call back the production
+                const factoryConfig = properties.gameConfig.factory;
+                callback(null, Math.round(factoryConfig.getProductionOut(properties.level) * factoryConfig.getType(properties.type).productionRatio));
+            });
+        });
+    };
+
+    // Get the game configuration, for the win condition and production
+    var gameConfig = null;
+    latch.add();
+    game.getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Set the configuration and win condition
+        gameConfig = result;
+        results.winCondition = gameConfig.game.winCondition;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the teams in this game
+    latch.add();
+    Core.model.gameTeamModelManager.getGameTeams(game, function(err, teams) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Loop through the teams and fetch their names
+        teams.forEach(function(team) {
+            latch.add();
+            team.getName(function(err, name) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Add the team to the results
+                results.teams.push({
+                    id: team.getIdHex(),
+                    name,
+                    rank: 0,
+                    score: 0,
+                    money: 0,
+                    players: 0,
+                    factories: 0
+                });
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the players in this game
+    latch.add();
+    Core.model.gameUserModelManager.getGameUsers(game, {
+        players: true
+    }, function(err, users) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Loop through the users and fetch their game data
+        users.forEach(function(user) {
+            // Create a player object
+            var playerObject = {
+                id: user.getIdHex(),
+                name: null,
+                team: null,
+                money: 0,
+                in: 0,
+                out: 0,
+                strength: 0,
+                factories: 0
+            };
+
+            // Create a player latch
+            var playerLatch = new CallbackLatch();
+
+            // Get the display name of the user
+            playerLatch.add();
+            user.getDisplayName(function(err, name) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Set the name
+                playerObject.name = name;
+
+                // Resolve the player latch
+                playerLatch.resolve();
+            });
+
+            // Get the game user, to fetch the balances from
+            playerLatch.add();
+            Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Skip the balances if the game user doesn't exist
+                if(gameUser === null) {
+                    playerLatch.resolve();
+                    return;
+                }
+
+                // Fetch the team and the balances of the user
+                playerLatch.add(5);
+                gameUser.getTeam(function(err, team) {
+                    // Call back errors
+                    if(err !== null) {
+                        onError(err);
+                        return;
+                    }
+
+                    // Set the team ID
+                    playerObject.team = team !== null && team !== undefined ? team.getIdHex() : null;
+
+                    // Resolve the player latch
+                    playerLatch.resolve();
+                });
+                ['money', 'in', 'out', 'strength'].forEach(function(field) {
+                    gameUser.getField(field, function(err, value) {
+                        // Call back errors
+                        if(err !== null) {
+                            onError(err);
+                            return;
+                        }
+
+                        // Set the value
+                        playerObject[field] = value;
+
+                        // Resolve the player latch
+                        playerLatch.resolve();
+                    });
+                });
+
+                // Resolve the player latch
+                playerLatch.resolve();
+            });
+
+            // Add the player to the results when we're done
+            latch.add();
+            playerLatch.then(function() {
+                // Add the player object
+                results.players.push(playerObject);
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the factories in this game
+    latch.add();
+    Core.model.factoryModelManager.getFactories(game, null, null, function(err, factories) {
+        // Call back errors
+        if(err !== null) {
+            onError(err);
+            return;
+        }
+
+        // Loop through the factories and fetch their data
+        factories.forEach(function(factory) {
+            // Create a factory object
+            var factoryObject = {
+                id: factory.getIdHex(),
+                name: null,
+                team: null,
+                user: null,
+                location: null,
+                level: 0,
+                defence: 0,
+                in: 0,
+                out: 0
+            };
+
+            // Create a factory latch
+            var factoryLatch = new CallbackLatch();
+
+            // Get the location of the factory
+            factoryLatch.add();
+            factory.getLocation(function(err, location) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Set the location
+                if(location !== null && location !== undefined)
+                    factoryObject.location = {
+                        latitude: location.latitude,
+                        longitude: location.longitude
+                    };
+
+                // Resolve the factory latch
+                factoryLatch.resolve();
+            });
+
+            // Get the team and the user of the factory
+            factoryLatch.add(2);
+            factory.getTeam(function(err, team) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Set the team ID
+                factoryObject.team = team !== null && team !== undefined ? team.getIdHex() : null;
+
+                // Resolve the factory latch
+                factoryLatch.resolve();
+            });
+            factory.getUser(function(err, user) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Set the user ID
+                factoryObject.user = user !== null && user !== undefined ? user.getIdHex() : null;
+
+                // Resolve the factory latch
+                factoryLatch.resolve();
+            });
+
+            // Get the remaining factory properties
+            ['name', 'level', 'defence', 'in', 'out'].forEach(function(field) {
+                factoryLatch.add();
+                factory.getField(field, function(err, value) {
+                    // Call back errors
+                    if(err !== null) {
+                        onError(err);
+                        return;
+                    }
+
+                    // Set the value
+                    factoryObject[field] = value;
+
+                    // Resolve the factory latch
+                    factoryLatch.resolve();
+                });
+            });
+
+            // Get the output production of the factory, which includes its type and construction state
+            factoryLatch.add();
+            getFactoryProduction(factory, function(err, production) {
+                // Call back errors
+                if(err !== null) {
+                    onError(err);
+                    return;
+                }
+
+                // Remember the production
+                factoryProduction[factory.getIdHex()] = production;
+
+                // Resolve the factory latch
+                factoryLatch.resolve();
+            });
+
+            // Add the factory to the results when we're done
+            latch.add();
+            factoryLatch.then(function() {
+                // Add the factory object
+                results.factories.push(factoryObject);
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Compose the ranking and totals when everything is fetched
+    latch.then(function() {
+        // Create a map of teams by their ID, and of the goods and production of each team
+        var teamMap = {};
+        var teamTotals = {};
+        results.teams.forEach(function(team) {
+            teamMap[team.id] = team;
+            teamTotals[team.id] = {
+                in: 0,
+                out: 0,
+                production: 0
+            };
+        });
+
+        // Sum up the player balances for each team and in the totals
+        results.players.forEach(function(player) {
+            // Add the balances to the totals
+            results.totals.money += player.money;
+            results.totals.in += player.in;
+            results.totals.out += player.out;
+            results.totals.strength += player.strength;
+
+            // Add the money and goods to the team of the player
+            if(_.has(teamMap, player.team)) {
+                teamMap[player.team].money += player.money;
+                teamMap[player.team].players++;
+                teamTotals[player.team].in += player.in;
+                teamTotals[player.team].out += player.out;
+            }
+        });
+
+        // Count the factories for each team and player, and add them to the totals
+        results.factories.forEach(function(factory) {
+            // Add the factory to the totals
+            results.totals.factories++;
+            results.totals.factoryIn += factory.in;
+            results.totals.factoryOut += factory.out;
+
+            // Count the factory, it's goods and production for the owning team
+            if(_.has(teamMap, factory.team)) {
+                teamMap[factory.team].factories++;
+                teamTotals[factory.team].in += factory.in;
+                teamTotals[factory.team].out += factory.out;
+                teamTotals[factory.team].production += factoryProduction[factory.id];
+            }
+
+            // Count the factory for the player that built it
+            results.players.forEach(function(player) {
+                if(player.id === factory.user)
+                    player.factories++;
+            });
+        });
+
+        // Value the goods at the current market prices, use the configured prices if the game isn't loaded on this worker
+        const liveGame = self.getLoadedGame(game);
+        const prices = liveGame !== null && liveGame.market.isLoaded() ? liveGame.market.getPrices() : WinCondition.getConfigPrices(gameConfig);
+
+        // Score the teams by the win condition
+        results.teams.forEach(function(team) {
+            team.score = WinCondition.getScore(results.winCondition, {
+                money: team.money,
+                in: teamTotals[team.id].in,
+                out: teamTotals[team.id].out,
+                factories: team.factories,
+                production: teamTotals[team.id].production
+            }, prices);
+        });
+
+        // Rank the teams by their score, and sort the players by their money
+        WinCondition.rankTeams(results.teams);
+        results.players.sort((a, b) => b.money - a.money);
+
+        // Determine the winning team, there is no winner if multiple teams share the first rank
+        const winner = WinCondition.getWinner(results.teams);
+        if(winner !== null)
+            results.winner = {
+                id: winner.id,
+                name: winner.name
+            };
+
+        // Call back the results
+        if(!calledBack)
+            callback(null, results);
+        calledBack = true;
+    });
+};
+
+/**
+ * Called with the game results or when an error occurred.
+ *
+ * @callback GameManager~createGameResultsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {GameResultsObject=} Game results object.
+ */
+
+/**
+ * @typedef {Object} GameResultsObject
+ * @param {String} date Date and time the results were created on, as ISO string.
+ * @param {string} winCondition Win condition the teams are ranked by.
+ * @param {Object|null} winner Object with the ID and name of the winning team, or null if there is no single winner.
+ * @param {Array} teams Array of ranked team objects, with their ID, name, rank, score, money, player and factory count.
+ * @param {Array} players Array of player objects, with their ID, name, team ID, money, in, out, strength and built
+ * factory count.
+ * @param {Array} factories Array of factory objects, with their ID, name, team ID, user ID, location, level, defence,
+ * in and out.
+ * @param {Object} totals Object with the total money, in, out, strength, factory count, factory in and factory out.
+ */
+
+/**
+ * Broadcast the stage of the given game to all connected clients.
+ * The stage is also broadcasted to the clients of the other workers in the cluster.
+ *
+ * @param {GameModel} game Game to broadcast the stage for.
+ * @param {Number} stage Current game stage.
+ * @param {boolean} [localOnly=false] True to only broadcast to the clients connected to this worker.
+ */
+GameManager.prototype.broadcastGameStage = function(game, stage, localOnly) {
+    // Broadcast the stage to the clients of the other workers
+    if(!localOnly)
+        Core.clusterManager.publish(null, 'gameStageBroadcast', {
+            game: game.getIdHex(),
+            stage
+        });
+
+    // Get the name of the game
+    game.getName(function(err, gameName) {
+        // Handle errors
+        if(err !== null)
+            gameName = 'Unknown';
+
+        // Loop through all connected clients, to send the game stage update
+        Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
+            // Get the socket
+            const entrySocket = Core.realTime._io.sockets.sockets[socketId];
+
+            // Skip the socket if not authenticated
+            if(!_.has(entrySocket, 'session.valid') || !_.has(entrySocket, 'session.user') || !entrySocket.session.valid)
+                return;
+
+            // Get the user
+            const user = entrySocket.session.user;
+
+            // Check whether the user joined this game
+            game.hasUser(user, function(err, joined) {
+                // Handle errors
+                if(err !== null)
+                    joined = false;
+
+                // Send a game stage changed packet to the user
+                Core.realTime.packetProcessor.sendPacket(PacketType.GAME_STAGE_CHANGED, {
+                    game: game.getIdHex(),
+                    gameName,
+                    stage,
+                    joined
+                }, entrySocket);
+            });
+        });
+    });
+};
+
+/**
+ * Broadcast a message to all users that joined the given game.
+ * The broadcast is queued for users that aren't connected, until they resolve it.
+ *
+ * @param {GameModel} game Game to broadcast the message in.
+ * @param {string} message Message to broadcast.
+ * @param {GameManager~broadcastMessageCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.broadcastMessage = function(game, message, callback) {
+    // Get all users that joined this game
+    Core.model.gameUserModelManager.getGameUsers(game, function(err, users) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Create the broadcast object
+        var broadcastObject = {
+            message,
+            game: game.getIdHex()
+        };
+
+        // Generate an token for the broadcast
+        TokenGenerator.generateToken(32, function(err, token) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Set the token
+            broadcastObject.token = token;
+
+            // Loop through the list of users
+            users.forEach(function(user) {
+                // Add the user, and their broadcast to the broadcast queue
+                Core.realTime.queueBroadcast(broadcastObject, user.getIdHex().toLowerCase());
+            });
+
+            // Get the name of the game
+            game.getName(function(err, gameName) {
+                // Handle errors
+                if(err !== null)
+                    gameName = 'Unknown';
+
+                // Set the game name in the broadcast object
+                broadcastObject.gameName = gameName;
+
+                // Loop through all connected clients, to send the broadcast
+                Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
+                    // Get the socket
+                    const entrySocket = Core.realTime._io.sockets.sockets[socketId];
+
+                    // Skip the socket if not authenticated
+                    if(!_.has(entrySocket, 'session.valid') || !_.has(entrySocket, 'session.user') || !entrySocket.session.valid)
+                        return;
+
+                    // Get the user
+                    const user = entrySocket.session.user;
+
+                    // Check whether the user joined this game
+                    game.hasUser(user, function(err, joined) {
+                        // Skip this socket if an error occurred
+                        if(err !== null)
+                            return;
+
+                        // Make sure the user joined
+                        if(!joined)
+                            return;
+
+                        // Send a broadcast packet to the user
+                        Core.realTime.packetProcessor.sendPacket(PacketType.BROADCAST_MESSAGE, broadcastObject, entrySocket);
+                    });
+                });
+
+                // Call back
+                callback(null);
+            });
+        });
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~broadcastMessageCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Set the schedule of the given game, and send the new schedule to all connected clients.
+ *
+ * @param {GameModel} game Game to set the schedule for.
+ * @param {Date|null} startDate Date to start the game on, or null to not start it automatically.
+ * @param {Date|null} endDate Date to finish the game on, or null to not finish it on a fixed date.
+ * @param {Number|null} duration Game duration in milliseconds, or null to not limit the duration.
+ * @param {GameManager~setGameScheduleCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.setGameSchedule = function(game, startDate, endDate, duration, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the game stage
+    game.getStage(function(err, stage) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Determine the end date from the duration if the game is already active
+        if(stage === 1 && endDate === null && duration !== null)
+            endDate = new Date(Date.now() + duration);
+
+        // Set the schedule fields
+        game.setFields({
+            start_date: startDate,
+            end_date: endDate,
+            duration
+        }, function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Players may be warned again about the game finishing
+            self._finishWarnings.delete(game.getIdHex());
+
+            // Send the new schedule to all clients
+            self.sendGameSchedule(game, undefined, callback);
+        });
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~setGameScheduleCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Get the schedule of the given game, as an object that can be sent to clients.
+ *
+ * @param {GameModel} game Game to get the schedule for.
+ * @param {GameManager~getGameScheduleCallback} callback Called with the schedule or when an error occurred.
+ */
+GameManager.prototype.getGameSchedule = function(game, callback) {
+    // Create the schedule object
+    var schedule = {
+        game: game.getIdHex()
+    };
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Get the game stage
+    latch.add();
+    game.getStage(function(err, stage) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the stage
+        schedule.stage = stage;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the start date
+    latch.add();
+    game.getStartDate(function(err, startDate) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the start date
+        schedule.startDate = startDate !== null ? startDate.toISOString() : null;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the end date
+    latch.add();
+    game.getEndDate(function(err, endDate) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the end date
+        schedule.endDate = endDate !== null ? endDate.toISOString() : null;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the duration
+    latch.add();
+    game.getDuration(function(err, duration) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the duration
+        schedule.duration = duration;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Call back the schedule when we're done
+    latch.then(function() {
+        if(!calledBack)
+            callback(null, schedule);
+    });
+};
+
+/**
+ * Called with the game schedule or when an error occurred.
+ *
+ * @callback GameManager~getGameScheduleCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Object=} Game schedule object, with the game, stage, startDate, endDate and duration properties.
+ */
+
+/**
+ * Send the schedule of the given game, so clients are able to show a countdown.
+ *
+ * @param {GameModel} game Game to send the schedule for.
+ * @param {Array|*|undefined} sockets Array of sockets or a single socket to send the schedule to.
+ * Undefined or an empty array to send the schedule to all authenticated sockets.
+ * @param {GameManager~sendGameScheduleCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.sendGameSchedule = function(game, sockets, callback) {
+    // Convert the sockets to an array
+    if(sockets === undefined)
+        sockets = [];
+    else if(!_.isArray(sockets))
+        sockets = [sockets];
+
+    // Get the game schedule
+    this.getGameSchedule(game, function(err, schedule) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Send the schedule to the given sockets
+        if(sockets.length > 0)
+            sockets.forEach(function(socket) {
+                Core.realTime.packetProcessor.sendPacket(PacketType.GAME_SCHEDULE, schedule, socket);
+            });
+
+        else
+            // Loop through all connected clients, to send the schedule
+            Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
+                // Get the socket
+                const entrySocket = Core.realTime._io.sockets.sockets[socketId];
+
+                // Skip the socket if not authenticated
+                if(!_.has(entrySocket, 'session.valid') || !entrySocket.session.valid)
+                    return;
+
+                // Send the schedule
+                Core.realTime.packetProcessor.sendPacket(PacketType.GAME_SCHEDULE, schedule, entrySocket);
+            });
+
+        // Call back
+        callback(null);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~sendGameScheduleCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Process the schedules of all games.
+ * Games are started and finished when their scheduled time has passed,
+ * and players are warned when their game is about to finish.
+ *
+ * @param {GameManager~processSchedulesCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.processSchedules = function(callback) {
+    // Skip if the schedules are still being processed
+    if(this._scheduleProcessing) {
+        callback(null);
+        return;
+    }
+
+    // Set the processing flag
+    this._scheduleProcessing = true;
+
+    // Store this instance
+    const self = this;
+
+    // Create a function to reset the processing flag and call back
+    const done = function(err) {
+        self._scheduleProcessing = false;
+        callback(err);
+    };
+
+    // Get all scheduled games
+    Core.model.gameModelManager.getScheduledGames(function(err, games) {
+        // Call back errors
+        if(err !== null) {
+            done(err);
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Process the schedule of each game
+        games.forEach(function(game) {
+            latch.add();
+            self.processGameSchedule(game, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        done(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Call back when we're done
+        latch.then(function() {
+            if(!calledBack)
+                done(null);
+        });
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~processSchedulesCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Process the schedule of the given game.
+ *
+ * @param {GameModel} game Game to process the schedule for.
+ * @param {GameManager~processGameScheduleCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.processGameSchedule = function(game, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the schedule and configuration of the game
+    var schedule = null;
+    var gameConfig = null;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Get the game schedule
+    latch.add();
+    this.getGameSchedule(game, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the schedule
+        schedule = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the game configuration
+    latch.add();
+    game.getConfig(function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the game configuration
+        gameConfig = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Continue when we're done
+    latch.then(function() {
+        // Get the current time
+        const now = Date.now();
+
+        // Start the game if it's start date has passed
+        if(schedule.stage === 0 && schedule.startDate !== null && new Date(schedule.startDate).getTime() <= now) {
+            console.log('Starting scheduled game... (id: ' + game.getIdHex() + ')');
+            self.changeGameStage(game, 1, callback);
+            return;
+        }
+
+        // Skip the game if it isn't active or if it doesn't have an end date
+        if(schedule.stage !== 1 || schedule.endDate === null) {
+            callback(null);
+            return;
+        }
+
+        // Determine the time left
+        const timeLeft = new Date(schedule.endDate).getTime() - now;
+
+        // Finish the game if it's end date has passed
+        if(timeLeft <= 0) {
+            console.log('Finishing scheduled game... (id: ' + game.getIdHex() + ')');
+            self.changeGameStage(game, 2, callback);
+            return;
+        }
+
+        // Warn the players if the game is finishing soon, and they haven't been warned yet
+        if(timeLeft <= gameConfig.game.finishWarningTime && !self._finishWarnings.has(game.getIdHex())) {
+            // Remember the players have been warned
+            self._finishWarnings.add(game.getIdHex());
+
+            // Determine the number of minutes left
+            const minutesLeft = Math.ceil(timeLeft / (60 * 1000));
+
+            // Broadcast the warning
+            self.broadcastMessage(game, 'The game will finish in ' + minutesLeft + ' minute' + (minutesLeft === 1 ? '' : 's') + '.', callback);
+            return;
+        }
+
+        // Call back
+        callback(null);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~processGameScheduleCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Finish the given game if a team reached the target amount of money, when the game uses the target win condition.
+ *
+ * @param {Game} liveGame Live game to check.
+ * @param {GameManager~processWinTargetCallback} callback Called on success or when an error occurred.
+ */
+GameManager.prototype.processWinTarget = function(liveGame, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the game configuration
+    liveGame.getConfig(function(err, gameConfig) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Skip the game if it doesn't use the target win condition
+        if(gameConfig.game.winCondition !== WinCondition.TARGET) {
+            callback(null);
+            return;
+        }
+
+        // Get the team standings
+        liveGame.getTeamStandings(function(err, standings) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Make sure the best team reached the target
+            if(standings.length === 0 || standings[0].score < gameConfig.game.winTarget) {
+                callback(null);
+                return;
+            }
+
+            // Get the game model
+            const game = liveGame.getGameModel();
+
+            // Finish the game, and broadcast the winning team
+            console.log('Finishing game, a team reached the target... (id: ' + game.getIdHex() + ')');
+            self.changeGameStage(game, 2, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Broadcast the team that reached the target
+                self.broadcastMessage(game, 'Team ' + standings[0].name + ' reached the target of ' + gameConfig.game.winTarget + ' ' +
+                    liveGame.__('currency.names') + ' and wins the game!', callback);
+            });
+        });
+    });
 };
 
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameManager~processWinTargetCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
 /**
  * Broadcast the location status of all loaded games to all real-time connected clients.
  *
@@ -484,6 +2189,48 @@ GameManager.prototype.broadcastLocationData = function(scheduleTime, gameConstra
                 var users = [];
                 var factories = [];
 
+                // Create variables for the team of the user and the duration last seen positions are shown for
+                var userTeam = null;
+                var lastSeenDuration = 0;
+
+                // Get the team of the user
+                gameLatch.add();
+                liveUser.getTeam(function(err, result) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            if(_.isFunction(callback))
+                                callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the team
+                    userTeam = result;
+
+                    // Resolve the latch
+                    gameLatch.resolve();
+                });
+
+                // Get the duration last seen positions are shown for
+                gameLatch.add();
+                liveGame.getConfig(function(err, gameConfig) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            if(_.isFunction(callback))
+                                callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the duration
+                    lastSeenDuration = gameConfig.game.lastSeenDuration;
+
+                    // Resolve the latch
+                    gameLatch.resolve();
+                });
+
                 // Loop through the list user
                 liveGame.userManager.users.forEach(function(otherLiveUser) {
                     // Skip each user if we already called back
@@ -523,12 +2270,12 @@ GameManager.prototype.broadcastLocationData = function(scheduleTime, gameConstra
                             const liveShop = visible && liveGame.shopManager.getShopByUser(otherLiveUser);
                             const isShop = liveShop !== null;
 
-                            // Create a data object for the user
+                            // Create a data object for the user, users that are only visible because they're pinged are enemies
                             var userObject = {
                                 user: otherLiveUser.getIdHex(),
                                 userName: name,
                                 location: otherLiveUser.getLocation(),
-                                ally: true,
+                                ally: !otherLiveUser.isInPingMemory(liveUser),
                                 shop: {
                                     isShop
                                 }
@@ -685,6 +2432,46 @@ GameManager.prototype.broadcastLocationData = function(scheduleTime, gameConstra
                             factoryLatch.resolve();
                         });
 
+                        // Get the factory type name
+                        factoryLatch.add();
+                        liveFactory.getTypeConfig(function(err, type) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    if(_.isFunction(callback))
+                                        callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Set the type name
+                            factoryObject.typeName = type.name;
+
+                            // Resolve the factory latch
+                            factoryLatch.resolve();
+                        });
+
+                        // Get the construction progress
+                        factoryLatch.add();
+                        liveFactory.getConstruction(function(err, construction) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    if(_.isFunction(callback))
+                                        callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Set the construction progress, null if the factory is operational
+                            factoryObject.construction = construction.remaining > 0 ?
+                                Math.max(Math.floor((1 - construction.remaining / construction.time) * 100), 0) :
+                                null;
+
+                            // Resolve the factory latch
+                            factoryLatch.resolve();
+                        });
+
                         // Add the factory object when we're done
                         factoryLatch.then(function() {
                             // Create a user object and add it to the list
@@ -698,11 +2485,30 @@ GameManager.prototype.broadcastLocationData = function(scheduleTime, gameConstra
 
                 // Send the data to the proper sockets when done
                 gameLatch.then(function() {
+                    // Get the last seen positions of enemies the team of the user can't see anymore
+                    const now = Date.now();
+                    const lastSeen = userTeam === null ? [] : liveGame.lastSeenMemory.getEntries(userTeam, lastSeenDuration, now)
+                        .filter(function(entry) {
+                            if(entry.type === 'user')
+                                return !users.some((userObject) => userObject.user === entry.id);
+                            return !factories.some((factoryObject) => factoryObject.factory === entry.id);
+                        })
+                        .map(function(entry) {
+                            return {
+                                type: entry.type,
+                                id: entry.id,
+                                name: entry.name,
+                                location: entry.location,
+                                age: now - entry.time
+                            };
+                        });
+
                     // Create a packet object
                     const packetObject = {
                         game: liveGame.getIdHex(),
                         users,
-                        factories
+                        factories,
+                        lastSeen
                     };
 
                     // Create a packet and send it to the correct user/sockets
@@ -758,6 +2564,9 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
         strength: {},
         standings: [],
         pings: [],
+        playArea: null,
+        zones: [],
+        dealers: [],
         roles: {},
         user: {
             isAdmin: false
@@ -855,6 +2664,76 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
             latch.resolve();
         });
 
+        // Get the win condition of the game
+        latch.add();
+        game.getConfig(function(err, gameConfig) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the win condition
+            gameData.winCondition = {
+                type: gameConfig.game.winCondition,
+                name: WinCondition.getName(gameConfig.game.winCondition),
+                target: gameConfig.game.winCondition === WinCondition.TARGET ? gameConfig.game.winTarget : null
+            };
+
+            // Set the factory types a user may choose from when building a factory
+            _.set(gameData, 'factory.types', _.map(gameConfig.factory.types, function(type, id) {
+                return {
+                    id,
+                    name: type.name,
+                    description: type.description
+                };
+            }));
+
+            // Set the price of a decoy factory
+            _.set(gameData, 'factory.decoyPrice', gameConfig.factory.decoyPrice);
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the play area of the game
+        latch.add();
+        game.getPlayArea(function(err, playArea) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the play area points
+            gameData.playArea = playArea !== null ? playArea.toLatLngArray() : null;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the no-build and safe zones of the game
+        latch.add();
+        game.getZones(function(err, zones) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the zones
+            gameData.zones = zones.map((zone) => zone.toClientObject());
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
         // Check whether the user is an administrator
         latch.add();
         user.isAdmin(function(err, isAdmin) {
@@ -944,6 +2823,55 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
                 latch.resolve();
             });
 
+            // Get the team treasury, and whether the user is a treasurer
+            latch.add();
+            gameUser.getTeam(function(err, team) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Users without a team don't have a treasury
+                if(team === null) {
+                    latch.resolve();
+                    return;
+                }
+
+                // Get the treasury money
+                team.getTreasury(function(err, treasury) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Determine whether the user is a treasurer
+                    gameUser.isTreasurer(function(err, isTreasurer) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Set the treasury data
+                        gameData.treasury = {
+                            money: treasury,
+                            treasurer: isTreasurer
+                        };
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+            });
+
             // Resolve the latch
             latch.resolve();
         });
@@ -965,6 +2893,10 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
                 return;
             }
 
+            // Set the current and recent market prices
+            if(liveGame.market.isLoaded())
+                gameData.market = liveGame.market.toObject();
+
             // Get the live user
             latch.add();
             liveGame.getUser(user, function(err, liveUser) {
@@ -1064,6 +2996,58 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
                 latch.resolve();
             });
 
+            // Add the fixed dealers, which are shown on the map for everyone
+            liveGame.shopManager.getFixedShops().forEach(function(liveShop) {
+                // Create a dealer object
+                var dealerObject = liveShop.getDealer().toClientObject();
+                dealerObject.token = liveShop.getToken();
+                dealerObject.open = liveGame.shopManager.shops.indexOf(liveShop) >= 0;
+
+                // Get the game user
+                latch.add();
+                Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Check whether the dealer is allied with the user
+                    liveShop.isAllyWith(gameUser, function(err, ally) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                callback(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Set whether the dealer is allied
+                        dealerObject.ally = ally;
+
+                        // Get the global range of the dealer
+                        liveShop.getRange(undefined, function(err, range) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Set the range, and add the dealer object
+                            dealerObject.range = range;
+                            gameData.dealers.push(dealerObject);
+
+                            // Resolve the latch
+                            latch.resolve();
+                        });
+                    });
+                });
+            });
+
             // Add the shop data when close by
             latch.add();
             liveGame.getUser(user, function(err, liveUser) {
@@ -1267,8 +3251,8 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
                 return;
             }
 
-            // Get the amount of money each team has
-            liveGame.getTeamMoney(undefined, function(err, standings) {
+            // Get the standings of each team, ranked by the win condition
+            liveGame.getTeamStandings(function(err, standings) {
                 // Call back errors
                 if (err !== null) {
                     if (!calledBack)
@@ -1326,8 +3310,22 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
                                 allyTeamMoney = gameData.standings[i].money;
                         }
 
+                        // Resolve the latch if the game isn't active, because pings aren't available then
+                        if(gameStage !== 1) {
+                            latch.resolve();
+                            return;
+                        }
+
                         // Get the pings that are applicable for this team, and set the pings field in the game data object
-                        if(gameStage === 1) {
+                        game.getConfig(function(err, gameConfig) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    callback(err);
+                                calledBack = true;
+                                return;
+                            }
+
                             // Get the pings
                             const pings = gameConfig.ping.getPings(allyTeamMoney);
 
@@ -1336,16 +3334,17 @@ GameManager.prototype.sendGameData = function(game, user, sockets, callback) {
                                 gameData.pings.push({
                                     id: ping.id,
                                     name: ping.name,
+                                    type: ping.type,
                                     cost: ping.price,
                                     range: ping.range,
                                     duration: ping.duration,
                                     max: ping.max
                                 });
                             });
-                        }
 
-                        // Resolve the latch
-                        latch.resolve();
+                            // Resolve the latch
+                            latch.resolve();
+                        });
                     });
                 });
 
@@ -1393,6 +3392,15 @@ GameManager.prototype.sendGameDataToAll = function(game, callback) {
             return;
         }
 
+        // Let the worker that owns the game send the data, if it isn't loaded here
+        if(liveGame === null) {
+            Core.clusterManager.publish(null, 'gameDataSendAll', {
+                game: game.getIdHex()
+            });
+            callback(null);
+            return;
+        }
+
         // Make sure we only call back once
         var calledBack = false;
 
@@ -1429,79 +3437,5 @@ GameManager.prototype.sendGameDataToAll = function(game, callback) {
     });
 };
 
-/**
- * Run a game tick.
- * This invokes a game tick for games that are currently active.
- *
- * @param {int|null|undefined} scheduleTime=0 Time in milliseconds ticks may be scheduled in. Zero to not schedule.
- * @param {GameManager~tickCallback} [callback] Called when the tick has been processed, or when an error occurred.
- */
-GameManager.prototype.tick = function(scheduleTime, callback) {
-    // Parse the schedule time
-    if(scheduleTime < 0 || scheduleTime === undefined || scheduleTime === null)
-        scheduleTime = 0;
-
-    // Create a new callback latch
-    var latch = new CallbackLatch();
-
-    // We may only call back once
-    var calledBack = false;
-
-    // Count the number of ticks that need to be processed
-    var tickCount = 0;
-    this.games.forEach(function(liveGame) {
-        tickCount += liveGame.factoryManager.factories.length;
-    });
-
-    // Define the delay value in milliseconds
-    var delay = 0;
-
-    // Loop through all the games, and tick the factories
-    this.games.forEach(function(liveGame) {
-        // Loop through the factories
-        liveGame.factoryManager.factories.forEach(function(liveFactory) {
-            // Add a latch for this factory
-            latch.add();
-
-            // Define a function to invoke the tick
-            var doTick = function() {
-                liveFactory.tick(function(err) {
-                    // Call back errors
-                    if(err !== null) {
-                        callback(err);
-                        calledBack = true;
-                        return;
-                    }
-
-                    // Resolve the latch
-                    latch.resolve();
-                });
-            };
-
-            // Run tasks with a delay of zero immediately and schedule delayed tasks
-            if(delay === 0)
-                doTick();
-            else
-                setTimeout(doTick, parseInt(delay));
-
-            // Increase the delay
-            if(config.game.spreadTicks && scheduleTime !== 0)
-                delay += scheduleTime / tickCount;
-        });
-    });
-
-    // Call back when we're done
-    latch.then(function() {
-        callback(null);
-    });
-};
-
-/**
- * Called when the tick is processed, or when an error occurred.
- *
- * @callback GameManager~tickCallback
- * @param {Error|null} Error instance if an error occurred, or null on success.
- */
-
 // Export the class
 module.exports = GameManager;
\ No newline at end of file
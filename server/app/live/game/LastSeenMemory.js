@@ -0,0 +1,158 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * Last seen memory class.
+ * Keeps track of the last known position of enemy factories and players each team has seen in a game,
+ * so they can still be shown on the map for a while after they're out of sight.
+ *
+ * @class
+ * @constructor
+ */
+var LastSeenMemory = function() {
+    /**
+     * Object containing the last seen entries of each team, by their team ID.
+     * Each team has an object of entries, by their type and ID.
+     * @type {Object}
+     * @private
+     */
+    this._teams = {};
+
+    /**
+     * Last known position of a factory or player.
+     *
+     * @typedef {Object} LastSeenEntry
+     * @param {string} type Type of the entry, 'factory' or 'user'.
+     * @param {string} id Hexadecimal ID of the factory or user.
+     * @param {string} name Name of the factory or user.
+     * @param {Coordinate} location Last known location.
+     * @param {Number} time Time the factory or user was last seen, in milliseconds since the epoch.
+     */
+};
+
+/**
+ * Get the key to store the entries of the given team at.
+ *
+ * @param {GameTeamModel|string} team Team, or the hexadecimal ID of a team.
+ * @return {string} Team key.
+ * @private
+ */
+LastSeenMemory.prototype._getTeamKey = function(team) {
+    return (_.isString(team) ? team : team.getIdHex()).toLowerCase();
+};
+
+/**
+ * Remember that the given team has seen a factory or player at the given location.
+ *
+ * @param {GameTeamModel|string} team Team that has seen the factory or player.
+ * @param {string} type Type of the entry, 'factory' or 'user'.
+ * @param {string} id Hexadecimal ID of the factory or user.
+ * @param {string} name Name of the factory or user.
+ * @param {Coordinate} location Location the factory or user was seen at.
+ * @param {Number} [time] Time the factory or user was seen at, in milliseconds since the epoch. Defaults to now.
+ */
+LastSeenMemory.prototype.remember = function(team, type, id, name, location, time) {
+    // Get the entries of the team, create them if the team doesn't have any yet
+    const teamKey = this._getTeamKey(team);
+    if(!this._teams.hasOwnProperty(teamKey))
+        this._teams[teamKey] = {};
+
+    // Store the entry
+    this._teams[teamKey][type + ':' + id.toLowerCase()] = {
+        type,
+        id: id.toLowerCase(),
+        name,
+        location,
+        time: time !== undefined ? time : Date.now()
+    };
+};
+
+/**
+ * Forget a factory or player for all teams, for example because a factory has been destroyed.
+ *
+ * @param {string} type Type of the entry, 'factory' or 'user'.
+ * @param {string} id Hexadecimal ID of the factory or user.
+ */
+LastSeenMemory.prototype.forget = function(type, id) {
+    const key = type + ':' + id.toLowerCase();
+    _.forEach(this._teams, (entries) => delete entries[key]);
+};
+
+/**
+ * Get the entries the given team has seen within the given duration.
+ * Entries that are older are removed from the memory.
+ *
+ * @param {GameTeamModel|string} team Team to get the entries for.
+ * @param {Number} duration Duration in milliseconds entries are remembered for.
+ * @param {Number} [time] Current time in milliseconds since the epoch. Defaults to now.
+ * @return {Array} Array of LastSeenEntry objects, the most recently seen first.
+ */
+LastSeenMemory.prototype.getEntries = function(team, duration, time) {
+    // Get the entries of the team
+    const teamKey = this._getTeamKey(team);
+    if(!this._teams.hasOwnProperty(teamKey))
+        return [];
+    const entries = this._teams[teamKey];
+
+    // Get the current time
+    if(time === undefined)
+        time = Date.now();
+
+    // Remove expired entries
+    _.forEach(_.keys(entries), function(key) {
+        if(time - entries[key].time > duration)
+            delete entries[key];
+    });
+
+    // Return the remaining entries, the most recently seen first
+    return _.orderBy(_.values(entries), ['time'], ['desc']);
+};
+
+/**
+ * Get the state of the memory, so it can be restored after a server restart.
+ *
+ * @return {Object} Memory state, with the entries of each team.
+ */
+LastSeenMemory.prototype.getState = function() {
+    return _.cloneDeep(this._teams);
+};
+
+/**
+ * Restore the state of the memory, as returned by getState().
+ *
+ * @param {Object} state Memory state.
+ */
+LastSeenMemory.prototype.restoreState = function(state) {
+    this._teams = _.cloneDeep(state);
+};
+
+/**
+ * Clear the memory of all teams.
+ */
+LastSeenMemory.prototype.clear = function() {
+    this._teams = {};
+};
+
+// Export the class
+module.exports = LastSeenMemory;
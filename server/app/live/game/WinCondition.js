@@ -0,0 +1,204 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * Win conditions a game can be played with, and functions to score and rank teams by them.
+ *
+ * @type {Object}
+ */
+var WinCondition = {
+    /**
+     * The team with the most money wins.
+     */
+    MONEY: 'money',
+
+    /**
+     * The team that owns the most factories at the end wins.
+     */
+    FACTORIES: 'factories',
+
+    /**
+     * The team with the highest summed production of it's factories wins.
+     */
+    PRODUCTION: 'production',
+
+    /**
+     * The team with the highest value wins, the money including unsold goods valued at the current market prices.
+     */
+    VALUE: 'value',
+
+    /**
+     * The first team to reach the target amount of money wins, which finishes the game automatically.
+     */
+    TARGET: 'target',
+
+    /**
+     * Get a list of all win conditions.
+     *
+     * @return {Array} Array of win conditions.
+     */
+    getConditions: function() {
+        return [this.MONEY, this.FACTORIES, this.PRODUCTION, this.VALUE, this.TARGET];
+    },
+
+    /**
+     * Check whether the given win condition is valid.
+     *
+     * @param {string} condition Win condition.
+     * @return {boolean} True if the condition is valid, false if not.
+     */
+    isValid: function(condition) {
+        return this.getConditions().indexOf(condition) >= 0;
+    },
+
+    /**
+     * Get the display name of the given win condition.
+     *
+     * @param {string} condition Win condition.
+     * @return {string} Display name.
+     */
+    getName: function(condition) {
+        switch(condition) {
+            case this.FACTORIES:
+                return 'Most factories owned';
+            case this.PRODUCTION:
+                return 'Highest production';
+            case this.VALUE:
+                return 'Highest value including goods';
+            case this.TARGET:
+                return 'First to reach the target';
+            default:
+                return 'Richest team';
+        }
+    },
+
+    /**
+     * Check whether the score for the given win condition needs the factories of each team.
+     *
+     * @param {string} condition Win condition.
+     * @return {boolean} True if factories are needed, false if not.
+     */
+    usesFactories: function(condition) {
+        return condition === this.FACTORIES || condition === this.PRODUCTION || condition === this.VALUE;
+    },
+
+    /**
+     * Check whether the score for the given win condition needs the goods of each team.
+     *
+     * @param {string} condition Win condition.
+     * @return {boolean} True if goods are needed, false if not.
+     */
+    usesGoods: function(condition) {
+        return condition === this.VALUE;
+    },
+
+    /**
+     * Get the prices goods are valued at when no market is available, the average of the configured price ranges.
+     *
+     * @param {Object} gameConfig Game configuration.
+     * @return {GoodsPricesObject} Prices of the goods.
+     */
+    getConfigPrices: function(gameConfig) {
+        return {
+            in: (gameConfig.shop.inSellPriceMin + gameConfig.shop.inSellPriceMax) / 2,
+            out: (gameConfig.shop.outBuyPriceMin + gameConfig.shop.outBuyPriceMax) / 2
+        };
+    },
+
+    /**
+     * Prices goods are valued at.
+     *
+     * @typedef {Object} GoodsPricesObject
+     * @param {Number} in Price of a unit of in goods.
+     * @param {Number} out Price of a unit of out goods.
+     */
+
+    /**
+     * Calculate the score of a team for the given win condition.
+     *
+     * @param {string} condition Win condition.
+     * @param {Object} team Team totals.
+     * @param {Number} team.money Money of the team.
+     * @param {Number} [team.in=0] Input goods of the team, including the goods in it's factories.
+     * @param {Number} [team.out=0] Output goods of the team, including the goods in it's factories.
+     * @param {Number} [team.factories=0] Number of factories the team owns.
+     * @param {Number} [team.production=0] Summed output production of the factories the team owns.
+     * @param {GoodsPricesObject} prices Prices the goods of the team are valued at.
+     * @return {Number} Score.
+     */
+    getScore: function(condition, team, prices) {
+        switch(condition) {
+            case this.FACTORIES:
+                return team.factories || 0;
+
+            case this.PRODUCTION:
+                return team.production || 0;
+
+            case this.VALUE:
+                // Value the goods at the given prices, and add the money
+                return Math.round(team.money + (team.in || 0) * prices.in + (team.out || 0) * prices.out);
+
+            default:
+                return team.money;
+        }
+    },
+
+    /**
+     * Sort and rank the given teams by their score, highest first.
+     * Teams with the same score share the same rank.
+     *
+     * @param {Array} teams Array of team objects with a score property, a rank property is set on each.
+     * @return {Array} The sorted array of teams.
+     */
+    rankTeams: function(teams) {
+        // Sort the teams by their score
+        teams.sort((a, b) => b.score - a.score);
+
+        // Rank the teams
+        teams.forEach(function(team, i) {
+            team.rank = i > 0 && teams[i - 1].score === team.score ? teams[i - 1].rank : i + 1;
+        });
+
+        // Return the teams
+        return teams;
+    },
+
+    /**
+     * Get the winning team of the given ranked teams.
+     *
+     * @param {Array} teams Array of ranked team objects.
+     * @return {Object|null} The winning team, or null if there are no teams or multiple teams share the first rank.
+     */
+    getWinner: function(teams) {
+        // Make sure there's a single team on the first rank
+        if(!_.isArray(teams) || teams.length === 0 || (teams.length > 1 && teams[1].rank === 1))
+            return null;
+
+        // Return the winner
+        return teams[0];
+    }
+};
+
+// Export the module
+module.exports = WinCondition;
@@ -0,0 +1,255 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Coordinate = require('../../coordinate/Coordinate');
+
+/**
+ * Fixed dealer class, a dealer placed by the host at a fixed location on the map.
+ * Unlike player dealers, a fixed dealer doesn't move, and is only available during its opening hours.
+ *
+ * @param {Object} raw Raw fixed dealer object.
+ * @param {string} raw.name Name of the dealer.
+ * @param {Coordinate} raw.location Location of the dealer.
+ * @param {string|null} raw.team ID of the team the dealer is allied with, or null if the dealer is neutral.
+ * @param {Number|null} raw.openFrom Minute of the day the dealer opens at, or null if the dealer is always open.
+ * @param {Number|null} raw.openUntil Minute of the day the dealer closes at, or null if the dealer is always open.
+ * @param {Number} raw.inSellMultiplier Multiplier for the in goods sell price.
+ * @param {Number} raw.outBuyMultiplier Multiplier for the out goods buy price.
+ *
+ * @class
+ * @constructor
+ */
+var FixedDealer = function(raw) {
+    /**
+     * Name of the dealer.
+     * @type {string}
+     */
+    this.name = raw.name;
+
+    /**
+     * Location of the dealer.
+     * @type {Coordinate}
+     */
+    this.location = raw.location;
+
+    /**
+     * ID of the team the dealer is allied with, or null if the dealer is neutral.
+     * @type {string|null}
+     */
+    this.team = raw.team;
+
+    /**
+     * Minute of the day the dealer opens at, or null if the dealer is always open.
+     * @type {Number|null}
+     */
+    this.openFrom = raw.openFrom;
+
+    /**
+     * Minute of the day the dealer closes at, or null if the dealer is always open.
+     * @type {Number|null}
+     */
+    this.openUntil = raw.openUntil;
+
+    /**
+     * Multiplier for the in goods sell price.
+     * @type {Number}
+     */
+    this.inSellMultiplier = raw.inSellMultiplier;
+
+    /**
+     * Multiplier for the out goods buy price.
+     * @type {Number}
+     */
+    this.outBuyMultiplier = raw.outBuyMultiplier;
+};
+
+/**
+ * Parse a time of the day in the HH:MM format.
+ *
+ * @param {string} raw Raw time, such as 09:30.
+ * @return {Number|null} Minute of the day, or null if parsing failed.
+ */
+FixedDealer.parseTime = function(raw) {
+    // Make sure the time is a string
+    if(!_.isString(raw))
+        return null;
+
+    // Match the hours and minutes
+    const match = raw.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if(match === null)
+        return null;
+
+    // Parse the hours and minutes, and make sure they're valid
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if(hours > 23 || minutes > 59)
+        return null;
+
+    // Return the minute of the day
+    return hours * 60 + minutes;
+};
+
+/**
+ * Format a minute of the day in the HH:MM format.
+ *
+ * @param {Number} time Minute of the day.
+ * @return {string} Formatted time, such as 09:30.
+ */
+FixedDealer.formatTime = function(time) {
+    // Get the hours and minutes
+    const hours = Math.floor(time / 60);
+    const minutes = time % 60;
+
+    // Format the time
+    return (hours < 10 ? '0' : '') + hours + ':' + (minutes < 10 ? '0' : '') + minutes;
+};
+
+/**
+ * Parse a raw fixed dealer.
+ *
+ * @param {Object} raw Raw fixed dealer object, with a name, location, team, opening hours and price multipliers.
+ * @return {FixedDealer|null} Fixed dealer or null if parsing failed.
+ */
+FixedDealer.parse = function(raw) {
+    // Make sure the raw dealer is an object with a valid name and location
+    if(!_.isObject(raw) || !_.isString(raw.name) || !_.isObject(raw.location))
+        return null;
+
+    // Parse the location
+    const location = Coordinate.parse(raw.location);
+    if(location === null)
+        return null;
+
+    // Make sure the team is a string or null
+    const team = raw.team !== undefined ? raw.team : null;
+    if(team !== null && !_.isString(team))
+        return null;
+
+    // Parse the opening hours, both must be set and differ for a dealer that isn't always open
+    const alwaysOpen = (raw.openFrom === undefined || raw.openFrom === null) && (raw.openUntil === undefined || raw.openUntil === null);
+    const openFrom = alwaysOpen ? null : FixedDealer.parseTime(raw.openFrom);
+    const openUntil = alwaysOpen ? null : FixedDealer.parseTime(raw.openUntil);
+    if(!alwaysOpen && (openFrom === null || openUntil === null || openFrom === openUntil))
+        return null;
+
+    // Parse the price multipliers, which default to one
+    const inSellMultiplier = raw.inSellMultiplier !== undefined ? raw.inSellMultiplier : 1;
+    const outBuyMultiplier = raw.outBuyMultiplier !== undefined ? raw.outBuyMultiplier : 1;
+    if(!_.isFinite(inSellMultiplier) || inSellMultiplier <= 0 || !_.isFinite(outBuyMultiplier) || outBuyMultiplier <= 0)
+        return null;
+
+    // Create the fixed dealer
+    return new FixedDealer({
+        name: raw.name,
+        location: location,
+        team: team,
+        openFrom: openFrom,
+        openUntil: openUntil,
+        inSellMultiplier: inSellMultiplier,
+        outBuyMultiplier: outBuyMultiplier
+    });
+};
+
+/**
+ * Parse a list of raw fixed dealers.
+ * Dealers that couldn't be parsed are skipped.
+ *
+ * @param {Array} raw Array of raw fixed dealer objects.
+ * @return {Array} Array of fixed dealers.
+ */
+FixedDealer.parseList = function(raw) {
+    // Return an empty list if the input isn't an array
+    if(!_.isArray(raw))
+        return [];
+
+    // Parse the dealers, and filter the invalid ones
+    return raw.map((dealer) => FixedDealer.parse(dealer)).filter((dealer) => dealer !== null);
+};
+
+/**
+ * Convert the fixed dealer to a raw object, which can be parsed again with FixedDealer.parse.
+ *
+ * @return {Object} Raw fixed dealer object.
+ */
+FixedDealer.prototype.toObject = function() {
+    return {
+        name: this.name,
+        location: {
+            latitude: this.location.latitude,
+            longitude: this.location.longitude
+        },
+        team: this.team,
+        openFrom: this.isAlwaysOpen() ? null : FixedDealer.formatTime(this.openFrom),
+        openUntil: this.isAlwaysOpen() ? null : FixedDealer.formatTime(this.openUntil),
+        inSellMultiplier: this.inSellMultiplier,
+        outBuyMultiplier: this.outBuyMultiplier
+    };
+};
+
+/**
+ * Convert the fixed dealer to an object that is used by the client map and the dealers editor.
+ *
+ * @return {Object} Fixed dealer object, with the location as [latitude, longitude] array.
+ */
+FixedDealer.prototype.toClientObject = function() {
+    // Create a raw object, and replace the location
+    var data = this.toObject();
+    data.location = [this.location.latitude, this.location.longitude];
+
+    // Return the object
+    return data;
+};
+
+/**
+ * Check whether this dealer is always open.
+ *
+ * @return {boolean} True if the dealer doesn't have opening hours, false if it has.
+ */
+FixedDealer.prototype.isAlwaysOpen = function() {
+    return this.openFrom === null || this.openUntil === null;
+};
+
+/**
+ * Check whether this dealer is open at the given time.
+ * Opening hours may pass midnight, a dealer open from 22:00 until 02:00 is open during the night.
+ *
+ * @param {Date} date Date and time to check for.
+ * @return {boolean} True if the dealer is open, false if not.
+ */
+FixedDealer.prototype.isOpenAt = function(date) {
+    // Always open dealers are open
+    if(this.isAlwaysOpen())
+        return true;
+
+    // Get the minute of the day
+    const time = date.getHours() * 60 + date.getMinutes();
+
+    // Check the opening hours, which may pass midnight
+    if(this.openFrom <= this.openUntil)
+        return time >= this.openFrom && time < this.openUntil;
+    return time >= this.openFrom || time < this.openUntil;
+};
+
+// Export the module
+module.exports = FixedDealer;
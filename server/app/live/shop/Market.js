@@ -0,0 +1,281 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * Market class.
+ * Keeps track of the dealer prices of a game, which are shared by all dealers in it.
+ * Prices move with the volume that is traded, and slowly recover to their base price over time.
+ *
+ * @class
+ * @constructor
+ */
+var Market = function() {
+    /**
+     * Shop configuration of the game, or null if the market isn't loaded.
+     * @type {Object|null}
+     * @private
+     */
+    this._config = null;
+
+    /**
+     * Base price in goods are sold for, prices recover towards this value.
+     * @type {Number}
+     * @private
+     */
+    this._inBasePrice = 0;
+
+    /**
+     * Base price out goods are bought for, prices recover towards this value.
+     * @type {Number}
+     * @private
+     */
+    this._outBasePrice = 0;
+
+    /**
+     * Current price in goods are sold for, for enemy players.
+     * @type {Number}
+     * @private
+     */
+    this._inPrice = 0;
+
+    /**
+     * Current price out goods are bought for, for enemy players.
+     * @type {Number}
+     * @private
+     */
+    this._outPrice = 0;
+
+    /**
+     * List of recorded prices, the oldest first.
+     * @type {Array} Array of MarketPriceObject objects.
+     * @private
+     */
+    this._history = [];
+
+    /**
+     * Recorded market prices.
+     *
+     * @typedef {Object} MarketPriceObject
+     * @param {Number} time Time the prices were recorded at, in milliseconds since the epoch.
+     * @param {Number} in Price in goods were sold for, for enemy players.
+     * @param {Number} out Price out goods were bought for, for enemy players.
+     */
+};
+
+/**
+ * Load the market with the given shop configuration.
+ * This picks random base prices within the configured ranges.
+ *
+ * @param {Object} shopConfig Shop section of the game configuration.
+ * @param {Number} [time] Current time in milliseconds, defaults to now.
+ */
+Market.prototype.load = function(shopConfig, time) {
+    // Set the configuration
+    this._config = shopConfig;
+
+    // Pick the base prices
+    this._inBasePrice = shopConfig.getInSellPrice().enemy;
+    this._outBasePrice = shopConfig.getOutBuyPrice().enemy;
+
+    // Start at the base prices, and record them
+    this._inPrice = this._inBasePrice;
+    this._outPrice = this._outBasePrice;
+    this._history = [];
+    this._record(time);
+};
+
+/**
+ * Check whether the market is loaded.
+ *
+ * @return {boolean} True if loaded, false if not.
+ */
+Market.prototype.isLoaded = function() {
+    return this._config !== null;
+};
+
+/**
+ * Get the current price in goods are sold for.
+ *
+ * @return {ShopPriceObject} Price for ally and enemy players.
+ */
+Market.prototype.getInSellPrice = function() {
+    return this._config.getInSellPrice(this._inPrice);
+};
+
+/**
+ * Get the current price out goods are bought for.
+ *
+ * @return {ShopPriceObject} Price for ally and enemy players.
+ */
+Market.prototype.getOutBuyPrice = function() {
+    return this._config.getOutBuyPrice(this._outPrice);
+};
+
+/**
+ * Get the current market prices for enemy players, to value goods at.
+ *
+ * @return {GoodsPricesObject} Current prices of in and out goods.
+ */
+Market.prototype.getPrices = function() {
+    return {
+        in: this._inPrice,
+        out: this._outPrice
+    };
+};
+
+/**
+ * Register in goods that were sold by a dealer, which raises the price of in goods.
+ *
+ * @param {Number} amount Number of units sold.
+ */
+Market.prototype.registerInSold = function(amount) {
+    this._inPrice = this._clampInPrice(this._inPrice * Math.pow(1 + this._config.inSellPriceImpact, amount));
+};
+
+/**
+ * Register out goods that were bought by a dealer, which lowers the price of out goods.
+ *
+ * @param {Number} amount Number of units bought.
+ */
+Market.prototype.registerOutBought = function(amount) {
+    this._outPrice = this._clampOutPrice(this._outPrice * Math.pow(1 - this._config.outBuyPriceImpact, amount));
+};
+
+/**
+ * Tick the market.
+ * This moves the prices towards their base prices, and records them if the history interval has passed.
+ *
+ * @param {Number} [time] Current time in milliseconds, defaults to now.
+ * @return {boolean} True if the prices were recorded, false if not.
+ */
+Market.prototype.tick = function(time) {
+    // Recover the prices
+    this._inPrice += (this._inBasePrice - this._inPrice) * this._config.marketRecovery;
+    this._outPrice += (this._outBasePrice - this._outPrice) * this._config.marketRecovery;
+
+    // Get the current time
+    if(time === undefined)
+        time = Date.now();
+
+    // Record the prices if the interval has passed
+    if(time - _.last(this._history).time < this._config.marketHistoryInterval)
+        return false;
+    this._record(time);
+    return true;
+};
+
+/**
+ * Get the recorded prices, the oldest first.
+ *
+ * @return {Array} Array of MarketPriceObject objects.
+ */
+Market.prototype.getHistory = function() {
+    return this._history;
+};
+
+/**
+ * Get the state of the market, so it can be restored after a server restart.
+ *
+ * @return {Object} Market state, with the base prices, current prices and price history.
+ */
+Market.prototype.getState = function() {
+    return {
+        inBasePrice: this._inBasePrice,
+        outBasePrice: this._outBasePrice,
+        inPrice: this._inPrice,
+        outPrice: this._outPrice,
+        history: this._history.slice()
+    };
+};
+
+/**
+ * Restore the state of the market, as returned by getState().
+ * The market must be loaded before its state is restored.
+ *
+ * @param {Object} state Market state.
+ */
+Market.prototype.restoreState = function(state) {
+    this._inBasePrice = state.inBasePrice;
+    this._outBasePrice = state.outBasePrice;
+    this._inPrice = state.inPrice;
+    this._outPrice = state.outPrice;
+    this._history = state.history.slice();
+};
+
+/**
+ * Get the market as an object to send to clients.
+ *
+ * @return {Object} Object with the current in and out prices for enemy players, and the price history.
+ */
+Market.prototype.toObject = function() {
+    return {
+        in: this.getInSellPrice().enemy,
+        out: this.getOutBuyPrice().enemy,
+        history: this._history
+    };
+};
+
+/**
+ * Record the current prices in the history.
+ *
+ * @param {Number} [time] Current time in milliseconds, defaults to now.
+ * @private
+ */
+Market.prototype._record = function(time) {
+    // Add the current prices
+    this._history.push({
+        time: time !== undefined ? time : Date.now(),
+        in: this.getInSellPrice().enemy,
+        out: this.getOutBuyPrice().enemy
+    });
+
+    // Remove the oldest prices if the history is too long
+    while(this._history.length > this._config.marketHistorySize)
+        this._history.shift();
+};
+
+/**
+ * Limit the given in price to the configured market bounds.
+ *
+ * @param {Number} price Price.
+ * @return {Number} Limited price.
+ * @private
+ */
+Market.prototype._clampInPrice = function(price) {
+    return _.clamp(price, this._config.inSellPriceMin * this._config.marketPriceMinFactor, this._config.inSellPriceMax * this._config.marketPriceMaxFactor);
+};
+
+/**
+ * Limit the given out price to the configured market bounds.
+ *
+ * @param {Number} price Price.
+ * @return {Number} Limited price.
+ * @private
+ */
+Market.prototype._clampOutPrice = function(price) {
+    return _.clamp(price, this._config.outBuyPriceMin * this._config.marketPriceMinFactor, this._config.outBuyPriceMax * this._config.marketPriceMaxFactor);
+};
+
+// Export the class
+module.exports = Market;
@@ -24,17 +24,20 @@ var Core = require('../../../Core');
 var CallbackLatch = require('../../util/CallbackLatch');
 var TokenGenerator = require('../../token/TokenGenerator');
 var PacketType = require('../../realtime/PacketType');
+var GameEventType = require('../../model/gameevent/GameEventType');
 
 /**
  * Shop class.
+ * A shop is either attached to a player, or is a fixed dealer placed by the host.
  *
- * @param {User} user Live user this shop is attached to.
+ * @param {User|null} user Live user this shop is attached to, or null if this is a fixed dealer.
  * @param {ShopManager} shopManager Shop manager.
+ * @param {FixedDealer} [dealer] Fixed dealer definition, if this shop isn't attached to a player.
  *
  * @class
  * @constructor
  */
-var Shop = function(user, shopManager) {
+var Shop = function(user, shopManager, dealer) {
     /**
      * Shop token.
      * @type {string}
@@ -50,25 +53,18 @@ var Shop = function(user, shopManager) {
     this._user = user;
 
     /**
-     * Shop manager for this shop.
-     * @type {ShopManager} Shop manager.
+     * Fixed dealer definition, or null if this shop is attached to a player.
+     * @type {FixedDealer|null}
      * @private
      */
-    this._shopManager = shopManager;
+    this._dealer = dealer !== undefined ? dealer : null;
 
     /**
-     * The price per unit in goods are sold for, for ally and enemy players.
-     * @type {ShopPriceObject}
-     * @private
-     */
-    this._inSellPrice= null;
-
-    /**
-     * The price per unit the out goods are bought for, for ally and enemy players.
-     * @type {ShopPriceObject}
+     * Shop manager for this shop.
+     * @type {ShopManager} Shop manager.
      * @private
      */
-    this._outBuyPrice = null;
+    this._shopManager = shopManager;
 
     /**
      * Object defining the cost for ally and enemy players.
@@ -93,6 +89,27 @@ var Shop = function(user, shopManager) {
      * @private
      */
     this._userRangeMem = [];
+
+    /**
+     * Timer that prepares the transfer of this shop to another player at the end of it's lifetime, or null.
+     * @type {PausableTimer|null}
+     * @private
+     */
+    this._prepareTimer = null;
+
+    /**
+     * Timer that transfers this shop after the current user has been alerted, or null.
+     * @type {PausableTimer|null}
+     * @private
+     */
+    this._transferTimer = null;
+
+    /**
+     * Time in milliseconds the current user is alerted before this shop is transferred, or null if not loaded.
+     * @type {Number|null}
+     * @private
+     */
+    this._alertTime = null;
 };
 
 /**
@@ -124,6 +141,24 @@ Shop.prototype.getUser = function() {
    return this._user;
 };
 
+/**
+ * Check whether this shop is a fixed dealer placed by the host, instead of a player.
+ *
+ * @return {boolean} True if this is a fixed dealer, false if not.
+ */
+Shop.prototype.isFixed = function() {
+    return this._dealer !== null;
+};
+
+/**
+ * Get the fixed dealer definition of this shop.
+ *
+ * @return {FixedDealer|null} Fixed dealer definition, or null if this shop is attached to a player.
+ */
+Shop.prototype.getDealer = function() {
+    return this._dealer;
+};
+
 /**
  * Get the shop manager this shop is in.
  *
@@ -148,6 +183,10 @@ Shop.prototype.getGame = function() {
  * @return {Coordinate} Shop location.
  */
 Shop.prototype.getLocation = function() {
+    // Fixed dealers have a static location
+    if(this.isFixed())
+        return this._dealer.location;
+
     return this.getUser().getLocation();
 };
 
@@ -155,8 +194,9 @@ Shop.prototype.getLocation = function() {
  * Load the shop.
  *
  * @param callback (err)
+ * @param {Object} [state] Shop state as returned by getState(), to resume a shop that was active before a server restart.
  */
-Shop.prototype.load = function(callback) {
+Shop.prototype.load = function(callback, state) {
     // Create a callback latch
     var latch = new CallbackLatch();
 
@@ -166,23 +206,31 @@ Shop.prototype.load = function(callback) {
     // Store this instance
     const self = this;
 
-    // Generate a shop token
-    latch.add();
-    TokenGenerator.generateToken(32, function(err, token) {
-        // Call back errors
-        if(err !== null) {
-            if(!calledBack)
-                callback(err);
-            calledBack = true;
-            return;
-        }
+    // Determine whether to resume a stored shop
+    const restore = state !== undefined && state !== null;
 
-        // Set the token
-        self._token = token;
+    // Keep the token of a resumed shop, so the users that are trading keep using the same shop
+    if(restore)
+        this._token = state.token;
+    else {
+        // Generate a shop token
+        latch.add();
+        TokenGenerator.generateToken(32, function(err, token) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
 
-        // Resolve the latch
-        latch.resolve();
-    });
+            // Set the token
+            self._token = token;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    }
 
     // Get the live game
     const liveGame = this.getGame();
@@ -198,21 +246,27 @@ Shop.prototype.load = function(callback) {
             return;
         }
 
-        // Determine the buy and sell prices
-        self._inSellPrice = gameConfig.shop.getInSellPrice();
-        self._outBuyPrice = gameConfig.shop.getOutBuyPrice();
-
         // Determine the effective range
         self._range = gameConfig.shop.range;
 
-        // Determine the lifetime and alert time of this shop
-        const lifeTime = gameConfig.shop.getShopLifetime();
-        const alertTime = Math.min(gameConfig.shop.shopAlertTime, lifeTime);
+        // Fixed dealers don't have a lifetime, they're managed by their opening hours
+        if(self.isFixed()) {
+            console.log('Fixed ' + liveGame.__('shop.name') + ' loaded (name: ' + self._dealer.name + ')');
+            latch.resolve();
+            return;
+        }
+
+        // Determine the lifetime and alert time of this shop, a resumed shop continues with the time it had left
+        const lifeTime = restore ? state.prepareTime + state.transferTime : gameConfig.shop.getShopLifetime();
+        const alertTime = restore ? state.transferTime : Math.min(gameConfig.shop.shopAlertTime, lifeTime);
+
+        // Remember the alert time
+        self._alertTime = alertTime;
 
         // Show a console message
-        console.log('Player became a shop (user id: ' + self.getUser().getIdHex() + ', for: ' + lifeTime + 'ms)');
-        console.log('- in price; ally: ' + self._inSellPrice.ally + ', enemy: ' + self._inSellPrice.enemy);
-        console.log('- out price; ally: ' + self._outBuyPrice.ally + ', enemy: ' + self._outBuyPrice.enemy);
+        console.log('Player ' + (restore ? 'resumed being' : 'became') + ' a shop (user id: ' + self.getUser().getIdHex() + ', for: ' + lifeTime + 'ms)');
+        console.log('- in price; ally: ' + self.getInSellPrice(true) + ', enemy: ' + self.getInSellPrice(false));
+        console.log('- out price; ally: ' + self.getOutBuyPrice(true) + ', enemy: ' + self.getOutBuyPrice(false));
 
         // Function to actually transfer the shop
         const functionTransfer = function() {
@@ -222,6 +276,15 @@ Shop.prototype.load = function(callback) {
             // Show a console message
             console.log('Player is no longer a shop (user id: ' + self.getUser().getIdHex() + ')');
 
+            // Log the shop end event
+            Core.model.gameEventModelManager.logGameEvent(liveGame.getGameModel(), GameEventType.SHOP_END, {
+                user: self.getUser().getUserModel(),
+                location: self.getLocation(),
+                data: {
+                    shop: self.getToken()
+                }
+            });
+
             // Send a notification to the current shop user
             Core.realTime.packetProcessor.sendPacketUser(PacketType.MESSAGE_RESPONSE, {
                 message: 'You\'re no longer a ' + liveGame.__('shop.name'),
@@ -304,7 +367,8 @@ Shop.prototype.load = function(callback) {
                     // Continue when the user find latch is complete
                     userFindLatch.then(function() {
                         // Schedule the transfer for the current shop
-                        setTimeout(functionTransfer, alertTime);
+                        self._prepareTimer = null;
+                        self._transferTimer = liveGame.setTimer(functionTransfer, alertTime);
 
                         // Determine what message to show to the current shop owner
                         var message = 'Your ' + liveGame.__('shop.name') + ' ability will be given to another player soon...';
@@ -323,15 +387,70 @@ Shop.prototype.load = function(callback) {
             });
         };
 
-        // Set a timer to prepare the shop transfer
-        setTimeout(functionPrepareTransfer, lifeTime - alertTime);
+        // Set a timer to prepare the shop transfer, which is frozen while the game is paused
+        // Skip this for a resumed shop of which the current user has already been alerted about the transfer
+        if(restore && state.prepareTime <= 0)
+            self._transferTimer = liveGame.setTimer(functionTransfer, alertTime);
+        else
+            self._prepareTimer = liveGame.setTimer(functionPrepareTransfer, lifeTime - alertTime);
 
         // Resolve the latch
         latch.resolve();
     });
 
-    // Call back when we're done
-    latch.then(() => callback(null));
+    // Continue when we're done
+    latch.then(function() {
+        // Fixed dealers aren't logged as shop events, as they aren't attached to a player, resumed shops are logged already
+        if(self.isFixed() || restore) {
+            callback(null);
+            return;
+        }
+
+        // Log the shop start event
+        Core.model.gameEventModelManager.logGameEvent(liveGame.getGameModel(), GameEventType.SHOP_START, {
+            user: self.getUser().getUserModel(),
+            location: self.getLocation(),
+            data: {
+                shop: self.getToken()
+            }
+        });
+
+        // Call back
+        callback(null);
+    });
+};
+
+/**
+ * Get the live in-memory state of this player shop, so it can be resumed after a server restart.
+ * This contains the user, the shop token and the time that is left in the lifetime of the shop.
+ *
+ * The prepare time is the time left until the current user is alerted about the shop being transferred,
+ * the transfer time is the time left after that until the shop is actually transferred.
+ *
+ * @return {Object|null} Shop state, or null if this is a fixed dealer or if the shop isn't loaded yet.
+ */
+Shop.prototype.getState = function() {
+    // Fixed dealers are loaded from the game itself, and shops that aren't loaded yet don't have a lifetime
+    if(this.isFixed() || (this._prepareTimer === null && this._transferTimer === null))
+        return null;
+
+    // Determine the time left in the lifetime of the shop
+    var prepareTime = 0;
+    var transferTime = 0;
+    if(this._transferTimer !== null)
+        transferTime = this._transferTimer.getRemainingTime();
+    else if(this._prepareTimer !== null) {
+        prepareTime = this._prepareTimer.getRemainingTime();
+        transferTime = this._alertTime;
+    }
+
+    // Build and return the state
+    return {
+        user: this.getUser().getIdHex(),
+        token: this._token,
+        prepareTime,
+        transferTime
+    };
 };
 
 /**
@@ -340,7 +459,20 @@ Shop.prototype.load = function(callback) {
  * @param {Shop~getTeamCallback} callback Called with the team or when an error occurred.
  */
 Shop.prototype.getTeam = function(callback) {
-    this.getUser().getTeam(callback);
+    // Get the team of the user for player shops
+    if(!this.isFixed()) {
+        this.getUser().getTeam(callback);
+        return;
+    }
+
+    // Neutral fixed dealers don't have a team
+    if(this._dealer.team === null) {
+        callback(null, null);
+        return;
+    }
+
+    // Get the team of the fixed dealer
+    Core.model.gameTeamModelManager.getTeamById(this._dealer.team, callback);
 };
 
 /**
@@ -348,15 +480,17 @@ Shop.prototype.getTeam = function(callback) {
  *
  * @callback Shop~getTeamCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
- * @param {GameTeamModel|null=} Game team model instance of the shop's user, or null.
+ * @param {GameTeamModel|null=} Game team model instance of the shop's user or fixed dealer, or null.
  */
 
 /**
  * Get the in goods sell price.
+ * The price is shared by all shops in the game, and moves with the market.
+ * Fixed dealers apply their own price multiplier on top of it.
  * @return {ShopCostObject}
  */
 Shop.prototype.getInSellPriceObject = function() {
-    return this._inSellPrice;
+    return this._applyMultiplier(this.getGame().market.getInSellPrice(), this.isFixed() ? this._dealer.inSellMultiplier : 1);
 };
 
 /**
@@ -437,10 +571,32 @@ Shop.prototype.getInSellPriceForUser = function(game, user, callback) {
 
 /**
  * Get the out goods buy price.
+ * The price is shared by all shops in the game, and moves with the market.
+ * Fixed dealers apply their own price multiplier on top of it.
  * @return {ShopCostObject}
  */
 Shop.prototype.getOutBuyPriceObject = function() {
-    return this._outBuyPrice;
+    return this._applyMultiplier(this.getGame().market.getOutBuyPrice(), this.isFixed() ? this._dealer.outBuyMultiplier : 1);
+};
+
+/**
+ * Apply the given multiplier to a price object.
+ *
+ * @param {ShopCostObject} price Price object.
+ * @param {Number} multiplier Price multiplier.
+ * @return {ShopCostObject} Price object with the multiplier applied.
+ * @private
+ */
+Shop.prototype._applyMultiplier = function(price, multiplier) {
+    // Return the price as it is if there's no multiplier
+    if(multiplier === 1)
+        return price;
+
+    // Apply the multiplier to both prices
+    return {
+        ally: +((price.ally * multiplier).toFixed(1)),
+        enemy: +((price.enemy * multiplier).toFixed(1))
+    };
 };
 
 /**
@@ -529,6 +685,28 @@ Shop.prototype.isAllyWith = function(otherGameUser, callback) {
     // Keep a reference to self
     const self = this;
 
+    // Check the team allegiance for fixed dealers
+    if(this.isFixed()) {
+        // Neutral dealers and invalid users aren't allied
+        if(this._dealer.team === null || otherGameUser === undefined || otherGameUser === null) {
+            callback(null, false);
+            return;
+        }
+
+        // Get the team of the other user, and compare it to the dealer's team
+        otherGameUser.getTeam(function(err, otherTeam) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back the result
+            callback(null, otherTeam !== null && otherTeam.getIdHex() === self._dealer.team);
+        });
+        return;
+    }
+
     // Get the game user for the shop
     this._user.getGameUser(function(err, shopGameUser) {
         // Call back errors
@@ -684,7 +862,7 @@ Shop.prototype.isUserInRange = function(liveUser, callback) {
     }
 
     // Return true if the user is the same as the shop owner
-    if(this.getUser().getId().equals(liveUser.getId())) {
+    if(!this.isFixed() && this.getUser().getId().equals(liveUser.getId())) {
         callback(null, true);
         return;
     }
@@ -725,6 +903,12 @@ Shop.prototype.isUserInRange = function(liveUser, callback) {
  * @param {Shop~getNameCallback} callback Called with the shop name or when an error occurred.
  */
 Shop.prototype.getName = function(callback) {
+    // Call back the name of fixed dealers
+    if(this.isFixed()) {
+        callback(null, this._dealer.name);
+        return;
+    }
+
     // Get the name of the shop user and call it back
     this.getUser().getName(callback);
 };
@@ -757,12 +941,8 @@ Shop.prototype.getVisibilityState = function(liveUser, callback) {
         return;
     }
 
-    // Get the shop's live user and user model
-    const shopLiveUser = this.getUser();
-    const shopUserModel = shopLiveUser.getUserModel();
-
-    // Make sure a user model is available
-    if(shopUserModel === null) {
+    // Make sure a user model is available for player shops
+    if(!this.isFixed() && this.getUser().getUserModel() === null) {
         callback(null, resultObject);
         return;
     }
@@ -789,7 +969,7 @@ Shop.prototype.getVisibilityState = function(liveUser, callback) {
 
     // Get the shop's team
     allyLatch.add();
-    Core.model.gameUserModelManager.getGameUser(shopLiveUser.getGame().getGameModel(), shopUserModel, function(err, shopGameUser) {
+    this.getTeam(function(err, result) {
         // Call back errors
         if(err !== null) {
             if(!calledBack)
@@ -798,28 +978,11 @@ Shop.prototype.getVisibilityState = function(liveUser, callback) {
             return;
         }
 
-        // Resolve the latch if the game user is null
-        if(shopGameUser === null) {
-            allyLatch.resolve();
-            return;
-        }
-
-        // Get the user's team
-        shopGameUser.getTeam(function(err, result) {
-            // Call back errors
-            if(err !== null) {
-                if(!calledBack)
-                    callback(err);
-                calledBack = true;
-                return;
-            }
-
-            // Store the shop team
-            shopTeam = result;
+        // Store the shop team
+        shopTeam = result;
 
-            // Resolve the latch
-            allyLatch.resolve();
-        });
+        // Resolve the latch
+        allyLatch.resolve();
     });
 
     // Get the game user
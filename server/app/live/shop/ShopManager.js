@@ -66,6 +66,13 @@ var ShopManager = function(game) {
      * @private
      */
     this._scheduledShops = [];
+
+    /**
+     * Array containing all fixed dealers placed by the host, including the ones that are currently closed.
+     * @type {Array}
+     * @private
+     */
+    this._fixedShops = [];
 };
 
 /**
@@ -121,8 +128,8 @@ ShopManager.prototype.getShopByUser = function(liveUser, callback) {
         if(result !== null)
             return;
 
-        // Check whether the token equals
-        if(entry.getUser().getId().equals(liveUser.getId()))
+        // Check whether the user equals, fixed dealers aren't attached to a user
+        if(!entry.isFixed() && entry.getUser().getId().equals(liveUser.getId()))
             result = entry;
     });
 
@@ -147,6 +154,15 @@ ShopManager.prototype.getShopCount = function() {
     return this.shops.length;
 };
 
+/**
+ * Get the fixed dealers placed by the host, including the ones that are currently closed.
+ *
+ * @return {Array} Array of fixed dealer shops.
+ */
+ShopManager.prototype.getFixedShops = function() {
+    return this._fixedShops;
+};
+
 /**
  * Load the shop manager, and it's shops.
  *
@@ -166,20 +182,29 @@ ShopManager.prototype.load = function(callback) {
         // Get the worker interval
         const workerInterval = gameConfig.shop.workerInterval;
 
-        // Stop any old worker
-        if(self._worker !== null)
-            clearInterval(self._worker);
+        // Load the fixed dealers
+        self.loadFixedShops(function(err) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
 
-        // Start a worker
-        self._worker = setInterval(function() {
-            self.worker();
-        }, workerInterval);
+            // Stop any old worker
+            if(self._worker !== null)
+                clearInterval(self._worker);
 
-        // Call the worker immediately
-        self.worker();
+            // Start a worker
+            self._worker = setInterval(function() {
+                self.worker();
+            }, workerInterval);
 
-        // Call back
-        callback(null);
+            // Call the worker immediately
+            self.worker();
+
+            // Call back
+            callback(null);
+        });
     });
 };
 
@@ -188,6 +213,183 @@ ShopManager.prototype.load = function(callback) {
  * @param {Error|null} Error instance if an error occurred, null otherwise.
  */
 
+/**
+ * Load the fixed dealers the host placed in the game.
+ * Fixed dealers that were loaded before are replaced, so this can be used to reload them after they've been changed.
+ *
+ * @param {ShopManager~loadFixedShopsCallback} callback Called when done loading or when an error occurred.
+ */
+ShopManager.prototype.loadFixedShops = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the fixed dealers of the game
+    this.game.getGameModel().getDealers(function(err, dealers) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create and load a shop for each fixed dealer
+        var fixedShops = [];
+        dealers.forEach(function(dealer) {
+            // Create the shop
+            const shop = new Shop(null, self, dealer);
+            fixedShops.push(shop);
+
+            // Load the shop
+            latch.add();
+            shop.load(function(err) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Replace the current fixed dealers when they're loaded
+        latch.then(function() {
+            // Remove the current fixed dealers from the list of shops
+            self._fixedShops.forEach(function(shop) {
+                if(self.shops.indexOf(shop) >= 0)
+                    self.shops.splice(self.shops.indexOf(shop), 1);
+            });
+
+            // Set the fixed dealers, and add the ones that are open
+            self._fixedShops = fixedShops;
+            self.updateFixedShops();
+
+            // Call back
+            callback(null);
+        });
+    });
+};
+
+/**
+ * Called when done loading or when an error occurred.
+ *
+ * @callback ShopManager~loadFixedShopsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
+/**
+ * Open and close the fixed dealers based on their opening hours.
+ * Open fixed dealers are added to the list of shops, closed ones are removed from it.
+ *
+ * @return {boolean} True if any fixed dealer opened or closed, false if not.
+ */
+ShopManager.prototype.updateFixedShops = function() {
+    // Store this instance
+    const self = this;
+
+    // Get the current time
+    const now = new Date();
+
+    // Keep track whether anything changed
+    var changed = false;
+
+    // Loop through the fixed dealers
+    this._fixedShops.forEach(function(shop) {
+        // Determine whether the dealer is open, and whether it's currently in the list of shops
+        const open = shop.getDealer().isOpenAt(now);
+        const listed = self.shops.indexOf(shop) >= 0;
+
+        // Open the dealer
+        if(open && !listed) {
+            self.shops.push(shop);
+            changed = true;
+
+        } else if(!open && listed) {
+            // Close the dealer
+            self.shops.splice(self.shops.indexOf(shop), 1);
+            changed = true;
+        }
+    });
+
+    // Return the result
+    return changed;
+};
+
+/**
+ * Get the live in-memory state of the active player shops, so they can be resumed after a server restart.
+ * Scheduled shops aren't included, new shop users are found again by the shop worker.
+ *
+ * @return {Array} Array of shop states.
+ */
+ShopManager.prototype.getState = function() {
+    return this.shops
+        .map((shop) => shop.getState())
+        .filter((state) => state !== null);
+};
+
+/**
+ * Resume the player shops from the given state, as returned by getState().
+ * Shops of users that aren't loaded anymore, or that are already a shop, are skipped.
+ *
+ * @param {Array} state Array of shop states.
+ * @param {ShopManager~restoreStateCallback} callback Called when done or when an error occurred.
+ */
+ShopManager.prototype.restoreState = function(state, callback) {
+    // Store this instance
+    const self = this;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Loop through the shop states
+    state.forEach(function(shopState) {
+        // Get the live user, and make sure it isn't a shop already
+        const liveUser = self.game.userManager.getLoadedUser(shopState.user);
+        if(liveUser === null || self.isShopUser(liveUser, true, true))
+            return;
+
+        // Create the shop, and add it to the list of shops
+        const shop = new Shop(liveUser, self);
+        self.shops.push(shop);
+
+        // Resume the shop
+        latch.add();
+        shop.load(function(err) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Resolve the latch
+            latch.resolve();
+        }, shopState);
+    });
+
+    // Call back when we're done
+    latch.then(() => callback(null));
+};
+
+/**
+ * Called when done or when an error occurred.
+ *
+ * @callback ShopManager~restoreStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ */
+
 /**
  * Unload all loaded shops.
  */
@@ -210,12 +412,26 @@ ShopManager.prototype.unload = function() {
  * Will be called once in a while to manage the shops.
  */
 ShopManager.prototype.worker = function() {
+    // Don't manage the shops while the game is paused
+    if(this.game.isPaused())
+        return;
+
     // Create an object with the preferred shop delta count for each team
     var prefShopCountDelta = {};
 
     // Store this
     const self = this;
 
+    // Open and close fixed dealers, and update the game data for everyone if any changed
+    if(this.updateFixedShops())
+        Core.gameManager.sendGameDataToAll(this.game.getGameModel(), function(err) {
+            // Handle errors
+            if(err !== null) {
+                console.error(err.stack || err);
+                console.error('An error occurred while sending game data to all users');
+            }
+        });
+
     // Callback latch
     var latch = new CallbackLatch();
 
@@ -365,8 +581,8 @@ ShopManager.prototype.scheduleUser = function(liveUser) {
             dialog: true
         }, liveUser.getUserModel());
 
-        // Create a timer
-        setTimeout(function() {
+        // Create a timer, which is frozen while the game is paused
+        liveGame.setTimer(function() {
             // Make sure the shop is still in the array
             if(self._scheduledShops.indexOf(shop) < 0 || self._scheduledShops.indexOf(shop) === -1) {
                 console.error('Error: Scheduled shop not instantiating, it was removed from the scheduled list');
@@ -437,6 +653,10 @@ ShopManager.prototype.getTeamShopCount = function(teamId, current, scheduled, ca
 
     // Create an array processing function
     const processingFunction = function(liveShop) {
+        // Fixed dealers don't replace the player dealers of a team
+        if(liveShop.isFixed())
+            return;
+
         // Get the shop's team
         latch.add();
         liveShop.getTeam(function(err, team) {
@@ -502,8 +722,8 @@ ShopManager.prototype.isShopUser = function(user, current, scheduled) {
         if(found)
             return;
 
-        // Check whether we found the correct user
-        if(liveShop.getUser().getId().equals(user.getId()))
+        // Check whether we found the correct user, fixed dealers aren't attached to a user
+        if(!liveShop.isFixed() && liveShop.getUser().getId().equals(user.getId()))
             found = true;
     };
 
@@ -621,6 +841,12 @@ ShopManager.prototype.findNewShopUsers = function(teamId, callback) {
                     return;
                 }
 
+                // Make sure the user is inside the play area
+                if(!liveUser.isInPlayArea()) {
+                    latch.resolve();
+                    return;
+                }
+
                 // The user seems fine, add him to the list
                 users.push(liveUser);
 
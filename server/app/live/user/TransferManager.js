@@ -0,0 +1,247 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../Core');
+var TokenGenerator = require('../../token/TokenGenerator');
+var PacketType = require('../../realtime/PacketType');
+var Formatter = require('../../format/Formatter');
+
+/**
+ * Transfer manager class.
+ * Keeps track of transfers between teammates that are waiting for the receiving player to confirm them.
+ *
+ * @param {Game} game Live game instance.
+ *
+ * @class
+ * @constructor
+ */
+var TransferManager = function(game) {
+    /**
+     * Live game instance.
+     * @type {Game}
+     */
+    this.game = game;
+
+    /**
+     * List of pending transfers.
+     * @type {Array} Array of pending transfer objects.
+     */
+    this.transfers = [];
+};
+
+/**
+ * Transfer types, which are the names of the game user fields that are transferred.
+ * @type {Array}
+ */
+TransferManager.TYPES = ['money', 'in', 'out'];
+
+/**
+ * Object defining a transfer that is waiting for the receiving player to confirm it.
+ *
+ * @typedef {Object} PendingTransferObject
+ * @param {string} token Transfer token.
+ * @param {User} sender Live user sending the goods.
+ * @param {User} receiver Live user receiving the goods.
+ * @param {string} type Transfer type, one of TransferManager.TYPES.
+ * @param {Number} amount Amount to transfer.
+ * @param {PausableTimer} timer Timer that expires the transfer.
+ */
+
+/**
+ * Create a pending transfer, that expires if the receiving player doesn't confirm it in time.
+ *
+ * @param {User} sender Live user sending the goods.
+ * @param {User} receiver Live user receiving the goods.
+ * @param {string} type Transfer type, one of TransferManager.TYPES.
+ * @param {Number} amount Amount to transfer.
+ * @param {TransferManager~createTransferCallback} callback Called with the pending transfer or when an error occurred.
+ */
+TransferManager.prototype.createTransfer = function(sender, receiver, type, amount, callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the game configuration
+    this.game.getConfig(function(err, gameConfig) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Generate a transfer token
+        TokenGenerator.generateToken(32, function(err, token) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Create the transfer, and call it back
+            callback(null, self._addTransfer(token, sender, receiver, type, amount, gameConfig.player.transferTimeout));
+        });
+    });
+};
+
+/**
+ * Add a pending transfer, that expires after the given timeout.
+ *
+ * @param {string} token Transfer token.
+ * @param {User} sender Live user sending the goods.
+ * @param {User} receiver Live user receiving the goods.
+ * @param {string} type Transfer type, one of TransferManager.TYPES.
+ * @param {Number} amount Amount to transfer.
+ * @param {Number} timeout Time in milliseconds before the transfer expires.
+ * @return {PendingTransferObject} Pending transfer.
+ * @private
+ */
+TransferManager.prototype._addTransfer = function(token, sender, receiver, type, amount, timeout) {
+    // Store this instance
+    const self = this;
+
+    // Create the transfer and add it to the list
+    const transfer = {
+        token,
+        sender,
+        receiver,
+        type,
+        amount,
+        timer: null
+    };
+    this.transfers.push(transfer);
+
+    // Expire the transfer when it isn't confirmed in time, which is frozen while the game is paused
+    transfer.timer = this.game.setTimer(function() {
+        // Make sure the transfer is still pending
+        if(!self.removeTransfer(transfer))
+            return;
+
+        // Let the sender know
+        Core.realTime.packetProcessor.sendPacketUser(PacketType.MESSAGE_RESPONSE, {
+            message: 'Your transfer expired, it wasn\'t accepted in time.',
+            error: false,
+            toast: true,
+            dialog: false
+        }, sender.getUserModel());
+    }, timeout);
+
+    // Return the transfer
+    return transfer;
+};
+
+/**
+ * Called with the pending transfer or when an error occurred.
+ *
+ * @callback TransferManager~createTransferCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {PendingTransferObject=} Pending transfer.
+ */
+
+/**
+ * Get the pending transfer with the given token.
+ *
+ * @param {string} token Transfer token.
+ * @return {PendingTransferObject|null} Pending transfer, or null if no transfer is pending with this token.
+ */
+TransferManager.prototype.getTransfer = function(token) {
+    // Find the transfer
+    const transfer = this.transfers.filter((transfer) => transfer.token === token)[0];
+
+    // Return the transfer, or null if it wasn't found
+    return transfer !== undefined ? transfer : null;
+};
+
+/**
+ * Remove the given pending transfer.
+ *
+ * @param {PendingTransferObject} transfer Pending transfer to remove.
+ * @return {boolean} True if the transfer was pending and is removed, false if it wasn't pending anymore.
+ */
+TransferManager.prototype.removeTransfer = function(transfer) {
+    // Get the index of the transfer, and make sure it's still pending
+    const index = this.transfers.indexOf(transfer);
+    if(index < 0)
+        return false;
+
+    // Remove the transfer
+    this.transfers.splice(index, 1);
+    return true;
+};
+
+/**
+ * Get the state of the pending transfers, so they can be restored after a server restart.
+ *
+ * @return {Array} Array of transfer states, with the user IDs and the time left before they expire.
+ */
+TransferManager.prototype.getState = function() {
+    return this.transfers.map(function(transfer) {
+        return {
+            token: transfer.token,
+            sender: transfer.sender.getIdHex(),
+            receiver: transfer.receiver.getIdHex(),
+            type: transfer.type,
+            amount: transfer.amount,
+            time: transfer.timer.getRemainingTime()
+        };
+    });
+};
+
+/**
+ * Restore the pending transfers, as returned by getState().
+ * Transfers of users that aren't loaded anymore are skipped. Transfers expire after the time they had left.
+ *
+ * @param {Array} state Array of transfer states.
+ */
+TransferManager.prototype.restoreState = function(state) {
+    // Store this instance
+    const self = this;
+
+    // Restore the transfers
+    state.forEach(function(transferState) {
+        // Get the sending and receiving users
+        const sender = self.game.userManager.getLoadedUser(transferState.sender);
+        const receiver = self.game.userManager.getLoadedUser(transferState.receiver);
+        if(sender === null || receiver === null || transferState.time <= 0)
+            return;
+
+        // Add the transfer
+        self._addTransfer(transferState.token, sender, receiver, transferState.type, transferState.amount, transferState.time);
+    });
+};
+
+/**
+ * Format the given transfer amount as readable text.
+ *
+ * @param {string} type Transfer type, one of TransferManager.TYPES.
+ * @param {Number} amount Amount that is transferred.
+ * @return {string} Readable amount, such as $100 or 5 ingredients.
+ */
+TransferManager.prototype.formatAmount = function(type, amount) {
+    // Format money
+    if(type === 'money')
+        return Formatter.formatMoney(amount);
+
+    // Format goods, with their name
+    return Formatter.formatGoods(amount) + ' ' + this.game.__(type + '.name' + (amount === 1 ? '' : 's'), { game: this.game.getIdHex() });
+};
+
+// Export the module
+module.exports = TransferManager;
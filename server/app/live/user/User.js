@@ -20,6 +20,7 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
 var mongo = require('mongodb');
 var ObjectId = mongo.ObjectId;
 
@@ -29,6 +30,7 @@ var Core = require('../../../Core');
 var UserModel = require('../../model/user/UserModel');
 var CallbackLatch = require('../../util/CallbackLatch');
 var Formatter = require('../../format/Formatter');
+var Coordinate = require('../../coordinate/Coordinate');
 
 /**
  * User class.
@@ -78,6 +80,38 @@ var User = function(user, game) {
      */
     this._locationTime = null;
 
+    /**
+     * Last time a location sample of this user was recorded at, to replay the game afterwards.
+     *
+     * @type {Number|null}
+     * @private
+     */
+    this._locationSampleTime = null;
+
+    /**
+     * Flag defining whether the last known location of the user is inside the play area of the game.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._inPlayArea = true;
+
+    /**
+     * Array containing live users this user is pinged for.
+     *
+     * @type {Array} Array of live user objects.
+     * @private
+     */
+    this._userPingMem = [];
+
+    /**
+     * Object containing the timers that end the pings of this user, with the ID of the user it's pinged for as key.
+     *
+     * @type {Object} Object of PausableTimer instances.
+     * @private
+     */
+    this._userPingTimers = {};
+
     // Get and set the user ID
     if(user instanceof UserModel)
         this._id = user.getId();
@@ -434,6 +468,103 @@ User.prototype.hasLocation = function() {
     return this.getLocation() !== null;
 };
 
+/**
+ * Check whether the last known location of the user is inside the play area of the game.
+ * This is true if the location of the user isn't known yet.
+ *
+ * @return {boolean} True if the user is inside the play area, false if not.
+ */
+User.prototype.isInPlayArea = function() {
+    return this._inPlayArea;
+};
+
+/**
+ * Update whether the user is inside the play area, based on his last known location.
+ *
+ * @param {User~updatePlayAreaStateCallback} callback Called with the result or when an error occurred.
+ */
+User.prototype.updatePlayAreaState = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Keep the current state if the location of the user isn't known
+    if(!this.hasLocation()) {
+        callback(null, false);
+        return;
+    }
+
+    // Check whether the location is inside the play area
+    this.getGame().isInPlayArea(this.getLocation(), function(err, inPlayArea) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Determine whether the state changed, and update it
+        const changed = self._inPlayArea !== inPlayArea;
+        self._inPlayArea = inPlayArea;
+
+        // Call back
+        callback(null, changed);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback User~updatePlayAreaStateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True if the user entered or left the play area, false if the state didn't change.
+ */
+
+/**
+ * Record the current location of the user in the database, so the game can be replayed afterwards.
+ * A location sample is only recorded if the sample interval from the game configuration has passed since the last one,
+ * and only while the game isn't paused. Errors are printed to the console.
+ */
+User.prototype.recordLocation = function() {
+    // Make sure a location is known, and that the game isn't paused
+    if(!this.hasLocation() || this.getGame().isPaused())
+        return;
+
+    // Store this instance
+    const self = this;
+
+    // Get the game configuration
+    this.getGame().getConfig(function(err, gameConfig) {
+        // Handle errors
+        if(err !== null) {
+            console.error('Failed to record user location, failed to fetch game configuration, ignoring');
+            console.error(err.stack || err);
+            return;
+        }
+
+        // Get the sample interval, and make sure recording is enabled
+        const sampleInterval = gameConfig.game.locationSampleInterval;
+        if(sampleInterval <= 0)
+            return;
+
+        // Make sure the interval has passed since the last sample
+        const now = Date.now();
+        if(self._locationSampleTime !== null && now - self._locationSampleTime < sampleInterval)
+            return;
+
+        // Set the sample time
+        self._locationSampleTime = now;
+
+        // Add the location sample
+        Core.model.gameLocationModelManager.addGameLocation(self.getGame().getGameModel(), self.getUserModel(),
+            self._teamModel !== undefined ? self._teamModel : null, self.getLocation(), function(err) {
+                // Handle errors
+                if(err !== null) {
+                    console.error('Failed to record user location, ignoring');
+                    console.error(err.stack || err);
+                }
+            });
+    });
+};
+
 /**
  * Update the location.
  *
@@ -445,9 +576,11 @@ User.prototype.updateLocation = function(location, socket, callback) {
     // Store this instance
     const self = this;
 
-    // Set the location
-    if(location !== undefined)
+    // Set and record the location
+    if(location !== undefined) {
         this.setLocation(location);
+        this.recordLocation();
+    }
 
     // Get the live game
     const liveGame = this.getGame();
@@ -597,6 +730,40 @@ User.prototype.getMoney = function(callback, options) {
  * @param {Number} Amount of money.
  */
 
+/**
+ * Get the source the user pays with, either the user's own money or the team treasury.
+ *
+ * @param {boolean} fromTreasury True to pay from the team treasury, false to pay with the user's own money.
+ * @param {User~getPaymentSourceCallback} callback Called with the payment source or when an error occurred.
+ */
+User.prototype.getPaymentSource = function(fromTreasury, callback) {
+    // Get the game user
+    Core.model.gameUserModelManager.getGameUser(this.getGame().getGameModel(), this.getUserModel(), function(err, gameUser) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Make sure the game user is valid
+        if(gameUser === null) {
+            callback(null, null);
+            return;
+        }
+
+        // Get the payment source
+        gameUser.getPaymentSource(fromTreasury, callback);
+    });
+};
+
+/**
+ * Called with the payment source or when an error occurred.
+ *
+ * @callback User~getPaymentSourceCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {PaymentSourceObject|null=} Payment source, or null if the user can't pay from the given source.
+ */
+
 /**
  * Set the user's money.
  *
@@ -661,6 +828,7 @@ User.prototype.addMoney = function(amount, callback) {
  *
  * @callback User~addMoneyCallback
  * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True on success, false if there wasn't enough money to subtract and nothing was changed.
  */
 
 /**
@@ -694,6 +862,7 @@ User.prototype.subtractMoney = function(amount, callback) {
  *
  * @callback User~subtractMoney
  * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean=} True on success, false if there wasn't enough money to subtract and nothing was changed.
  */
 
 /**
@@ -1004,14 +1173,191 @@ User.prototype.isVisibleFor = function(other, callback) {
 
         // Check whether the user team's are the same when we fetched both teams
         teamLatch.then(function() {
-            // Determine whether the teams are the same and call back
+            // Determine whether the teams are the same, or whether this user is pinged for the other user
+            const isAlly = userTeam.getId().equals(otherTeam.getId());
+            const visible = isAlly || self.isInPingMemory(other);
+
+            // Remember where the team of the other user has last seen this enemy user
+            if(visible && !isAlly)
+                self.rememberLastSeen(otherTeam);
+
+            // Call back
             if(!calledBack)
-                callback(null, userTeam.getId().equals(otherTeam.getId()));
+                callback(null, visible);
             calledBack = true;
         });
     });
 };
 
+/**
+ * Remember the current location of this user as last seen position for the given team.
+ * Errors are printed to the console.
+ *
+ * @param {GameTeamModel} team Team that has seen this user.
+ */
+User.prototype.rememberLastSeen = function(team) {
+    // Store this instance
+    const self = this;
+
+    // Get the name of the user
+    this.getName(function(err, name) {
+        // Handle errors
+        if(err !== null) {
+            console.error('Failed to remember last seen position of user, ignoring');
+            console.error(err.stack || err);
+            return;
+        }
+
+        // Remember the position
+        self.getGame().lastSeenMemory.remember(team, 'user', self.getIdHex(), name, self.getLocation());
+    });
+};
+
+/**
+ * Check whether the given user is in the pinged memory.
+ *
+ * @param {User} liveUser User.
+ */
+User.prototype.isInPingMemory = function(liveUser) {
+    return this._userPingMem.indexOf(liveUser) >= 0;
+};
+
+/**
+ * Set whether the given live user is in the ping memory of this user.
+ *
+ * @param {User} liveUser Live user instance to set the state for.
+ * @param {boolean} isPinged True to set the in ping state to true, false otherwise.
+ * @param {boolean|undefined=true} sendLocationUpdate True to send new location data to the given user, which shows this user on the map.
+ * @return {boolean} True if the state changed, false if not.
+ */
+User.prototype.setInPingMemory = function(liveUser, isPinged, sendLocationUpdate) {
+    // Get the memorized ping state
+    const lastState = this.isInPingMemory(liveUser);
+
+    // Return false if the state didn't change
+    if(lastState === isPinged)
+        return false;
+
+    // Update the ping array
+    if(isPinged)
+        this._userPingMem.push(liveUser);
+    else
+        this._userPingMem.splice(this._userPingMem.indexOf(liveUser), 1);
+
+    // Update the location data for the live user
+    if(sendLocationUpdate === undefined || sendLocationUpdate)
+        Core.gameManager.broadcastLocationData(null, liveUser.getGame().getGameModel(), liveUser.getUserModel(), undefined, function(err) {
+            // Show errors
+            if(err !== null) {
+                console.error('Failed to broadcast location data to user, ignoring');
+                console.error(err.stack || err);
+            }
+        });
+
+    // Return the result
+    return true;
+};
+
+/**
+ * Ping this user for the given user and the given duration.
+ * The pinged user is visible on the map of the given user while the ping lasts.
+ *
+ * @param {User} liveUser User to ping this user for.
+ * @param {Number} pingDuration Duration of the ping in milliseconds.
+ * @param {boolean|undefined=true} sendLocationUpdate True to send new location data to the given user, which shows this user on the map.
+ * @param {User~pingForCallback} [callback] Called back when the ping decayed, or when an error occurred.
+ */
+User.prototype.pingFor = function(liveUser, pingDuration, sendLocationUpdate, callback) {
+    // Make sure the user is valid, and that the ping duration is a positive number
+    if(liveUser === null || pingDuration <= 0) {
+        if(_.isFunction(callback))
+            callback(new Error('Invalid live user instance or invalid ping duration.'));
+        return;
+    }
+
+    // Add the live user to the ping memory
+    this.setInPingMemory(liveUser, true, sendLocationUpdate);
+
+    // Store this instance
+    const self = this;
+
+    // Create a timer to remove the user from the ping memory, which is frozen while the game is paused
+    const timer = this.getGame().setTimer(function() {
+        // Forget the timer if it's the last one for this user
+        if(self._userPingTimers[liveUser.getIdHex()] === timer)
+            delete self._userPingTimers[liveUser.getIdHex()];
+
+        // Remove the user from the ping memory
+        self.setInPingMemory(liveUser, false, true);
+
+        // Call the callback
+        if(_.isFunction(callback))
+            callback(null);
+
+    }, pingDuration);
+
+    // Remember the timer, to know how long the ping lasts
+    this._userPingTimers[liveUser.getIdHex()] = timer;
+};
+
+/**
+ * Called when the ping has decayed, or when an error occurred.
+ *
+ * @callback User~pingForCallback
+ * @param {Error|null} Error instance if an error occurred.
+ */
+
+/**
+ * Get the live in-memory state of this user, so it can be stored and restored after a server restart.
+ * This contains the last known location with it's time, and the pings with the time they have left.
+ *
+ * @return {Object} User state.
+ */
+User.prototype.getState = function() {
+    // Store this instance
+    const self = this;
+
+    // Build and return the state
+    return {
+        user: this.getIdHex(),
+        location: this._location,
+        locationTime: this._locationTime,
+        pings: this._userPingMem
+            .filter((liveUser) => self._userPingTimers.hasOwnProperty(liveUser.getIdHex()))
+            .map(function(liveUser) {
+                return {
+                    user: liveUser.getIdHex(),
+                    time: self._userPingTimers[liveUser.getIdHex()].getRemainingTime()
+                };
+            })
+    };
+};
+
+/**
+ * Restore the live in-memory state of this user, as returned by getState().
+ * The location keeps it's original time, so it decays as usual. Pings continue with the time they had left.
+ *
+ * @param {Object} state User state.
+ */
+User.prototype.restoreState = function(state) {
+    // Store this instance
+    const self = this;
+
+    // Restore the location, if none is known since
+    if(this._location === null && state.location !== null && state.location !== undefined) {
+        this._location = Coordinate.parse(state.location);
+        this._locationTime = this._location !== null ? state.locationTime : null;
+    }
+
+    // Restore the pings
+    const userManager = this.getGame().userManager;
+    state.pings.forEach(function(ping) {
+        const liveUser = userManager.getLoadedUser(ping.user);
+        if(liveUser !== null && ping.time > 0)
+            self.pingFor(liveUser, ping.time, false);
+    });
+};
+
 /**
  * Called with the result or when an error occurred.
  *
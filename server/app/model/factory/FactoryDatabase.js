@@ -42,12 +42,14 @@ FactoryDatabase.DB_COLLECTION_NAME = 'factory';
  * Add an factory to the database.
  *
  * @param {String} name Name of the factory.
+ * @param {String} type ID of the factory type.
+ * @param {boolean} decoy True if the factory is a decoy, false if not.
  * @param {GameModel} game Game the factory is created for.
  * @param {UserModel} user User that created this factory.
  * @param {Coordinate} location Factory location.
  * @param {FactoryDatabase~addFactoryCallback} callback Called on success or on failure.
  */
-FactoryDatabase.addFactory = function (name, game, team, user, location, callback) {
+FactoryDatabase.addFactory = function (name, type, decoy, game, team, user, location, callback) {
     // Get the database instance
     var db = MongoUtil.getConnection();
 
@@ -94,7 +96,10 @@ FactoryDatabase.addFactory = function (name, game, team, user, location, callbac
         // Create the object to insert
         var insertObject = {
             name,
+            type,
+            decoy,
             create_date: new Date(),
+            visit_date: new Date(),
             user_id: user.getId(),
             team_id: team.getId(),
             game_id: game.getId(),
@@ -102,7 +107,10 @@ FactoryDatabase.addFactory = function (name, game, team, user, location, callbac
             level: gameConfig.factory.initialLevel,
             defence: gameConfig.factory.initialDefence,
             in: gameConfig.factory.initialIn,
-            out: gameConfig.factory.initialOut
+            out: gameConfig.factory.initialOut,
+            construction: !decoy ? gameConfig.factory.buildTime : 0,
+            construction_time: !decoy ? gameConfig.factory.buildTime : 0,
+            construction_user_id: user.getId()
         };
 
         // Insert the factory into the database
@@ -52,12 +52,44 @@ var FactoryModel = function(id) {
         },
         fields: {
             name: {},
+            type: {},
+            decoy: {
+                redis: {
+                    /**
+                     * Convert the string value to a boolean.
+                     *
+                     * @param {string} bool Boolean as a string.
+                     * @return {boolean} Boolean value.
+                     */
+                    from: (bool) => bool !== '0',
+
+                    /**
+                     * Convert the boolean value to a string.
+                     *
+                     * @param {boolean} bool Boolean value.
+                     * @return {string} Boolean as a string.
+                     */
+                    to: (bool) => bool ? 1 : 0
+                }
+            },
+            jammer_date: {
+                redis: {
+                    from: ConversionFunctions.dateFromRedis,
+                    to: ConversionFunctions.dateToRedis
+                }
+            },
             create_date: {
                 redis: {
                     from: ConversionFunctions.dateFromRedis,
                     to: ConversionFunctions.dateToRedis
                 }
             },
+            visit_date: {
+                redis: {
+                    from: ConversionFunctions.dateFromRedis,
+                    to: ConversionFunctions.dateToRedis
+                }
+            },
             game: {
                 mongo: {
                     field: 'game_id',
@@ -269,11 +301,94 @@ var FactoryModel = function(id) {
                      */
                     to: (value) => value.toString()
                 }
+            },
+            construction: {
+                redis: {
+                    /**
+                     * Convert the string back to a numeric value.
+                     *
+                     * @param {string} raw String value.
+                     * @return {Number} Numeric value.
+                     */
+                    from: (raw) => parseInt(raw),
+
+                    /**
+                     * Convert the numeric value to a string.
+                     *
+                     * @param {Number} value Numeric value.
+                     * @return {string} String value.
+                     */
+                    to: (value) => value.toString()
+                }
+            },
+            construction_time: {
+                redis: {
+                    /**
+                     * Convert the string back to a numeric value.
+                     *
+                     * @param {string} raw String value.
+                     * @return {Number} Numeric value.
+                     */
+                    from: (raw) => parseInt(raw),
+
+                    /**
+                     * Convert the numeric value to a string.
+                     *
+                     * @param {Number} value Numeric value.
+                     * @return {string} String value.
+                     */
+                    to: (value) => value.toString()
+                }
+            },
+            construction_user: {
+                mongo: {
+                    field: 'construction_user_id',
+
+                    /**
+                     * Convert an ID to an User model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {UserModel} User.
+                     */
+                    from: (id) => Core.model.userModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an User model to an ID.
+                     *
+                     * @param {UserModel} user User.
+                     * @return {ObjectId} ID.
+                     */
+                    to: (user) => user.getId()
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a User model.
+                     *
+                     * @param {String} id
+                     * @return {UserModel} User.
+                     */
+                    from: (id) => Core.model.userModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an User model to a hexadecimal ID.
+                     *
+                     * @param {UserModel} user User.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (user) => user.getIdHex()
+                }
             }
         }
     });
 };
 
+/**
+ * ID of the factory type that is used for factories without a type.
+ *
+ * @type {string}
+ */
+FactoryModel.DEFAULT_TYPE = 'standard';
+
 /**
  * Get the ID object of the factory.
  *
@@ -346,6 +461,26 @@ FactoryModel.prototype.setFields = function(fields, callback) {
  * @param {Error|null} Error instance if an error occurred, null on success.
  */
 
+/**
+ * Atomically increment the given fields by the given amounts.
+ * Decremented fields never drop below zero, nothing is changed if one would.
+ *
+ * @param {Object} fields Object with field names and the amounts to increment them by.
+ * @param {FactoryModel~incrementFieldsCallback} callback Called with the new values, or when an error occurred.
+ * @param {Object} [options] Model options.
+ */
+FactoryModel.prototype.incrementFields = function(fields, callback, options) {
+    this._baseModel.incrementFields(fields, callback, options);
+};
+
+/**
+ * Called with the new values, or when an error occurred.
+ *
+ * @callback FactoryModel~incrementFieldsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Object|null=} Object with the new field values, or null if nothing was changed.
+ */
+
 /**
  * Get the name for the factory.
  *
@@ -373,6 +508,106 @@ FactoryModel.prototype.setName = function(name, callback) {
     this.setField('name', name, callback);
 };
 
+/**
+ * Get the type of the factory.
+ * The default factory type is returned for factories that don't have a type yet.
+ *
+ * @param {FactoryModel~getTypeCallback} callback Called with the type or when an error occurred.
+ */
+FactoryModel.prototype.getType = function(callback) {
+    this.getField('type', function(err, type) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the type, or the default type if it isn't set
+        callback(null, _.isString(type) && type.length > 0 ? type : FactoryModel.DEFAULT_TYPE);
+    });
+};
+
+/**
+ * Called with the type or when an error occurred.
+ *
+ * @callback FactoryModel~getTypeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {String} ID of the factory type, as defined in the game configuration.
+ */
+
+/**
+ * Set the type of the factory.
+ *
+ * @param {String} type ID of the factory type.
+ * @param {FactoryModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+FactoryModel.prototype.setType = function(type, callback) {
+    this.setField('type', type, callback);
+};
+
+/**
+ * Check whether the factory is a decoy.
+ *
+ * @param {FactoryModel~isDecoyCallback} callback Called with the result or when an error occurred.
+ */
+FactoryModel.prototype.isDecoy = function(callback) {
+    this.getField('decoy', function(err, decoy) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Factories that were built before decoys existed don't have the field
+        callback(null, decoy === true);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback FactoryModel~isDecoyCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean} True if the factory is a decoy, false if not.
+ */
+
+/**
+ * Get the date the jammer of the factory runs out.
+ *
+ * @param {FactoryModel~getJammerDateCallback} callback Called with the date or when an error occurred.
+ * @param {Object} [options] Model options.
+ */
+FactoryModel.prototype.getJammerDate = function(callback, options) {
+    this.getField('jammer_date', function(err, jammerDate) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the date, or null if the factory never had a jammer
+        callback(null, jammerDate instanceof Date ? jammerDate : null);
+    }, options);
+};
+
+/**
+ * Called with the jammer date or when an error occurred.
+ *
+ * @callback FactoryModel~getJammerDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date|null} Date the jammer runs out, or null if the factory never had a jammer.
+ */
+
+/**
+ * Set the date the jammer of the factory runs out.
+ *
+ * @param {Date} date Jammer date.
+ * @param {FactoryModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+FactoryModel.prototype.setJammerDate = function(date, callback) {
+    this.setField('jammer_date', date, callback);
+};
+
 /**
  * Get the creation date for the factory.
  *
@@ -400,6 +635,54 @@ FactoryModel.prototype.setCreateDate = function(date, callback) {
     this.setField('create_date', date, callback);
 };
 
+/**
+ * Get the date a friendly player last visited the factory.
+ * The creation date is returned for factories that don't have a visit date yet.
+ *
+ * @param {FactoryModel~getVisitDateCallback} callback Called with visit date or when an error occurred.
+ * @param {Object} [options] Model options.
+ */
+FactoryModel.prototype.getVisitDate = function(callback, options) {
+    // Store this instance
+    const self = this;
+
+    // Get the visit date
+    this.getField('visit_date', function(err, visitDate) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the visit date if it's known
+        if(visitDate instanceof Date) {
+            callback(null, visitDate);
+            return;
+        }
+
+        // Fall back to the creation date
+        self.getCreateDate(callback);
+    }, options);
+};
+
+/**
+ * Called with the visit date or when an error occurred.
+ *
+ * @callback FactoryModel~getVisitDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date} Date the factory was last visited by a friendly player.
+ */
+
+/**
+ * Set the date a friendly player last visited the factory.
+ *
+ * @param {Date} date Visit date.
+ * @param {FactoryModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+FactoryModel.prototype.setVisitDate = function(date, callback) {
+    this.setField('visit_date', date, callback);
+};
+
 /**
  * Get the game for the factory.
  *
@@ -633,25 +916,20 @@ FactoryModel.prototype.addIn = function(amount, callback) {
         console.trace();
 
         // Call back
-        callback(null);
+        callback(null, true);
         return;
     }
 
-    // Store this instance
-    const self = this;
-
-    // Get the current in value
-    this.getIn(function(err, current) {
+    // Atomically increment the field, a subtraction never drops the value below zero
+    this._baseModel.incrementField('in', amount, function(err, value) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Set the in
-        self.setIn(current + amount, callback);
-    }, {
-        noCache: true
+        // Call back with whether the value was changed
+        callback(null, value !== null);
     });
 };
 
@@ -660,6 +938,7 @@ FactoryModel.prototype.addIn = function(amount, callback) {
  *
  * @callback GameUserModel~addInCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -677,6 +956,7 @@ FactoryModel.prototype.subtractIn = function(amount, callback) {
  *
  * @callback FactoryModel~subtractInCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -734,25 +1014,20 @@ FactoryModel.prototype.addOut = function(amount, callback) {
         console.trace();
 
         // Call back
-        callback(null);
+        callback(null, true);
         return;
     }
 
-    // Store this instance
-    const self = this;
-
-    // Get the current out value
-    this.getOut(function(err, current) {
+    // Atomically increment the field, a subtraction never drops the value below zero
+    this._baseModel.incrementField('out', amount, function(err, value) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Set the out
-        self.setOut(current + amount, callback);
-    }, {
-        noCache: true
+        // Call back with whether the value was changed
+        callback(null, value !== null);
     });
 };
 
@@ -761,6 +1036,7 @@ FactoryModel.prototype.addOut = function(amount, callback) {
  *
  * @callback FactoryModel~addOutCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -778,8 +1054,83 @@ FactoryModel.prototype.subtractOut = function(amount, callback) {
  *
  * @callback FactoryModel~subtractOutCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
+ */
+
+/**
+ * Get the construction state of the factory.
+ *
+ * @param {FactoryModel~getConstructionCallback} callback Called with the construction state or when an error occurred.
+ * @param {Object} [options] Model options.
+ */
+FactoryModel.prototype.getConstruction = function(callback, options) {
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Only call back once
+    var calledBack = false;
+
+    // Create the construction object
+    var construction = {
+        remaining: 0,
+        time: 0,
+        user: null
+    };
+
+    // Get the remaining time, the total time and the user
+    [
+        ['construction', 'remaining'],
+        ['construction_time', 'time'],
+        ['construction_user', 'user']
+    ].forEach((entry) => {
+        latch.add();
+        this.getField(entry[0], function(err, value) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the value if it's known
+            if(value !== undefined && value !== null)
+                construction[entry[1]] = value;
+
+            // Resolve the latch
+            latch.resolve();
+        }, options);
+    });
+
+    // Call back the construction state
+    latch.then(() => callback(null, construction));
+};
+
+/**
+ * Called with the construction state or when an error occurred.
+ *
+ * @callback FactoryModel~getConstructionCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {ConstructionObject=} Construction state.
  */
 
+/**
+ * @typedef {Object} ConstructionObject
+ * @param {Number} remaining Remaining construction time in milliseconds, zero if the factory isn't under construction.
+ * @param {Number} time Total construction time in milliseconds of the last construction.
+ * @param {UserModel|null} user User that must stay near the factory to construct it, or null.
+ */
+
+/**
+ * Set the user that must stay near the factory to construct it.
+ *
+ * @param {UserModel} user User.
+ * @param {FactoryModel~setFieldCallback} callback Called on success, or when an error occurred.
+ */
+FactoryModel.prototype.setConstructionUser = function(user, callback) {
+    this.setField('construction_user', user, callback);
+};
+
 /**
  * Spread the contents of this factory, the in and the out units, over all players in the owning team.
  *
@@ -844,10 +1195,13 @@ FactoryModel.prototype.spreadContents = function(clearFactory, callback) {
         latch.identity();
 
         // Check whether to clear the factory
-        if(clearFactory) {
-            // Reset the factory in contents
+        if(clearFactory && (contentsIn > 0 || contentsOut > 0)) {
+            // Take the fetched contents out of the factory
             latch.add();
-            self.setIn(0, function(err) {
+            self.incrementFields({
+                in: -contentsIn,
+                out: -contentsOut
+            }, function(err, values) {
                 // Call back errors
                 if (err !== null) {
                     if (!calledBack)
@@ -856,18 +1210,9 @@ FactoryModel.prototype.spreadContents = function(clearFactory, callback) {
                     return;
                 }
 
-                // Resolve the latch
-                latch.resolve();
-            });
-
-            // Reset the factory out contents
-            latch.add();
-            self.setOut(0, function(err) {
-                // Call back errors
-                if (err !== null) {
-                    if (!calledBack)
-                        callback(err);
-                    calledBack = true;
+                // Start over if the contents were changed in the meanwhile
+                if(values === null) {
+                    self.spreadContents(clearFactory, callback);
                     return;
                 }
 
@@ -981,7 +1326,8 @@ FactoryModel.prototype.spreadContents = function(clearFactory, callback) {
 /**
  * Get the live factory instance for this factory.
  *
- * @param {function} callback callback(err, liveFactory) The factory might be null if it's currently not loaded.
+ * @param {function} callback callback(err, liveFactory) The factory might be null if it's currently not loaded,
+ * or if its game is owned by another worker.
  */
 FactoryModel.prototype.getLiveFactory = function(callback) {
     // Store this instance
@@ -1003,6 +1349,12 @@ FactoryModel.prototype.getLiveFactory = function(callback) {
                 return;
             }
 
+            // The game isn't loaded on this worker
+            if(liveGame === null) {
+                callback(null, null);
+                return;
+            }
+
             // Get the live factory
             liveGame.factoryManager.getFactory(self, function(err, liveFactory) {
                 // Call back errors
@@ -72,6 +72,14 @@ GameDatabase.addGame = function(user, name, callback) {
         name,
         stage: 0,
         lang_object: null,
+        config: null,
+        start_date: null,
+        end_date: null,
+        duration: null,
+        results: null,
+        play_area: null,
+        zones: [],
+        dealers: [],
         create_date: new Date()
     };
 
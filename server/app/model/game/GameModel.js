@@ -20,6 +20,8 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
+
 var gameConfig = require('../../../gameConfig');
 
 var Core = require('../../../Core');
@@ -27,6 +29,9 @@ var GameDatabase = require('./GameDatabase');
 var BaseModel = require('../../database/BaseModel');
 var ConversionFunctions = require('../../database/ConversionFunctions');
 var CallbackLatch = require('../../util/CallbackLatch');
+var Polygon = require('../../coordinate/Polygon');
+var Zone = require('../../coordinate/Zone');
+var FixedDealer = require('../../live/shop/FixedDealer');
 
 /**
  * GameModel class.
@@ -46,6 +51,22 @@ var GameModel = function(id) {
      */
     this._id = id;
 
+    /**
+     * Cached game configuration, merged with the game-specific overrides.
+     *
+     * @type {Object|null}
+     * @private
+     */
+    this._config = null;
+
+    /**
+     * Serialized overrides the cached game configuration was built from.
+     *
+     * @type {String|null}
+     * @private
+     */
+    this._configOverrides = null;
+
     // Create and configure the base model instance for this model
     this._baseModel = new BaseModel(this, {
         mongo: {
@@ -117,6 +138,160 @@ var GameModel = function(id) {
                     to: ConversionFunctions.objectToRedis
                 }
             },
+            config: {
+                redis: {
+                    from: ConversionFunctions.objectFromRedis,
+                    to: ConversionFunctions.objectToRedis
+                }
+            },
+            results: {
+                redis: {
+                    from: ConversionFunctions.objectFromRedis,
+                    to: ConversionFunctions.objectToRedis
+                }
+            },
+            play_area: {
+                mongo: {
+                    /**
+                     * Convert a raw array of points to a polygon.
+                     *
+                     * @param {Array|null} raw Raw array of points.
+                     * @return {Polygon|null} Polygon, or null if no play area is set.
+                     */
+                    from: (raw) => Polygon.parse(raw),
+
+                    /**
+                     * Convert a polygon to a raw array of points.
+                     *
+                     * @param {Polygon|null} polygon Polygon.
+                     * @return {Array|null} Raw array of points, or null if no play area is set.
+                     */
+                    to: (polygon) => polygon !== null ? polygon.points.map((point) => ({
+                        latitude: point.latitude,
+                        longitude: point.longitude
+                    })) : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized polygon to a polygon.
+                     *
+                     * @param {string} raw Serialized polygon.
+                     * @return {Polygon|null} Polygon, or null if no play area is set.
+                     */
+                    from: (raw) => raw !== '' ? Polygon.deserialize(raw) : null,
+
+                    /**
+                     * Serialize the polygon to store it in Redis.
+                     *
+                     * @param {Polygon|null} polygon Polygon.
+                     * @return {string} Serialized polygon.
+                     */
+                    to: (polygon) => polygon !== null ? polygon.serialize() : ''
+                }
+            },
+            zones: {
+                mongo: {
+                    /**
+                     * Convert a raw array of zones to a list of zones.
+                     *
+                     * @param {Array|null} raw Raw array of zones.
+                     * @return {Array} Array of zones.
+                     */
+                    from: (raw) => Zone.parseList(raw),
+
+                    /**
+                     * Convert a list of zones to a raw array.
+                     *
+                     * @param {Array} zones Array of zones.
+                     * @return {Array} Raw array of zones.
+                     */
+                    to: (zones) => zones.map((zone) => zone.toObject())
+                },
+                redis: {
+                    /**
+                     * Convert a serialized list of zones to a list of zones.
+                     *
+                     * @param {string} raw Serialized list of zones.
+                     * @return {Array} Array of zones.
+                     */
+                    from: (raw) => Zone.parseList(JSON.parse(raw)),
+
+                    /**
+                     * Serialize the list of zones to store it in Redis.
+                     *
+                     * @param {Array} zones Array of zones.
+                     * @return {string} Serialized list of zones.
+                     */
+                    to: (zones) => JSON.stringify(zones.map((zone) => zone.toObject()))
+                }
+            },
+            dealers: {
+                mongo: {
+                    /**
+                     * Convert a raw array of fixed dealers to a list of fixed dealers.
+                     *
+                     * @param {Array|null} raw Raw array of fixed dealers.
+                     * @return {Array} Array of fixed dealers.
+                     */
+                    from: (raw) => FixedDealer.parseList(raw),
+
+                    /**
+                     * Convert a list of fixed dealers to a raw array.
+                     *
+                     * @param {Array} dealers Array of fixed dealers.
+                     * @return {Array} Raw array of fixed dealers.
+                     */
+                    to: (dealers) => dealers.map((dealer) => dealer.toObject())
+                },
+                redis: {
+                    /**
+                     * Convert a serialized list of fixed dealers to a list of fixed dealers.
+                     *
+                     * @param {string} raw Serialized list of fixed dealers.
+                     * @return {Array} Array of fixed dealers.
+                     */
+                    from: (raw) => FixedDealer.parseList(JSON.parse(raw)),
+
+                    /**
+                     * Serialize the list of fixed dealers to store it in Redis.
+                     *
+                     * @param {Array} dealers Array of fixed dealers.
+                     * @return {string} Serialized list of fixed dealers.
+                     */
+                    to: (dealers) => JSON.stringify(dealers.map((dealer) => dealer.toObject()))
+                }
+            },
+            start_date: {
+                redis: {
+                    from: ConversionFunctions.dateFromRedis,
+                    to: ConversionFunctions.dateToRedis
+                }
+            },
+            end_date: {
+                redis: {
+                    from: ConversionFunctions.dateFromRedis,
+                    to: ConversionFunctions.dateToRedis
+                }
+            },
+            duration: {
+                redis: {
+                    /**
+                     * Convert the duration from a string to an integer.
+                     *
+                     * @param {string|null} duration Duration string.
+                     * @return {Number|null} Duration in milliseconds.
+                     */
+                    from: (duration) => duration !== null ? parseInt(duration, 10) : null,
+
+                    /**
+                     * Convert the duration to a string.
+                     *
+                     * @param {Number|null} duration Duration in milliseconds.
+                     * @return {string|null} Duration as a string.
+                     */
+                    to: (duration) => duration !== null ? duration.toString() : null
+                }
+            },
             create_date: {
                 redis: {
                     from: ConversionFunctions.dateFromRedis,
@@ -333,6 +508,261 @@ GameModel.prototype.setCreateDate = function(createDate, callback) {
     this.setField('create_date', createDate, callback);
 };
 
+/**
+ * Get the date this game is scheduled to start on.
+ *
+ * @param {GameModel~getStartDateCallback} callback Called with the start date or when an error occurred.
+ */
+GameModel.prototype.getStartDate = function(callback) {
+    this.getField('start_date', function(err, startDate) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the date, or null if it isn't set
+        callback(null, startDate instanceof Date ? startDate : null);
+    });
+};
+
+/**
+ * Called with the scheduled start date or when an error occurred.
+ *
+ * @callback GameModel~getStartDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date|null} Scheduled start date, or null if the game isn't scheduled to start.
+ */
+
+/**
+ * Set the date this game is scheduled to start on.
+ *
+ * @param {Date|null} startDate Scheduled start date, or null to not start the game automatically.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setStartDate = function(startDate, callback) {
+    this.setField('start_date', startDate, callback);
+};
+
+/**
+ * Get the date this game is scheduled to finish on.
+ *
+ * @param {GameModel~getEndDateCallback} callback Called with the end date or when an error occurred.
+ */
+GameModel.prototype.getEndDate = function(callback) {
+    this.getField('end_date', function(err, endDate) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the date, or null if it isn't set
+        callback(null, endDate instanceof Date ? endDate : null);
+    });
+};
+
+/**
+ * Called with the scheduled end date or when an error occurred.
+ *
+ * @callback GameModel~getEndDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date|null} Scheduled end date, or null if the game isn't scheduled to finish.
+ */
+
+/**
+ * Set the date this game is scheduled to finish on.
+ *
+ * @param {Date|null} endDate Scheduled end date, or null to not finish the game automatically.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setEndDate = function(endDate, callback) {
+    this.setField('end_date', endDate, callback);
+};
+
+/**
+ * Get the duration of this game.
+ * The end date of the game is derived from this duration when the game is started, if no end date is set.
+ *
+ * @param {GameModel~getDurationCallback} callback Called with the duration or when an error occurred.
+ */
+GameModel.prototype.getDuration = function(callback) {
+    this.getField('duration', function(err, duration) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the duration, or null if it isn't set
+        callback(null, _.isNumber(duration) ? duration : null);
+    });
+};
+
+/**
+ * Called with the game duration or when an error occurred.
+ *
+ * @callback GameModel~getDurationCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Number|null} Game duration in milliseconds, or null if no duration is set.
+ */
+
+/**
+ * Set the duration of this game.
+ *
+ * @param {Number|null} duration Game duration in milliseconds, or null to not limit the duration.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setDuration = function(duration, callback) {
+    this.setField('duration', duration, callback);
+};
+
+/**
+ * Get the final results of this game.
+ * The results are stored at the moment the game is finished.
+ *
+ * @param {GameModel~getResultsCallback} callback Called with the results or when an error occurred.
+ */
+GameModel.prototype.getResults = function(callback) {
+    this.getField('results', function(err, results) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the results, or null if there are none
+        callback(null, _.isObject(results) ? results : null);
+    });
+};
+
+/**
+ * Called with the game results or when an error occurred.
+ *
+ * @callback GameModel~getResultsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameResultsObject|null} Game results object, or null if the game doesn't have any results.
+ */
+
+/**
+ * Set the final results of this game.
+ *
+ * @param {GameResultsObject|null} results Game results object, or null to clear the results.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setResults = function(results, callback) {
+    this.setField('results', results, callback);
+};
+
+/**
+ * Get the play area of this game.
+ * Players should stay inside the play area, factories can't be built outside of it.
+ *
+ * @param {GameModel~getPlayAreaCallback} callback Called with the play area or when an error occurred.
+ */
+GameModel.prototype.getPlayArea = function(callback) {
+    this.getField('play_area', function(err, playArea) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the play area, or null if there is none
+        callback(null, playArea instanceof Polygon ? playArea : null);
+    });
+};
+
+/**
+ * Called with the play area or when an error occurred.
+ *
+ * @callback GameModel~getPlayAreaCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Polygon|null} Play area polygon, or null if the game doesn't have a play area.
+ */
+
+/**
+ * Set the play area of this game.
+ *
+ * @param {Polygon|null} playArea Play area polygon, or null to remove the play area.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setPlayArea = function(playArea, callback) {
+    this.setField('play_area', playArea, callback);
+};
+
+/**
+ * Get the no-build and safe zones of this game.
+ *
+ * @param {GameModel~getZonesCallback} callback Called with the zones or when an error occurred.
+ */
+GameModel.prototype.getZones = function(callback) {
+    this.getField('zones', function(err, zones) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the zones, or an empty list if there are none
+        callback(null, _.isArray(zones) ? zones : []);
+    });
+};
+
+/**
+ * Called with the zones or when an error occurred.
+ *
+ * @callback GameModel~getZonesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of zones.
+ */
+
+/**
+ * Set the no-build and safe zones of this game.
+ *
+ * @param {Array} zones Array of zones.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setZones = function(zones, callback) {
+    this.setField('zones', zones, callback);
+};
+
+/**
+ * Get the fixed dealers the host placed in this game.
+ *
+ * @param {GameModel~getDealersCallback} callback Called with the fixed dealers or when an error occurred.
+ */
+GameModel.prototype.getDealers = function(callback) {
+    this.getField('dealers', function(err, dealers) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the dealers, or an empty list if there are none
+        callback(null, _.isArray(dealers) ? dealers : []);
+    });
+};
+
+/**
+ * Called with the fixed dealers or when an error occurred.
+ *
+ * @callback GameModel~getDealersCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of fixed dealers.
+ */
+
+/**
+ * Set the fixed dealers of this game.
+ *
+ * @param {Array} dealers Array of fixed dealers.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setDealers = function(dealers, callback) {
+    this.setField('dealers', dealers, callback);
+};
+
 /**
  * Get the number of users that joined this game.
  *
@@ -548,12 +978,64 @@ GameModel.prototype.hasManagePermission = function(user, callback) {
  * @param {boolean} True if the user has permission to manage the game, false if not.
  */
 
+/**
+ * Get the game-specific configuration overrides for this game if it has any.
+ *
+ * @param {GameModel~getConfigOverridesCallback} callback Called with the configuration overrides or when an error occurred.
+ */
+GameModel.prototype.getConfigOverrides = function(callback) {
+    this.getField('config', callback);
+};
+
+/**
+ * Called with the configuration overrides if there are any or when an error occurred.
+ *
+ * @callback GameModel~getConfigOverridesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object|null} Configuration overrides object if there is any, null otherwise.
+ */
+
+/**
+ * Set the game-specific configuration overrides for this game.
+ *
+ * @param {Object|null} overrides Object with configuration overrides, or null to use the defaults.
+ * @param {GameModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameModel.prototype.setConfigOverrides = function(overrides, callback) {
+    this.setField('config', overrides, callback);
+};
+
 /**
  * Get the game-specific configuration for this game.
+ * This is the default game configuration, with the configuration overrides of this game merged over it.
  *
  * @param {GameModel~getGameConfigCallback} callback Called with the game configuration or when an error occurred.
  */
-GameModel.prototype.getConfig = (callback) => callback(null, gameConfig);
+GameModel.prototype.getConfig = function(callback) {
+    // Store this instance
+    const self = this;
+
+    // Get the configuration overrides
+    this.getConfigOverrides(function(err, overrides) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Serialize the overrides, to determine whether the cached configuration is still valid
+        const serializedOverrides = ConversionFunctions.serializeObject(overrides !== undefined ? overrides : null);
+
+        // Build the merged configuration if it isn't cached yet
+        if(self._config === null || self._configOverrides !== serializedOverrides) {
+            self._config = _.merge({}, gameConfig, overrides);
+            self._configOverrides = serializedOverrides;
+        }
+
+        // Call back the configuration
+        callback(null, self._config);
+    });
+};
 
 /**
  * Called with the game configuration or when an error occurred.
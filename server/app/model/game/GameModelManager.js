@@ -163,7 +163,7 @@ GameModelManager.prototype.isValidStage = function(stage) {
         return false;
 
     // Make sure the number is in-bound
-    return stage >= 0 && stage <= 2;
+    return stage >= 0 && stage <= 3;
 };
 
 /**
@@ -382,6 +382,57 @@ GameModelManager.prototype.getGamesWithStage = function(stage, options, callback
  * @param {Array=} Array of games. The array may be empty of no results were fetched for the given query.
  */
 
+/**
+ * Get all games that are scheduled to be started or finished automatically.
+ * This includes games that aren't started yet and have a start date, and active games that have an end date.
+ * The result isn't cached, so that schedule changes are picked up right away.
+ *
+ * @param {GameModelManager~getScheduledGamesCallback} callback Called with the result or when an error occurred.
+ */
+GameModelManager.prototype.getScheduledGames = function(callback) {
+    // Store the current instance
+    const self = this;
+
+    // Create the query object, for games that have a schedule for their current stage
+    const queryObject = {
+        $or: [
+            {stage: 0, start_date: {$ne: null}},
+            {stage: 1, end_date: {$ne: null}}
+        ]
+    };
+
+    // Create the projection object for MongoDB
+    const projectionObject = {
+        _id: true,
+        name: true
+    };
+
+    // Query the database for scheduled games
+    GameDatabase.layerFetchFieldsFromDatabase(queryObject, projectionObject, function(err, data) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            // Encapsulate the error and call back
+            callback(new Error(err));
+            return;
+        }
+
+        // Create a game instance for each result and call back
+        callback(null, data.map(function(gameData) {
+            return self._instanceManager.create(gameData._id, {
+                name: gameData.name
+            });
+        }));
+    });
+};
+
+/**
+ * Called with a list of scheduled games or when an error occurred.
+ *
+ * @callback GameModelManager~getScheduledGamesCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of games. The array may be empty if no game is scheduled.
+ */
+
 /**
  * Get the number of games with the given stage.
  *
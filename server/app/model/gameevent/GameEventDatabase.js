@@ -0,0 +1,140 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var MongoUtil = require('../../mongo/MongoUtils');
+
+/**
+ * Constructor.
+ *
+ * @returns {GameEventDatabase} GameEventDatabase instance.
+ */
+var GameEventDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+GameEventDatabase.DB_COLLECTION_NAME = 'game_event';
+
+/**
+ * Add an event to the log of a game.
+ *
+ * @param {GameModel} game Game the event happened in.
+ * @param {string} type Event type, see {@see GameEventType}.
+ * @param {UserModel|null} user User that caused the event, or null.
+ * @param {GameTeamModel|null} team Team of the user that caused the event, or null.
+ * @param {GameTeamModel|null} targetTeam Team that was affected by the event, such as the team that lost a factory, or
+ * null.
+ * @param {Coordinate|null} location Location the event happened at, or null if unknown.
+ * @param {Object} data Object with additional event data, such as amounts.
+ * @param {GameEventDatabase~addGameEventCallback} callback Called on success or when an error occurred.
+ */
+GameEventDatabase.addGameEvent = function(game, type, user, team, targetTeam, location, data, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Create the object to insert
+    const insertObject = {
+        game_id: game.getId(),
+        type,
+        user_id: user !== null ? user.getId() : null,
+        team_id: team !== null ? team.getId() : null,
+        target_team_id: targetTeam !== null ? targetTeam.getId() : null,
+        location: location !== null ? {
+            latitude: location.latitude,
+            longitude: location.longitude
+        } : null,
+        data: data !== undefined ? data : {},
+        date: new Date()
+    };
+
+    // Insert the event into the database
+    db.collection(GameEventDatabase.DB_COLLECTION_NAME).insertOne(insertObject, function(err) {
+        // Handle errors
+        if(err !== null) {
+            // Show a warning and call back with the error
+            console.warn('Unable to add game event, failed to insert event into database.');
+            callback(err, null);
+            return;
+        }
+
+        // Call back with the event model
+        callback(null, Core.model.gameEventModelManager._instanceManager.create(insertObject._id));
+    });
+};
+
+/**
+ * Called with the new event or when an error occurred.
+ *
+ * @callback GameEventDatabase~addGameEventCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {GameEventModel|null} Game event model instance, or null if an error occurred.
+ */
+
+/**
+ * Do a find query on the game event database. Parse the result as an array through a callback.
+ *
+ * @param a First find parameter.
+ * @param b Second find parameter.
+ * @param {Object} [options] Additional options.
+ * @param {Number} [options.limit] Number of items to limit the result to.
+ * @param {string} [options.sortField=] Field to sort on.
+ * @param {boolean} [options.sortAscending=true] True to sort in ascending order, false to sort in descending order.
+ * @param {function} callback (err, data) Callback.
+ */
+GameEventDatabase.layerFetchFieldsFromDatabase = function(a, b, options, callback) {
+    // Get the database instance
+    var db = MongoUtil.getConnection();
+
+    // Set the callback parameter if the options parameter was left out
+    if(_.isFunction(options)) {
+        //noinspection JSValidateTypes
+        callback = options;
+        options = {};
+    }
+
+    // Create the find query
+    var findQuery = db.collection(GameEventDatabase.DB_COLLECTION_NAME).find(a, b);
+
+    // Sort the results
+    if(options.hasOwnProperty('sortField')) {
+        // Set the sorting order property if not set
+        if(!options.hasOwnProperty('sortAscending'))
+            options.sortAscending = true;
+
+        // Sort
+        findQuery = findQuery.sort(options.sortField, options.sortAscending ? 1 : -1);
+    }
+
+    // Limit the results
+    //noinspection JSValidateTypes
+    if(options.hasOwnProperty('limit') && options.limit !== undefined)
+        findQuery = findQuery.limit(options.limit);
+
+    // Convert the results into an array and call back
+    findQuery.toArray(callback);
+};
+
+// Export the game event database module
+module.exports = GameEventDatabase;
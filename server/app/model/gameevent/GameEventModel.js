@@ -0,0 +1,410 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../Core');
+var GameEventDatabase = require('./GameEventDatabase');
+var BaseModel = require('../../database/BaseModel');
+var ConversionFunctions = require('../../database/ConversionFunctions');
+var Coordinate = require('../../coordinate/Coordinate');
+
+/**
+ * GameEventModel class.
+ * Game events are logged once, and are never changed afterwards.
+ *
+ * @class
+ * @constructor
+ *
+ * @param {ObjectId} id Game event ID object.
+ *
+ * @returns {GameEventModel} Game event instance.
+ */
+var GameEventModel = function(id) {
+    /**
+     * Set the API application ID.
+     *
+     * @private
+     */
+    this._id = id;
+
+    // Create and configure the base model instance for this model
+    this._baseModel = new BaseModel(this, {
+        mongo: {
+            collection: GameEventDatabase.DB_COLLECTION_NAME
+        },
+        fields: {
+            game: {
+                mongo: {
+                    field: 'game_id',
+
+                    /**
+                     * Convert an ID to an Game model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {GameModel} Game.
+                     */
+                    from: (id) => Core.model.gameModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an Game model to an ID.
+                     *
+                     * @param {GameModel} game Game.
+                     * @return {ObjectId} ID.
+                     */
+                    to: (game) => game.getId()
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a Game model.
+                     *
+                     * @param {String} id
+                     * @return {GameModel} Game.
+                     */
+                    from: (id) => Core.model.gameModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an Game model to a hexadecimal ID.
+                     *
+                     * @param {GameModel} game Game.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (game) => game.getIdHex()
+                }
+            },
+            type: {},
+            user: {
+                mongo: {
+                    field: 'user_id',
+
+                    /**
+                     * Convert an ID to an User model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {UserModel|null} User.
+                     */
+                    from: (id) => id !== null ? Core.model.userModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an User model to an ID.
+                     *
+                     * @param {UserModel|null} user User.
+                     * @return {ObjectId|null} ID.
+                     */
+                    to: (user) => user !== null ? user.getId() : null
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a User model.
+                     *
+                     * @param {String} id
+                     * @return {UserModel|null} User.
+                     */
+                    from: (id) => id !== '' ? Core.model.userModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an User model to a hexadecimal ID.
+                     *
+                     * @param {UserModel|null} user User.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (user) => user !== null ? user.getIdHex() : ''
+                }
+            },
+            team: {
+                mongo: {
+                    field: 'team_id',
+
+                    /**
+                     * Convert an ID to an Game Team model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {GameTeamModel|null} Game Team.
+                     */
+                    from: (id) => id !== null ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an Game Team model to an ID.
+                     *
+                     * @param {GameTeamModel|null} team Game Team.
+                     * @return {ObjectId|null} ID.
+                     */
+                    to: (team) => team !== null ? team.getId() : null
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a Game Team model.
+                     *
+                     * @param {String} id
+                     * @return {GameTeamModel|null} Team.
+                     */
+                    from: (id) => id !== '' ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an Game Team model to a hexadecimal ID.
+                     *
+                     * @param {GameTeamModel|null} team Game Team.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (team) => team !== null ? team.getIdHex() : ''
+                }
+            },
+            target_team: {
+                mongo: {
+                    field: 'target_team_id',
+
+                    /**
+                     * Convert an ID to an Game Team model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {GameTeamModel|null} Game Team.
+                     */
+                    from: (id) => id !== null ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an Game Team model to an ID.
+                     *
+                     * @param {GameTeamModel|null} team Game Team.
+                     * @return {ObjectId|null} ID.
+                     */
+                    to: (team) => team !== null ? team.getId() : null
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a Game Team model.
+                     *
+                     * @param {String} id
+                     * @return {GameTeamModel|null} Team.
+                     */
+                    from: (id) => id !== '' ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an Game Team model to a hexadecimal ID.
+                     *
+                     * @param {GameTeamModel|null} team Game Team.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (team) => team !== null ? team.getIdHex() : ''
+                }
+            },
+            location: {
+                mongo: {
+                    from: (raw) => raw !== null ? Coordinate.parse(raw) : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized location to a location object.
+                     *
+                     * @param {string} raw Serialized location.
+                     * @param {Coordinate|null} Deserialized location.
+                     */
+                    from: (raw) => raw !== '' ? Coordinate.deserialize(raw) : null,
+
+                    /**
+                     * Serialize the location to store it in Redis.
+                     *
+                     * @param {Coordinate|null} location Location to serialize.
+                     * @return {string} Serialized location.
+                     */
+                    to: (location) => location !== null ? location.serialize() : ''
+                }
+            },
+            data: {
+                redis: {
+                    from: ConversionFunctions.objectFromRedis,
+                    to: ConversionFunctions.objectToRedis
+                }
+            },
+            date: {
+                redis: {
+                    from: ConversionFunctions.dateFromRedis,
+                    to: ConversionFunctions.dateToRedis
+                }
+            }
+        }
+    });
+};
+
+/**
+ * Get the ID object of the game event.
+ *
+ * @returns {ObjectId} Game event ID object.
+ */
+GameEventModel.prototype.getId = function() {
+    return this._id;
+};
+
+/**
+ * Get the hexadecimal ID representation of the game event.
+ *
+ * @returns {*} Game event ID as hexadecimal string.
+ */
+GameEventModel.prototype.getIdHex = function() {
+    return this.getId().toString();
+};
+
+/**
+ * Get the given field from the model.
+ *
+ * @param {String} field Field names.
+ * @param {GameEventModel~getFieldCallback} callback Called with the result of a model field, or when an error occurred.
+ */
+GameEventModel.prototype.getField = function(field, callback) {
+    this._baseModel.getField(field, callback);
+};
+
+/**
+ * Called with the result of a model field, or when an error occurred.
+ *
+ * @callback GameEventModel~getFieldCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {*=} Field value.
+ */
+
+/**
+ * Get the game this event happened in.
+ *
+ * @param {GameEventModel~getGameCallback} callback Called with the game or when an error occurred.
+ */
+GameEventModel.prototype.getGame = function(callback) {
+    this.getField('game', callback);
+};
+
+/**
+ * Called with the game or when an error occurred.
+ *
+ * @callback GameEventModel~getGameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameModel} Game.
+ */
+
+/**
+ * Get the type of the event.
+ *
+ * @param {GameEventModel~getTypeCallback} callback Called with the type or when an error occurred.
+ */
+GameEventModel.prototype.getType = function(callback) {
+    this.getField('type', callback);
+};
+
+/**
+ * Called with the type or when an error occurred.
+ *
+ * @callback GameEventModel~getTypeCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string} Event type, see {@see GameEventType}.
+ */
+
+/**
+ * Get the user that caused this event.
+ *
+ * @param {GameEventModel~getUserCallback} callback Called with the user or when an error occurred.
+ */
+GameEventModel.prototype.getUser = function(callback) {
+    this.getField('user', callback);
+};
+
+/**
+ * Called with the user or when an error occurred.
+ *
+ * @callback GameEventModel~getUserCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {UserModel|null} User, or null if the event wasn't caused by a user.
+ */
+
+/**
+ * Get the team of the user that caused this event.
+ *
+ * @param {GameEventModel~getTeamCallback} callback Called with the team or when an error occurred.
+ */
+GameEventModel.prototype.getTeam = function(callback) {
+    this.getField('team', callback);
+};
+
+/**
+ * Get the team that was affected by this event.
+ *
+ * @param {GameEventModel~getTeamCallback} callback Called with the team or when an error occurred.
+ */
+GameEventModel.prototype.getTargetTeam = function(callback) {
+    this.getField('target_team', callback);
+};
+
+/**
+ * Called with the team or when an error occurred.
+ *
+ * @callback GameEventModel~getTeamCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameTeamModel|null} Team, or null if there is no team.
+ */
+
+/**
+ * Get the location this event happened at.
+ *
+ * @param {GameEventModel~getLocationCallback} callback Called with the location or when an error occurred.
+ */
+GameEventModel.prototype.getLocation = function(callback) {
+    this.getField('location', callback);
+};
+
+/**
+ * Called with the location or when an error occurred.
+ *
+ * @callback GameEventModel~getLocationCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Coordinate|null} Location, or null if unknown.
+ */
+
+/**
+ * Get the additional data of this event, such as amounts.
+ *
+ * @param {GameEventModel~getDataCallback} callback Called with the data or when an error occurred.
+ */
+GameEventModel.prototype.getData = function(callback) {
+    this.getField('data', callback);
+};
+
+/**
+ * Called with the data or when an error occurred.
+ *
+ * @callback GameEventModel~getDataCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Object} Event data.
+ */
+
+/**
+ * Get the date this event happened on.
+ *
+ * @param {GameEventModel~getDateCallback} callback Called with the date or when an error occurred.
+ */
+GameEventModel.prototype.getDate = function(callback) {
+    this.getField('date', callback);
+};
+
+/**
+ * Called with the date or when an error occurred.
+ *
+ * @callback GameEventModel~getDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date} Event date.
+ */
+
+// Export the game event model class
+module.exports = GameEventModel;
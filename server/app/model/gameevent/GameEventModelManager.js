@@ -0,0 +1,230 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var GameEventDatabase = require('./GameEventDatabase');
+var GameEventModel = require('./GameEventModel');
+var ModelInstanceManager = require('../ModelInstanceManager');
+var CallbackLatch = require('../../util/CallbackLatch');
+var MergeUtils = require('../../util/MergeUtils');
+
+/**
+ * GameEventModelManager class.
+ *
+ * @class
+ * @constructor
+ */
+var GameEventModelManager = function() {
+    /**
+     * Model instance manager.
+     *
+     * @type {ModelInstanceManager}
+     */
+    this._instanceManager = new ModelInstanceManager(GameEventModel);
+};
+
+/**
+ * Add an event to the log of the given game.
+ * The team of the user is used as event team if no team is given.
+ *
+ * @param {GameModel} game Game the event happened in.
+ * @param {string} type Event type, see {@see GameEventType}.
+ * @param {Object} properties Event properties.
+ * @param {UserModel|null} [properties.user=null] User that caused the event.
+ * @param {GameTeamModel|null} [properties.team] Team that caused the event, the team of the user if undefined.
+ * @param {GameTeamModel|null} [properties.targetTeam=null] Team that was affected by the event.
+ * @param {Coordinate|null} [properties.location=null] Location the event happened at.
+ * @param {Object} [properties.data={}] Additional event data, such as amounts.
+ * @param {GameEventModelManager~addGameEventCallback} callback Called with the event or when an error occurred.
+ */
+GameEventModelManager.prototype.addGameEvent = function(game, type, properties, callback) {
+    // Merge the properties with the defaults
+    properties = MergeUtils.merge({
+        user: null,
+        team: undefined,
+        targetTeam: null,
+        location: null,
+        data: {}
+    }, properties, false);
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Get the team of the user if no team is given
+    if(properties.team === undefined) {
+        // Don't set a team if there's no user
+        properties.team = null;
+
+        // Get the game user and it's team
+        if(properties.user !== null) {
+            latch.add();
+            Core.model.gameUserModelManager.getGameUser(game, properties.user, function(err, gameUser) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Resolve the latch if the user hasn't joined the game
+                if(gameUser === null) {
+                    latch.resolve();
+                    return;
+                }
+
+                // Get the team
+                gameUser.getTeam(function(err, team) {
+                    // Call back errors
+                    if(err !== null) {
+                        callback(err);
+                        return;
+                    }
+
+                    // Set the team
+                    properties.team = team !== undefined ? team : null;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+        }
+    }
+
+    // Add the event to the database
+    latch.then(() => GameEventDatabase.addGameEvent(game, type, properties.user, properties.team, properties.targetTeam,
+        properties.location, properties.data, callback));
+};
+
+/**
+ * Called with the new event or when an error occurred.
+ *
+ * @callback GameEventModelManager~addGameEventCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {GameEventModel|null} Game event model instance, or null if an error occurred.
+ */
+
+/**
+ * Log an event for the given game, without waiting for it to be stored.
+ * Errors are printed to the console.
+ *
+ * @param {GameModel} game Game the event happened in.
+ * @param {string} type Event type, see {@see GameEventType}.
+ * @param {Object} properties Event properties, see {@see GameEventModelManager.addGameEvent}.
+ */
+GameEventModelManager.prototype.logGameEvent = function(game, type, properties) {
+    this.addGameEvent(game, type, properties, function(err) {
+        // Show errors in the console
+        if(err !== null) {
+            console.error('Failed to log game event, ignoring');
+            console.error(err.stack || err);
+        }
+    });
+};
+
+/**
+ * Get the events of the given game, newest first.
+ * Events never change after they're logged, so they're fetched as plain objects in a single query.
+ *
+ * @param {GameModel} game Game to get the events for.
+ * @param {Object} [options] Options object for additional constraints.
+ * @param {Array|undefined} [options.types=] Array of event types to include, undefined to include all types.
+ * @param {GameTeamModel|undefined} [options.team=] Only include events caused by or affecting this team.
+ * @param {UserModel|undefined} [options.user=] Only include events caused by this user.
+ * @param {Number|undefined} [options.limit=] Maximum number of events to fetch, undefined to fetch all.
+ * @param {GameEventModelManager~getGameEventsCallback} callback Called with the events or when an error occurred.
+ */
+GameEventModelManager.prototype.getGameEvents = function(game, options, callback) {
+    // Set the callback parameter if the options parameter is left out
+    if(_.isFunction(options)) {
+        //noinspection JSValidateTypes
+        callback = options;
+        options = {};
+    }
+
+    // Create the query object
+    var queryObject = {
+        game_id: game.getId()
+    };
+
+    // Apply the constraints
+    if(_.isArray(options.types))
+        queryObject.type = {$in: options.types};
+    if(options.team !== undefined)
+        queryObject.$or = [
+            {team_id: options.team.getId()},
+            {target_team_id: options.team.getId()}
+        ];
+    if(options.user !== undefined)
+        queryObject.user_id = options.user.getId();
+
+    // Fetch the events from MongoDB
+    GameEventDatabase.layerFetchFieldsFromDatabase(queryObject, {}, {
+        sortField: 'date',
+        sortAscending: false,
+        limit: options.limit
+    }, function(err, data) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            // Encapsulate the error and call back
+            callback(new Error(err));
+            return;
+        }
+
+        // Create event objects and call back
+        callback(null, data.map(function(eventData) {
+            return {
+                id: eventData._id.toString(),
+                type: eventData.type,
+                user: eventData.user_id !== null ? eventData.user_id.toString() : null,
+                team: eventData.team_id !== null ? eventData.team_id.toString() : null,
+                targetTeam: eventData.target_team_id !== null ? eventData.target_team_id.toString() : null,
+                location: eventData.location,
+                data: eventData.data !== null ? eventData.data : {},
+                date: eventData.date
+            };
+        }));
+    });
+};
+
+/**
+ * Called with the events or when an error occurred.
+ *
+ * @callback GameEventModelManager~getGameEventsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of GameEventObject objects.
+ */
+
+/**
+ * @typedef {Object} GameEventObject
+ * @param {String} id ID of the event.
+ * @param {String} type Event type, see {@see GameEventType}.
+ * @param {String|null} user ID of the user that caused the event, or null.
+ * @param {String|null} team ID of the team that caused the event, or null.
+ * @param {String|null} targetTeam ID of the team that was affected by the event, or null.
+ * @param {Object|null} location Object with the latitude and longitude the event happened at, or null.
+ * @param {Object} data Additional event data, such as amounts.
+ * @param {Date} date Date the event happened on.
+ */
+
+// Export the game event model manager class
+module.exports = GameEventModelManager;
@@ -0,0 +1,113 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+/**
+ * Types of game events.
+ *
+ * @type {Object}
+ */
+var GameEventType = {
+    /**
+     * The stage of the game has been changed.
+     * Data: stage, previousStage
+     */
+    STAGE_CHANGE: 'stage_change',
+
+    /**
+     * A factory has been built by a player.
+     * Data: factory, factoryName, cost
+     */
+    FACTORY_BUILD: 'factory_build',
+
+    /**
+     * A factory has been captured by an enemy team.
+     * Data: factory, factoryName, level
+     */
+    FACTORY_CAPTURE: 'factory_capture',
+
+    /**
+     * A factory has been destroyed, by an attack or by the game host.
+     * Data: factory, factoryName, attacked, [decoy]
+     */
+    FACTORY_DESTROY: 'factory_destroy',
+
+    /**
+     * A player bought in from a shop.
+     * Data: shop, in, money
+     */
+    SHOP_SELL_IN: 'shop_sell_in',
+
+    /**
+     * A player sold out to a shop.
+     * Data: shop, out, money
+     */
+    SHOP_BUY_OUT: 'shop_buy_out',
+
+    /**
+     * A player became a shop.
+     * Data: shop
+     */
+    SHOP_START: 'shop_start',
+
+    /**
+     * A player is no longer a shop.
+     * Data: shop
+     */
+    SHOP_END: 'shop_end',
+
+    /**
+     * A player bought a ping.
+     * Data: ping, pingName, pingType, money, factoryCount or userCount
+     */
+    PING_BUY: 'ping_buy',
+
+    /**
+     * A special player executed a special custom action.
+     * Data: method, type, amount, units, players
+     */
+    SPECIAL_ACTION: 'special_action',
+
+    /**
+     * A player transferred money or goods to a teammate.
+     * Data: receiver, receiverName, type, amount
+     */
+    PLAYER_TRANSFER: 'player_transfer',
+
+    /**
+     * A player deposited money into, or withdrew money from the team treasury.
+     * Data: action ('deposit' or 'withdraw'), amount
+     */
+    TEAM_TREASURY: 'team_treasury'
+};
+
+/**
+ * Check whether the given event type is valid.
+ *
+ * @param {string} type Event type.
+ * @return {boolean} True if the type is valid, false if not.
+ */
+GameEventType.isValidType = function(type) {
+    return Object.keys(GameEventType).some((key) => GameEventType[key] === type);
+};
+
+// Export the module
+module.exports = GameEventType;
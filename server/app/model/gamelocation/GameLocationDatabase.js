@@ -0,0 +1,133 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var MongoUtil = require('../../mongo/MongoUtils');
+
+/**
+ * Constructor.
+ *
+ * @returns {GameLocationDatabase} GameLocationDatabase instance.
+ */
+var GameLocationDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+GameLocationDatabase.DB_COLLECTION_NAME = 'game_location';
+
+/**
+ * Add a location sample of a user to a game.
+ *
+ * @param {GameModel} game Game the location was recorded in.
+ * @param {UserModel} user User the location belongs to.
+ * @param {GameTeamModel|null} team Team the user is in, or null.
+ * @param {Coordinate} location Location of the user.
+ * @param {GameLocationDatabase~addGameLocationCallback} callback Called on success or when an error occurred.
+ */
+GameLocationDatabase.addGameLocation = function(game, user, team, location, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Create the object to insert
+    const insertObject = {
+        game_id: game.getId(),
+        user_id: user.getId(),
+        team_id: team !== null ? team.getId() : null,
+        location: {
+            latitude: location.latitude,
+            longitude: location.longitude
+        },
+        date: new Date()
+    };
+
+    // Insert the location into the database
+    db.collection(GameLocationDatabase.DB_COLLECTION_NAME).insertOne(insertObject, function(err) {
+        // Handle errors
+        if(err !== null) {
+            // Show a warning and call back with the error
+            console.warn('Unable to add game location, failed to insert location into database.');
+            callback(err, null);
+            return;
+        }
+
+        // Call back with the location model
+        callback(null, Core.model.gameLocationModelManager._instanceManager.create(insertObject._id));
+    });
+};
+
+/**
+ * Called with the new location or when an error occurred.
+ *
+ * @callback GameLocationDatabase~addGameLocationCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {GameLocationModel|null} Game location model instance, or null if an error occurred.
+ */
+
+/**
+ * Do a find query on the game location database. Parse the result as an array through a callback.
+ *
+ * @param a First find parameter.
+ * @param b Second find parameter.
+ * @param {Object} [options] Additional options.
+ * @param {Number} [options.limit] Number of items to limit the result to.
+ * @param {string} [options.sortField=] Field to sort on.
+ * @param {boolean} [options.sortAscending=true] True to sort in ascending order, false to sort in descending order.
+ * @param {function} callback (err, data) Callback.
+ */
+GameLocationDatabase.layerFetchFieldsFromDatabase = function(a, b, options, callback) {
+    // Get the database instance
+    var db = MongoUtil.getConnection();
+
+    // Set the callback parameter if the options parameter was left out
+    if(_.isFunction(options)) {
+        //noinspection JSValidateTypes
+        callback = options;
+        options = {};
+    }
+
+    // Create the find query
+    var findQuery = db.collection(GameLocationDatabase.DB_COLLECTION_NAME).find(a, b);
+
+    // Sort the results
+    if(options.hasOwnProperty('sortField')) {
+        // Set the sorting order property if not set
+        if(!options.hasOwnProperty('sortAscending'))
+            options.sortAscending = true;
+
+        // Sort
+        findQuery = findQuery.sort(options.sortField, options.sortAscending ? 1 : -1);
+    }
+
+    // Limit the results
+    //noinspection JSValidateTypes
+    if(options.hasOwnProperty('limit') && options.limit !== undefined)
+        findQuery = findQuery.limit(options.limit);
+
+    // Convert the results into an array and call back
+    findQuery.toArray(callback);
+};
+
+// Export the game location database module
+module.exports = GameLocationDatabase;
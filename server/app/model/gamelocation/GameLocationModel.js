@@ -0,0 +1,322 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../Core');
+var GameLocationDatabase = require('./GameLocationDatabase');
+var BaseModel = require('../../database/BaseModel');
+var ConversionFunctions = require('../../database/ConversionFunctions');
+var Coordinate = require('../../coordinate/Coordinate');
+
+/**
+ * GameLocationModel class.
+ * A location sample of a user, recorded while a game is active.
+ *
+ * @class
+ * @constructor
+ *
+ * @param {ObjectId} id Game location ID object.
+ *
+ * @returns {GameLocationModel} Game location instance.
+ */
+var GameLocationModel = function(id) {
+    /**
+     * Set the API application ID.
+     *
+     * @private
+     */
+    this._id = id;
+
+    // Create and configure the base model instance for this model
+    this._baseModel = new BaseModel(this, {
+        mongo: {
+            collection: GameLocationDatabase.DB_COLLECTION_NAME
+        },
+        fields: {
+            game: {
+                mongo: {
+                    field: 'game_id',
+
+                    /**
+                     * Convert an ID to an Game model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {GameModel} Game.
+                     */
+                    from: (id) => Core.model.gameModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an Game model to an ID.
+                     *
+                     * @param {GameModel} game Game.
+                     * @return {ObjectId} ID.
+                     */
+                    to: (game) => game.getId()
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a Game model.
+                     *
+                     * @param {String} id
+                     * @return {GameModel} Game.
+                     */
+                    from: (id) => Core.model.gameModelManager._instanceManager.create(id),
+
+                    /**
+                     * Convert an Game model to a hexadecimal ID.
+                     *
+                     * @param {GameModel} game Game.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (game) => game.getIdHex()
+                }
+            },
+            user: {
+                mongo: {
+                    field: 'user_id',
+
+                    /**
+                     * Convert an ID to an User model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {UserModel|null} User.
+                     */
+                    from: (id) => id !== null ? Core.model.userModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an User model to an ID.
+                     *
+                     * @param {UserModel|null} user User.
+                     * @return {ObjectId|null} ID.
+                     */
+                    to: (user) => user !== null ? user.getId() : null
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a User model.
+                     *
+                     * @param {String} id
+                     * @return {UserModel|null} User.
+                     */
+                    from: (id) => id !== '' ? Core.model.userModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an User model to a hexadecimal ID.
+                     *
+                     * @param {UserModel|null} user User.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (user) => user !== null ? user.getIdHex() : ''
+                }
+            },
+            team: {
+                mongo: {
+                    field: 'team_id',
+
+                    /**
+                     * Convert an ID to an Game Team model.
+                     *
+                     * @param {ObjectId} id
+                     * @return {GameTeamModel|null} Game Team.
+                     */
+                    from: (id) => id !== null ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an Game Team model to an ID.
+                     *
+                     * @param {GameTeamModel|null} team Game Team.
+                     * @return {ObjectId|null} ID.
+                     */
+                    to: (team) => team !== null ? team.getId() : null
+                },
+                redis: {
+                    /**
+                     * Convert a hexadecimal ID to a Game Team model.
+                     *
+                     * @param {String} id
+                     * @return {GameTeamModel|null} Team.
+                     */
+                    from: (id) => id !== '' ? Core.model.gameTeamModelManager._instanceManager.create(id) : null,
+
+                    /**
+                     * Convert an Game Team model to a hexadecimal ID.
+                     *
+                     * @param {GameTeamModel|null} team Game Team.
+                     * @return {String} Hexadecimal ID.
+                     */
+                    to: (team) => team !== null ? team.getIdHex() : ''
+                }
+            },
+            location: {
+                mongo: {
+                    from: (raw) => raw !== null ? Coordinate.parse(raw) : null
+                },
+                redis: {
+                    /**
+                     * Convert a serialized location to a location object.
+                     *
+                     * @param {string} raw Serialized location.
+                     * @param {Coordinate|null} Deserialized location.
+                     */
+                    from: (raw) => raw !== '' ? Coordinate.deserialize(raw) : null,
+
+                    /**
+                     * Serialize the location to store it in Redis.
+                     *
+                     * @param {Coordinate|null} location Location to serialize.
+                     * @return {string} Serialized location.
+                     */
+                    to: (location) => location !== null ? location.serialize() : ''
+                }
+            },
+            date: {
+                redis: {
+                    from: ConversionFunctions.dateFromRedis,
+                    to: ConversionFunctions.dateToRedis
+                }
+            }
+        }
+    });
+};
+
+/**
+ * Get the ID object of the game location.
+ *
+ * @returns {ObjectId} Game location ID object.
+ */
+GameLocationModel.prototype.getId = function() {
+    return this._id;
+};
+
+/**
+ * Get the hexadecimal ID representation of the game location.
+ *
+ * @returns {*} Game location ID as hexadecimal string.
+ */
+GameLocationModel.prototype.getIdHex = function() {
+    return this.getId().toString();
+};
+
+/**
+ * Get the given field from the model.
+ *
+ * @param {String} field Field names.
+ * @param {GameLocationModel~getFieldCallback} callback Called with the result of a model field, or when an error occurred.
+ */
+GameLocationModel.prototype.getField = function(field, callback) {
+    this._baseModel.getField(field, callback);
+};
+
+/**
+ * Called with the result of a model field, or when an error occurred.
+ *
+ * @callback GameLocationModel~getFieldCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {*=} Field value.
+ */
+
+/**
+ * Get the game this location was recorded in.
+ *
+ * @param {GameLocationModel~getGameCallback} callback Called with the game or when an error occurred.
+ */
+GameLocationModel.prototype.getGame = function(callback) {
+    this.getField('game', callback);
+};
+
+/**
+ * Called with the game or when an error occurred.
+ *
+ * @callback GameLocationModel~getGameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameModel} Game.
+ */
+
+/**
+ * Get the user this location belongs to.
+ *
+ * @param {GameLocationModel~getUserCallback} callback Called with the user or when an error occurred.
+ */
+GameLocationModel.prototype.getUser = function(callback) {
+    this.getField('user', callback);
+};
+
+/**
+ * Called with the user or when an error occurred.
+ *
+ * @callback GameLocationModel~getUserCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {UserModel} User.
+ */
+
+/**
+ * Get the team the user was in when this location was recorded.
+ *
+ * @param {GameLocationModel~getTeamCallback} callback Called with the team or when an error occurred.
+ */
+GameLocationModel.prototype.getTeam = function(callback) {
+    this.getField('team', callback);
+};
+
+/**
+ * Called with the team or when an error occurred.
+ *
+ * @callback GameLocationModel~getTeamCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {GameTeamModel|null} Team, or null if there is no team.
+ */
+
+/**
+ * Get the recorded location.
+ *
+ * @param {GameLocationModel~getLocationCallback} callback Called with the location or when an error occurred.
+ */
+GameLocationModel.prototype.getLocation = function(callback) {
+    this.getField('location', callback);
+};
+
+/**
+ * Called with the location or when an error occurred.
+ *
+ * @callback GameLocationModel~getLocationCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Coordinate} Location.
+ */
+
+/**
+ * Get the date this location was recorded on.
+ *
+ * @param {GameLocationModel~getDateCallback} callback Called with the date or when an error occurred.
+ */
+GameLocationModel.prototype.getDate = function(callback) {
+    this.getField('date', callback);
+};
+
+/**
+ * Called with the date or when an error occurred.
+ *
+ * @callback GameLocationModel~getDateCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Date} Location date.
+ */
+
+// Export the game location model class
+module.exports = GameLocationModel;
@@ -0,0 +1,137 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var GameLocationDatabase = require('./GameLocationDatabase');
+var GameLocationModel = require('./GameLocationModel');
+var ModelInstanceManager = require('../ModelInstanceManager');
+
+/**
+ * GameLocationModelManager class.
+ *
+ * @class
+ * @constructor
+ */
+var GameLocationModelManager = function() {
+    /**
+     * Model instance manager.
+     *
+     * @type {ModelInstanceManager}
+     */
+    this._instanceManager = new ModelInstanceManager(GameLocationModel);
+};
+
+/**
+ * Add a location sample of a user to the given game.
+ *
+ * @param {GameModel} game Game the location was recorded in.
+ * @param {UserModel} user User the location belongs to.
+ * @param {GameTeamModel|null} team Team the user is in, or null.
+ * @param {Coordinate} location Location of the user.
+ * @param {GameLocationModelManager~addGameLocationCallback} callback Called with the location or when an error
+ * occurred.
+ */
+GameLocationModelManager.prototype.addGameLocation = function(game, user, team, location, callback) {
+    GameLocationDatabase.addGameLocation(game, user, team, location, callback);
+};
+
+/**
+ * Called with the new location or when an error occurred.
+ *
+ * @callback GameLocationModelManager~addGameLocationCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {GameLocationModel|null} Game location model instance, or null if an error occurred.
+ */
+
+/**
+ * Get the recorded locations of the given game, oldest first.
+ * Locations never change after they're recorded, so they're fetched as plain objects in a single query.
+ *
+ * @param {GameModel} game Game to get the locations for.
+ * @param {Object} [options] Options object for additional constraints.
+ * @param {UserModel|undefined} [options.user=] Only include locations of this user.
+ * @param {GameTeamModel|undefined} [options.team=] Only include locations of users in this team.
+ * @param {GameLocationModelManager~getGameLocationsCallback} callback Called with the locations or when an error
+ * occurred.
+ */
+GameLocationModelManager.prototype.getGameLocations = function(game, options, callback) {
+    // Set the callback parameter if the options parameter is left out
+    if(_.isFunction(options)) {
+        //noinspection JSValidateTypes
+        callback = options;
+        options = {};
+    }
+
+    // Create the query object
+    var queryObject = {
+        game_id: game.getId()
+    };
+
+    // Apply the constraints
+    if(options.user !== undefined)
+        queryObject.user_id = options.user.getId();
+    if(options.team !== undefined)
+        queryObject.team_id = options.team.getId();
+
+    // Fetch the locations from MongoDB
+    GameLocationDatabase.layerFetchFieldsFromDatabase(queryObject, {}, {
+        sortField: 'date',
+        sortAscending: true
+    }, function(err, data) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            // Encapsulate the error and call back
+            callback(new Error(err));
+            return;
+        }
+
+        // Create location objects and call back
+        callback(null, data.map(function(locationData) {
+            return {
+                user: locationData.user_id.toString(),
+                team: locationData.team_id !== null ? locationData.team_id.toString() : null,
+                location: locationData.location,
+                date: locationData.date
+            };
+        }));
+    });
+};
+
+/**
+ * Called with the locations or when an error occurred.
+ *
+ * @callback GameLocationModelManager~getGameLocationsCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {Array=} Array of GameLocationObject objects.
+ */
+
+/**
+ * @typedef {Object} GameLocationObject
+ * @param {String} user ID of the user this location belongs to.
+ * @param {String|null} team ID of the team the user was in, or null.
+ * @param {Object} location Object with the latitude and longitude of the user.
+ * @param {Date} date Date the location was recorded on.
+ */
+
+// Export the game location model manager class
+module.exports = GameLocationModelManager;
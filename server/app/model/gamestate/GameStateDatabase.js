@@ -0,0 +1,139 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var MongoUtil = require('../../mongo/MongoUtils');
+
+/**
+ * Constructor.
+ *
+ * @returns {GameStateDatabase} GameStateDatabase instance.
+ */
+var GameStateDatabase = function() {};
+
+/**
+ * Database collection name.
+ */
+GameStateDatabase.DB_COLLECTION_NAME = 'game_state';
+
+/**
+ * Store a snapshot of the live state of a game, replacing any previous snapshot of the game.
+ *
+ * @param {GameModel|Game} game Game the state belongs to.
+ * @param {Object} state Live game state, as returned by Game.getState().
+ * @param {GameStateDatabase~saveStateCallback} callback Called on success or when an error occurred.
+ */
+GameStateDatabase.saveState = function(game, state, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Create the object to store
+    const stateObject = {
+        game_id: game.getId(),
+        state,
+        date: new Date()
+    };
+
+    // Insert or replace the state in the database
+    db.collection(GameStateDatabase.DB_COLLECTION_NAME).replaceOne({game_id: game.getId()}, stateObject, {upsert: true}, function(err) {
+        // Handle errors
+        if(err !== null && err !== undefined) {
+            // Show a warning and call back with the error
+            console.warn('Unable to store game state, failed to write state into database.');
+            callback(err);
+            return;
+        }
+
+        // Call back
+        callback(null);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameStateDatabase~saveStateCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+/**
+ * Get the last stored snapshot of the live state of a game.
+ *
+ * @param {GameModel|Game} game Game to get the state for.
+ * @param {GameStateDatabase~getStateCallback} callback Called with the state or when an error occurred.
+ */
+GameStateDatabase.getState = function(game, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Find the state of the game
+    db.collection(GameStateDatabase.DB_COLLECTION_NAME).findOne({game_id: game.getId()}, function(err, stateObject) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            callback(err);
+            return;
+        }
+
+        // Call back with the state
+        callback(null, stateObject !== null && stateObject !== undefined ? stateObject.state : null);
+    });
+};
+
+/**
+ * Called with the state or when an error occurred.
+ *
+ * @callback GameStateDatabase~getStateCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Object|null=} Live game state, or null if no state was stored for the game.
+ */
+
+/**
+ * Remove the stored snapshot of the live state of a game, if there is any.
+ *
+ * @param {GameModel|Game} game Game to remove the state for.
+ * @param {GameStateDatabase~removeStateCallback} callback Called on success or when an error occurred.
+ */
+GameStateDatabase.removeState = function(game, callback) {
+    // Get the database instance
+    const db = MongoUtil.getConnection();
+
+    // Delete the state of the game
+    db.collection(GameStateDatabase.DB_COLLECTION_NAME).deleteOne({game_id: game.getId()}, function(err) {
+        // Call back errors
+        if(err !== null && err !== undefined) {
+            callback(err);
+            return;
+        }
+
+        // Call back
+        callback(null);
+    });
+};
+
+/**
+ * Called on success or when an error occurred.
+ *
+ * @callback GameStateDatabase~removeStateCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ */
+
+// Export the game state database module
+module.exports = GameStateDatabase;
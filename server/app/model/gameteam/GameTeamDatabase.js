@@ -52,7 +52,8 @@ GameTeamDatabase.addGameTeam = function(game, teamName, callback) {
     // TODO: Dynamically get the proper field names from the model configuration
     const insertObject = {
         game_id: game.getId(),
-        name: teamName
+        name: teamName,
+        treasury: 0
     };
 
     // Insert the game team into the database
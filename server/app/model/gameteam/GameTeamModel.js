@@ -20,6 +20,8 @@
  * program. If not, see <http://opensource.org/licenses/MIT/>.                *
  ******************************************************************************/
 
+var _ = require('lodash');
+
 var Core = require('../../../Core');
 var GameTeamDatabase = require('./GameTeamDatabase');
 var BaseModel = require('../../database/BaseModel');
@@ -87,7 +89,36 @@ var GameTeamModel = function(id) {
                     to: (game) => game.getIdHex()
                 }
             },
-            name: {}
+            name: {},
+            treasury: {
+                mongo: {
+                    from: function(raw) {
+                        // Parse the value
+                        var value = parseInt(raw);
+
+                        // Return zero if the value is invalid
+                        if(value === 0 || isNaN(value))
+                            return 0;
+
+                        // Return the value
+                        return value;
+                    }
+                },
+                redis: {
+                    from: function(raw) {
+                        // Parse the value
+                        var value = parseInt(raw);
+
+                        // Return zero if the value is invalid
+                        if(value === 0 || isNaN(value))
+                            return 0;
+
+                        // Return the value
+                        return value;
+                    },
+                    to: (value) => value.toString()
+                }
+            }
         }
     });
 };
@@ -115,9 +146,10 @@ GameTeamModel.prototype.getIdHex = function() {
  *
  * @param {String} field Field names.
  * @param {GameTeamModel~getFieldCallback} callback Called with the result of a model field, or when an error occurred.
+ * @param {Object} [options] Model options.
  */
-GameTeamModel.prototype.getField = function(field, callback) {
-    this._baseModel.getField(field, callback);
+GameTeamModel.prototype.getField = function(field, callback, options) {
+    this._baseModel.getField(field, callback, options);
 };
 
 /**
@@ -163,6 +195,26 @@ GameTeamModel.prototype.setFields = function(fields, callback) {
  * @param {Error|null} Error instance if an error occurred, null on success.
  */
 
+/**
+ * Atomically increment the given fields by the given amounts.
+ * Decremented fields never drop below zero, nothing is changed if one would.
+ *
+ * @param {Object} fields Object with field names and the amounts to increment them by.
+ * @param {GameTeamModel~incrementFieldsCallback} callback Called with the new values, or when an error occurred.
+ * @param {Object} [options] Model options.
+ */
+GameTeamModel.prototype.incrementFields = function(fields, callback, options) {
+    this._baseModel.incrementFields(fields, callback, options);
+};
+
+/**
+ * Called with the new values, or when an error occurred.
+ *
+ * @callback GameTeamModel~incrementFieldsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Object|null=} Object with the new field values, or null if nothing was changed.
+ */
+
 /**
  * Get the game.
  *
@@ -217,6 +269,68 @@ GameTeamModel.prototype.setName = function(name, callback) {
     this.setField('name', name, callback);
 };
 
+/**
+ * Get the money in the team treasury.
+ *
+ * @param {GameTeamModel~getTreasuryCallback} callback Called with the result or when an error occurred.
+ * @param {Object} [options] Model options.
+ */
+GameTeamModel.prototype.getTreasury = function(callback, options) {
+    this.getField('treasury', function(err, treasury) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Teams created before the treasury existed don't have the field, they have nothing saved up
+        callback(null, _.isNumber(treasury) && !isNaN(treasury) ? treasury : 0);
+    }, options);
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback GameTeamModel~getTreasuryCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {int=} Money in the team treasury.
+ */
+
+/**
+ * Add money to the team treasury.
+ * A negative amount subtracts money, the treasury never drops below zero.
+ *
+ * @param {Number} amount Amount to add.
+ * @param {GameTeamModel~addTreasuryCallback} callback Called back on success or when an error occurred.
+ */
+GameTeamModel.prototype.addTreasury = function(amount, callback) {
+    // Make sure the value isn't null, NaN or Infinite
+    if(amount === null || isNaN(amount) || amount === Infinity || !_.isInteger(amount)) {
+        callback(new Error('Invalid treasury amount: ' + amount));
+        return;
+    }
+
+    // Atomically increment the field
+    this._baseModel.incrementField('treasury', amount, function(err, value) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back with whether the value was changed
+        callback(null, value !== null);
+    });
+};
+
+/**
+ * Called back on success or when an error occurred.
+ *
+ * @callback GameTeamModel~addTreasuryCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
+ */
+
 /**
  * Get the users that are in this team.
  *
@@ -270,7 +384,7 @@ GameTeamModel.prototype.getUserCount = function(callback) {
 
 /**
  * Get the money this team has in total.
- * Money that players have in their inventory is counted.
+ * Money that players have in their inventory is counted, along with the money in the team treasury.
  *
  * @param {GameTeamModel~getTeamMoneyCallback} callback Called back with the result or when an error occurred.
  */
@@ -301,6 +415,24 @@ GameTeamModel.prototype.getTeamMoney = function(callback) {
             var latch = new CallbackLatch();
             var calledBack = false;
 
+            // Count the money in the team treasury
+            latch.add();
+            self.getTreasury(function(err, treasury) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Sum up the money
+                money += treasury;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Loop through the users and sum up their money
             users.forEach(function(user) {
                 // Add the latch
@@ -203,6 +203,25 @@ var GameUserModel = function(id) {
                     to: (bool) => bool ? 1 : 0
                 }
             },
+            is_treasurer: {
+                redis: {
+                    /**
+                     * Convert the string value to a boolean.
+                     *
+                     * @param {string} bool Boolean as a string.
+                     * @return {boolean} Boolean value.
+                     */
+                    from: (bool) => bool !== '0',
+
+                    /**
+                     * Convert the boolean value to a string.
+                     *
+                     * @param {boolean} bool Boolean value.
+                     * @return {string} Boolean as a string.
+                     */
+                    to: (bool) => bool ? 1 : 0
+                }
+            },
             money: {
                 mongo: {
                     from: function(raw) {
@@ -326,6 +345,26 @@ GameUserModel.prototype.setFields = function(fields, callback) {
  * @param {Error|null} Error instance if an error occurred, null on success.
  */
 
+/**
+ * Atomically increment the given fields by the given amounts.
+ * Decremented fields never drop below zero, nothing is changed if one would.
+ *
+ * @param {Object} fields Object with field names and the amounts to increment them by.
+ * @param {GameUserModel~incrementFieldsCallback} callback Called with the new values, or when an error occurred.
+ * @param {Object} [options] Model options.
+ */
+GameUserModel.prototype.incrementFields = function(fields, callback, options) {
+    this._baseModel.incrementFields(fields, callback, options);
+};
+
+/**
+ * Called with the new values, or when an error occurred.
+ *
+ * @callback GameUserModel~incrementFieldsCallback
+ * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {Object|null=} Object with the new field values, or null if nothing was changed.
+ */
+
 /**
  * Get the game.
  *
@@ -461,6 +500,139 @@ GameUserModel.prototype.setSpecial = function(isSpecial, callback) {
     this.setField('is_special', isSpecial, callback);
 };
 
+/**
+ * Check whether the user is a treasurer of their team.
+ * Treasurers may withdraw and spend money from the team treasury.
+ *
+ * @param {GameUserModel~isTreasurerCallback} callback Called with result or when an error occurred.
+ */
+GameUserModel.prototype.isTreasurer = function(callback) {
+    this.getField('is_treasurer', function(err, isTreasurer) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Users that joined before treasurers existed don't have the field
+        callback(null, isTreasurer === true);
+    });
+};
+
+/**
+ * Called with the result or when an error occurred.
+ *
+ * @callback GameModel~isTreasurerCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {boolean} True if the user is a treasurer, false if not.
+ */
+
+/**
+ * Set whether the user is a treasurer of their team.
+ *
+ * @param {boolean} isTreasurer True if the user is a treasurer, false if not.
+ * @param {GameUserModel~setFieldCallback} callback Called on success or when an error occurred.
+ */
+GameUserModel.prototype.setTreasurer = function(isTreasurer, callback) {
+    this.setField('is_treasurer', isTreasurer, callback);
+};
+
+/**
+ * Get the source the user pays with, and the money that is available in it.
+ * Users pay with their own money by default, treasurers may pay with the money in their team treasury instead.
+ *
+ * @param {boolean} fromTreasury True to pay from the team treasury, false to pay with the user's own money.
+ * @param {GameUserModel~getPaymentSourceCallback} callback Called with the payment source or when an error occurred.
+ */
+GameUserModel.prototype.getPaymentSource = function(fromTreasury, callback) {
+    // Store the current instance
+    const self = this;
+
+    // Pay with the user's own money
+    if(!fromTreasury) {
+        this.getMoney(function(err, money) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Call back the source
+            callback(null, {
+                model: self,
+                field: 'money',
+                money
+            });
+        }, {
+            noCache: true
+        });
+        return;
+    }
+
+    // Make sure the user is a treasurer
+    this.isTreasurer(function(err, isTreasurer) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back null if the user isn't allowed to spend from the treasury
+        if(!isTreasurer) {
+            callback(null, null);
+            return;
+        }
+
+        // Get the team of the user
+        self.getTeam(function(err, team) {
+            // Call back errors
+            if(err !== null) {
+                callback(err);
+                return;
+            }
+
+            // Users without a team don't have a treasury
+            if(team === null) {
+                callback(null, null);
+                return;
+            }
+
+            // Get the money in the treasury
+            team.getTreasury(function(err, treasury) {
+                // Call back errors
+                if(err !== null) {
+                    callback(err);
+                    return;
+                }
+
+                // Call back the source
+                callback(null, {
+                    model: team,
+                    field: 'treasury',
+                    money: treasury
+                });
+            }, {
+                noCache: true
+            });
+        });
+    });
+};
+
+/**
+ * Called with the payment source or when an error occurred.
+ *
+ * @callback GameUserModel~getPaymentSourceCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {PaymentSourceObject|null=} Payment source, or null if the user isn't allowed to pay from the treasury.
+ */
+
+/**
+ * @typedef {Object} PaymentSourceObject
+ * @param {GameUserModel|GameTeamModel} model Model to take the money from.
+ * @param {string} field Name of the money field in the model.
+ * @param {int} money Amount of money that is currently available.
+ */
+
 /**
  * Get the money the user has.
  *
@@ -516,25 +688,20 @@ GameUserModel.prototype.addMoney = function(amount, callback) {
         console.trace();
 
         // Call back
-        callback(null);
+        callback(null, true);
         return;
     }
 
-    // Store this instance
-    const self = this;
-
-    // Get the current money value
-    this.getMoney(function(err, current) {
+    // Atomically increment the field, a subtraction never drops the value below zero
+    this._baseModel.incrementField('money', amount, function(err, value) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Set the money
-        self.setMoney(current + amount, callback);
-    }, {
-        noCache: true
+        // Call back with whether the value was changed
+        callback(null, value !== null);
     });
 };
 
@@ -543,6 +710,7 @@ GameUserModel.prototype.addMoney = function(amount, callback) {
  *
  * @callback GameUserModel~addMoneyCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -560,6 +728,7 @@ GameUserModel.prototype.subtractMoney = function(amount, callback) {
  *
  * @callback GameUserModel~subtractMoneyCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -617,25 +786,20 @@ GameUserModel.prototype.addIn = function(amount, callback) {
         console.trace();
 
         // Call back
-        callback(null);
+        callback(null, true);
         return;
     }
 
-    // Store this instance
-    const self = this;
-
-    // Get the current in value
-    this.getIn(function(err, current) {
+    // Atomically increment the field, a subtraction never drops the value below zero
+    this._baseModel.incrementField('in', amount, function(err, value) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Set the in
-        self.setIn(current + amount, callback);
-    }, {
-        noCache: true
+        // Call back with whether the value was changed
+        callback(null, value !== null);
     });
 };
 
@@ -644,6 +808,7 @@ GameUserModel.prototype.addIn = function(amount, callback) {
  *
  * @callback GameUserModel~addInCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -661,6 +826,7 @@ GameUserModel.prototype.subtractIn = function(amount, callback) {
  *
  * @callback GameUserModel~subtractInCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -718,25 +884,20 @@ GameUserModel.prototype.addOut = function(amount, callback) {
         console.trace();
 
         // Call back
-        callback(null);
+        callback(null, true);
         return;
     }
 
-    // Store this instance
-    const self = this;
-
-    // Get the current out value
-    this.getOut(function(err, current) {
+    // Atomically increment the field, a subtraction never drops the value below zero
+    this._baseModel.incrementField('out', amount, function(err, value) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Set the out
-        self.setOut(current + amount, callback);
-    }, {
-        noCache: true
+        // Call back with whether the value was changed
+        callback(null, value !== null);
     });
 };
 
@@ -745,6 +906,7 @@ GameUserModel.prototype.addOut = function(amount, callback) {
  *
  * @callback GameUserModel~addOutCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -762,6 +924,7 @@ GameUserModel.prototype.subtractOut = function(amount, callback) {
  *
  * @callback GameUserModel~subtractOutCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -819,25 +982,20 @@ GameUserModel.prototype.addStrength = function(amount, callback) {
         console.trace();
 
         // Call back
-        callback(null);
+        callback(null, true);
         return;
     }
 
-    // Store this instance
-    const self = this;
-
-    // Get the current goods value
-    this.getStrength(function(err, current) {
+    // Atomically increment the field, a subtraction never drops the value below zero
+    this._baseModel.incrementField('strength', amount, function(err, value) {
         // Call back errors
         if(err !== null) {
             callback(err);
             return;
         }
 
-        // Set the goods
-        self.setStrength(current + amount, callback);
-    }, {
-        noCache: true
+        // Call back with whether the value was changed
+        callback(null, value !== null);
     });
 };
 
@@ -846,6 +1004,7 @@ GameUserModel.prototype.addStrength = function(amount, callback) {
  *
  * @callback GameUserModel~addStrengthCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -863,6 +1022,7 @@ GameUserModel.prototype.subtractStrength = function(amount, callback) {
  *
  * @callback GameUserModel~subtractStrengthCallback
  * @param {Error|null} Error instance if an error occurred, null on success.
+ * @param {boolean=} True on success, false if there wasn't enough to subtract and nothing was changed.
  */
 
 /**
@@ -954,7 +1114,8 @@ GameUserModel.prototype.isAllyWith = function(otherUser, callback) {
 /**
  * Get the live user instance for this game user.
  *
- * @param {function} callback callback(err, liveUser) The game user might be null if it's currently not loaded.
+ * @param {function} callback callback(err, liveUser) The game user might be null if it's currently not loaded,
+ * or if its game is owned by another worker.
  */
 GameUserModel.prototype.getLiveUser = function(callback) {
     // Store this instance
@@ -976,6 +1137,12 @@ GameUserModel.prototype.getLiveUser = function(callback) {
                 return;
             }
 
+            // The game isn't loaded on this worker
+            if(liveGame === null) {
+                callback(null, null);
+                return;
+            }
+
             // Get the user
             self.getUser(function(err, user) {
                 // Call back errors
@@ -29,6 +29,8 @@ var config = require('../../config');
 var Core = require('../../Core');
 var UserModel = require('../model/user/UserModel');
 var User = require('../live/user/User');
+var PacketType = require('./PacketType');
+var RemoteSocket = require('./RemoteSocket');
 
 /**
  * Packet parser class.
@@ -67,10 +69,143 @@ PacketProcessor.prototype.receivePacket = function(rawPacket, socket) {
     // Get the packet type
     const packetType = rawPacket.type;
 
+    // Forward packets for games that are owned by another worker
+    if(this._isForwardable(rawPacket, socket)) {
+        this.forwardPacket(rawPacket, socket);
+        return;
+    }
+
     // Invoke all packet handlers for this packet
     this.invokeHandlers(rawPacket, packetType, socket);
 };
 
+/**
+ * Check whether the given packet may have to be forwarded to the worker that owns it's game.
+ * Only packets of authenticated sockets may be forwarded, when running in a cluster.
+ *
+ * @param {Object} rawPacket Raw packet.
+ * @param socket SocketIO socket the packet was received from.
+ * @return {boolean} True if the packet may have to be forwarded, false if it should be handled here.
+ * @private
+ */
+PacketProcessor.prototype._isForwardable = function(rawPacket, socket) {
+    // Packets are only forwarded when running in a cluster, authentication is always handled here
+    if(!Core.clusterManager.isEnabled() || rawPacket.type === PacketType.AUTH_REQUEST)
+        return false;
+
+    // The socket must be authenticated
+    return _.has(socket, 'session.valid') && _.has(socket, 'session.user') && socket.session.valid && socket.session.user != null;
+};
+
+/**
+ * Get the ID of the game the given packet is for.
+ * This is the game property of the packet, or the game of the factory property for factory packets without a game.
+ *
+ * @param {Object} rawPacket Raw packet.
+ * @param {PacketProcessor~getPacketGameCallback} callback Called with the game ID or when an error occurred.
+ * @private
+ */
+PacketProcessor.prototype._getPacketGame = function(rawPacket, callback) {
+    // Use the game of the packet if it has any
+    if(_.isString(rawPacket.game) && ObjectId.isValid(rawPacket.game)) {
+        callback(null, rawPacket.game.toLowerCase());
+        return;
+    }
+
+    // Call back if the packet isn't for a factory either
+    if(!_.isString(rawPacket.factory) || !ObjectId.isValid(rawPacket.factory)) {
+        callback(null, null);
+        return;
+    }
+
+    // Get the game of the factory
+    Core.model.factoryModelManager._instanceManager.create(rawPacket.factory).getGame(function(err, game) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Call back the game ID
+        callback(null, game !== null && game !== undefined ? game.getIdHex() : null);
+    });
+};
+
+/**
+ * Called with the game ID or when an error occurred.
+ *
+ * @callback PacketProcessor~getPacketGameCallback
+ * @param {Error|null} Error instance if an error occurred, null otherwise.
+ * @param {string|null=} ID of the game the packet is for, or null if the packet isn't for a game.
+ */
+
+/**
+ * Forward a received packet to the worker that owns the game of the packet, to handle it there.
+ * The packet is handled on this worker if it isn't for a game, or if the game isn't owned by another worker.
+ *
+ * @param {Object} rawPacket Raw packet to forward.
+ * @param socket SocketIO socket the packet was received from.
+ */
+PacketProcessor.prototype.forwardPacket = function(rawPacket, socket) {
+    // Store this instance
+    const self = this;
+
+    // Get the game the packet is for
+    this._getPacketGame(rawPacket, function(err, gameId) {
+        // Handle the packet here if it isn't for a game, or if the game is loaded here
+        if(err !== null || gameId === null || Core.gameManager.isGameLoaded(gameId)) {
+            self.invokeHandlers(rawPacket, rawPacket.type, socket);
+            return;
+        }
+
+        // Get the worker that owns the game
+        Core.clusterManager.getGameOwner(gameId, function(err, owner) {
+            // Handle the packet here if the game isn't owned by another worker
+            if(err !== null || owner === null || Core.clusterManager.isLocalWorker(owner)) {
+                self.invokeHandlers(rawPacket, rawPacket.type, socket);
+                return;
+            }
+
+            // Forward the packet to the owner
+            Core.clusterManager.publish(owner, 'packet', {
+                packet: rawPacket,
+                socket: socket.id,
+                user: socket.session.user.getIdHex()
+            });
+        });
+    });
+};
+
+/**
+ * Register the handlers for messages from other workers in the cluster.
+ * These handle forwarded packets, and deliver packets to sockets connected to this worker.
+ */
+PacketProcessor.prototype.registerClusterHandlers = function() {
+    // Store this instance
+    const self = this;
+
+    // Handle packets forwarded by other workers, through a remote socket
+    Core.clusterManager.registerHandler('packet', function(data, workerId) {
+        const user = Core.model.userModelManager._instanceManager.create(data.user);
+        self.invokeHandlers(data.packet, data.packet.type, new RemoteSocket(data.socket, workerId, user));
+    });
+
+    // Deliver packets emitted over remote sockets to the socket on this worker
+    Core.clusterManager.registerHandler('socketPacket', function(data) {
+        const socket = Core.realTime.getSocket(data.socket);
+        if(socket !== null)
+            socket.emit(data.room, data.packet);
+    });
+
+    // Deliver packets sent to users to their sockets on this worker
+    Core.clusterManager.registerHandler('userPacket', function(data) {
+        self.sendPacketUser(data.packetType, data.packet, data.user, {
+            once: data.once,
+            localOnly: true
+        });
+    });
+};
+
 /**
  * Send a packet object to the given sockets.
  *
@@ -92,13 +227,15 @@ PacketProcessor.prototype.sendPacket = function(packetType, packet, sockets) {
 
 /**
  * Send a packet to the given user.
+ * The packet is also sent to the sockets of the user that are connected to other workers in the cluster.
  *
  * @param {Number} packetType Packet type value.
  * @param {Object} packet Packet object to send.
  * @param {UserModel|ObjectId|string} userId User instance or user ID to send the packet to.
  * @param {Object} [options] Options object.
  * @param {boolean} [options.once=false] True to only send a packet to one socket, false to send to multiple if available.
- * @return {Number} Number of sockets the packet was send to.
+ * @param {boolean} [options.localOnly=false] True to only send the packet to sockets connected to this worker.
+ * @return {Number} Number of sockets on this worker the packet was send to.
  */
 PacketProcessor.prototype.sendPacketUser = function(packetType, packet, userId, options) {
     // Get the user ID as an ObjectId
@@ -114,6 +251,11 @@ PacketProcessor.prototype.sendPacketUser = function(packetType, packet, userId,
     if(options !== undefined && options.hasOwnProperty('once'))
         once = !!options.once;
 
+    // Determine whether to only send the packet to sockets on this worker
+    var localOnly = false;
+    if(options !== undefined && options.hasOwnProperty('localOnly'))
+        localOnly = !!options.localOnly;
+
     // Put the packet type in the packet object
     packet.type = packetType;
 
@@ -144,6 +286,15 @@ PacketProcessor.prototype.sendPacketUser = function(packetType, packet, userId,
         found++;
     });
 
+    // Send the packet to the sockets of the user on other workers, unless it has been sent once already
+    if(!localOnly && (!once || found === 0))
+        Core.clusterManager.publish(null, 'userPacket', {
+            packetType,
+            packet,
+            user: userId.toString(),
+            once
+        });
+
     // Return the number of found sockets
     return found;
 };
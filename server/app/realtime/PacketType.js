@@ -155,6 +155,12 @@ module.exports = {
      * - users[].location: Location object of the user.
      * - users[].location.latitude: Latitude
      * - users[].location.longitude: Longitude
+     * - lastSeen[]: Array of last known positions of enemy users and factories that aren't visible anymore
+     * - lastSeen[].type: 'user' or 'factory'
+     * - lastSeen[].id: ID of the user or factory
+     * - lastSeen[].name: Name of the user or factory
+     * - lastSeen[].location: Last known location
+     * - lastSeen[].age: Time in milliseconds since the user or factory was last seen
      */
     GAME_LOCATIONS_UPDATE: 13,
 
@@ -184,6 +190,9 @@ module.exports = {
      * - data: The actual game data.
      * - data.factory.canBuild: True if the user can build a factory, false if not.
      * - data.factory.cost: New factory cost
+     * - data.factory.types: Array of factory types that may be chosen when building a factory, each with an id, name and description.
+     * - [data.treasury.money]: Money in the team treasury.
+     * - [data.treasury.treasurer]: True if the user may spend from the team treasury, false if not.
      */
     GAME_DATA: 15,
 
@@ -193,6 +202,9 @@ module.exports = {
      * Data:
      * - game: ID of the game.
      * - name: Factory name.
+     * - [type]: ID of the factory type, the default type is used if not given.
+     * - [decoy]: True to build a decoy factory for a fixed price, false if not.
+     * - [treasury]: True to pay from the team treasury, false if not. Only allowed for team treasurers.
      */
     FACTORY_BUILD_REQUEST: 16,
 
@@ -224,9 +236,15 @@ module.exports = {
      * - data.level: Factory level.
      * - data.creatorName: Creator name.
      * - data.teamName: Team name.
-     * - data.defence: Defence value.
+     * - data.type: Factory type object, with an id, name, description and defenceBonus.
+     * - data.defence: Defence value, including the bonus defence of the factory type.
      * - data.in: In value.
      * - data.out: Out value.
+     * - data.upkeep: Upkeep cost for each tick.
+     * - data.upkeepUnpaid: True if the upkeep couldn't be paid on the last tick.
+     * - data.decay: Decay state, with enabled, remainingTime (milliseconds), warning and decaying properties.
+     * - data.construction: Construction state, with remaining and time (milliseconds), and paused properties.
+     * - data.siege: Siege state with the capture progress percentage and whether the user is besieging, or null.
      */
     FACTORY_DATA: 19,
 
@@ -238,6 +256,7 @@ module.exports = {
      * - index: Index of the upgrade to buy
      * - cost: Cost of the upgrade (check)
      * - defence: Defence level of the upgrade (check)
+     * - [treasury]: True to pay from the team treasury, false if not. Only allowed for team treasurers.
      */
     FACTORY_DEFENCE_BUY: 20,
 
@@ -247,6 +266,7 @@ module.exports = {
      * Data:
      * - factory: ID of the factory
      * - cost: Cost of the upgrade (check)
+     * - [treasury]: True to pay from the team treasury, false if not. Only allowed for team treasurers.
      */
     FACTORY_LEVEL_BUY: 21,
 
@@ -276,6 +296,7 @@ module.exports = {
      * Send from a client to the server to buy in goods.
      *
      * Data:
+     * - game: ID of the game the shop is in.
      * - shop: ID of the shop.
      * - moneyAmount: Amount of money to spend on in.
      * - [all]: True to buy as much as possible, false if not. Setting this to true will ignore the moneyAmount value.
@@ -286,6 +307,7 @@ module.exports = {
      * Send from a client to the server to sell out goods.
      *
      * Data:
+     * - game: ID of the game the shop is in.
      * - shop: ID of the shop.
      * - outAmount: Amount of out to sell.
      * - [all]: True to sell all out, false if not. Setting this to true will ignore the outAmount value.
@@ -320,6 +342,8 @@ module.exports = {
      * - factoryName: Name of the factory.
      * - self: True if the user this packet is send to build the factory.
      * - userName: Name of the user that captured the factory.
+     * - construction: Construction time of the factory in milliseconds, zero if it's operational right away.
+     * - decoy: True if the factory is a decoy.
      */
     FACTORY_BUILD: 29,
 
@@ -351,6 +375,7 @@ module.exports = {
      * - teamName: Name of the team of the user that destroyed this factory.
      * - ally: True if the factory was captured from the user's current team.
      * - enemy: True if the factory was destroyed by an enemy, false if not.
+     * - [decoy]: True if the destroyed factory was a decoy.
      */
     FACTORY_DESTROYED: 31,
 
@@ -361,6 +386,7 @@ module.exports = {
      * - game: ID of the current game.
      * - pingId: ID of the ping to buy
      * - cost: Cost of the ping (check)
+     * - [treasury]: True to pay from the team treasury, false if not. Only allowed for team treasurers.
      */
     PING_BUY: 32,
 
@@ -426,4 +452,112 @@ module.exports = {
      *                 false to also destroy the contents.
      */
     FACTORY_DESTROY: 40,
+
+    /**
+     * Schedule of a game, to show a countdown to the client.
+     * This packet is sent from the server to a client.
+     *
+     * Data:
+     * - game: ID of the game this schedule is for
+     * - stage: current stage of the game
+     * - startDate: ISO date the game is scheduled to start on, or null
+     * - endDate: ISO date the game is scheduled to finish on, or null
+     * - duration: game duration in milliseconds, or null
+     */
+    GAME_SCHEDULE: 41,
+
+    /**
+     * Request to transfer money or goods to a teammate.
+     * This packet is sent from a client to the server.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - user: ID of the teammate to transfer to.
+     * - type: type to transfer, money, in or out.
+     * - amount: amount to transfer.
+     */
+    PLAYER_TRANSFER_REQUEST: 42,
+
+    /**
+     * Offer of a transfer from a teammate, that must be accepted or declined.
+     * This packet is sent from the server to the receiving client.
+     *
+     * Data:
+     * - game: ID of the game.
+     * - token: token of the transfer.
+     * - userName: name of the teammate sending the transfer.
+     * - type: type that is transferred, money, in or out.
+     * - amount: amount that is transferred.
+     */
+    PLAYER_TRANSFER_OFFER: 43,
+
+    /**
+     * Response to a transfer offer, to accept or decline it.
+     * This packet is sent from a client to the server.
+     *
+     * Data:
+     * - game: ID of the game the transfer is in.
+     * - token: token of the transfer.
+     * - accept: true to accept the transfer, false to decline it.
+     */
+    PLAYER_TRANSFER_RESPONSE: 44,
+
+    /**
+     * Deposit money into the team treasury.
+     * This packet is sent from a client to the server.
+     *
+     * Data:
+     * - game: ID of the current game.
+     * - amount: amount of money to deposit.
+     */
+    TEAM_TREASURY_DEPOSIT: 45,
+
+    /**
+     * Withdraw money from the team treasury, only allowed for team treasurers.
+     * This packet is sent from a client to the server.
+     *
+     * Data:
+     * - game: ID of the current game.
+     * - amount: amount of money to withdraw.
+     */
+    TEAM_TREASURY_WITHDRAW: 46,
+
+    /**
+     * Update about a siege on a factory, in the siege capture mode.
+     * Send from the server to clients of the besieging and owning team, and to other clients in range.
+     *
+     * Data:
+     * - factory: ID of the factory.
+     * - factoryName: Name of the factory.
+     * - state: 'started' when the siege started, 'repelled' when the defenders drained the capture progress.
+     * - self: True if the user this packet is send to started the siege.
+     * - userName: Name of the user that started the siege.
+     * - teamName: Name of the besieging team.
+     * - ally: True if the user this packet is send to is in the besieging team.
+     * - enemy: True if the user this packet is send to is in the team owning the factory.
+     */
+    FACTORY_SIEGE: 47,
+
+    /**
+     * Alert for members of a team owning a factory, because the factory is in danger.
+     * Send from the server to clients.
+     *
+     * Data:
+     * - factory: ID of the factory.
+     * - factoryName: Name of the factory.
+     * - type: 'enemy' if an enemy player entered the range of the factory, 'conquer' if the conquer value is close to zero.
+     * - conquerValue: Current conquer value of the factory.
+     */
+    FACTORY_ALERT: 48,
+
+    /**
+     * Buy a jammer for a factory, that hides the factory from enemy pings for some time.
+     * This packet is sent from a client to the server.
+     *
+     * Data:
+     * - factory: ID of the factory.
+     * - cost: Price of the jammer, as shown to the user.
+     * - [treasury]: True to pay from the team treasury, false if not. Only allowed for team treasurers.
+     */
+    FACTORY_JAMMER_BUY: 49,
 };
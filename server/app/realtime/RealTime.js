@@ -102,6 +102,9 @@ RealTime.prototype.start = function() {
     // Register all handlers
     this.registerHandlers();
 
+    // Register the handlers for packets from other workers in the cluster
+    this.packetProcessor.registerClusterHandlers();
+
     // Store this instance
     const self = this;
 
@@ -133,6 +136,17 @@ RealTime.prototype.getConnectionCount = function() {
     //noinspection JSUnresolvedVariable
     return this._io.engine.clientsCount;
 };
+/**
+ * Get the socket with the given ID, that is connected to this worker.
+ *
+ * @param {string} socketId Socket ID.
+ * @return {*|null} SocketIO socket, or null if no socket with this ID is connected.
+ */
+RealTime.prototype.getSocket = function(socketId) {
+    const socket = this._io.sockets.sockets.get(socketId);
+    return socket !== undefined ? socket : null;
+};
+
 /**
  * Get the packet processor.
  *
@@ -0,0 +1,77 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../Core');
+
+/**
+ * Remote socket class.
+ * Represents an authenticated socket that is connected to another worker of the cluster, so that packets forwarded
+ * from that worker can be handled by the regular packet handlers on this worker.
+ * Packets emitted over this socket are sent back to the worker the socket is connected to.
+ *
+ * @param {string} id ID of the socket on the other worker.
+ * @param {string} workerId ID of the worker the socket is connected to.
+ * @param {UserModel} user User the socket is authenticated as.
+ *
+ * @class
+ * @constructor
+ */
+var RemoteSocket = function(id, workerId, user) {
+    /**
+     * ID of the socket on the other worker.
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * ID of the worker the socket is connected to.
+     * @type {string}
+     */
+    this.workerId = workerId;
+
+    /**
+     * Session state of the socket, like regular sockets have after authentication.
+     * @type {Object}
+     */
+    this.session = {
+        valid: true,
+        userId: user.getIdHex(),
+        user
+    };
+};
+
+/**
+ * Emit a packet over the socket, by sending it to the worker the socket is connected to.
+ *
+ * @param {string} room Room to emit the packet in.
+ * @param {Object} packet Packet object.
+ */
+RemoteSocket.prototype.emit = function(room, packet) {
+    Core.clusterManager.publish(this.workerId, 'socketPacket', {
+        socket: this.id,
+        room,
+        packet
+    });
+};
+
+// Export the class
+module.exports = RemoteSocket;
@@ -24,7 +24,6 @@ var _ = require('lodash');
 
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
-var TokenGenerator = require('../../token/TokenGenerator');
 
 /**
  * Type of packets to handle by this handler.
@@ -133,8 +132,8 @@ BroadcastMessageHandler.prototype.handler = function(packet, socket) {
                 return;
             }
 
-            // Get all users that joined this game
-            Core.model.gameUserModelManager.getGameUsers(game, function(err, users) {
+            // Broadcast the message to all users in this game
+            Core.gameManager.broadcastMessage(game, message, function(err) {
                 // Send error responses
                 if(err !== null) {
                     Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
@@ -142,73 +141,7 @@ BroadcastMessageHandler.prototype.handler = function(packet, socket) {
                         message: 'An error occurred while sending a broadcast.',
                         dialog: true
                     }, socket);
-                    return;
                 }
-
-                // Create the broadcast object
-                var broadcastObject = {
-                    message,
-                    game: game.getIdHex()
-                };
-
-                // Generate an token for the broadcast
-                TokenGenerator.generateToken(32, function(err, token) {
-                    // Send error responses
-                    if(err !== null) {
-                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                            error: true,
-                            message: 'An error occurred while sending a broadcast.',
-                            dialog: true
-                        }, socket);
-                        return;
-                    }
-
-                    // Set the token
-                    broadcastObject.token = token;
-
-                    // Loop through the list of users
-                    users.forEach(function(user) {
-                        // Add the user, and their broadcast to the broadcast queue
-                        Core.realTime.queueBroadcast(broadcastObject, user.getIdHex().toLowerCase());
-                    });
-
-                    // Get the name of the game
-                    game.getName(function(err, gameName) {
-                        // Handle errors
-                        if(err !== null)
-                            gameName = 'Unknown';
-
-                        // Set the game name in the broadcast object
-                        broadcastObject.gameName = gameName;
-
-                        // Loop through all connected clients, to send the game stage update
-                        Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
-                            // Get the socket
-                            const entrySocket = Core.realTime._io.sockets.sockets[socketId];
-
-                            // Skip the socket if not authenticated
-                            if(!_.has(entrySocket, 'session.valid') || !_.has(entrySocket, 'session.user') || !entrySocket.session.valid)
-                                return;
-
-                            // Get the user
-                            const user = entrySocket.session.user;
-
-                            // Check whether the user joined this game
-                            game.hasUser(user, function(err, joined) {
-                                // Skip this socket if an error occurred
-                                if(err !== null)
-                                    return;
-
-                                // Make sure the user joined
-                                if(!joined)
-                                    return;
-
-                                // Send a broadcast packet to the user
-                                Core.realTime.packetProcessor.sendPacket(PacketType.BROADCAST_MESSAGE, broadcastObject, entrySocket);
-                            });
-                        });
-                    });
-                });
             });
         });
     });
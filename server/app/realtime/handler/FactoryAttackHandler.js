@@ -122,6 +122,16 @@ FactoryAttackHandler.prototype.handler = function(packet, socket) {
             return;
         }
 
+        // Make sure the game isn't paused
+        if(liveGame.isPaused()) {
+            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                error: true,
+                message: 'The game is paused, you can\'t attack until the game is resumed.',
+                dialog: true
+            }, socket);
+            return;
+        }
+
         // Create a latch
         var latch = new CallbackLatch();
 
@@ -237,6 +247,37 @@ FactoryAttackHandler.prototype.handler = function(packet, socket) {
                 latch.resolve();
             });
 
+            // Make sure the factory isn't protected by a safe zone
+            latch.add();
+            liveFactory.isProtectedFrom(liveUser, function(err, isProtected) {
+                // Call back errors
+                if(err !== null) {
+                    callbackError(err);
+                    return;
+                }
+
+                // Make sure the factory isn't protected
+                if(isProtected) {
+                    // Only call back once
+                    if(calledBack)
+                        return;
+
+                    // Send a message to the user
+                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                        error: true,
+                        message: 'Failed to attack. Attacks aren\'t allowed inside a safe zone.',
+                        dialog: true
+                    }, socket);
+
+                    // Set the called back flag
+                    calledBack = true;
+                    return;
+                }
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
             // Continue
             latch.then(function() {
                 // Attack the factory
@@ -22,13 +22,12 @@
 
 var _ = require('lodash');
 
-var gameConfig = require('../../../gameConfig');
-
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
 var CallbackLatch = require('../../util/CallbackLatch');
 var Validator = require('../../validator/Validator');
 var FactoryDatabase = require('../../model/factory/FactoryDatabase');
+var GameEventType = require('../../model/gameevent/GameEventType');
 
 /**
  * Type of packets to handle by this handler.
@@ -107,6 +106,12 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
     // Get the game and name
     const rawGame = packet.game;
     const rawName = packet.name;
+    const rawType = packet.hasOwnProperty('type') ? packet.type : null;
+    const decoy = packet.decoy === true;
+    const fromTreasury = packet.treasury === true;
+
+    // Create a variable for the factory type
+    var factoryType = null;
 
     // Make sure the user is authenticated
     if(!_.has(socket, 'session.valid') || !socket.session.valid) {
@@ -165,10 +170,10 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
             // Format the name
             const factoryName = Validator.formatFactoryName(rawName);
 
-            // Make sure the game is active
+            // Make sure the game is active or paused, building is rejected with a clear message when paused
             game.getStage(function(err, stage) {
                 // Call back errors
-                if(err !== null || stage !== 1) {
+                if(err !== null || (stage !== 1 && stage !== 3)) {
                     callbackError(err);
                     return;
                 }
@@ -181,6 +186,16 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
                         return;
                     }
 
+                    // Make sure the game isn't paused
+                    if(liveGame.isPaused()) {
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'The game is paused, you can\'t build a ' + factoryLangName + ' until the game is resumed.',
+                            dialog: true
+                        }, socket);
+                        return;
+                    }
+
                     // Get the game user
                     liveGame.getUser(user, function(err, liveUser) {
                         // Call back errors
@@ -217,28 +232,60 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
                                 return;
                             }
 
+                            // Create a function to calculate the factory cost, decoys have a fixed price
+                            const calculateCost = function(callback) {
+                                // Calculate the cost of a real factory
+                                if(!decoy) {
+                                    liveGame.calculateFactoryCost(team, callback);
+                                    return;
+                                }
+
+                                // Get the decoy price from the game configuration
+                                liveGame.getConfig(function(err, gameConfig) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        callback(err);
+                                        return;
+                                    }
+
+                                    // Call back the decoy price
+                                    callback(null, gameConfig.factory.decoyPrice);
+                                });
+                            };
+
                             // Calculate the factory cost
-                            liveGame.calculateFactoryCost(team, function(err, factoryCost) {
+                            calculateCost(function(err, factoryCost) {
                                 // Call back errors
                                 if(err !== null) {
                                     callbackError(err);
                                     return;
                                 }
 
-                                // Make sure the user has enough money
-                                liveUser.getMoney(function(err, money) {
+                                // Get the money to pay with, from the user or the team treasury
+                                liveUser.getPaymentSource(fromTreasury, function(err, source) {
                                     // Call back errors
                                     if(err !== null) {
                                         callbackError(err);
                                         return;
                                     }
 
-                                    // Make sure the user has enough money
-                                    if(money < factoryCost) {
+                                    // Make sure the user may pay from the team treasury
+                                    if(source === null) {
                                         // Send a message response to the user
                                         Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                                             error: true,
-                                            message: 'You don\'t have enough money to build a factory.',
+                                            message: 'Only treasurers of your team can pay from the team treasury.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
+
+                                    // Make sure there's enough money
+                                    if(source.money < factoryCost) {
+                                        // Send a message response to the user
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: (fromTreasury ? 'The team treasury doesn\'t' : 'You don\'t') + ' have enough money to build a ' + (decoy ? 'decoy.' : 'factory.'),
                                             dialog: true
                                         }, socket);
                                         return;
@@ -247,44 +294,122 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
                                     // Create an interspace latch
                                     var interspaceLatch = new CallbackLatch();
 
+                                    // Make sure the factory is built inside the play area of the game
+                                    interspaceLatch.add();
+                                    liveGame.isInPlayArea(factoryLocation, function(err, inPlayArea) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            callbackError(err);
+                                            return;
+                                        }
+
+                                        // Reject the build if the location is outside the play area
+                                        if(!inPlayArea) {
+                                            // Send a message response to the user
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'You can\'t build a ' + factoryLangName + ' here, you\'re outside the play area of this game.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
+
+                                        // Resolve the latch
+                                        interspaceLatch.resolve();
+                                    });
+
+                                    // Make sure the factory isn't built inside a no-build or safe zone
+                                    interspaceLatch.add();
+                                    liveGame.getZonesAt(factoryLocation, function(err, zones) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            callbackError(err);
+                                            return;
+                                        }
+
+                                        // Find a zone that blocks building
+                                        const blockingZone = zones.find((zone) => zone.isBuildBlocked());
+                                        if(blockingZone !== undefined) {
+                                            // Send a message response to the user
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'You can\'t build a ' + factoryLangName + ' here, you\'re inside the ' +
+                                                (blockingZone.isSafe() ? 'safe' : 'no-build') + ' zone ' + blockingZone.name + '.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
+
+                                        // Resolve the latch
+                                        interspaceLatch.resolve();
+                                    });
+
                                     // Create a flag, to define whether any factory is too close
                                     var isTooClose = false;
 
-                                    liveGame.factoryManager.factories.forEach(function(factory) {
-                                        // Return if we we're too close, because we should stop the loop
-                                        if(isTooClose)
+                                    // Get the game configuration, for the minimum interspace between factories
+                                    interspaceLatch.add();
+                                    liveGame.getConfig(function(err, gameConfig) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            callbackError(err);
                                             return;
+                                        }
 
-                                        // Get the location of the entry factory
-                                        interspaceLatch.add();
-                                        factory.getFactoryModel().getLocation(function(err, entryLocation) {
-                                            // Call back errors
-                                            if(err !== null) {
-                                                callbackError(err);
+                                        // Make sure the factory type is known, use the default type if no type is given
+                                        factoryType = rawType !== null ? rawType : gameConfig.factory.defaultType;
+                                        if(!_.isString(factoryType) || !gameConfig.factory.types.hasOwnProperty(factoryType)) {
+                                            // Send a message response to the user
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'Failed to build the ' + factoryLangName + ', the chosen type is unknown.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
+
+                                        // Get the minimum interspace
+                                        const interspaceMin = gameConfig.factory.interspaceMin;
+
+                                        liveGame.factoryManager.factories.forEach(function(factory) {
+                                            // Return if we we're too close, because we should stop the loop
+                                            if(isTooClose)
                                                 return;
-                                            }
 
-                                            // Get the distance between the new factory and the entry
-                                            if(factoryLocation.getDistanceTo(entryLocation) < gameConfig.factory.interspaceMin) {
-                                                // Send a notification to the user if this is the first factory that is too close
-                                                if(!isTooClose) {
-                                                    // Send a message response to the user
-                                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                                        error: true,
-                                                        // TODO: Dynamically get factory name from game name configuration!
-                                                        message: 'It looks like there another ' + liveGame.__('factory.name') + ' close by!<br><br>' +
-                                                        'To build a new ' + liveGame.__('factory.name') + ', you must be at least ' + gameConfig.factory.interspaceMin + ' meters away from any other lab.',
-                                                        dialog: true
-                                                    }, socket);
+                                            // Get the location of the entry factory
+                                            interspaceLatch.add();
+                                            factory.getFactoryModel().getLocation(function(err, entryLocation) {
+                                                // Call back errors
+                                                if(err !== null) {
+                                                    callbackError(err);
+                                                    return;
                                                 }
 
-                                                // Set the flag
-                                                isTooClose = true;
+                                                // Get the distance between the new factory and the entry
+                                                if(factoryLocation.getDistanceTo(entryLocation) < interspaceMin) {
+                                                    // Send a notification to the user if this is the first factory that is too close
+                                                    if(!isTooClose) {
+                                                        // Send a message response to the user
+                                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                            error: true,
+                                                            // TODO: Dynamically get factory name from game name configuration!
+                                                            message: 'It looks like there another ' + liveGame.__('factory.name') + ' close by!<br><br>' +
+                                                            'To build a new ' + liveGame.__('factory.name') + ', you must be at least ' + interspaceMin + ' meters away from any other lab.',
+                                                            dialog: true
+                                                        }, socket);
+                                                    }
+
+                                                    // Set the flag
+                                                    isTooClose = true;
 
-                                            } else
-                                            // Resolve a latch
-                                                interspaceLatch.resolve();
+                                                } else
+                                                // Resolve a latch
+                                                    interspaceLatch.resolve();
+                                            });
                                         });
+
+                                        // Resolve the latch
+                                        interspaceLatch.resolve();
                                     });
 
                                     // Continue when the latch is complete
@@ -295,13 +420,25 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
                                         // Process the cost
                                         if(factoryCost > 0) {
                                             costLatch.add();
-                                            liveUser.subtractMoney(factoryCost, function(err) {
+                                            source.model.incrementFields({
+                                                [source.field]: -factoryCost
+                                            }, function(err, values) {
                                                 // Call back errors
                                                 if(err !== null) {
                                                     callbackError(err);
                                                     return;
                                                 }
 
+                                                // Make sure there still was enough money
+                                                if(values === null) {
+                                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                        error: true,
+                                                        message: (fromTreasury ? 'The team treasury doesn\'t' : 'You don\'t') + ' have enough money to build a ' + (decoy ? 'decoy.' : 'factory.'),
+                                                        dialog: true
+                                                    }, socket);
+                                                    return;
+                                                }
+
                                                 // Resolve the latch
                                                 costLatch.resolve();
                                             });
@@ -310,13 +447,27 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
                                         // Continue
                                         costLatch.then(function() {
                                             // Add the factory
-                                            FactoryDatabase.addFactory(factoryName, game, team, user, factoryLocation, function (err, factoryModel) {
+                                            FactoryDatabase.addFactory(factoryName, factoryType, decoy, game, team, user, factoryLocation, function (err, factoryModel) {
                                                 // Call back errors
                                                 if (err !== null) {
                                                     callbackError(err);
                                                     return;
                                                 }
 
+                                                // Log the build event
+                                                Core.model.gameEventModelManager.logGameEvent(game, GameEventType.FACTORY_BUILD, {
+                                                    user,
+                                                    team,
+                                                    location: factoryLocation,
+                                                    data: {
+                                                        factory: factoryModel.getIdHex(),
+                                                        factoryName,
+                                                        factoryType,
+                                                        decoy,
+                                                        cost: factoryCost
+                                                    }
+                                                });
+
                                                 // Load the factory in the live game
                                                 liveGame.factoryManager.getFactory(factoryModel, function(err) {
                                                     // Call back errors
@@ -415,7 +566,9 @@ FactoryBuildRequestHandler.prototype.handler = function(packet, socket) {
                                                                     factory: factoryModel.getId(),
                                                                     factoryName,
                                                                     self: isSelf,
-                                                                    userName
+                                                                    userName,
+                                                                    construction: !decoy ? gameConfig.factory.buildTime : 0,
+                                                                    decoy
                                                                 }, otherUser.getUserModel());
                                                             });
                                                         });
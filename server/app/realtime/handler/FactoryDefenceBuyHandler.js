@@ -24,6 +24,7 @@ var _ = require('lodash');
 
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
+var BaseModel = require('../../database/BaseModel');
 
 /**
  * Type of packets to handle by this handler.
@@ -101,6 +102,7 @@ FactoryDefenceBuyHandler.prototype.handler = function(packet, socket) {
     const index = packet.index;
     const cost = packet.cost;
     const defence = packet.defence;
+    const fromTreasury = packet.treasury === true;
 
     // Make sure the user is authenticated
     if(!_.has(socket, 'session.valid') || !socket.session.valid) {
@@ -146,6 +148,16 @@ FactoryDefenceBuyHandler.prototype.handler = function(packet, socket) {
                         return;
                     }
 
+                    // Make sure the game isn't paused
+                    if(liveGame.isPaused()) {
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'The game is paused, you can\'t buy defence until the game is resumed.',
+                            dialog: true
+                        }, socket);
+                        return;
+                    }
+
                     liveGame.factoryManager.getFactory(rawFactory, function(err, liveFactory) {
                         if(err !== null || liveFactory === null) {
                             callbackError(err);
@@ -198,64 +210,84 @@ FactoryDefenceBuyHandler.prototype.handler = function(packet, socket) {
                                     return;
                                 }
 
-                                // Make sure the user has enough money
-                                gameUser.getMoney(function(err, money) {
+                                // Get the money to pay with, from the user or the team treasury
+                                gameUser.getPaymentSource(fromTreasury, function(err, source) {
                                     if(err !== null) {
                                         callbackError(err);
                                         return;
                                     }
 
-                                    if(money < selectedDefence.cost) {
+                                    // Make sure the user may pay from the team treasury
+                                    if(source === null) {
                                         Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                                             error: true,
-                                            message: 'Failed to buy defence, you don\'t have enough money.',
+                                            message: 'Failed to buy defence, only treasurers of your team can pay from the team treasury.',
                                             dialog: true
                                         }, socket);
                                         return;
                                     }
 
-                                    // Subtract the money
-                                    gameUser.subtractMoney(selectedDefence.cost, function(err) {
+                                    if(source.money < selectedDefence.cost) {
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: 'Failed to buy defence, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
+
+                                    // Pay for the defence and apply it to the factory, all at once or not at all
+                                    BaseModel.transfer([{
+                                        model: source.model,
+                                        fields: {
+                                            [source.field]: -selectedDefence.cost
+                                        }
+                                    }, {
+                                        model: factoryModel,
+                                        fields: {
+                                            defence: selectedDefence.defence
+                                        }
+                                    }], function(err, success) {
                                         if(err !== null) {
                                             callbackError(err);
                                             return;
                                         }
 
-                                        // Get the current defence
-                                        factoryModel.getDefence(function(err, defence) {
+                                        // Make sure there still was enough money
+                                        if(!success) {
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'Failed to buy defence, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
+
+                                        liveFactory.broadcastData(function(err) {
                                             if(err !== null) {
-                                                callbackError(err);
-                                                return;
+                                                console.error(err.stack || err);
+                                                console.error('Failed to broadcast factory data, ignoring');
                                             }
+                                        });
 
-                                            // Set the new defence
-                                            factoryModel.setDefence(defence + selectedDefence.defence, function(err) {
+                                        // Send a notification to the user
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: false,
+                                            message: 'Transaction succeed!',
+                                            dialog: false,
+                                            toast: true
+                                        }, socket);
+
+                                        // Update the treasury for the whole team
+                                        if(fromTreasury)
+                                            Core.gameManager.sendGameDataToAll(game, function(err) {
+                                                // Handle errors
                                                 if(err !== null) {
-                                                    callbackError(err);
-                                                    return;
+                                                    console.error(err.stack || err);
+                                                    console.error('Failed to send game data, ignoring');
                                                 }
-
-                                                liveFactory.broadcastData(function(err) {
-                                                    if(err !== null) {
-                                                        console.error(err.stack || err);
-                                                        console.error('Failed to broadcast factory data, ignoring');
-                                                    }
-                                                });
-
-                                                // Send a notification to the user
-                                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                                    error: false,
-                                                    message: 'Transaction succeed!',
-                                                    dialog: false,
-                                                    toast: true
-                                                }, socket);
                                             });
-                                        }, {
-                                            noCache: true
-                                        });
                                     });
-                                }, {
-                                    noCache: true
                                 });
                             });
                         });
@@ -25,6 +25,7 @@ var _ = require('lodash');
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
 var CallbackLatch = require('../../util/CallbackLatch');
+var BaseModel = require('../../database/BaseModel');
 var Formatter = require('../../format/Formatter');
 
 /**
@@ -156,6 +157,16 @@ FactoryDepositHandler.prototype.handler = function(packet, socket) {
                         return;
                     }
 
+                    // Make sure the game isn't paused
+                    if(liveGame.isPaused()) {
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'The game is paused, you can\'t deposit goods until the game is resumed.',
+                            dialog: true
+                        }, socket);
+                        return;
+                    }
+
                     // Get the live factory instance
                     liveGame.factoryManager.getFactory(rawFactory, function(err, liveFactory) {
                         // Callback errors
@@ -305,60 +316,41 @@ FactoryDepositHandler.prototype.handler = function(packet, socket) {
                                     return;
                                 }
 
-                                // Deposit the correct type of goods from the factory, and withdraw them to the user
-                                if(typeIn) {
-                                    // Deposit the in to the factory
-                                    latch.add();
-                                    factoryModel.addIn(depositAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
-
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
-
-                                    // Withdraw the in from the user
-                                    latch.add();
-                                    gameUser.subtractIn(depositAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
+                                // Get the field of the type of goods that is transferred
+                                const field = typeIn ? 'in' : 'out';
 
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
-                                } else {
-                                    // Deposit the out to the factory
-                                    latch.add();
-                                    factoryModel.addOut(depositAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
-
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
+                                // Transfer the goods from the user to the factory, all at once or not at all
+                                latch.add();
+                                BaseModel.transfer([{
+                                    model: gameUser,
+                                    fields: {
+                                        [field]: -depositAmount
+                                    }
+                                }, {
+                                    model: factoryModel,
+                                    fields: {
+                                        [field]: depositAmount
+                                    }
+                                }], function(err, success) {
+                                    // Callback errors
+                                    if(err !== null) {
+                                        callbackError(err);
+                                        return;
+                                    }
 
-                                    // Withdraw the out from the user
-                                    latch.add();
-                                    gameUser.subtractOut(depositAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
+                                    // Make sure the goods were still available
+                                    if(!success) {
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: 'Failed to deposit, you don\'t have this much goods available.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
 
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
-                                }
+                                    // Resolve the latch
+                                    latch.resolve();
+                                });
 
                                 // Continue when we finished the transaction
                                 latch.then(function() {
@@ -343,6 +343,10 @@ FactoryDestroyHandler.prototype.handler = function(packet, socket) {
                                 contentsLatch.then(function() {
                                     // Get the live factory
                                     factoryModel.getLiveFactory(function(err, liveFactory) {
+                                        // Make sure the live factory instance was found
+                                        if(err === null && (liveFactory === undefined || liveFactory === null))
+                                            err = new Error('Failed to get live factory instance');
+
                                         // Call back errors
                                         if (err !== null) {
                                             callbackError(err);
@@ -0,0 +1,294 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var PacketType = require('../PacketType');
+
+/**
+ * Type of packets to handle by this handler.
+ * @type {number} Packet type.
+ */
+const HANDLER_PACKET_TYPE = PacketType.FACTORY_JAMMER_BUY;
+
+/**
+ * Factory jammer buy handler.
+ *
+ * @param {boolean=false} init True to initialize after constructing.
+ *
+ * @class
+ * @constructor
+ */
+var FactoryJammerBuyHandler = function(init) {
+    // Initialize
+    if(init)
+        this.init();
+};
+
+/**
+ * Initialize the handler.
+ */
+FactoryJammerBuyHandler.prototype.init = function() {
+    // Make sure the real time instance is initialized
+    if(Core.realTime === null)
+        throw new Error('Real time server not initialized yet');
+
+    // Register the handler
+    Core.realTime.getPacketProcessor().registerHandler(HANDLER_PACKET_TYPE, this.handler);
+};
+
+/**
+ * Handle the packet.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket.
+ */
+FactoryJammerBuyHandler.prototype.handler = function(packet, socket) {
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create a function to call back an error
+    const callbackError = function(err) {
+        // Print the error
+        console.error('An error occurred while buying a factory jammer for a user');
+        if(err !== null && err !== undefined)
+            console.error(err.stack || err);
+
+        // Only call back once
+        if(calledBack)
+            return;
+
+        // Send a message to the user
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message: 'Failed to buy jammer, a server error occurred.',
+            dialog: true
+        }, socket);
+
+        // Set the called back flag
+        calledBack = true;
+    };
+
+    // Make sure the correct data is given
+    if(!packet.hasOwnProperty('factory') || !packet.hasOwnProperty('cost')) {
+        console.log('Received malformed packet');
+        callbackError(new Error('Malformed packet'));
+        return;
+    }
+
+    // Get the raw parameters
+    const rawFactory = packet.factory;
+    const cost = packet.cost;
+    const fromTreasury = packet.treasury === true;
+
+    // Make sure the user is authenticated
+    if(!_.has(socket, 'session.valid') || !socket.session.valid) {
+        // Send a message response to the user
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message: 'Failed to buy jammer, you\'re not authenticated.',
+            dialog: true
+        }, socket);
+        return;
+    }
+
+    // Get the user
+    const user = socket.session.user;
+
+    // Get the factory
+    Core.model.factoryModelManager.isValidFactoryId(rawFactory, function(err, isValidFactory) {
+        if(!isValidFactory || err !== null) {
+            callbackError(err);
+            return;
+        }
+
+        // Create a factory model instance
+        const factoryModel = Core.model.factoryModelManager._instanceManager.create(rawFactory);
+
+        // Get the game
+        factoryModel.getGame(function(err, game) {
+            if(err !== null) {
+                callbackError(err);
+                return;
+            }
+
+            // Get the game user
+            Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+                if(err !== null) {
+                    callbackError(err);
+                    return;
+                }
+
+                Core.gameManager.getGame(game, function(err, liveGame) {
+                    if(err !== null || liveGame === null) {
+                        callbackError(err);
+                        return;
+                    }
+
+                    // Make sure the game isn't paused
+                    if(liveGame.isPaused()) {
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'The game is paused, you can\'t buy a jammer until the game is resumed.',
+                            dialog: true
+                        }, socket);
+                        return;
+                    }
+
+                    liveGame.factoryManager.getFactory(rawFactory, function(err, liveFactory) {
+                        if(err !== null || liveFactory === null) {
+                            callbackError(err);
+                            return;
+                        }
+
+                        // Make sure the user has right to modify this factory
+                        liveFactory.canModify(user, function(err, canModify) {
+                            if(err !== null) {
+                                callbackError(err);
+                                return;
+                            }
+
+                            if(!canModify) {
+                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                    error: true,
+                                    message: 'Failed to buy jammer, you aren\'t close enough or you don\'t have permission.',
+                                    dialog: true
+                                }, socket);
+                                return;
+                            }
+
+                            // Get the game configuration for the jammer price and duration
+                            liveGame.getConfig(function(err, gameConfig) {
+                                if(err !== null) {
+                                    callbackError(err);
+                                    return;
+                                }
+
+                                // Compare the price
+                                if(gameConfig.factory.jammerPrice !== cost) {
+                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                        error: true,
+                                        message: 'Failed to buy jammer, prices have changed.',
+                                        dialog: true
+                                    }, socket);
+                                    return;
+                                }
+
+                                // Get the money to pay with, from the user or the team treasury
+                                gameUser.getPaymentSource(fromTreasury, function(err, source) {
+                                    if(err !== null) {
+                                        callbackError(err);
+                                        return;
+                                    }
+
+                                    // Make sure the user may pay from the team treasury
+                                    if(source === null) {
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: 'Failed to buy jammer, only treasurers of your team can pay from the team treasury.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
+
+                                    if(source.money < gameConfig.factory.jammerPrice) {
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: 'Failed to buy jammer, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
+
+                                    // Subtract the money
+                                    source.model.incrementFields({
+                                        [source.field]: -gameConfig.factory.jammerPrice
+                                    }, function(err, values) {
+                                        if(err !== null) {
+                                            callbackError(err);
+                                            return;
+                                        }
+
+                                        // Make sure there still was enough money
+                                        if(values === null) {
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'Failed to buy jammer, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
+
+                                        // Activate the jammer
+                                        liveFactory.jam(gameConfig.factory.jammerDuration, function(err) {
+                                            if(err !== null) {
+                                                callbackError(err);
+                                                return;
+                                            }
+
+                                            liveFactory.broadcastData(function(err) {
+                                                if(err !== null) {
+                                                    console.error(err.stack || err);
+                                                    console.error('Failed to broadcast factory data, ignoring');
+                                                }
+                                            });
+
+                                            // Send a notification to the user
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: false,
+                                                message: 'Transaction succeed!',
+                                                dialog: false,
+                                                toast: true
+                                            }, socket);
+
+                                            // Update the money of the user or the treasury for the whole team
+                                            if(fromTreasury)
+                                                Core.gameManager.sendGameDataToAll(game, function(err) {
+                                                    // Handle errors
+                                                    if(err !== null) {
+                                                        console.error(err.stack || err);
+                                                        console.error('Failed to send game data, ignoring');
+                                                    }
+                                                });
+                                            else
+                                                Core.gameManager.sendGameData(game, user, undefined, function(err) {
+                                                    // Handle errors
+                                                    if(err !== null) {
+                                                        console.error(err.stack || err);
+                                                        console.error('Failed to send game data, ignoring');
+                                                    }
+                                                });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+// Export the module
+module.exports = FactoryJammerBuyHandler;
@@ -24,6 +24,7 @@ var _ = require('lodash');
 
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
+var BaseModel = require('../../database/BaseModel');
 
 /**
  * Type of packets to handle by this handler.
@@ -99,6 +100,7 @@ FactoryLevelBuyHandler.prototype.handler = function(packet, socket) {
     // Get the raw parameters
     const rawFactory = packet.factory;
     const cost = packet.cost;
+    const fromTreasury = packet.treasury === true;
 
     // Make sure the user is authenticated
     if(!_.has(socket, 'session.valid') || !socket.session.valid) {
@@ -149,6 +151,16 @@ FactoryLevelBuyHandler.prototype.handler = function(packet, socket) {
                         return;
                     }
 
+                    // Make sure the game isn't paused
+                    if(liveGame.isPaused()) {
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'The game is paused, you can\'t upgrade your ' + liveGame.__('factory.name') + ' until the game is resumed.',
+                            dialog: true
+                        }, socket);
+                        return;
+                    }
+
                     // Get the live factory for the factory
                     liveGame.factoryManager.getFactory(rawFactory, function(err, liveFactory) {
                         // Call back errors
@@ -175,64 +187,104 @@ FactoryLevelBuyHandler.prototype.handler = function(packet, socket) {
                                 return;
                             }
 
-                            // Get the cost for a level upgrade
-                            liveFactory.getNextLevelCost(function(err, nextLevelCost) {
+                            // Make sure the factory isn't under construction
+                            liveFactory.isUnderConstruction(function(err, underConstruction) {
                                 // Call back errors
                                 if(err !== null) {
                                     callbackError(err);
                                     return;
                                 }
 
-                                // Compare the price and defence
-                                if(nextLevelCost !== cost) {
+                                // Send an error to the user if the factory is under construction
+                                if(underConstruction) {
                                     Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                                         error: true,
-                                        message: 'Failed to buy upgrade, prices have changed.',
+                                        message: 'Failed to buy upgrade, the ' + liveGame.__('factory.name') + ' is still under construction.',
                                         dialog: true
                                     }, socket);
                                     return;
                                 }
 
-                                // Make sure the user has enough money
-                                gameUser.getMoney(function(err, money) {
+                                // Get the cost for a level upgrade
+                                liveFactory.getNextLevelCost(function(err, nextLevelCost) {
                                     // Call back errors
                                     if(err !== null) {
                                         callbackError(err);
                                         return;
                                     }
 
-                                    // Make sure the user has enough money
-                                    if(money < nextLevelCost) {
+                                    // Compare the price and defence
+                                    if(nextLevelCost !== cost) {
                                         Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                                             error: true,
-                                            message: 'Failed to buy upgrade, you don\'t have enough money.',
+                                            message: 'Failed to buy upgrade, prices have changed.',
                                             dialog: true
                                         }, socket);
                                         return;
                                     }
 
-                                    // Subtract the money
-                                    gameUser.subtractMoney(nextLevelCost, function(err) {
+                                    // Get the money to pay with, from the user or the team treasury
+                                    gameUser.getPaymentSource(fromTreasury, function(err, source) {
                                         // Call back errors
                                         if(err !== null) {
                                             callbackError(err);
                                             return;
                                         }
 
-                                        // Get the current factory level
-                                        factoryModel.getLevel(function(err, level) {
+                                        // Make sure the user may pay from the team treasury
+                                        if(source === null) {
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'Failed to buy upgrade, only treasurers of your team can pay from the team treasury.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
+
+                                        // Make sure there's enough money
+                                        if(source.money < nextLevelCost) {
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'Failed to buy upgrade, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
+
+                                        // Pay for the upgrade and apply it to the factory, all at once or not at all
+                                        BaseModel.transfer([{
+                                            model: source.model,
+                                            fields: {
+                                                [source.field]: -nextLevelCost
+                                            }
+                                        }, {
+                                            model: factoryModel,
+                                            fields: {
+                                                level: 1
+                                            }
+                                        }], function(err, success) {
                                             // Call back errors
                                             if(err !== null) {
                                                 callbackError(err);
                                                 return;
                                             }
 
-                                            // Set the new factory level, increase it by one
-                                            factoryModel.setLevel(level + 1, function(err) {
+                                            // Make sure there still was enough money
+                                            if(!success) {
+                                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                    error: true,
+                                                    message: 'Failed to buy upgrade, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                                    dialog: true
+                                                }, socket);
+                                                return;
+                                            }
+
+                                            // Construct the upgrade, and broadcast the factory data to the user
+                                            liveFactory.startLevelConstruction(user, function(err) {
                                                 // Call back errors
                                                 if(err !== null) {
-                                                    callbackError(err);
-                                                    return;
+                                                    console.error(err.stack || err);
+                                                    console.error('Failed to start the upgrade construction, ignoring');
                                                 }
 
                                                 // Broadcast the factory data to the user
@@ -243,21 +295,27 @@ FactoryLevelBuyHandler.prototype.handler = function(packet, socket) {
                                                         console.error('Failed to broadcast factory data, ignoring');
                                                     }
                                                 });
-
-                                                // Send a notification to the user
-                                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                                    error: false,
-                                                    message: 'Transaction succeed!',
-                                                    dialog: false,
-                                                    toast: true
-                                                }, socket);
                                             });
-                                        }, {
-                                            noCache: true
+
+                                            // Send a notification to the user
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: false,
+                                                message: 'Transaction succeed!',
+                                                dialog: false,
+                                                toast: true
+                                            }, socket);
+
+                                            // Update the treasury for the whole team
+                                            if(fromTreasury)
+                                                Core.gameManager.sendGameDataToAll(game, function(err) {
+                                                    // Handle errors
+                                                    if(err !== null) {
+                                                        console.error(err.stack || err);
+                                                        console.error('Failed to send game data, ignoring');
+                                                    }
+                                                });
                                         });
                                     });
-                                }, {
-                                    noCache: true
                                 });
                             });
                         });
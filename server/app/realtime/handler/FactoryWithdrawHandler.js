@@ -25,6 +25,7 @@ var _ = require('lodash');
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
 var CallbackLatch = require('../../util/CallbackLatch');
+var BaseModel = require('../../database/BaseModel');
 var Formatter = require("../../format/Formatter.js");
 
 /**
@@ -156,6 +157,16 @@ FactoryWithdrawHandler.prototype.handler = function(packet, socket) {
                         return;
                     }
 
+                    // Make sure the game isn't paused
+                    if(liveGame.isPaused()) {
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'The game is paused, you can\'t withdraw goods until the game is resumed.',
+                            dialog: true
+                        }, socket);
+                        return;
+                    }
+
                     // Get the live factory instance
                     liveGame.factoryManager.getFactory(rawFactory, function(err, liveFactory) {
                         // Callback errors
@@ -305,60 +316,41 @@ FactoryWithdrawHandler.prototype.handler = function(packet, socket) {
                                     return;
                                 }
 
-                                // Withdraw the correct type of goods from the factory, and deposit them to the user
-                                if(typeIn) {
-                                    // Withdraw the in from the factory
-                                    latch.add();
-                                    factoryModel.subtractIn(withdrawAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
-
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
-
-                                    // Deposit the in to the user
-                                    latch.add();
-                                    gameUser.addIn(withdrawAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
+                                // Get the field of the type of goods that is transferred
+                                const field = typeIn ? 'in' : 'out';
 
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
-                                } else {
-                                    // Withdraw the out from the factory
-                                    latch.add();
-                                    factoryModel.subtractOut(withdrawAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
-
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
+                                // Transfer the goods from the factory to the user, all at once or not at all
+                                latch.add();
+                                BaseModel.transfer([{
+                                    model: factoryModel,
+                                    fields: {
+                                        [field]: -withdrawAmount
+                                    }
+                                }, {
+                                    model: gameUser,
+                                    fields: {
+                                        [field]: withdrawAmount
+                                    }
+                                }], function(err, success) {
+                                    // Callback errors
+                                    if(err !== null) {
+                                        callbackError(err);
+                                        return;
+                                    }
 
-                                    // Deposit the out to the user
-                                    latch.add();
-                                    gameUser.addOut(withdrawAmount, function(err) {
-                                        // Callback errors
-                                        if(err !== null) {
-                                            callbackError(err);
-                                            return;
-                                        }
+                                    // Make sure the goods were still available
+                                    if(!success) {
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: 'Failed to withdraw, you\'re trying to withdraw more than there\'s available.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
 
-                                        // Resolve the latch
-                                        latch.resolve();
-                                    });
-                                }
+                                    // Resolve the latch
+                                    latch.resolve();
+                                });
 
                                 // Continue when we finished the transaction
                                 latch.then(function() {
@@ -76,7 +76,7 @@ GameChangeStageHandler.prototype.handler = function(packet, socket) {
     const rawStage = packet.stage;
 
     // Validate the game stage
-    if(rawStage < 1 || rawStage > 2) {
+    if(rawStage < 1 || rawStage > 3) {
         // Send a message response to the user
         Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
             error: true,
@@ -182,86 +182,36 @@ GameChangeStageHandler.prototype.handler = function(packet, socket) {
                 return;
             }
 
+            // Only active games may be paused
+            if(stage === 3 && result !== 1) {
+                // Send a message response to the user
+                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                    error: true,
+                    message: 'Failed to pause the game, only active games can be paused.',
+                    dialog: true
+                }, socket);
+                return;
+            }
+
             // Resolve the latch
             latch.resolve();
         });
 
         // Continue when we're done
         latch.then(function() {
-            // Set the game stage
-            game.setStage(stage, function(err) {
+            // Change the game stage, this loads or unloads the game and broadcasts the new stage
+            Core.gameManager.changeGameStage(game, stage, function(err) {
                 // Handle errors
                 if(err !== null) {
+                    // Print the error to the console
+                    console.error(err.stack || err);
+
                     // Send a message response to the user
                     Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                         error: true,
-                        message: 'You don\'t have permission to change the game stage.',
+                        message: 'An error occurred while changing the game stage.',
                         dialog: true
                     }, socket);
-                    return;
-                }
-
-                // Create a function to broadcast the game state to all connected users
-                const broadcastStageFunction = function() {
-                    // Get the name of the game
-                    game.getName(function(err, gameName) {
-                        // Handle errors
-                        if(err !== null)
-                            gameName = 'Unknown';
-
-                        // Loop through all connected clients, to send the game stage update
-                        Object.keys(Core.realTime._io.sockets.sockets).forEach(function(socketId) {
-                            // Get the socket
-                            const entrySocket = Core.realTime._io.sockets.sockets[socketId];
-
-                            // Skip the socket if not authenticated
-                            if(!_.has(entrySocket, 'session.valid') || !_.has(entrySocket, 'session.user') || !entrySocket.session.valid)
-                                return;
-
-                            // Get the user
-                            const user = entrySocket.session.user;
-
-                            // Check whether the user joined this game
-                            game.hasUser(user, function(err, joined) {
-                                // Handle errors
-                                if(err !== null)
-                                    joined = false;
-
-                                // Send a game stage changed packet to the user
-                                Core.realTime.packetProcessor.sendPacket(PacketType.GAME_STAGE_CHANGED, {
-                                    game: game.getIdHex(),
-                                    gameName,
-                                    stage,
-                                    joined
-                                }, entrySocket);
-                            });
-                        });
-                    });
-                };
-
-                // Load/unload the game
-                if(stage === 1)
-                    // Load the game
-                    Core.gameManager.loadGame(game, function(err) {
-                        // Handle errors
-                        if(err !== null) {
-                            // Send a message response to the user
-                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                error: true,
-                                message: 'An error occurred while loading the game, the game couldn\'t be started.',
-                                dialog: true
-                            }, socket);
-                            return;
-                        }
-
-                        // Broadcast the game stage
-                        broadcastStageFunction();
-                    });
-
-                else {
-                    // Unload the game if it's still loaded and broadcast the stage
-                    Core.gameManager.unloadGame(game);
-                    broadcastStageFunction();
                 }
             });
         });
@@ -177,6 +177,13 @@ GameInfoRequestHandler.prototype.handler = function(packet, socket) {
         latch.then(function() {
             // Send the response
             Core.realTime.packetProcessor.sendPacket(PacketType.GAME_INFO, gameInfoObject, socket);
+
+            // Send the game schedule, to show a countdown
+            Core.gameManager.sendGameSchedule(game, socket, function(err) {
+                // Handle errors
+                if(err !== null)
+                    callbackError(err);
+            });
         });
     });
 };
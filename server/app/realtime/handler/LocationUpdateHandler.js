@@ -208,6 +208,37 @@ LocationUpdateHandler.prototype.handler = function(packet, socket) {
                     }
                 });
 
+                // Warn the user when he leaves or re-enters the play area
+                liveUser.updatePlayAreaState(function(err, changed) {
+                    // Handle errors
+                    if(err !== null) {
+                        console.error(err.stack || err);
+                        console.error('Failed to check whether the player is inside the play area, ignoring');
+                        return;
+                    }
+
+                    // Make sure the state changed
+                    if(!changed)
+                        return;
+
+                    // Send a message to the user
+                    if(!liveUser.isInPlayArea())
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'You\'ve left the play area of this game!<br><br>' +
+                            'You can\'t build any ' + liveGame.__('factory.names') + ' or become a ' + liveGame.__('shop.name') + ' until you return.',
+                            dialog: true,
+                            vibrate: true
+                        }, socket);
+                    else
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: false,
+                            message: 'You\'re back inside the play area.',
+                            toast: true,
+                            vibrate: true
+                        }, socket);
+                });
+
                 // Update the location of all other users to determine whether they're in range for the shop
                 liveGame.userManager.users.forEach(function(otherLiveUser) {
                     // Make sure this live user isn't the current user
@@ -22,11 +22,11 @@
 
 var _ = require('lodash');
 
-var gameConfig = require('../../../gameConfig');
-
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
 var CallbackLatch = require('../../util/CallbackLatch');
+var GameEventType = require('../../model/gameevent/GameEventType');
+var Coordinate = require('../../coordinate/Coordinate');
 
 /**
  * Type of packets to handle by this handler.
@@ -103,6 +103,7 @@ PingBuyHandler.prototype.handler = function(packet, socket) {
     const rawGame = packet.game;
     const rawPingId = packet.pingId;
     const rawCost = packet.cost;
+    const fromTreasury = packet.treasury === true;
 
     // Make sure the user is authenticated
     if(!_.has(socket, 'session.valid') || !socket.session.valid) {
@@ -154,12 +155,26 @@ PingBuyHandler.prototype.handler = function(packet, socket) {
 
                 // Get the live game
                 Core.gameManager.getGame(gameModel, function(err, liveGame) {
+                    // Make sure the live game was found
+                    if(err === null && liveGame === null)
+                        err = new Error('The live game instance was null');
+
                     // Call back errors
                     if(err !== null) {
                         callbackError(err);
                         return;
                     }
 
+                    // Make sure the game isn't paused
+                    if(liveGame.isPaused()) {
+                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                            error: true,
+                            message: 'The game is paused, you can\'t buy pings until the game is resumed.',
+                            dialog: true
+                        }, socket);
+                        return;
+                    }
+
                     // Get the standings for the team
                     liveGame.getTeamMoney(teamModel, function(err, teamStandingsFiltered) {
                         // Call back errors
@@ -189,296 +204,562 @@ PingBuyHandler.prototype.handler = function(packet, socket) {
                             return;
                         }
 
-                        // Get the pings for the current user
-                        const pings = gameConfig.ping.getPings(teamMoney);
-
-                        // Loop through the pings until we find one with the same ID
-                        var selectedPing = null;
-                        pings.forEach(function(ping) {
-                            // Skip if we found the ping
-                            if(selectedPing !== null)
+                        // Get the game configuration
+                        liveGame.getConfig(function(err, gameConfig) {
+                            // Call back errors
+                            if(err !== null) {
+                                callbackError(err);
                                 return;
+                            }
 
-                            // Compare the ID
-                            if(ping.id === rawPingId)
-                                selectedPing = ping;
-                        });
+                            // Get the pings for the current user
+                            const pings = gameConfig.ping.getPings(teamMoney);
 
-                        // Make sure a ping is found
-                        if(selectedPing === null) {
-                            callbackError(new Error('No ping was selected'));
-                            return;
-                        }
+                            // Loop through the pings until we find one with the same ID
+                            var selectedPing = null;
+                            pings.forEach(function(ping) {
+                                // Skip if we found the ping
+                                if(selectedPing !== null)
+                                    return;
 
-                        // Compare the current cost of the ping to the cost send along with the packet
-                        if(selectedPing.price !== rawCost) {
-                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                error: true,
-                                message: 'The price of this ping seems to have been changed while executing it, therefore your ping hasn\'t been executed to prevent problems.<br><br>' +
-                                'Please try to execute the ping again with the updated price.',
-                                dialog: true
-                            }, socket);
-                            return;
-                        }
+                                // Compare the ID
+                                if(ping.id === rawPingId)
+                                    selectedPing = ping;
+                            });
 
-                        // Get the live user instance
-                        liveGame.userManager.getUser(user, function(err, liveUser) {
-                            // Call back errors
-                            if(err !== null || liveUser === null) {
-                                callbackError(err);
+                            // Make sure a ping is found
+                            if(selectedPing === null) {
+                                callbackError(new Error('No ping was selected'));
                                 return;
                             }
 
-                            // Make sure the user has a recent location
-                            if(!liveUser.hasRecentLocation()) {
+                            // Compare the current cost of the ping to the cost send along with the packet
+                            if(selectedPing.price !== rawCost) {
                                 Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                                     error: true,
-                                    message: 'Failed to execute ping. We don\'t know what location you\'re currently at, your location might be outdated.<br><br>' +
-                                    'Please ensure that your GPS is working correctly.',
+                                    message: 'The price of this ping seems to have been changed while executing it, therefore your ping hasn\'t been executed to prevent problems.<br><br>' +
+                                    'Please try to execute the ping again with the updated price.',
                                     dialog: true
                                 }, socket);
                                 return;
                             }
 
-                            // Get the user's recent location
-                            const userLocation = liveUser.getLocation();
-
-                            // Make sure the user has enough money
-                            gameUser.getMoney(function(err, money) {
+                            // Get the live user instance
+                            liveGame.userManager.getUser(user, function(err, liveUser) {
                                 // Call back errors
-                                if(err !== null) {
+                                if(err !== null || liveUser === null) {
                                     callbackError(err);
                                     return;
                                 }
 
-                                // Make sure the user has enough money
-                                if(money < selectedPing.price) {
+                                // Make sure the user has a recent location
+                                if(!liveUser.hasRecentLocation()) {
                                     Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                                         error: true,
-                                        message: 'Failed to execute ping, you don\'t have enough money.',
+                                        message: 'Failed to execute ping. We don\'t know what location you\'re currently at, your location might be outdated.<br><br>' +
+                                        'Please ensure that your GPS is working correctly.',
                                         dialog: true
                                     }, socket);
                                     return;
                                 }
 
-                                // Subtract the money
-                                gameUser.subtractMoney(selectedPing.price, function(err) {
+                                // Get the user's recent location
+                                const userLocation = liveUser.getLocation();
+
+                                // Get the money to pay with, from the user or the team treasury
+                                gameUser.getPaymentSource(fromTreasury, function(err, source) {
                                     // Call back errors
-                                    if (err !== null) {
+                                    if(err !== null) {
                                         callbackError(err);
                                         return;
                                     }
 
-                                    // Create a callback latch
-                                    var latch = new CallbackLatch();
+                                    // Make sure the user may pay from the team treasury
+                                    if(source === null) {
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: 'Failed to execute ping, only treasurers of your team can pay from the team treasury.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
 
-                                    // Create an array of applicable factories, and their distance
-                                    var applicableFactories = [];
+                                    // Make sure there's enough money
+                                    if(source.money < selectedPing.price) {
+                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                            error: true,
+                                            message: 'Failed to execute ping, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                            dialog: true
+                                        }, socket);
+                                        return;
+                                    }
 
-                                    // Loop through the list of factories, and determine
-                                    liveGame.factoryManager.factories.forEach(function(factory) {
-                                        // Make sure the factory is valid
-                                        if(factory === null)
+                                    // Subtract the money
+                                    source.model.incrementFields({
+                                        [source.field]: -selectedPing.price
+                                    }, function(err, values) {
+                                        // Call back errors
+                                        if (err !== null) {
+                                            callbackError(err);
                                             return;
+                                        }
 
-                                        // Add the normal latch, and keep track of whether we resolved it
-                                        latch.add();
-                                        var isResolved = false;
+                                        // Make sure there still was enough money
+                                        if(values === null) {
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'Failed to execute ping, ' + (fromTreasury ? 'the team treasury doesn\'t' : 'you don\'t') + ' have enough money.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
 
-                                        // Create a callback latch for the factory
-                                        var factoryLatch = new CallbackLatch();
+                                        // Ping enemy players if this is a player ping
+                                        if(selectedPing.type === 'player') {
+                                            // Create a callback latch for the users, and an array of applicable users and their distance
+                                            var userLatch = new CallbackLatch();
+                                            var applicableUsers = [];
 
-                                        // Create a variable for the factory distance
-                                        var factoryDistance = null;
+                                            // Loop through the list of users, and determine which are enemies in range
+                                            liveGame.userManager.users.forEach(function(otherUser) {
+                                                // Skip the user itself, shops that are visible anyway, and users without a recent location
+                                                if(otherUser.isUser(liveUser.getId()) || liveGame.shopManager.isShopUser(otherUser, true, false) || !otherUser.hasRecentLocation())
+                                                    return;
 
-                                        // Make sure the factory isn't already visible
-                                        factoryLatch.add();
-                                        factory.isVisibleFor(liveUser, function(err, result) {
-                                            // Call back errors
-                                            if(err !== null) {
-                                                callbackError(err);
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
+                                                // Calculate the distance to the user, and make sure the other user is in-range
+                                                const userDistance = userLocation.getDistanceTo(otherUser.getLocation());
+                                                if(selectedPing.range >= 0 && userDistance > selectedPing.range)
+                                                    return;
+
+                                                // Make sure the other user is a player
+                                                userLatch.add();
+                                                otherUser.getUserModel().getGameState(gameModel, function(err, roles) {
+                                                    // Call back errors
+                                                    if(err !== null) {
+                                                        callbackError(err);
+                                                        return;
+                                                    }
+
+                                                    // Skip users that aren't a player
+                                                    if(!roles.player) {
+                                                        userLatch.resolve();
+                                                        return;
+                                                    }
+
+                                                    // Get the team of the other user
+                                                    otherUser.getTeam(function(err, otherTeam) {
+                                                        // Call back errors
+                                                        if(err !== null) {
+                                                            callbackError(err);
+                                                            return;
+                                                        }
+
+                                                        // Add the user if it's an enemy
+                                                        if(otherTeam !== null && !otherTeam.getId().equals(teamModel.getId()))
+                                                            applicableUsers.push({
+                                                                liveUser: otherUser,
+                                                                distance: userDistance
+                                                            });
+
+                                                        // Resolve the latch
+                                                        userLatch.resolve();
+                                                    });
+                                                });
+                                            });
+
+                                            // Ping the users when we're done
+                                            userLatch.then(function() {
+                                                // Determine the user count
+                                                var userCount = applicableUsers.length;
+                                                if(selectedPing.max > 0 && userCount > selectedPing.max)
+                                                    userCount = selectedPing.max;
+
+                                                // Log the ping event
+                                                Core.model.gameEventModelManager.logGameEvent(gameModel, GameEventType.PING_BUY, {
+                                                    user,
+                                                    team: teamModel,
+                                                    location: userLocation,
+                                                    data: {
+                                                        ping: selectedPing.id,
+                                                        pingName: selectedPing.name,
+                                                        pingType: selectedPing.type,
+                                                        money: selectedPing.price,
+                                                        userCount
+                                                    }
+                                                });
+
+                                                // Show a message to the user about the players we found
+                                                if(userCount > 0) {
+                                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                        error: false,
+                                                        message: 'You pinged ' + userCount + ' enemy player' + (userCount !== 1 ? 's' : '') + '!<br><br>' +
+                                                        (userCount !== 1 ? 'The players are now visible on your map.' : 'The player is now visible on your map.') + ' ' +
+                                                        'Take a quick look because ' + (userCount !== 1 ? 'they disappear' : 'it disappears') + ' in ' + (selectedPing.duration / 1000) + ' seconds.',
+                                                        dialog: true,
+                                                        toast: false,
+                                                        vibrate: true
+                                                    }, socket);
+                                                } else {
+                                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                        error: false,
+                                                        message: 'You didn\'t ping any enemy player!',
+                                                        dialog: false,
+                                                        toast: true,
+                                                        vibrate: true
+                                                    }, socket);
                                                 }
-                                                return;
-                                            }
 
-                                            // Don't add the factory if it's already visible
-                                            if(result) {
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
+                                                // Sort the list of users
+                                                applicableUsers.sort(function(a, b) {
+                                                    return a.distance - b.distance;
+                                                });
+
+                                                // Ping each user
+                                                for(var i = 0; i < userCount; i++) {
+                                                    applicableUsers[i].liveUser.pingFor(liveUser, selectedPing.duration, false, function(err) {
+                                                        // Show the error in the console
+                                                        if(err !== null) {
+                                                            console.error('Failed to ping user for user.');
+                                                            console.error(err.stack || err);
+                                                            return;
+                                                        }
+
+                                                        // Show a notification to the user
+                                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                            error: false,
+                                                            message: 'One of your pinged players has decayed...',
+                                                            dialog: false,
+                                                            toast: true
+                                                        }, socket);
+                                                    });
                                                 }
-                                                return;
-                                            }
 
-                                            // Resolve the factory latch
-                                            factoryLatch.resolve();
-                                        });
+                                                // Send updated location data to the user
+                                                Core.gameManager.broadcastLocationData(null, liveUser.getGame().getGameModel(), liveUser.getUserModel(), undefined, function(err) {
+                                                    // Show errors
+                                                    if(err !== null) {
+                                                        console.error('Failed to broadcast location data to user.');
+                                                        console.error(err.stack || err);
+                                                    }
+                                                });
+
+                                                // Send updated game data to all users
+                                                Core.gameManager.sendGameDataToAll(liveUser.getGame().getGameModel(), function(err) {
+                                                    // Show errors
+                                                    if(err !== null) {
+                                                        console.error('Failed to broadcast game data to all users.');
+                                                        console.error(err.stack || err);
+                                                    }
+                                                });
+                                            });
+                                            return;
+                                        }
 
-                                        // Get the factory team
-                                        factoryLatch.add();
-                                        factory.getTeam(function(err, factoryTeam) {
-                                            // Call back errors
-                                            if(err !== null || liveUser === null) {
-                                                callbackError(err);
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
-                                                }
+                                        // Create a callback latch
+                                        var latch = new CallbackLatch();
+
+                                        // Create an array of applicable factories, and their distance
+                                        var applicableFactories = [];
+
+                                        // Loop through the list of factories, and determine
+                                        liveGame.factoryManager.factories.forEach(function(factory) {
+                                            // Make sure the factory is valid
+                                            if(factory === null)
                                                 return;
-                                            }
 
-                                            // Make sure the factory team is known
-                                            if(factoryTeam === null) {
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
+                                            // Add the normal latch, and keep track of whether we resolved it
+                                            latch.add();
+                                            var isResolved = false;
+
+                                            // Create a callback latch for the factory
+                                            var factoryLatch = new CallbackLatch();
+
+                                            // Create a variable for the factory distance
+                                            var factoryDistance = null;
+
+                                            // Make sure the factory isn't already visible
+                                            factoryLatch.add();
+                                            factory.isVisibleFor(liveUser, function(err, result) {
+                                                // Call back errors
+                                                if(err !== null) {
+                                                    callbackError(err);
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
                                                 }
-                                                return;
-                                            }
 
-                                            // Make sure the factory isn't ally
-                                            if(factoryTeam.getId().equals(teamModel.getId())) {
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
+                                                // Don't add the factory if it's already visible
+                                                if(result) {
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
                                                 }
-                                                return;
-                                            }
 
-                                            // Resolve the factory latch
-                                            factoryLatch.resolve();
-                                        });
+                                                // Resolve the factory latch
+                                                factoryLatch.resolve();
+                                            });
 
-                                        // Get the factory location
-                                        factoryLatch.add();
-                                        factory.getFactoryModel().getLocation(function(err, factoryLocation) {
-                                            // Call back errors
-                                            if(err !== null || liveUser === null) {
-                                                callbackError(err);
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
+                                            // Make sure the factory isn't hidden by a jammer
+                                            factoryLatch.add();
+                                            factory.getJammerTime(function(err, jammerTime) {
+                                                // Call back errors
+                                                if(err !== null) {
+                                                    callbackError(err);
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
                                                 }
-                                                return;
-                                            }
 
-                                            // Make sure the factory location is known
-                                            if(factoryLocation === null) {
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
+                                                // Don't add the factory if it's jammed
+                                                if(jammerTime > 0) {
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
                                                 }
-                                                return;
-                                            }
 
-                                            // Calculate the distance to the user
-                                            factoryDistance = userLocation.getDistanceTo(factoryLocation);
+                                                // Resolve the factory latch
+                                                factoryLatch.resolve();
+                                            });
 
-                                            // Make sure the factory is in-range
-                                            if(selectedPing.range >= 0 && factoryDistance > selectedPing.range) {
-                                                if(!isResolved) {
-                                                    isResolved = true;
-                                                    latch.resolve();
+                                            // Get the factory team
+                                            factoryLatch.add();
+                                            factory.getTeam(function(err, factoryTeam) {
+                                                // Call back errors
+                                                if(err !== null || liveUser === null) {
+                                                    callbackError(err);
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
                                                 }
-                                                return;
-                                            }
 
-                                            // Resolve the latch
-                                            factoryLatch.resolve();
-                                        });
+                                                // Make sure the factory team is known
+                                                if(factoryTeam === null) {
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
+                                                }
+
+                                                // Make sure the factory isn't ally
+                                                if(factoryTeam.getId().equals(teamModel.getId())) {
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
+                                                }
 
-                                        // Add the factory to a list when we're done
-                                        factoryLatch.then(function() {
-                                            // Create an object to add in the list of factories
-                                            applicableFactories.push({
-                                                liveFactory: factory,
-                                                distance: factoryDistance
+                                                // Resolve the factory latch
+                                                factoryLatch.resolve();
                                             });
 
-                                            // Resolve the latch
-                                            if(!isResolved)
-                                                latch.resolve();
-                                        });
-                                    });
+                                            // Get the factory location
+                                            factoryLatch.add();
+                                            factory.getFactoryModel().getLocation(function(err, factoryLocation) {
+                                                // Call back errors
+                                                if(err !== null || liveUser === null) {
+                                                    callbackError(err);
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
+                                                }
 
-                                    // We're done fetching factories
-                                    latch.then(function() {
-                                        // Determine the factory count
-                                        var factoryCount = applicableFactories.length;
-                                        if(selectedPing.max > 0 && factoryCount > selectedPing.max)
-                                            factoryCount = selectedPing.max;
+                                                // Make sure the factory location is known
+                                                if(factoryLocation === null) {
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
+                                                }
 
-                                        // Show a message to the user about the factories we found
-                                        // TODO: Fetch the factory names from the games configuration!
-                                        if(factoryCount  > 0) {
-                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                                error: false,
-                                                message: 'You pinged one ' + factoryCount + ' enemy ' + liveGame.__('factory.name') + (factoryCount !== 1 ? 's' : '') + '!<br><br>' +
-                                                (factoryCount !== 1 ? 'The ' + liveGame.__('factory.names') + ' are now visible on your map.' : 'The ' + liveGame.__('factory.name') + ' is now visible on your map.') + ' ' +
-                                                'Take a quick look because ' + (factoryCount !== 1 ? 'they disappear' : 'it disappears') + ' in ' + (selectedPing.duration / 1000) + ' seconds.',
-                                                dialog: true,
-                                                toast: false,
-                                                vibrate: true
-                                            }, socket);
-                                        } else {
-                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                                error: false,
-                                                message: 'You didn\'t ping any enemy ' + liveGame.__('factory.name') + '!',
-                                                dialog: false,
-                                                toast: true,
-                                                vibrate: true
-                                            }, socket);
-                                        }
+                                                // Calculate the distance to the user
+                                                factoryDistance = userLocation.getDistanceTo(factoryLocation);
 
-                                        // Sort the list of factories
-                                        applicableFactories.sort(function(a, b) {
-                                            return a.distance - b.distance;
+                                                // Make sure the factory is in-range
+                                                if(selectedPing.range >= 0 && factoryDistance > selectedPing.range) {
+                                                    if(!isResolved) {
+                                                        isResolved = true;
+                                                        latch.resolve();
+                                                    }
+                                                    return;
+                                                }
+
+                                                // Resolve the latch
+                                                factoryLatch.resolve();
+                                            });
+
+                                            // Add the factory to a list when we're done
+                                            factoryLatch.then(function() {
+                                                // Create an object to add in the list of factories
+                                                applicableFactories.push({
+                                                    liveFactory: factory,
+                                                    distance: factoryDistance
+                                                });
+
+                                                // Resolve the latch
+                                                if(!isResolved)
+                                                    latch.resolve();
+                                            });
                                         });
 
-                                        // Ping each factory
-                                        for(var i = 0; i < factoryCount; i++) {
-                                            // Get the factory
-                                            const currentFactory = applicableFactories[i].liveFactory;
-
-                                            // Ping the factory for the user
-                                            currentFactory.pingFor(liveUser, selectedPing.duration, false, function (err) {
-                                                // Show the error in the console
-                                                if (err !== null) {
-                                                    console.err('Failed to ping factory for user.');
-                                                    console.err(err);
+                                        // We're done fetching factories
+                                        latch.then(function() {
+                                            // Sort the list of factories
+                                            applicableFactories.sort(function(a, b) {
+                                                return a.distance - b.distance;
+                                            });
+
+                                            // Only show the bearing and distance band of the nearest factory for bearing pings
+                                            if(selectedPing.type === 'bearing') {
+                                                // Log the ping event
+                                                Core.model.gameEventModelManager.logGameEvent(gameModel, GameEventType.PING_BUY, {
+                                                    user,
+                                                    team: teamModel,
+                                                    location: userLocation,
+                                                    data: {
+                                                        ping: selectedPing.id,
+                                                        pingName: selectedPing.name,
+                                                        pingType: selectedPing.type,
+                                                        money: selectedPing.price,
+                                                        factoryCount: Math.min(applicableFactories.length, 1)
+                                                    }
+                                                });
+
+                                                // Tell the user if no factory was found
+                                                if(applicableFactories.length === 0) {
+                                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                        error: false,
+                                                        message: 'You didn\'t find any enemy ' + liveGame.__('factory.name') + '!',
+                                                        dialog: false,
+                                                        toast: true,
+                                                        vibrate: true
+                                                    }, socket);
                                                     return;
                                                 }
 
-                                                // Show a notification to the user
-                                                // TODO: Get the factory name from the game's configuration
+                                                // Get the location of the nearest factory
+                                                applicableFactories[0].liveFactory.getFactoryModel().getLocation(function(err, factoryLocation) {
+                                                    // Call back errors
+                                                    if(err !== null) {
+                                                        callbackError(err);
+                                                        return;
+                                                    }
+
+                                                    // Determine the bearing and distance band
+                                                    const bearing = Math.round(userLocation.getBearingTo(factoryLocation));
+                                                    const band = gameConfig.ping.getDistanceBand(applicableFactories[0].distance);
+
+                                                    // Show the result to the user
+                                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                        error: false,
+                                                        message: 'The nearest enemy ' + liveGame.__('factory.name') + ' is to the <b>' + Coordinate.getCompassDirection(bearing) + '</b> ' +
+                                                        '(' + bearing + '&deg;) of you, ' +
+                                                        (band.max !== null ? 'between <b>' + band.min + ' and ' + band.max + ' meters</b> away.' : 'more than <b>' + band.min + ' meters</b> away.'),
+                                                        dialog: true,
+                                                        toast: false,
+                                                        vibrate: true
+                                                    }, socket);
+                                                });
+                                                return;
+                                            }
+
+                                            // Determine the factory count
+                                            var factoryCount = applicableFactories.length;
+                                            if(selectedPing.max > 0 && factoryCount > selectedPing.max)
+                                                factoryCount = selectedPing.max;
+
+                                            // Log the ping event
+                                            Core.model.gameEventModelManager.logGameEvent(gameModel, GameEventType.PING_BUY, {
+                                                user,
+                                                team: teamModel,
+                                                location: userLocation,
+                                                data: {
+                                                    ping: selectedPing.id,
+                                                    pingName: selectedPing.name,
+                                                    pingType: selectedPing.type,
+                                                    money: selectedPing.price,
+                                                    factoryCount
+                                                }
+                                            });
+
+                                            // Show a message to the user about the factories we found
+                                            // TODO: Fetch the factory names from the games configuration!
+                                            if(factoryCount  > 0) {
+                                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                    error: false,
+                                                    message: 'You pinged one ' + factoryCount + ' enemy ' + liveGame.__('factory.name') + (factoryCount !== 1 ? 's' : '') + '!<br><br>' +
+                                                    (factoryCount !== 1 ? 'The ' + liveGame.__('factory.names') + ' are now visible on your map.' : 'The ' + liveGame.__('factory.name') + ' is now visible on your map.') + ' ' +
+                                                    'Take a quick look because ' + (factoryCount !== 1 ? 'they disappear' : 'it disappears') + ' in ' + (selectedPing.duration / 1000) + ' seconds.',
+                                                    dialog: true,
+                                                    toast: false,
+                                                    vibrate: true
+                                                }, socket);
+                                            } else {
                                                 Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
                                                     error: false,
-                                                    message: 'One of your pinged ' + liveGame.__('factory.names') + ' has decayed...',
+                                                    message: 'You didn\'t ping any enemy ' + liveGame.__('factory.name') + '!',
                                                     dialog: false,
-                                                    toast: true
+                                                    toast: true,
+                                                    vibrate: true
                                                 }, socket);
-                                            });
-                                        }
-
-                                        // Send updated location data to the user
-                                        Core.gameManager.broadcastLocationData(null, liveUser.getGame().getGameModel(), liveUser.getUserModel(), undefined, function(err) {
-                                            // Show errors
-                                            if(err !== null) {
-                                                console.error('Failed to broadcast location data to user.');
-                                                console.error(err.stack || err);
                                             }
-                                        });
 
-                                        // Send updated game data to all users
-                                        Core.gameManager.sendGameDataToAll(liveUser.getGame().getGameModel(), function(err) {
-                                            // Show errors
-                                            if(err !== null) {
-                                                console.error('Failed to broadcast game data to all users.');
-                                                console.error(err.stack || err);
+                                            // Ping each factory
+                                            for(var i = 0; i < factoryCount; i++) {
+                                                // Get the factory
+                                                const currentFactory = applicableFactories[i].liveFactory;
+
+                                                // Ping the factory for the user
+                                                currentFactory.pingFor(liveUser, selectedPing.duration, false, function (err) {
+                                                    // Show the error in the console
+                                                    if (err !== null) {
+                                                        console.err('Failed to ping factory for user.');
+                                                        console.err(err);
+                                                        return;
+                                                    }
+
+                                                    // Show a notification to the user
+                                                    // TODO: Get the factory name from the game's configuration
+                                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                        error: false,
+                                                        message: 'One of your pinged ' + liveGame.__('factory.names') + ' has decayed...',
+                                                        dialog: false,
+                                                        toast: true
+                                                    }, socket);
+                                                });
                                             }
+
+                                            // Send updated location data to the user
+                                            Core.gameManager.broadcastLocationData(null, liveUser.getGame().getGameModel(), liveUser.getUserModel(), undefined, function(err) {
+                                                // Show errors
+                                                if(err !== null) {
+                                                    console.error('Failed to broadcast location data to user.');
+                                                    console.error(err.stack || err);
+                                                }
+                                            });
+
+                                            // Send updated game data to all users
+                                            Core.gameManager.sendGameDataToAll(liveUser.getGame().getGameModel(), function(err) {
+                                                // Show errors
+                                                if(err !== null) {
+                                                    console.error('Failed to broadcast game data to all users.');
+                                                    console.error(err.stack || err);
+                                                }
+                                            });
                                         });
                                     });
                                 });
@@ -139,6 +139,16 @@ PlayerStrengthBuyHandler.prototype.handler = function(packet, socket) {
                     return;
                 }
 
+                // Make sure the game isn't paused
+                if(liveGame.isPaused()) {
+                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                        error: true,
+                        message: 'The game is paused, you can\'t buy strength until the game is resumed.',
+                        dialog: true
+                    }, socket);
+                    return;
+                }
+
                 // Get the current strength of the player
                 gameUser.getStrength(function(err, userStrength) {
                     // Call back errors
@@ -198,72 +208,65 @@ PlayerStrengthBuyHandler.prototype.handler = function(packet, socket) {
                                 return;
                             }
 
-                            // Subtract the money
-                            gameUser.subtractMoney(selectedStrength.cost, function(err) {
+                            // Pay for the strength and add it in a single atomic operation
+                            gameUser.incrementFields({
+                                money: -selectedStrength.cost,
+                                strength: selectedStrength.strength
+                            }, function(err, values) {
                                 // Call back errors
                                 if(err !== null) {
                                     callbackError(err);
                                     return;
                                 }
 
-                                // Get the current strength
-                                gameUser.getStrength(function(err, strength) {
+                                // Make sure the user still had enough money
+                                if(values === null) {
+                                    Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                        error: true,
+                                        message: 'Failed to buy strength, you don\'t have enough money.',
+                                        dialog: true
+                                    }, socket);
+                                    return;
+                                }
+
+                                // Update the game state for this user
+                                Core.gameManager.sendGameData(game, user, undefined, function(err) {
+                                    if(err !== null)
+                                        console.error('Failed to send game data to user, ignoring');
+                                });
+
+                                // Send a notification to the user
+                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                    error: false,
+                                    message: 'Transaction succeed!',
+                                    dialog: false,
+                                    toast: true
+                                }, socket);
+
+                                // Get the live user
+                                liveGame.getUser(user, function(err, liveUser) {
                                     // Call back errors
                                     if(err !== null) {
-                                        callbackError(err);
+                                        console.error(err.stack || err);
+                                        console.error('Failed to get user, unable to broadcast factory data, ignoring');
                                         return;
                                     }
 
-                                    // Set the new strength
-                                    gameUser.setStrength(strength + selectedStrength.strength, function(err) {
-                                        // Call back errors
-                                        if(err !== null) {
-                                            callbackError(err);
+                                    // Loop through all factories in this game
+                                    liveGame.factoryManager.factories.forEach(function(liveFactory) {
+                                        // Check whether this user is in range of the given factory
+                                        if(!liveFactory.isInRangeMemory(liveUser))
                                             return;
-                                        }
 
-                                        // Update the game state for this user
-                                        Core.gameManager.sendGameData(game, user, undefined, function(err) {
-                                            if(err !== null)
-                                                console.error('Failed to send game data to user, ignoring');
-                                        });
-
-                                        // Send a notification to the user
-                                        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                            error: false,
-                                            message: 'Transaction succeed!',
-                                            dialog: false,
-                                            toast: true
-                                        }, socket);
-
-                                        // Get the live user
-                                        liveGame.getUser(user, function(err, liveUser) {
-                                            // Call back errors
+                                        // Broadcast the updated state for this factory to everyone, as the conquer value has changed
+                                        liveFactory.broadcastData(function(err) {
+                                            // Handle errors
                                             if(err !== null) {
+                                                console.error('Failed to broadcast factory data to user, ignoring');
                                                 console.error(err.stack || err);
-                                                console.error('Failed to get user, unable to broadcast factory data, ignoring');
-                                                return;
                                             }
-
-                                            // Loop through all factories in this game
-                                            liveGame.factoryManager.factories.forEach(function(liveFactory) {
-                                                // Check whether this user is in range of the given factory
-                                                if(!liveFactory.isInRangeMemory(liveUser))
-                                                    return;
-
-                                                // Broadcast the updated state for this factory to everyone, as the conquer value has changed
-                                                liveFactory.broadcastData(function(err) {
-                                                    // Handle errors
-                                                    if(err !== null) {
-                                                        console.error('Failed to broadcast factory data to user, ignoring');
-                                                        console.error(err.stack || err);
-                                                    }
-                                                });
-                                            });
                                         });
                                     });
-                                }, {
-                                    noCache: true
                                 });
                             });
                         }, {
@@ -0,0 +1,298 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var PacketType = require('../PacketType');
+var TransferManager = require('../../live/user/TransferManager');
+
+/**
+ * Type of packets to handle by this handler.
+ * @type {number} Packet type.
+ */
+const HANDLER_PACKET_TYPE = PacketType.PLAYER_TRANSFER_REQUEST;
+
+/**
+ * Names of the game user getter functions, for each transfer type.
+ * @type {Object}
+ */
+const TYPE_GETTERS = {
+    money: 'getMoney',
+    in: 'getIn',
+    out: 'getOut'
+};
+
+/**
+ * Player transfer request handler.
+ *
+ * @param {boolean=false} init True to initialize after constructing.
+ *
+ * @class
+ * @constructor
+ */
+var PlayerTransferRequestHandler = function(init) {
+    // Initialize
+    if(init)
+        this.init();
+};
+
+/**
+ * Initialize the handler.
+ */
+PlayerTransferRequestHandler.prototype.init = function() {
+    // Make sure the real time instance is initialized
+    if(Core.realTime === null)
+        throw new Error('Real time server not initialized yet');
+
+    // Register the handler
+    Core.realTime.getPacketProcessor().registerHandler(HANDLER_PACKET_TYPE, this.handler);
+};
+
+/**
+ * Handle the packet.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket.
+ */
+PlayerTransferRequestHandler.prototype.handler = function(packet, socket) {
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create a function to call back an error
+    const callbackError = function(err) {
+        // Print the error
+        console.error('An error occurred while requesting a transfer to a teammate');
+        if(err !== null && err !== undefined)
+            console.error(err.stack || err);
+
+        // Only call back once
+        if(calledBack)
+            return;
+
+        // Send a message to the user
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message: 'Transfer failed, a server error occurred.',
+            dialog: true
+        }, socket);
+
+        // Set the called back flag
+        calledBack = true;
+    };
+
+    // Create a function to send a message to the user
+    const sendMessage = function(message) {
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message,
+            dialog: true
+        }, socket);
+    };
+
+    // Make sure the correct data is given
+    if(!packet.hasOwnProperty('game') || !packet.hasOwnProperty('user') || !packet.hasOwnProperty('type') || !packet.hasOwnProperty('amount')) {
+        console.log('Received malformed packet');
+        callbackError(new Error('Malformed packet'));
+        return;
+    }
+
+    // Get the raw parameters
+    const rawGame = packet.game;
+    const rawUser = packet.user;
+    const type = packet.type;
+    const amount = parseInt(packet.amount);
+
+    // Make sure the user is authenticated
+    if(!_.has(socket, 'session.valid') || !socket.session.valid) {
+        sendMessage('Failed to transfer, you\'re not authenticated.');
+        return;
+    }
+
+    // Get the user
+    const user = socket.session.user;
+
+    // Make sure the type and amount are valid
+    if(TransferManager.TYPES.indexOf(type) < 0 || isNaN(amount) || amount <= 0) {
+        sendMessage('Failed to transfer, enter an amount above zero.');
+        return;
+    }
+
+    // Make sure the user isn't transferring to himself
+    if(user.getIdHex() === String(rawUser).toLowerCase()) {
+        sendMessage('You can\'t transfer anything to yourself.');
+        return;
+    }
+
+    // Get the live game
+    Core.gameManager.getGame(rawGame, function(err, liveGame) {
+        // Call back errors
+        if(err !== null) {
+            callbackError(err);
+            return;
+        }
+
+        // Make sure the game is active
+        if(liveGame === null) {
+            sendMessage('Failed to transfer, this game isn\'t active.');
+            return;
+        }
+
+        // Make sure the game isn't paused
+        if(liveGame.isPaused()) {
+            sendMessage('The game is paused, you can\'t transfer anything until the game is resumed.');
+            return;
+        }
+
+        // Get the game configuration
+        liveGame.getConfig(function(err, gameConfig) {
+            // Call back errors
+            if(err !== null) {
+                callbackError(err);
+                return;
+            }
+
+            // Get the live users of both players
+            liveGame.getUser(user, function(err, senderLiveUser) {
+                // Call back errors
+                if(err !== null || senderLiveUser === null) {
+                    callbackError(err);
+                    return;
+                }
+
+                liveGame.getUser(rawUser, function(err, receiverLiveUser) {
+                    // Call back errors
+                    if(err !== null) {
+                        callbackError(err);
+                        return;
+                    }
+
+                    // Make sure the receiving player is found
+                    if(receiverLiveUser === null) {
+                        sendMessage('Failed to transfer, this player couldn\'t be found.');
+                        return;
+                    }
+
+                    // Get the game users of both players
+                    senderLiveUser.getGameUser(function(err, senderGameUser) {
+                        // Call back errors
+                        if(err !== null || senderGameUser === null) {
+                            callbackError(err);
+                            return;
+                        }
+
+                        receiverLiveUser.getGameUser(function(err, receiverGameUser) {
+                            // Call back errors
+                            if(err !== null) {
+                                callbackError(err);
+                                return;
+                            }
+
+                            // Make sure the receiving player is part of this game
+                            if(receiverGameUser === null) {
+                                sendMessage('Failed to transfer, this player isn\'t part of the game.');
+                                return;
+                            }
+
+                            // Make sure both players are in the same team
+                            senderGameUser.isAllyWith(receiverGameUser, function(err, isAlly) {
+                                // Call back errors
+                                if(err !== null) {
+                                    callbackError(err);
+                                    return;
+                                }
+
+                                // Only teammates can transfer to each other
+                                if(!isAlly) {
+                                    sendMessage('You can only transfer to players in your own team.');
+                                    return;
+                                }
+
+                                // Make sure both players are close to each other
+                                if(!senderLiveUser.hasRecentLocation() || !receiverLiveUser.hasRecentLocation() ||
+                                        !senderLiveUser.getLocation().isInRange(receiverLiveUser.getLocation(), gameConfig.player.transferRange)) {
+                                    sendMessage('You need to be within ' + gameConfig.player.transferRange + ' meters of your teammate to transfer anything.');
+                                    return;
+                                }
+
+                                // Get the current balance of the sending player
+                                senderGameUser[TYPE_GETTERS[type]](function(err, current) {
+                                    // Call back errors
+                                    if(err !== null) {
+                                        callbackError(err);
+                                        return;
+                                    }
+
+                                    // Make sure the player has enough
+                                    if(current < amount) {
+                                        sendMessage('Failed to transfer, you don\'t have ' + liveGame.transferManager.formatAmount(type, amount) + '.');
+                                        return;
+                                    }
+
+                                    // Get the name of the sending player
+                                    senderLiveUser.getName(function(err, senderName) {
+                                        // Call back errors
+                                        if(err !== null) {
+                                            callbackError(err);
+                                            return;
+                                        }
+
+                                        // Create the pending transfer
+                                        liveGame.transferManager.createTransfer(senderLiveUser, receiverLiveUser, type, amount, function(err, transfer) {
+                                            // Call back errors
+                                            if(err !== null) {
+                                                callbackError(err);
+                                                return;
+                                            }
+
+                                            // Offer the transfer to the receiving player
+                                            Core.realTime.packetProcessor.sendPacketUser(PacketType.PLAYER_TRANSFER_OFFER, {
+                                                game: liveGame.getIdHex(),
+                                                token: transfer.token,
+                                                userName: senderName,
+                                                type,
+                                                amount
+                                            }, receiverLiveUser.getUserModel());
+
+                                            // Let the sending player know
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: false,
+                                                message: 'Waiting for your teammate to accept ' + liveGame.transferManager.formatAmount(type, amount) + '...',
+                                                dialog: false,
+                                                toast: true
+                                            }, socket);
+                                        });
+                                    });
+                                }, {
+                                    noCache: true
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+// Export the module
+module.exports = PlayerTransferRequestHandler;
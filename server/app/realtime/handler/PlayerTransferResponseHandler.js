@@ -0,0 +1,360 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+var mongo = require('mongodb');
+var ObjectId = mongo.ObjectId;
+
+var Core = require('../../../Core');
+var PacketType = require('../PacketType');
+var BaseModel = require('../../database/BaseModel');
+var GameEventType = require('../../model/gameevent/GameEventType');
+
+/**
+ * Type of packets to handle by this handler.
+ * @type {number} Packet type.
+ */
+const HANDLER_PACKET_TYPE = PacketType.PLAYER_TRANSFER_RESPONSE;
+
+/**
+ * Names of the live user getter functions, for each transfer type.
+ * @type {Object}
+ */
+const TYPE_GETTERS = {
+    money: 'getMoney',
+    in: 'getIn',
+    out: 'getOut'
+};
+
+/**
+ * Option names for the previous balance in the balance table, for each transfer type.
+ * @type {Object}
+ */
+const TYPE_BALANCE_OPTIONS = {
+    money: 'previousMoney',
+    in: 'previousIn',
+    out: 'previousOut'
+};
+
+/**
+ * Player transfer response handler.
+ *
+ * @param {boolean=false} init True to initialize after constructing.
+ *
+ * @class
+ * @constructor
+ */
+var PlayerTransferResponseHandler = function(init) {
+    // Initialize
+    if(init)
+        this.init();
+};
+
+/**
+ * Initialize the handler.
+ */
+PlayerTransferResponseHandler.prototype.init = function() {
+    // Make sure the real time instance is initialized
+    if(Core.realTime === null)
+        throw new Error('Real time server not initialized yet');
+
+    // Register the handler
+    Core.realTime.getPacketProcessor().registerHandler(HANDLER_PACKET_TYPE, this.handler);
+};
+
+/**
+ * Handle the packet.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket.
+ */
+PlayerTransferResponseHandler.prototype.handler = function(packet, socket) {
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create a function to call back an error
+    const callbackError = function(err) {
+        // Print the error
+        console.error('An error occurred while transferring to a teammate');
+        if(err !== null && err !== undefined)
+            console.error(err.stack || err);
+
+        // Only call back once
+        if(calledBack)
+            return;
+
+        // Send a message to the user
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message: 'Transfer failed, a server error occurred.',
+            dialog: true
+        }, socket);
+
+        // Set the called back flag
+        calledBack = true;
+    };
+
+    // Make sure the correct data is given
+    if(!packet.hasOwnProperty('game') || !packet.hasOwnProperty('token') || !packet.hasOwnProperty('accept')) {
+        console.log('Received malformed packet');
+        callbackError(new Error('Malformed packet'));
+        return;
+    }
+
+    // Get the raw parameters
+    const rawGame = packet.game;
+    const rawToken = packet.token;
+    const accept = packet.accept === true;
+
+    // Make sure the user is authenticated
+    if(!_.has(socket, 'session.valid') || !socket.session.valid) {
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message: 'Failed to accept the transfer, you\'re not authenticated.',
+            dialog: true
+        }, socket);
+        return;
+    }
+
+    // Get the user
+    const user = socket.session.user;
+
+    // Find the pending transfer in the live game, packets are forwarded to the worker that owns the game
+    const liveGame = _.isString(rawGame) && ObjectId.isValid(rawGame) ? Core.gameManager.getLoadedGame(rawGame) : null;
+    const transfer = liveGame !== null ? liveGame.transferManager.getTransfer(rawToken) : null;
+
+    // Make sure the transfer is still pending, and that it's meant for this user
+    if(transfer === null || !transfer.receiver.getId().equals(user.getId())) {
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message: 'This transfer isn\'t available anymore, it might have expired.',
+            dialog: true
+        }, socket);
+        return;
+    }
+
+    // Remove the transfer, so it can only be handled once
+    liveGame.transferManager.removeTransfer(transfer);
+
+    // Get the sending and receiving players, and the readable amount
+    const sender = transfer.sender;
+    const receiver = transfer.receiver;
+    const amountText = liveGame.transferManager.formatAmount(transfer.type, transfer.amount);
+
+    // Let the sender know if the transfer is declined
+    if(!accept) {
+        Core.realTime.packetProcessor.sendPacketUser(PacketType.MESSAGE_RESPONSE, {
+            error: false,
+            message: 'Your teammate declined to accept ' + amountText + '.',
+            dialog: false,
+            toast: true
+        }, sender.getUserModel());
+        return;
+    }
+
+    // Create a function to send a failure message to both players
+    const sendFailure = function(message) {
+        [sender, receiver].forEach(function(liveUser) {
+            Core.realTime.packetProcessor.sendPacketUser(PacketType.MESSAGE_RESPONSE, {
+                error: true,
+                message,
+                dialog: true
+            }, liveUser.getUserModel());
+        });
+    };
+
+    // Make sure the game isn't paused
+    if(liveGame.isPaused()) {
+        sendFailure('The game is paused, the transfer of ' + amountText + ' is cancelled.');
+        return;
+    }
+
+    // Get the game configuration
+    liveGame.getConfig(function(err, gameConfig) {
+        // Call back errors
+        if(err !== null) {
+            callbackError(err);
+            return;
+        }
+
+        // Make sure both players are still close to each other
+        if(!sender.hasRecentLocation() || !receiver.hasRecentLocation() ||
+                !sender.getLocation().isInRange(receiver.getLocation(), gameConfig.player.transferRange)) {
+            sendFailure('The transfer of ' + amountText + ' failed, you need to be within ' + gameConfig.player.transferRange + ' meters of each other.');
+            return;
+        }
+
+        // Get the game users of both players
+        sender.getGameUser(function(err, senderGameUser) {
+            // Make sure the game user was found
+            if(err === null && senderGameUser === null)
+                err = new Error('Failed to get the game user of the sender');
+
+            // Call back errors
+            if(err !== null) {
+                callbackError(err);
+                return;
+            }
+
+            receiver.getGameUser(function(err, receiverGameUser) {
+                // Make sure the game user was found
+                if(err === null && receiverGameUser === null)
+                    err = new Error('Failed to get the game user of the receiver');
+
+                // Call back errors
+                if(err !== null) {
+                    callbackError(err);
+                    return;
+                }
+
+                // Make sure both players are still in the same team
+                senderGameUser.isAllyWith(receiverGameUser, function(err, isAlly) {
+                    // Call back errors
+                    if(err !== null) {
+                        callbackError(err);
+                        return;
+                    }
+
+                    // Only teammates can transfer to each other
+                    if(!isAlly) {
+                        sendFailure('The transfer of ' + amountText + ' failed, you aren\'t in the same team anymore.');
+                        return;
+                    }
+
+                    // Move the amount from the sender to the receiver, as all or nothing
+                    BaseModel.transfer([
+                        {
+                            model: senderGameUser,
+                            fields: {
+                                [transfer.type]: -transfer.amount
+                            }
+                        },
+                        {
+                            model: receiverGameUser,
+                            fields: {
+                                [transfer.type]: transfer.amount
+                            }
+                        }
+                    ], function(err, success) {
+                        // Call back errors
+                        if(err !== null) {
+                            callbackError(err);
+                            return;
+                        }
+
+                        // Make sure the sender still had enough
+                        if(!success) {
+                            sendFailure('The transfer of ' + amountText + ' failed, the sender doesn\'t have this much anymore.');
+                            return;
+                        }
+
+                        // Get the name of the receiver, and log the transfer event
+                        receiver.getName(function(err, receiverName) {
+                            // Handle errors
+                            if(err !== null) {
+                                console.error(err.stack || err);
+                                console.error('Failed to log transfer event, ignoring');
+                                return;
+                            }
+
+                            Core.model.gameEventModelManager.logGameEvent(liveGame.getGameModel(), GameEventType.PLAYER_TRANSFER, {
+                                user: sender.getUserModel(),
+                                location: sender.getLocation(),
+                                data: {
+                                    receiver: receiver.getIdHex(),
+                                    receiverName,
+                                    type: transfer.type,
+                                    amount: transfer.amount
+                                }
+                            });
+                        });
+
+                        // Send both players their balance table, with their previous balance
+                        [
+                            {
+                                liveUser: sender,
+                                delta: -transfer.amount,
+                                message: 'Gave ' + amountText + ' to your teammate.'
+                            },
+                            {
+                                liveUser: receiver,
+                                delta: transfer.amount,
+                                message: 'Received ' + amountText + ' from your teammate.'
+                            }
+                        ].forEach(function(entry) {
+                            // Get the current balance of the player, to determine the previous balance
+                            entry.liveUser[TYPE_GETTERS[transfer.type]](function(err, current) {
+                                // Handle errors
+                                if(err !== null) {
+                                    console.error(err.stack || err);
+                                    console.error('Failed to send transfer success message, ignoring');
+                                    return;
+                                }
+
+                                // Get the user's balance table
+                                entry.liveUser.getBalanceTable({
+                                    [TYPE_BALANCE_OPTIONS[transfer.type]]: current - entry.delta
+                                }, function(err, balanceTable) {
+                                    // Make sure the balance table was created
+                                    if(err === null && (balanceTable === null || balanceTable === undefined))
+                                        err = new Error('Failed to create the balance table');
+
+                                    // Handle errors
+                                    if(err !== null) {
+                                        console.error(err.stack || err);
+                                        console.error('Failed to send transfer success message, ignoring');
+                                        return;
+                                    }
+
+                                    // Send a notification to the user
+                                    Core.realTime.packetProcessor.sendPacketUser(PacketType.MESSAGE_RESPONSE, {
+                                        error: false,
+                                        message: entry.message + '<br><br>' + balanceTable,
+                                        dialog: false,
+                                        toast: true,
+                                        ttl: 10 * 1000
+                                    }, entry.liveUser.getUserModel());
+                                });
+                            }, {
+                                noCache: true
+                            });
+                        });
+
+                        // Send the updated game data to both players
+                        [sender, receiver].forEach(function(liveUser) {
+                            Core.gameManager.sendGameData(liveGame.getGameModel(), liveUser.getUserModel(), undefined, function(err) {
+                                // Handle errors
+                                if(err !== null) {
+                                    console.error(err.stack || err);
+                                    console.error('Failed to send game data, ignoring');
+                                }
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+// Export the module
+module.exports = PlayerTransferResponseHandler;
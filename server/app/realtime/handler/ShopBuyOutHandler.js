@@ -21,10 +21,13 @@
  ******************************************************************************/
 
 var _ = require('lodash');
+var mongo = require('mongodb');
+var ObjectId = mongo.ObjectId;
 
 var Core = require('../../../Core');
 var PacketType = require('../PacketType');
 var Formatter = require("../../format/Formatter.js");
+var GameEventType = require('../../model/gameevent/GameEventType');
 
 /**
  * Type of packets to handle by this handler.
@@ -91,13 +94,14 @@ ShopBuyOutHandler.prototype.handler = function(packet, socket) {
     };
 
     // Make sure a session is given
-    if(!packet.hasOwnProperty('shop') || (!packet.hasOwnProperty('amount') && !packet.hasOwnProperty('all'))) {
+    if(!packet.hasOwnProperty('game') || !packet.hasOwnProperty('shop') || (!packet.hasOwnProperty('amount') && !packet.hasOwnProperty('all'))) {
         console.log('Received malformed packet');
         callbackError(new Error('Malformed packet'));
         return;
     }
 
     // Get the raw parameters
+    const rawGame = packet.game;
     const rawShop = packet.shop;
     const rawOutAmount = packet.outAmount;
     const rawAll = packet.all;
@@ -119,8 +123,11 @@ ShopBuyOutHandler.prototype.handler = function(packet, socket) {
     // Create a found flag
     var foundShop = false;
 
-    // Loop through the games and shops to find the correct shop
-    Core.gameManager.games.forEach(function(liveGame) {
+    // Get the live game of the shop, packets are forwarded to the worker that owns the game
+    const packetGame = _.isString(rawGame) && ObjectId.isValid(rawGame) ? Core.gameManager.getLoadedGame(rawGame) : null;
+
+    // Loop through the shops of the game to find the correct shop
+    (packetGame !== null ? [packetGame] : []).forEach(function(liveGame) {
         // Loop through the shops
         liveGame.shopManager.shops.forEach(function(liveShop) {
             // Skip if we already found the shop
@@ -134,6 +141,16 @@ ShopBuyOutHandler.prototype.handler = function(packet, socket) {
             // Set the found flag
             foundShop = true;
 
+            // Make sure the game isn't paused
+            if(liveGame.isPaused()) {
+                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                    error: true,
+                    message: 'The game is paused, you can\'t sell goods until the game is resumed.',
+                    dialog: true
+                }, socket);
+                return;
+            }
+
             // Get the game user
             Core.model.gameUserModelManager.getGameUser(liveGame.getGameModel(), user, function(err, gameUser) {
                 // Call back errors
@@ -218,56 +235,74 @@ ShopBuyOutHandler.prototype.handler = function(packet, socket) {
                                         return;
                                     }
 
-                                    // Subtract the out from the user's out balance
-                                    gameUser.subtractOut(outAmount, function(err) {
+                                    // Calculate the income
+                                    const moneyAmount = Math.round(outAmount * price);
+
+                                    // Exchange the out for the income in a single atomic operation
+                                    gameUser.incrementFields({
+                                        out: -outAmount,
+                                        money: moneyAmount
+                                    }, function(err, values) {
                                         // Call back errors
                                         if(err !== null) {
                                             callbackError(err);
                                             return;
                                         }
 
-                                        // Calculate the income
-                                        const moneyAmount = Math.round(outAmount * price);
+                                        // Make sure the user still had enough goods
+                                        if(values === null) {
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: true,
+                                                message: 'Failed to sell, you don\'t have this much goods available.',
+                                                dialog: true
+                                            }, socket);
+                                            return;
+                                        }
 
-                                        // Add the income to the user's money balance
-                                        gameUser.addMoney(moneyAmount, function(err) {
-                                            // Call back errors
+                                        // Log the trade event
+                                        Core.model.gameEventModelManager.logGameEvent(liveGame.getGameModel(), GameEventType.SHOP_BUY_OUT, {
+                                            user,
+                                            location: liveUser.getLocation(),
+                                            data: {
+                                                shop: liveShop.getToken(),
+                                                out: outAmount,
+                                                money: moneyAmount
+                                            }
+                                        });
+
+                                        // Update the market, the out goods bought lower the price
+                                        liveGame.market.registerOutBought(outAmount);
+
+                                        // Send updated game data to all players, as the market prices have changed
+                                        Core.gameManager.sendGameDataToAll(liveGame.getGameModel(), function(err) {
+                                            // Handle errors
                                             if(err !== null) {
-                                                callbackError(err);
+                                                console.error(err.stack || err);
+                                                console.error('Failed to send game data, ignoring');
+                                            }
+                                        });
+
+                                        // Get the user's balance table
+                                        liveUser.getBalanceTable({
+                                            previousMoney: moneyCurrent,
+                                            previousOut: outCurrent,
+                                        }, function(err, balanceTable) {
+                                            // Handle errors
+                                            if (balanceTable === null || balanceTable === undefined || err !== null) {
+                                                console.error(err.stack || err);
+                                                console.error('Failed to send transaction success message, ignoring');
                                                 return;
                                             }
 
-                                            // Send updated game data to the user
-                                            Core.gameManager.sendGameData(liveGame.getGameModel(), user, undefined, function(err) {
-                                                // Handle errors
-                                                if(err !== null) {
-                                                    console.error(err.stack || err);
-                                                    console.error('Failed to send game data, ignoring');
-                                                }
-                                            });
-
-                                            // Get the user's balance table
-                                            liveUser.getBalanceTable({
-                                                previousMoney: moneyCurrent,
-                                                previousOut: outCurrent,
-                                            }, function(err, balanceTable) {
-                                                // Handle errors
-                                                if (balanceTable === null || balanceTable === undefined || err !== null) {
-                                                    console.error(err.stack || err);
-                                                    console.error('Failed to send transaction success message, ignoring');
-                                                    return;
-                                                }
-
-                                                // Send a notification to the user
-                                                // TODO: Get the in and money name from the name configuration of the current game
-                                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
-                                                    error: false,
-                                                    message: 'Sold ' + Formatter.formatGoods(outAmount) + ' ' + liveGame.__('out.name' + (outAmount === 1 ? '' : 's')) + ' for ' + Formatter.formatMoney(moneyAmount) + '.<br><br>' + balanceTable,
-                                                    dialog: false,
-                                                    toast: true,
-                                                    ttl: 10 * 1000
-                                                }, socket);
-                                            });
+                                            // Send a notification to the user
+                                            // TODO: Get the in and money name from the name configuration of the current game
+                                            Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                                error: false,
+                                                message: 'Sold ' + Formatter.formatGoods(outAmount) + ' ' + liveGame.__('out.name' + (outAmount === 1 ? '' : 's')) + ' for ' + Formatter.formatMoney(moneyAmount) + '.<br><br>' + balanceTable,
+                                                dialog: false,
+                                                toast: true,
+                                                ttl: 10 * 1000
+                                            }, socket);
                                         });
                                     });
                                 }, {
@@ -195,6 +195,10 @@ SpecialCustomActionExecute.prototype.handler = function(packet, socket) {
         // Get the live game
         latch.add();
         Core.gameManager.getGame(game, function(err, result) {
+            // Make sure the live game was found
+            if(err === null && result === null)
+                err = new Error('The live game instance was null');
+
             // Handle errors
             if(err !== null) {
                 callbackError(err);
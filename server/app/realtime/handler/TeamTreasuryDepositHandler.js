@@ -0,0 +1,267 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var PacketType = require('../PacketType');
+var BaseModel = require('../../database/BaseModel');
+var Formatter = require('../../format/Formatter');
+var GameEventType = require('../../model/gameevent/GameEventType');
+
+/**
+ * Type of packets to handle by this handler.
+ * @type {number} Packet type.
+ */
+const HANDLER_PACKET_TYPE = PacketType.TEAM_TREASURY_DEPOSIT;
+
+/**
+ * Team treasury deposit handler.
+ *
+ * @param {boolean=false} init True to initialize after constructing.
+ *
+ * @class
+ * @constructor
+ */
+var TeamTreasuryDepositHandler = function(init) {
+    // Initialize
+    if(init)
+        this.init();
+};
+
+/**
+ * Initialize the handler.
+ */
+TeamTreasuryDepositHandler.prototype.init = function() {
+    // Make sure the real time instance is initialized
+    if(Core.realTime === null)
+        throw new Error('Real time server not initialized yet');
+
+    // Register the handler
+    Core.realTime.getPacketProcessor().registerHandler(HANDLER_PACKET_TYPE, this.handler);
+};
+
+/**
+ * Handle the packet.
+ *
+ * @param {Object} packet Packet object.
+ * @param socket SocketIO socket.
+ */
+TeamTreasuryDepositHandler.prototype.handler = function(packet, socket) {
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create a function to call back an error
+    const callbackError = function(err) {
+        // Print the error
+        console.error('An error occurred while depositing into a team treasury');
+        if(err !== null && err !== undefined)
+            console.error(err.stack || err);
+
+        // Only call back once
+        if(calledBack)
+            return;
+
+        // Send a message to the user
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message: 'Failed to deposit, a server error occurred.',
+            dialog: true
+        }, socket);
+
+        // Set the called back flag
+        calledBack = true;
+    };
+
+    // Create a function to send a message to the user
+    const sendMessage = function(message) {
+        Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+            error: true,
+            message,
+            dialog: true
+        }, socket);
+    };
+
+    // Make sure the correct data is given
+    if(!packet.hasOwnProperty('game') || !packet.hasOwnProperty('amount')) {
+        console.log('Received malformed packet');
+        callbackError(new Error('Malformed packet'));
+        return;
+    }
+
+    // Get the raw parameters
+    const rawGame = packet.game;
+    const amount = parseInt(packet.amount);
+
+    // Make sure the user is authenticated
+    if(!_.has(socket, 'session.valid') || !socket.session.valid) {
+        sendMessage('Failed to deposit, you\'re not authenticated.');
+        return;
+    }
+
+    // Get the user
+    const user = socket.session.user;
+
+    // Make sure the amount is valid
+    if(isNaN(amount) || amount <= 0) {
+        sendMessage('Failed to deposit, enter an amount above zero.');
+        return;
+    }
+
+    // Get the live game
+    Core.gameManager.getGame(rawGame, function(err, liveGame) {
+        // Call back errors
+        if(err !== null) {
+            callbackError(err);
+            return;
+        }
+
+        // Make sure the game is active
+        if(liveGame === null) {
+            sendMessage('Failed to deposit, this game isn\'t active.');
+            return;
+        }
+
+        // Make sure the game isn't paused
+        if(liveGame.isPaused()) {
+            sendMessage('The game is paused, you can\'t deposit anything until the game is resumed.');
+            return;
+        }
+
+        // Get the live user
+        liveGame.getUser(user, function(err, liveUser) {
+            // Call back errors
+            if(err !== null || liveUser === null) {
+                callbackError(err);
+                return;
+            }
+
+            // Get the game user
+            liveUser.getGameUser(function(err, gameUser) {
+                // Call back errors
+                if(err !== null || gameUser === null) {
+                    callbackError(err);
+                    return;
+                }
+
+                // Get the team of the user
+                gameUser.getTeam(function(err, team) {
+                    // Call back errors
+                    if(err !== null) {
+                        callbackError(err);
+                        return;
+                    }
+
+                    // Make sure the user is in a team
+                    if(team === null) {
+                        sendMessage('Failed to deposit, you aren\'t part of a team.');
+                        return;
+                    }
+
+                    // Move the money from the user to the team treasury, as all or nothing
+                    BaseModel.transfer([
+                        {
+                            model: gameUser,
+                            fields: {
+                                money: -amount
+                            }
+                        },
+                        {
+                            model: team,
+                            fields: {
+                                treasury: amount
+                            }
+                        }
+                    ], function(err, success) {
+                        // Call back errors
+                        if(err !== null) {
+                            callbackError(err);
+                            return;
+                        }
+
+                        // Make sure the user had enough money
+                        if(!success) {
+                            sendMessage('Failed to deposit, you don\'t have this much money.');
+                            return;
+                        }
+
+                        // Log the deposit
+                        Core.model.gameEventModelManager.logGameEvent(liveGame.getGameModel(), GameEventType.TEAM_TREASURY, {
+                            user,
+                            team,
+                            location: liveUser.hasRecentLocation() ? liveUser.getLocation() : null,
+                            data: {
+                                action: 'deposit',
+                                amount
+                            }
+                        });
+
+                        // Get the current money of the user, to show the balance change
+                        liveUser.getMoney(function(err, money) {
+                            // Handle errors
+                            if(err !== null) {
+                                console.error(err.stack || err);
+                                console.error('Failed to send deposit success message, ignoring');
+                                return;
+                            }
+
+                            // Get the user's balance table
+                            liveUser.getBalanceTable({
+                                previousMoney: money + amount
+                            }, function(err, balanceTable) {
+                                // Handle errors
+                                if(balanceTable === null || balanceTable === undefined || err !== null) {
+                                    console.error(err.stack || err);
+                                    console.error('Failed to send deposit success message, ignoring');
+                                    return;
+                                }
+
+                                // Send a notification to the user
+                                Core.realTime.packetProcessor.sendPacket(PacketType.MESSAGE_RESPONSE, {
+                                    error: false,
+                                    message: 'Deposited ' + Formatter.formatMoney(amount) + ' into the team treasury.<br><br>' + balanceTable,
+                                    dialog: false,
+                                    toast: true,
+                                    ttl: 10 * 1000
+                                }, socket);
+                            });
+                        }, {
+                            noCache: true
+                        });
+
+                        // Send the updated game data to all players, the treasury and standings changed
+                        Core.gameManager.sendGameDataToAll(liveGame.getGameModel(), function(err) {
+                            // Handle errors
+                            if(err !== null) {
+                                console.error(err.stack || err);
+                                console.error('Failed to send game data, ignoring');
+                            }
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+// Export the module
+module.exports = TeamTreasuryDepositHandler;
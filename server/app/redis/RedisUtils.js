@@ -23,6 +23,7 @@
 // TODO: Implement Redis connection pool!
 
 var _ = require('lodash');
+var cluster = require('cluster');
 
 var config = require('../../config');
 var redis = require('redis');
@@ -96,8 +97,8 @@ RedisUtils.connect = function(callback) {
         // Create a callback latch
         var latch = new CallbackLatch();
 
-        // Flush everything when ready
-        if(config.redis.flushWhenReady) {
+        // Flush everything when ready, cluster workers don't flush as the master does so before they're started
+        if(config.redis.flushWhenReady && !cluster.isWorker) {
             // Add a latch and show the message
             latch.add();
             console.log('Flushing Redis because it became ready...');
@@ -53,6 +53,7 @@ router.post('/', function(req, res, next) {
     const teamValue = _.has(data, 'role.team') && data.role.team !== null ? data.role.team.trim().toLowerCase() : 'none';
     const isSpecial = data.role.special;
     const isSpectator = data.role.spectator;
+    const isTreasurer = data.role.treasurer === true;
 
     // Create a variable for the game
     var game = null;
@@ -246,7 +247,8 @@ router.post('/', function(req, res, next) {
                     const fields = {
                         team: newTeam,
                         is_special: isSpecial,
-                        is_spectator: isSpectator
+                        is_spectator: isSpectator,
+                        is_treasurer: isTreasurer && newTeam !== null
                     };
 
                     // Set the fields for the game user
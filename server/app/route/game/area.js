@@ -0,0 +1,284 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var Polygon = require('../../coordinate/Polygon');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Parse the given play area input value.
+ *
+ * @param {string|undefined} value Input value, a JSON array of [latitude, longitude] arrays.
+ * @return {Polygon|null|undefined} Parsed polygon, null if no play area was entered, or undefined if the value is invalid.
+ */
+const parsePlayAreaInput = function(value) {
+    // Return null if no value is entered
+    if(value === undefined || !_.isString(value) || value.trim().length <= 0)
+        return null;
+
+    // Parse the JSON value
+    var points;
+    try {
+        points = JSON.parse(value);
+    } catch(err) {
+        return undefined;
+    }
+
+    // Make sure the points are an array, an empty array removes the play area
+    if(!_.isArray(points))
+        return undefined;
+    if(points.length === 0)
+        return null;
+
+    // Convert the points to coordinate objects
+    points = points.map(function(point) {
+        return _.isArray(point) && point.length === 2 ? {
+            latitude: point[0],
+            longitude: point[1]
+        } : null;
+    });
+
+    // Parse the polygon
+    const polygon = Polygon.parse(points);
+    return polygon !== null ? polygon : undefined;
+};
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game play area pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/area', self.get);
+        router.post('/:game/area', self.post);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a game object
+        var gameObject = {
+            id: game.getIdHex()
+        };
+
+        // Create a callback latch for the games properties
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game
+        var hasPermission = false;
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the game stage
+        latch.add();
+        game.getStage(function(err, stage) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.stage = stage;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set whether the user has permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the play area
+        latch.add();
+        game.getPlayArea(function(err, playArea) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the play area points
+            gameObject.playArea = playArea !== null ? playArea.toLatLngArray() : [];
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Render the page when we're ready
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Render the game play area page
+            LayoutRenderer.render(req, res, next, 'game/area', 'Play area', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: gameObject
+            });
+        });
+    },
+
+    /**
+     * Post page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Parse the play area
+        const playArea = parsePlayAreaInput(req.body['field-play-area']);
+        if(playArea === undefined) {
+            next(new Error('Invalid play area, it must have at least three points.'));
+            return;
+        }
+
+        // Determine whether the user has permission to manage this game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Update the play area
+            game.setPlayArea(playArea, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Send the updated play area to all players if the game is loaded
+                if(Core.gameManager.isGameLoaded(game))
+                    Core.gameManager.sendGameDataToAll(game, function(err) {
+                        // Handle errors
+                        if(err !== null) {
+                            console.error(err.stack || err);
+                            console.error('Failed to send game data to all players after changing the play area, ignoring');
+                        }
+                    });
+
+                // Render the result page
+                LayoutRenderer.render(req, res, next, 'game/area', 'Play area', {
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    hideBackButton: true,
+                    success: true,
+                    removed: playArea === null
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,526 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var gameConfig = require('../../../gameConfig');
+var WinCondition = require('../../live/game/WinCondition');
+
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * List of configuration sections and their nodes that may be overridden for each game.
+ * Each node may define a multiplier, to convert the value entered by the user to the configuration value.
+ * Nodes marked as positive must be larger than zero, nodes marked as integer must be whole numbers.
+ * Nodes that define a list of options are selected from that list instead of being entered as number.
+ *
+ * @type {Array}
+ */
+const CONFIG_SECTIONS = [
+    {
+        name: 'Game',
+        nodes: [
+            { node: 'game.tickInterval', name: 'Tick interval (seconds)', multiplier: 1000, positive: true },
+            { node: 'game.finishWarningTime', name: 'Finish warning before scheduled end (seconds)', multiplier: 1000 },
+            { node: 'game.locationSampleInterval', name: 'Location recording interval (seconds, 0 to disable)', multiplier: 1000 },
+            {
+                node: 'game.winCondition',
+                name: 'Win condition',
+                options: WinCondition.getConditions().map((condition) => ({ value: condition, name: WinCondition.getName(condition) }))
+            },
+            { node: 'game.winTarget', name: 'Target money to win (target win condition)', integer: true },
+            { node: 'game.lastSeenDuration', name: 'Last seen marker duration (minutes)', multiplier: 60 * 1000, positive: true }
+        ]
+    },
+    {
+        name: 'Players',
+        nodes: [
+            { node: 'player.initialMoney', name: 'Initial money', integer: true },
+            { node: 'player.initialIn', name: 'Initial input goods', integer: true },
+            { node: 'player.initialOut', name: 'Initial output goods', integer: true },
+            { node: 'player.initialStrength', name: 'Initial strength', integer: true },
+            { node: 'player.strengthBasePrice', name: 'Strength upgrade base price' },
+            { node: 'player.strengthPricePower', name: 'Strength upgrade price power' },
+            { node: 'player.transferRange', name: 'Teammate transfer range (meters)' },
+            { node: 'player.transferTimeout', name: 'Teammate transfer confirm time (seconds)', multiplier: 1000, positive: true }
+        ]
+    },
+    {
+        name: 'Shops',
+        nodes: [
+            { node: 'shop.range', name: 'Range (meters)' },
+            { node: 'shop.activeRange', name: 'Active range (meters)' },
+            { node: 'shop.workerInterval', name: 'Worker interval (seconds)', multiplier: 1000, positive: true },
+            { node: 'shop.playersPerShop', name: 'Players per shop', positive: true, integer: true },
+            { node: 'shop.lifetimeMin', name: 'Minimum lifetime (seconds)', multiplier: 1000, positive: true },
+            { node: 'shop.lifetimeMax', name: 'Maximum lifetime (seconds)', multiplier: 1000, positive: true },
+            { node: 'shop.shopAlertTime', name: 'Alert time (seconds)', multiplier: 1000 },
+            { node: 'shop.inSellPriceMin', name: 'Minimum input goods price' },
+            { node: 'shop.inSellPriceMax', name: 'Maximum input goods price' },
+            { node: 'shop.inSellAllyMultiplier', name: 'Input goods ally price multiplier' },
+            { node: 'shop.outBuyPriceMin', name: 'Minimum output goods price' },
+            { node: 'shop.outBuyPriceMax', name: 'Maximum output goods price' },
+            { node: 'shop.outBuyAllyMultiplier', name: 'Output goods ally price multiplier' },
+            { node: 'shop.inSellPriceImpact', name: 'Input goods price increase per unit sold' },
+            { node: 'shop.outBuyPriceImpact', name: 'Output goods price decrease per unit bought' },
+            { node: 'shop.marketRecovery', name: 'Market price recovery per tick' }
+        ]
+    },
+    {
+        name: 'Factories',
+        nodes: [
+            { node: 'factory.interspaceMin', name: 'Minimum interspace (meters)' },
+            { node: 'factory.initialLevel', name: 'Initial level', positive: true, integer: true },
+            { node: 'factory.initialDefence', name: 'Initial defence', integer: true },
+            { node: 'factory.initialIn', name: 'Initial input goods', integer: true },
+            { node: 'factory.initialOut', name: 'Initial output goods', integer: true },
+            { node: 'factory.productionInRatio', name: 'Input production ratio' },
+            { node: 'factory.productionOutRatio', name: 'Output production ratio' },
+            { node: 'factory.buildBasePrice', name: 'Build base price' },
+            { node: 'factory.buildFreeCount', name: 'Free builds for each team', integer: true },
+            { node: 'factory.levelBaseCost', name: 'Level upgrade base cost' },
+            { node: 'factory.levelCostFactor', name: 'Level upgrade cost factor' },
+            { node: 'factory.buildTime', name: 'Build time (seconds)', multiplier: 1000 },
+            { node: 'factory.levelUpgradeTime', name: 'Level upgrade time, for each level (seconds)', multiplier: 1000 },
+            { node: 'factory.constructionDefenceRatio', name: 'Defence ratio while under construction' },
+            {
+                node: 'factory.captureMode',
+                name: 'Capture mode',
+                options: [
+                    { value: 'instant', name: 'Instant takeover' },
+                    { value: 'siege', name: 'Siege with capture progress' }
+                ]
+            },
+            { node: 'factory.captureTime', name: 'Siege capture time (seconds)', multiplier: 1000, positive: true },
+            { node: 'factory.captureDrainTime', name: 'Siege drain time (seconds)', multiplier: 1000, positive: true },
+            { node: 'factory.alertInterval', name: 'Minimum time between danger alerts (seconds)', multiplier: 1000 },
+            { node: 'factory.alertConquerMargin', name: 'Alert when conquer value is this close to zero' },
+            { node: 'factory.defenceBasePrice', name: 'Defence upgrade base price' },
+            { node: 'factory.defencePricePower', name: 'Defence upgrade price power' },
+            { node: 'factory.upkeepBase', name: 'Upkeep base cost (each tick)', integer: true },
+            { node: 'factory.upkeepLevelFactor', name: 'Upkeep cost for each extra level (each tick)', integer: true },
+            {
+                node: 'factory.upkeepPayer',
+                name: 'Upkeep paid by',
+                options: [
+                    { value: 'builder', name: 'Builder' },
+                    { value: 'treasury', name: 'Team treasury' }
+                ]
+            },
+            { node: 'factory.decayTime', name: 'Decay after time without visit (minutes, 0 to disable)', multiplier: 60 * 1000 },
+            { node: 'factory.decayWarningTime', name: 'Decay warning ahead of time (minutes)', multiplier: 60 * 1000 },
+            { node: 'factory.decayInterval', name: 'Decay step interval (seconds)', multiplier: 1000, positive: true },
+            { node: 'factory.decayDefence', name: 'Defence lost each decay step', integer: true },
+            { node: 'factory.types.throughput.productionRatio', name: 'High-throughput type production ratio' },
+            { node: 'factory.types.stealth.rangeRatio', name: 'Stealth type range ratio' },
+            { node: 'factory.types.fortified.defenceBonus', name: 'Fortified type bonus defence', integer: true },
+            { node: 'factory.types.storage.attackLossRatio', name: 'Storage type ratio of goods lost when taken over' },
+            { node: 'factory.jammerPrice', name: 'Jammer price', integer: true },
+            { node: 'factory.jammerDuration', name: 'Jammer duration (minutes)', multiplier: 60 * 1000, positive: true },
+            { node: 'factory.decoyPrice', name: 'Decoy price', integer: true }
+        ]
+    },
+    {
+        name: 'Pings',
+        nodes: [
+            { node: 'ping.duration', name: 'Duration (seconds)', multiplier: 1000, positive: true },
+            { node: 'ping.cheapRadarTeamMoneyThreshold', name: 'Cheap radar team money threshold' },
+            { node: 'ping.cheapRadarPrice', name: 'Cheap radar price', integer: true },
+            { node: 'ping.radarPriceFactor', name: 'Radar price factor' },
+            { node: 'ping.radarPriceMin', name: 'Radar minimum price' },
+            { node: 'ping.satellitePriceFactor', name: 'Spy satellite price factor' },
+            { node: 'ping.satellitePriceMin', name: 'Spy satellite minimum price' },
+            { node: 'ping.enemyHackPriceFactor', name: 'Enemy hack price factor' },
+            { node: 'ping.enemyHackPriceMin', name: 'Enemy hack minimum price' },
+            { node: 'ping.enemyHackTeamMoneyThreshold', name: 'Enemy hack team money threshold' },
+            { node: 'ping.directionFinderPrice', name: 'Direction finder price', integer: true },
+            { node: 'ping.playerRadarPriceFactor', name: 'Player radar price factor' },
+            { node: 'ping.playerRadarPriceMin', name: 'Player radar minimum price' },
+            { node: 'ping.playerRadarRange', name: 'Player radar range (meters)' },
+            { node: 'ping.playerRadarDuration', name: 'Player radar duration (seconds)', multiplier: 1000, positive: true }
+        ]
+    }
+];
+
+/**
+ * List of configuration nodes that bound a range, the minimum may not be larger than the maximum.
+ *
+ * @type {Array}
+ */
+const CONFIG_RANGES = [
+    { min: 'shop.lifetimeMin', max: 'shop.lifetimeMax', name: 'Shop lifetime' },
+    { min: 'shop.inSellPriceMin', max: 'shop.inSellPriceMax', name: 'Input goods price' },
+    { min: 'shop.outBuyPriceMin', max: 'shop.outBuyPriceMax', name: 'Output goods price' }
+];
+
+/**
+ * Get the field name for the given configuration node.
+ *
+ * @param {string} node Configuration node.
+ * @return {string} Field name.
+ */
+const getFieldName = (node) => 'field-' + node.replace(/\./g, '-');
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game configuration pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/config', self.get);
+        router.post('/:game/config', self.post);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a game object
+        var gameObject = {
+            id: game.getIdHex()
+        };
+
+        // Create a callback latch for the games properties
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game
+        var hasPermission = false;
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the game stage
+        latch.add();
+        game.getStage(function(err, stage) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.stage = stage;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set whether the user has permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the configuration overrides
+        var configOverrides = {};
+        latch.add();
+        game.getConfigOverrides(function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the overrides
+            configOverrides = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Render the page when we're ready
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Build the list of sections with their fields
+            const sections = CONFIG_SECTIONS.map(function(section) {
+                return {
+                    name: section.name,
+                    fields: section.nodes.map(function(entry) {
+                        // Create a selection field if the node has options
+                        if(entry.options !== undefined)
+                            return {
+                                id: getFieldName(entry.node),
+                                name: entry.name,
+                                value: _.get(configOverrides, entry.node, _.get(gameConfig, entry.node)),
+                                options: entry.options
+                            };
+
+                        // Get the multiplier
+                        const multiplier = entry.multiplier || 1;
+
+                        // Create the field object
+                        return {
+                            id: getFieldName(entry.node),
+                            name: entry.name,
+                            value: _.has(configOverrides, entry.node) ? _.get(configOverrides, entry.node) / multiplier : '',
+                            placeholder: _.get(gameConfig, entry.node) / multiplier
+                        };
+                    })
+                };
+            });
+
+            // Render the game configuration page
+            LayoutRenderer.render(req, res, next, 'game/config', 'Configuration', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: gameObject,
+                sections
+            });
+        });
+    },
+
+    /**
+     * Post page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game, and the game stage
+        var hasPermission = false;
+        var gameStage = null;
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set whether the user has permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the game stage
+        latch.add();
+        game.getStage(function(err, stage) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the stage
+            gameStage = stage;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Continue when we're done
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // The configuration may only be changed before the game is started
+            if(gameStage !== 0) {
+                next(new Error('The game configuration can\'t be changed anymore, because the game has already been started.'));
+                return;
+            }
+
+            // Create a new configuration overrides object, and a list of fields with an invalid value
+            var configOverrides = {};
+            var invalidFields = [];
+
+            // Loop through the nodes, and get their values from the POST request
+            CONFIG_SECTIONS.forEach(function(section) {
+                section.nodes.forEach(function(entry) {
+                    // Get the entered value
+                    var value = req.body[getFieldName(entry.node)];
+
+                    // Skip values that are undefined or empty
+                    if(value === undefined || !_.isString(value) || value.trim().length <= 0)
+                        return;
+
+                    // Add selected options if they're not the default, the option must be valid
+                    if(entry.options !== undefined) {
+                        if(!entry.options.some((option) => option.value === value))
+                            invalidFields.push(entry.name);
+                        else if(value !== _.get(gameConfig, entry.node))
+                            _.set(configOverrides, entry.node, value);
+                        return;
+                    }
+
+                    // Parse the value, it must be a positive number
+                    value = parseFloat(value.trim());
+                    if(!_.isFinite(value) || value < 0) {
+                        invalidFields.push(entry.name);
+                        return;
+                    }
+
+                    // Nodes that must be whole numbers may not have fractions
+                    if(entry.integer && !_.isInteger(value)) {
+                        invalidFields.push(entry.name);
+                        return;
+                    }
+
+                    // Apply the multiplier, rounded to whole milliseconds
+                    if(entry.multiplier !== undefined)
+                        value = Math.round(value * entry.multiplier);
+
+                    // Nodes that must be positive may not be zero
+                    if(entry.positive && value <= 0) {
+                        invalidFields.push(entry.name);
+                        return;
+                    }
+
+                    // Add the value to the object
+                    _.set(configOverrides, entry.node, value);
+                });
+            });
+
+            // Show the fields with an invalid value
+            if(invalidFields.length > 0) {
+                next(new Error('Invalid values entered for: ' + invalidFields.join(', ') + '.'));
+                return;
+            }
+
+            // Make sure the minimum of each range isn't larger than the maximum, using the default for values that aren't entered
+            const invalidRanges = CONFIG_RANGES.filter(function(range) {
+                return _.get(configOverrides, range.min, _.get(gameConfig, range.min)) > _.get(configOverrides, range.max, _.get(gameConfig, range.max));
+            });
+            if(invalidRanges.length > 0) {
+                next(new Error('The minimum may not be larger than the maximum for: ' + invalidRanges.map((range) => range.name).join(', ') + '.'));
+                return;
+            }
+
+            // Reset the object to null if it's still empty
+            if(_.isEmpty(configOverrides))
+                configOverrides = null;
+
+            // Update the configuration overrides
+            game.setConfigOverrides(configOverrides, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Render the result page
+                LayoutRenderer.render(req, res, next, 'game/config', 'Configuration', {
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    hideBackButton: true,
+                    success: true
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,408 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var FixedDealer = require('../../live/shop/FixedDealer');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Parse the given fixed dealers input value.
+ *
+ * @param {string|undefined} value Input value, a JSON array of fixed dealer objects as used by the client map.
+ * @param {Array} teamIds Array of team IDs of the game, as hexadecimal string.
+ * @return {Array|undefined} Array of parsed fixed dealers, or undefined if the value is invalid.
+ */
+const parseDealersInput = function(value, teamIds) {
+    // Return an empty list if no value is entered
+    if(value === undefined || !_.isString(value) || value.trim().length <= 0)
+        return [];
+
+    // Parse the JSON value, and make sure it's an array
+    var rawDealers;
+    try {
+        rawDealers = JSON.parse(value);
+    } catch(err) {
+        return undefined;
+    }
+    if(!_.isArray(rawDealers))
+        return undefined;
+
+    // Parse each dealer
+    var dealers = [];
+    for(var i = 0; i < rawDealers.length; i++) {
+        // Get the raw dealer, and make sure it's an object with a [latitude, longitude] location
+        const rawDealer = rawDealers[i];
+        if(!_.isObject(rawDealer) || !_.isArray(rawDealer.location) || rawDealer.location.length !== 2)
+            return undefined;
+
+        // Make sure the team is part of this game, or that the dealer is neutral
+        const team = _.isString(rawDealer.team) && rawDealer.team.length > 0 ? rawDealer.team : null;
+        if(team !== null && teamIds.indexOf(team) < 0)
+            return undefined;
+
+        // Parse the dealer
+        const dealer = FixedDealer.parse({
+            name: _.isString(rawDealer.name) ? rawDealer.name.trim() : null,
+            location: {
+                latitude: rawDealer.location[0],
+                longitude: rawDealer.location[1]
+            },
+            team: team,
+            openFrom: _.isString(rawDealer.openFrom) && rawDealer.openFrom.length > 0 ? rawDealer.openFrom : null,
+            openUntil: _.isString(rawDealer.openUntil) && rawDealer.openUntil.length > 0 ? rawDealer.openUntil : null,
+            inSellMultiplier: parseFloat(rawDealer.inSellMultiplier),
+            outBuyMultiplier: parseFloat(rawDealer.outBuyMultiplier)
+        });
+
+        // Make sure the dealer is valid, and has a name
+        if(dealer === null || dealer.name.length <= 0)
+            return undefined;
+
+        // Add the dealer
+        dealers.push(dealer);
+    }
+
+    // Return the list of dealers
+    return dealers;
+};
+
+/**
+ * Get the teams of the given game, with their names.
+ *
+ * @param {GameModel} game Game to get the teams for.
+ * @param {function} callback (err, teams) Called with an array of objects with the team ID and name.
+ */
+const getTeamObjects = function(game, callback) {
+    // Get the teams of the game
+    Core.model.gameTeamModelManager.getGameTeams(game, function(err, teams) {
+        // Call back errors
+        if(err !== null) {
+            callback(err);
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create a list of team objects
+        var teamObjects = [];
+
+        // Get the name of each team
+        teams.forEach(function(team) {
+            latch.add();
+            team.getName(function(err, name) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Add the team object
+                teamObjects.push({
+                    id: team.getIdHex(),
+                    name: name
+                });
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Call back the team objects when we're done
+        latch.then(function() {
+            callback(null, teamObjects);
+        });
+    });
+};
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game dealers pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/dealers', self.get);
+        router.post('/:game/dealers', self.post);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a game object
+        var gameObject = {
+            id: game.getIdHex()
+        };
+
+        // Create a callback latch for the games properties
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game
+        var hasPermission = false;
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set whether the user has permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the play area, to show it as reference
+        latch.add();
+        game.getPlayArea(function(err, playArea) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the play area points
+            gameObject.playArea = playArea !== null ? playArea.toLatLngArray() : [];
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the fixed dealers
+        latch.add();
+        game.getDealers(function(err, dealers) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the dealers
+            gameObject.dealers = dealers.map((dealer) => dealer.toClientObject());
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the teams, to select the team a dealer is allied with
+        latch.add();
+        getTeamObjects(game, function(err, teams) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the teams
+            gameObject.teams = teams;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Render the page when we're ready
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Render the game dealers page
+            LayoutRenderer.render(req, res, next, 'game/dealers', 'Dealers', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: gameObject
+            });
+        });
+    },
+
+    /**
+     * Post page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Determine whether the user has permission to manage this game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Get the teams of the game
+            getTeamObjects(game, function(err, teams) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Parse the dealers
+                const dealers = parseDealersInput(req.body['field-dealers'], teams.map((team) => team.id));
+                if(dealers === undefined) {
+                    next(new Error('Invalid dealers, each dealer must have a name, a location, valid opening hours and positive price multipliers.'));
+                    return;
+                }
+
+                // Update the dealers
+                game.setDealers(dealers, function(err) {
+                    // Call back errors
+                    if(err !== null) {
+                        next(err);
+                        return;
+                    }
+
+                    // Reload the dealers and send the game data to all players if the game is loaded
+                    if(Core.gameManager.isGameLoaded(game))
+                        Core.gameManager.getGame(game, function(err, liveGame) {
+                            // Handle errors
+                            if(err !== null || liveGame === null) {
+                                console.error(err !== null ? (err.stack || err) : 'Live game not found');
+                                console.error('Failed to reload the fixed dealers after changing them, ignoring');
+                                return;
+                            }
+
+                            // Reload the fixed dealers
+                            liveGame.shopManager.loadFixedShops(function(err) {
+                                // Handle errors
+                                if(err !== null) {
+                                    console.error(err.stack || err);
+                                    console.error('Failed to reload the fixed dealers after changing them, ignoring');
+                                    return;
+                                }
+
+                                // Send the updated dealers to all players
+                                Core.gameManager.sendGameDataToAll(game, function(err) {
+                                    // Handle errors
+                                    if(err !== null) {
+                                        console.error(err.stack || err);
+                                        console.error('Failed to send game data to all players after changing the dealers, ignoring');
+                                    }
+                                });
+                            });
+                        });
+
+                    // Render the result page
+                    LayoutRenderer.render(req, res, next, 'game/dealers', 'Dealers', {
+                        game: {
+                            id: game.getIdHex()
+                        },
+                        hideBackButton: true,
+                        success: true,
+                        dealerCount: dealers.length
+                    });
+                });
+            });
+        });
+    }
+};
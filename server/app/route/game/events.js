@@ -0,0 +1,352 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var GameEventType = require('../../model/gameevent/GameEventType');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Maximum number of events to show on the timeline.
+ * @type {Number}
+ */
+const EVENT_LIMIT = 250;
+
+/**
+ * Display names for each event type, used in the timeline filter.
+ * @type {Object}
+ */
+const EVENT_TYPE_NAMES = {
+    [GameEventType.STAGE_CHANGE]: 'Stage changes',
+    [GameEventType.FACTORY_BUILD]: 'Builds',
+    [GameEventType.FACTORY_CAPTURE]: 'Captures',
+    [GameEventType.FACTORY_DESTROY]: 'Destroys',
+    [GameEventType.SHOP_SELL_IN]: 'Shop purchases',
+    [GameEventType.SHOP_BUY_OUT]: 'Shop sales',
+    [GameEventType.SHOP_START]: 'Shops opened',
+    [GameEventType.SHOP_END]: 'Shops closed',
+    [GameEventType.PING_BUY]: 'Pings',
+    [GameEventType.SPECIAL_ACTION]: 'Special actions',
+    [GameEventType.PLAYER_TRANSFER]: 'Transfers',
+    [GameEventType.TEAM_TREASURY]: 'Team treasury'
+};
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game event timeline pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/events', self.get);
+    },
+
+    /**
+     * Get page.
+     * Game hosts, spectators and special players see the events of the whole game, players only see the history of
+     * their own team.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a game object
+        var gameObject = {
+            id: game.getIdHex(),
+            teams: []
+        };
+
+        // Create a callback latch for the games properties
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create variables for the permission, user state and the team of the user
+        var hasPermission = false;
+        var userState = null;
+        var userTeam = null;
+
+        // Create a list of teams, and a map of team names
+        var teams = [];
+        var teamNames = {};
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the state of the user in this game
+        latch.add();
+        game.getUserState(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the user state
+            userState = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Get the team of the user
+        latch.add();
+        Core.model.gameUserModelManager.getGameUser(game, user, function(err, gameUser) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Resolve the latch if the user hasn't joined
+            if(gameUser === null) {
+                latch.resolve();
+                return;
+            }
+
+            // Get the team
+            gameUser.getTeam(function(err, team) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the team
+                userTeam = team !== undefined ? team : null;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Get the teams and their names
+        latch.add();
+        Core.model.gameTeamModelManager.getGameTeams(game, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the teams
+            teams = result;
+
+            // Get the name of each team
+            teams.forEach(function(team) {
+                latch.add();
+                team.getName(function(err, name) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the name
+                    teamNames[team.getIdHex()] = name;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Continue when we're done
+        latch.then(function() {
+            // Reset the latch to it's identity
+            latch.identity();
+
+            // Determine whether the user may see all events of this game
+            const showAll = hasPermission || userState.spectator || userState.special;
+
+            // Make sure the user may see any events
+            if(!showAll && (!userState.player || userTeam === null)) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Create the event filter, and the filter options to use
+            var filter = {
+                type: null,
+                team: null
+            };
+            var options = {
+                limit: EVENT_LIMIT
+            };
+
+            // Filter the event type
+            if(_.isString(req.query.type) && GameEventType.isValidType(req.query.type)) {
+                filter.type = req.query.type;
+                options.types = [filter.type];
+            }
+
+            // Filter the team, players can only see the history of their own team
+            if(!showAll)
+                options.team = userTeam;
+            else if(_.isString(req.query.team) && teamNames.hasOwnProperty(req.query.team)) {
+                filter.team = req.query.team;
+                options.team = teams.filter((team) => team.getIdHex() === filter.team)[0];
+            }
+
+            // Set the team list for the filter
+            gameObject.teams = teams.map((team) => ({
+                id: team.getIdHex(),
+                name: teamNames[team.getIdHex()]
+            }));
+
+            // Get the events
+            Core.model.gameEventModelManager.getGameEvents(game, options, function(err, events) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        next(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Create a map of user names
+                var userNames = {};
+
+                // Get the names of all users in the events
+                events.forEach(function(event) {
+                    // Skip events without a user, or users we're already fetching
+                    if(event.user === null || userNames.hasOwnProperty(event.user))
+                        return;
+
+                    // Get the display name of the user
+                    userNames[event.user] = null;
+                    latch.add();
+                    Core.model.userModelManager._instanceManager.create(event.user).getDisplayName(function(err, name) {
+                        // Call back errors
+                        if(err !== null) {
+                            if(!calledBack)
+                                next(err);
+                            calledBack = true;
+                            return;
+                        }
+
+                        // Set the name
+                        userNames[event.user] = name;
+
+                        // Resolve the latch
+                        latch.resolve();
+                    });
+                });
+
+                // Render the page when the names are fetched
+                latch.then(function() {
+                    // Add the names to the events
+                    events.forEach(function(event) {
+                        event.userName = event.user !== null ? userNames[event.user] : null;
+                        event.teamName = event.team !== null && teamNames.hasOwnProperty(event.team) ? teamNames[event.team] : null;
+                        event.targetTeamName = event.targetTeam !== null && teamNames.hasOwnProperty(event.targetTeam) ? teamNames[event.targetTeam] : null;
+                    });
+
+                    // Render the page
+                    if(!calledBack)
+                        LayoutRenderer.render(req, res, next, 'game/events', showAll ? 'Timeline' : 'Team history', {
+                            page: {
+                                leftButton: 'back'
+                            },
+                            game: gameObject,
+                            events,
+                            filter,
+                            showAll,
+                            eventTypeNames: EVENT_TYPE_NAMES,
+                            eventLimit: EVENT_LIMIT
+                        });
+                    calledBack = true;
+                });
+            });
+        });
+    }
+};
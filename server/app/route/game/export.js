@@ -0,0 +1,551 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+var CsvUtils = require('../../util/CsvUtils');
+
+/**
+ * Entities that can be exported, with the formats they can be exported in.
+ * @type {Object}
+ */
+const EXPORT_ENTITIES = {
+    game: ['json'],
+    teams: ['json', 'csv'],
+    players: ['json', 'csv'],
+    factories: ['json', 'csv', 'geojson'],
+    events: ['json', 'csv'],
+    tracks: ['json', 'csv', 'geojson']
+};
+
+/**
+ * Content types for each export format.
+ * @type {Object}
+ */
+const EXPORT_CONTENT_TYPES = {
+    json: 'application/json',
+    csv: 'text/csv',
+    geojson: 'application/geo+json'
+};
+
+/**
+ * CSV columns for each exported entity.
+ * @type {Object}
+ */
+const CSV_COLUMNS = {
+    teams: ['id', 'name', 'rank', 'score', 'money', 'players', 'factories'],
+    players: ['id', 'name', 'team', 'teamName', 'money', 'in', 'out', 'strength', 'factories'],
+    factories: ['id', 'name', 'team', 'teamName', 'user', 'userName', 'latitude', 'longitude', 'level', 'defence', 'in',
+        'out'],
+    events: ['id', 'date', 'type', 'user', 'userName', 'team', 'teamName', 'targetTeam', 'targetTeamName', 'latitude',
+        'longitude', 'data'],
+    tracks: ['user', 'userName', 'team', 'teamName', 'date', 'latitude', 'longitude']
+};
+
+/**
+ * Collect the data of the given game to export.
+ * Teams, players and factories are always collected, events and tracks only when requested.
+ *
+ * @param {GameModel} game Game to collect the data for.
+ * @param {Object} options Options object.
+ * @param {boolean} options.events True to collect the events.
+ * @param {boolean} options.tracks True to collect the tracks.
+ * @param {function} callback (err, data) Called with an object containing the teams, players, factories, events and
+ * tracks as flat records, or when an error occurred.
+ */
+const collectExportData = function(game, options, callback) {
+    // Create variables for the fetched data
+    var results = null;
+    var events = [];
+    var locations = [];
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Create the teams, players and factories snapshot
+    latch.add();
+    Core.gameManager.createGameResults(game, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the results
+        results = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the events, oldest first
+    if(options.events) {
+        latch.add();
+        Core.model.gameEventModelManager.getGameEvents(game, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the events
+            events = result.reverse();
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    }
+
+    // Get the recorded locations
+    if(options.tracks) {
+        latch.add();
+        Core.model.gameLocationModelManager.getGameLocations(game, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    callback(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the locations
+            locations = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+    }
+
+    // Continue when we're done
+    latch.then(function() {
+        // Reset the latch to it's identity
+        latch.identity();
+
+        // Create maps of team and user names
+        var teamNames = {};
+        var userNames = {};
+        results.teams.forEach((team) => teamNames[team.id] = team.name);
+        results.players.forEach((player) => userNames[player.id] = player.name);
+
+        // Get the names of users that aren't players, such as special players and hosts
+        _.uniq(events.map((event) => event.user).concat(locations.map((location) => location.user)))
+            .forEach(function(userId) {
+                // Skip unknown users, and users we already know the name of
+                if(userId === null || userNames.hasOwnProperty(userId))
+                    return;
+
+                // Get the display name of the user
+                latch.add();
+                Core.model.userModelManager._instanceManager.create(userId).getDisplayName(function(err, name) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the name
+                    userNames[userId] = name;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+
+        // Compose the records when we're done
+        latch.then(function() {
+            // Function to get a team or user name by it's ID
+            const teamName = (id) => id !== null && teamNames.hasOwnProperty(id) ? teamNames[id] : null;
+            const userName = (id) => id !== null && userNames.hasOwnProperty(id) ? userNames[id] : null;
+
+            // Create the export data
+            const data = {
+                teams: results.teams.map((team) => ({
+                    id: team.id,
+                    name: team.name,
+                    rank: team.rank,
+                    score: team.score,
+                    money: team.money,
+                    players: team.players,
+                    factories: team.factories
+                })),
+                players: results.players.map((player) => ({
+                    id: player.id,
+                    name: player.name,
+                    team: player.team,
+                    teamName: teamName(player.team),
+                    money: player.money,
+                    in: player.in,
+                    out: player.out,
+                    strength: player.strength,
+                    factories: player.factories
+                })),
+                factories: results.factories.map((factory) => ({
+                    id: factory.id,
+                    name: factory.name,
+                    team: factory.team,
+                    teamName: teamName(factory.team),
+                    user: factory.user,
+                    userName: userName(factory.user),
+                    latitude: factory.location !== null ? factory.location.latitude : null,
+                    longitude: factory.location !== null ? factory.location.longitude : null,
+                    level: factory.level,
+                    defence: factory.defence,
+                    in: factory.in,
+                    out: factory.out
+                })),
+                events: events.map((event) => ({
+                    id: event.id,
+                    date: event.date,
+                    type: event.type,
+                    user: event.user,
+                    userName: userName(event.user),
+                    team: event.team,
+                    teamName: teamName(event.team),
+                    targetTeam: event.targetTeam,
+                    targetTeamName: teamName(event.targetTeam),
+                    latitude: event.location !== null ? event.location.latitude : null,
+                    longitude: event.location !== null ? event.location.longitude : null,
+                    data: event.data
+                })),
+                tracks: locations.map((location) => ({
+                    user: location.user,
+                    userName: userName(location.user),
+                    team: location.team,
+                    teamName: teamName(location.team),
+                    date: location.date,
+                    latitude: location.location.latitude,
+                    longitude: location.location.longitude
+                }))
+            };
+
+            // Call back with the data
+            if(!calledBack)
+                callback(null, data);
+            calledBack = true;
+        });
+    });
+};
+
+/**
+ * Group the track records by user, ordered by date.
+ *
+ * @param {Array} tracks Array of track records.
+ * @return {Array} Array of objects with the user, user name, team, team name and the samples of each user.
+ */
+const groupTracks = function(tracks) {
+    // Create a list and map of grouped tracks
+    var groups = [];
+    var groupMap = {};
+
+    // Add each record to the track of it's user
+    tracks.forEach(function(record) {
+        // Create the track if it doesn't exist yet
+        if(!groupMap.hasOwnProperty(record.user)) {
+            groupMap[record.user] = {
+                user: record.user,
+                userName: record.userName,
+                team: record.team,
+                teamName: record.teamName,
+                samples: []
+            };
+            groups.push(groupMap[record.user]);
+        }
+
+        // Add the sample
+        groupMap[record.user].samples.push({
+            date: record.date,
+            latitude: record.latitude,
+            longitude: record.longitude
+        });
+    });
+
+    // Return the groups
+    return groups;
+};
+
+/**
+ * Create a GeoJSON feature collection for the given entity.
+ * Factories are exported as points, tracks as line strings, or as a point for users with a single location.
+ *
+ * @param {string} entity Entity to create the collection for, factories or tracks.
+ * @param {Object} data Export data.
+ * @return {Object} GeoJSON feature collection.
+ */
+const createGeoJson = function(entity, data) {
+    // Create the features
+    var features = [];
+    if(entity === 'factories')
+        features = data.factories
+            .filter((factory) => factory.latitude !== null)
+            .map((factory) => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [factory.longitude, factory.latitude]
+                },
+                properties: _.omit(factory, ['latitude', 'longitude'])
+            }));
+    else if(entity === 'tracks')
+        features = groupTracks(data.tracks).map(function(track) {
+            // Get the coordinates
+            const coordinates = track.samples.map((sample) => [sample.longitude, sample.latitude]);
+
+            // Create the feature
+            return {
+                type: 'Feature',
+                geometry: coordinates.length > 1 ? {
+                    type: 'LineString',
+                    coordinates
+                } : {
+                    type: 'Point',
+                    coordinates: coordinates[0]
+                },
+                properties: {
+                    user: track.user,
+                    userName: track.userName,
+                    team: track.team,
+                    teamName: track.teamName,
+                    start: track.samples[0].date,
+                    end: track.samples[track.samples.length - 1].date,
+                    times: track.samples.map((sample) => sample.date)
+                }
+            };
+        });
+
+    // Create the feature collection
+    return {
+        type: 'FeatureCollection',
+        features
+    };
+};
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game export pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/export', self.get);
+        router.get('/:game/export/:file', self.getFile);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a game object
+        var gameObject = {
+            id: game.getIdHex()
+        };
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game
+        var hasPermission = false;
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Render the page when we're done
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Render the export page
+            LayoutRenderer.render(req, res, next, 'game/export', 'Export', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: gameObject,
+                entities: EXPORT_ENTITIES
+            });
+        });
+    },
+
+    /**
+     * Get an export file.
+     * The file name defines the entity and format to export, such as factories.geojson.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    getFile: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Parse the entity and format from the file name
+        const fileParts = req.params.file.toLowerCase().split('.');
+        const entity = fileParts[0];
+        const format = fileParts.length === 2 ? fileParts[1] : null;
+
+        // Make sure the entity can be exported in the given format
+        if(!EXPORT_ENTITIES.hasOwnProperty(entity) || EXPORT_ENTITIES[entity].indexOf(format) < 0) {
+            // Create an error instance, and configure it
+            var err = new Error('This export does not exist.');
+            err.status = 404;
+
+            // Call back the error
+            next(err);
+            return;
+        }
+
+        // Determine whether the user has permission to manage this game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Collect the data to export
+            collectExportData(game, {
+                events: entity === 'game' || entity === 'events',
+                tracks: entity === 'game' || entity === 'tracks'
+            }, function(err, data) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Create the file contents
+                var contents;
+                if(entity === 'game')
+                    contents = JSON.stringify({
+                        game: game.getIdHex(),
+                        date: new Date(),
+                        teams: data.teams,
+                        players: data.players,
+                        factories: data.factories,
+                        events: data.events,
+                        tracks: groupTracks(data.tracks)
+                    });
+                else if(format === 'json')
+                    contents = JSON.stringify(entity === 'tracks' ? groupTracks(data.tracks) : data[entity]);
+                else if(format === 'csv')
+                    contents = CsvUtils.format(CSV_COLUMNS[entity], data[entity]);
+                else
+                    contents = JSON.stringify(createGeoJson(entity, data));
+
+                // Send the file as download
+                res.attachment('game-' + game.getIdHex() + '-' + entity + '.' + format);
+                res.type(EXPORT_CONTENT_TYPES[format]);
+                res.send(contents);
+            });
+        });
+    }
+};
@@ -23,6 +23,7 @@
 var Core = require('../../../../Core');
 var LayoutRenderer = require('../../../layout/LayoutRenderer');
 var CallbackLatch = require('../../../util/CallbackLatch');
+var GameEventType = require('../../../model/gameevent/GameEventType');
 
 // Export a function to attach the game info page
 module.exports = {
@@ -117,9 +118,50 @@ module.exports = {
                 var contentsIn = 0;
                 var contentsOut = 0;
 
+                // Get the factory name, location and team for the event log
+                var factoryName = null;
+                var factoryLocation = null;
+                var factoryTeam = null;
+
                 // Create a content latch
                 var contentsLatch = new CallbackLatch();
 
+                // Get the factory name
+                contentsLatch.add();
+                factoryModel.getName(function(err, name) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the name
+                    factoryName = name;
+
+                    // Resolve the latch
+                    contentsLatch.resolve();
+                });
+
+                // Get the factory location
+                contentsLatch.add();
+                factoryModel.getLocation(function(err, location) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            next(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the location
+                    factoryLocation = location;
+
+                    // Resolve the latch
+                    contentsLatch.resolve();
+                });
+
                 // Get the in contents
                 contentsLatch.add();
                 factoryModel.getIn(function(err, amount) {
@@ -167,6 +209,9 @@ module.exports = {
                         return;
                     }
 
+                    // Set the factory team
+                    factoryTeam = team;
+
                     // Get the users in this team
                     team.getGameUsers(function(err, gameUsers) {
                         // Call back errors
@@ -259,8 +304,23 @@ module.exports = {
                             return;
                         }
 
+                        // Destroy the live factory, or delete the factory directly if its game is owned by another worker
+                        const destroyFactory = liveFactory !== null ? (callback) => liveFactory.destroy(callback) : function(callback) {
+                            factoryModel.delete(function(err) {
+                                // Let the worker that owns the game unload the factory
+                                if(err === null)
+                                    Core.clusterManager.publish(null, 'factoryUnload', {
+                                        game: game.getIdHex(),
+                                        factory: factoryModel.getIdHex()
+                                    });
+
+                                // Call back
+                                callback(err);
+                            });
+                        };
+
                         // Destroy the factory
-                        liveFactory.destroy(function() {
+                        destroyFactory(function(err) {
                             // Call back errors
                             if(err !== null) {
                                 if(!calledBack)
@@ -269,6 +329,19 @@ module.exports = {
                                 return;
                             }
 
+                            // Log the destroy event
+                            Core.model.gameEventModelManager.logGameEvent(game, GameEventType.FACTORY_DESTROY, {
+                                user,
+                                team: null,
+                                targetTeam: factoryTeam,
+                                location: factoryLocation,
+                                data: {
+                                    factory: factoryModel.getIdHex(),
+                                    factoryName,
+                                    attacked: false
+                                }
+                            });
+
                             // Send game data to everyone
                             Core.gameManager.sendGameDataToAll(game, function(err) {
                                 // Handle errors
@@ -195,6 +195,35 @@ module.exports = {
                             latch.resolve();
                         });
 
+                        // Get the factory type
+                        latch.add();
+                        factoryModel.getType(function(err, type) {
+                            // Call back errors
+                            if(err !== null) {
+                                if(!calledBack)
+                                    next(err);
+                                calledBack = true;
+                                return;
+                            }
+
+                            // Get the game configuration for the type name
+                            game.getConfig(function(err, gameConfig) {
+                                // Call back errors
+                                if(err !== null) {
+                                    if(!calledBack)
+                                        next(err);
+                                    calledBack = true;
+                                    return;
+                                }
+
+                                // Set the type name
+                                factoryObject.typeName = gameConfig.factory.getType(type).name;
+
+                                // Resolve the latch
+                                latch.resolve();
+                            });
+                        });
+
                         // Get the defence value
                         latch.add();
                         factoryModel.getDefence(function(err, defence) {
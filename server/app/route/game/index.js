@@ -30,6 +30,14 @@ var pagePlayers = require('./player/index');
 var pageTeams = require('./team/index');
 var pageManage = require('./manage');
 var pageLang = require('./language');
+var pageConfig = require('./config');
+var pageSchedule = require('./schedule');
+var pageArea = require('./area');
+var pageZones = require('./zones');
+var pageDealers = require('./dealers');
+var pageEvents = require('./events');
+var pageReplay = require('./replay');
+var pageExport = require('./export');
 var pageFactory = require('./factory/index');
 var pageFactoryDestroy = require('./factory/destroy');
 var pageSpecial = require('./special/index');
@@ -244,6 +252,30 @@ pageManage.route(router);
 // Route the game language page
 pageLang.route(router);
 
+// Route the game configuration page
+pageConfig.route(router);
+
+// Route the game schedule page
+pageSchedule.route(router);
+
+// Route the game play area page
+pageArea.route(router);
+
+// Route the game zones page
+pageZones.route(router);
+
+// Route the game dealers page
+pageDealers.route(router);
+
+// Route the game events page
+pageEvents.route(router);
+
+// Route the game replay page
+pageReplay.route(router);
+
+// Route the game export pages
+pageExport.route(router);
+
 // Route the factory page
 pageFactory.route(router);
 
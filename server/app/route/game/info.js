@@ -21,6 +21,7 @@
  ******************************************************************************/
 
 var LayoutRenderer = require('../../layout/LayoutRenderer');
+var WinCondition = require('../../live/game/WinCondition');
 var CallbackLatch = require('../../util/CallbackLatch');
 
 // Export a function to attach the game info page
@@ -63,7 +64,9 @@ module.exports = {
         }
 
         // Create a game object
-        var gameObject = {};
+        var gameObject = {
+            id: game.getIdHex()
+        };
 
         // Create a callback latch for the games properties
         var latch = new CallbackLatch();
@@ -147,6 +150,28 @@ module.exports = {
             latch.resolve();
         });
 
+        // Fetch the final results of the game
+        latch.add();
+        game.getResults(function(err, results) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the results
+            gameObject.results = results;
+
+            // Set the name of the win condition the results are ranked by, older results are always ranked by money
+            if(results !== null && results !== undefined)
+                gameObject.winConditionName = WinCondition.getName(results.winCondition || WinCondition.MONEY);
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
         // Render the page when we're ready
         latch.then(function() {
             // Render the game page if we didn't call back yet
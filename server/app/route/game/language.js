@@ -267,6 +267,15 @@ module.exports = {
                     return;
                 }
 
+                // Let the worker that owns the game update its language object, if it isn't loaded here
+                if(liveGame === null) {
+                    Core.clusterManager.publish(null, 'gameLangReload', {
+                        game: game.getIdHex()
+                    });
+                    latch.resolve();
+                    return;
+                }
+
                 // Update the language object
                 liveGame.getGameLangManager().setGameLangObject(gameLangObject);
 
@@ -0,0 +1,657 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var Core = require('../../../Core');
+var GameEventType = require('../../model/gameevent/GameEventType');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Types of game events that are shown in a replay.
+ * @type {Array}
+ */
+const REPLAY_EVENT_TYPES = [
+    GameEventType.STAGE_CHANGE,
+    GameEventType.FACTORY_BUILD,
+    GameEventType.FACTORY_CAPTURE,
+    GameEventType.FACTORY_DESTROY,
+    GameEventType.SHOP_START,
+    GameEventType.SHOP_END
+];
+
+/**
+ * Get the replay properties of the given game for the given user.
+ * Game hosts may replay a game at any time, players, spectators and special players may replay a game once it's
+ * finished.
+ *
+ * @param {GameModel} game Game.
+ * @param {UserModel} user User.
+ * @param {function} callback (err, gameObject) Called with an object containing the game ID, name, stage and whether
+ * the user may replay the game, or when an error occurred.
+ */
+const getReplayGame = function(game, user, callback) {
+    // Create a game object
+    var gameObject = {
+        id: game.getIdHex(),
+        canReplay: false
+    };
+
+    // Create variables for the permission and user state
+    var hasPermission = false;
+    var userState = null;
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Fetch the game name
+    latch.add();
+    game.getName(function(err, name) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the property
+        gameObject.name = name;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Fetch the game stage
+    latch.add();
+    game.getStage(function(err, stage) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the property
+        gameObject.stage = stage;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Determine whether the user has permission to manage this game
+    latch.add();
+    game.hasManagePermission(user, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the permission
+        hasPermission = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the state of the user in this game
+    latch.add();
+    game.getUserState(user, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the user state
+        userState = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Call back when we're done
+    latch.then(function() {
+        // Determine whether the user may replay the game
+        gameObject.canReplay = hasPermission ||
+            (gameObject.stage === 2 && (userState.player || userState.spectator || userState.special));
+
+        // Call back with the game object
+        if(!calledBack)
+            callback(null, gameObject);
+        calledBack = true;
+    });
+};
+
+/**
+ * Create the replay data for the given game.
+ * This combines the recorded player locations with the factory and shop events of the game.
+ *
+ * @param {GameModel} game Game to create the replay data for.
+ * @param {function} callback (err, replayData) Called with the replay data or when an error occurred.
+ */
+const createReplayData = function(game, callback) {
+    // Create variables for the fetched data
+    var locations = [];
+    var events = [];
+    var factories = [];
+    var teams = [];
+
+    // Create a callback latch
+    var latch = new CallbackLatch();
+
+    // Make sure we only call back once
+    var calledBack = false;
+
+    // Get the recorded locations
+    latch.add();
+    Core.model.gameLocationModelManager.getGameLocations(game, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the locations
+        locations = result;
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the events to replay, oldest first
+    latch.add();
+    Core.model.gameEventModelManager.getGameEvents(game, {types: REPLAY_EVENT_TYPES}, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Set the events
+        events = result.reverse();
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the factories that still exist, with their name, creation date, team and location
+    latch.add();
+    Core.model.factoryModelManager.getFactories(game, null, null, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Loop through the factories
+        result.forEach(function(factory) {
+            // Create a factory object
+            var factoryObject = {
+                id: factory.getIdHex()
+            };
+            factories.push(factoryObject);
+
+            // Get the name
+            latch.add();
+            factory.getName(function(err, name) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the name
+                factoryObject.name = name;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Get the creation date
+            latch.add();
+            factory.getCreateDate(function(err, createDate) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the creation date
+                factoryObject.createDate = createDate;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Get the team
+            latch.add();
+            factory.getTeam(function(err, team) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the team
+                factoryObject.team = team !== null && team !== undefined ? team.getIdHex() : null;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+
+            // Get the location
+            latch.add();
+            factory.getLocation(function(err, location) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the location
+                factoryObject.location = location;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Get the teams and their names
+    latch.add();
+    Core.model.gameTeamModelManager.getGameTeams(game, function(err, result) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                callback(err);
+            calledBack = true;
+            return;
+        }
+
+        // Loop through the teams
+        result.forEach(function(team) {
+            // Create a team object
+            var teamObject = {
+                id: team.getIdHex()
+            };
+            teams.push(teamObject);
+
+            // Get the name
+            latch.add();
+            team.getName(function(err, name) {
+                // Call back errors
+                if(err !== null) {
+                    if(!calledBack)
+                        callback(err);
+                    calledBack = true;
+                    return;
+                }
+
+                // Set the name
+                teamObject.name = name;
+
+                // Resolve the latch
+                latch.resolve();
+            });
+        });
+
+        // Resolve the latch
+        latch.resolve();
+    });
+
+    // Continue when we're done
+    latch.then(function() {
+        // Reset the latch to it's identity
+        latch.identity();
+
+        // Create the replay data object
+        var replay = {
+            start: null,
+            end: null,
+            teams,
+            players: [],
+            factories: [],
+            shops: [],
+            stages: []
+        };
+
+        // Function to include the given time in the replay bounds
+        const includeTime = function(time) {
+            if(replay.start === null || time < replay.start)
+                replay.start = time;
+            if(replay.end === null || time > replay.end)
+                replay.end = time;
+        };
+
+        // Create maps of players and factories by their ID, and of open shops by their token
+        var playerMap = {};
+        var factoryMap = {};
+        var shopMap = {};
+
+        // Create the player tracks from the recorded locations
+        locations.forEach(function(location) {
+            // Get the time
+            const time = location.date.getTime();
+            includeTime(time);
+
+            // Create the player if it doesn't exist yet
+            if(!playerMap.hasOwnProperty(location.user)) {
+                playerMap[location.user] = {
+                    id: location.user,
+                    name: null,
+                    team: null,
+                    samples: []
+                };
+                replay.players.push(playerMap[location.user]);
+            }
+
+            // Update the team, and add the sample
+            playerMap[location.user].team = location.team;
+            playerMap[location.user].samples.push([time, location.location.latitude, location.location.longitude]);
+        });
+
+        // Process the events
+        events.forEach(function(event) {
+            // Get the time
+            const time = event.date.getTime();
+            includeTime(time);
+
+            // Get the factory this event is about
+            const factory = event.data.factory !== undefined && factoryMap.hasOwnProperty(event.data.factory) ?
+                factoryMap[event.data.factory] : null;
+
+            switch(event.type) {
+                case GameEventType.STAGE_CHANGE:
+                    // Add the stage change
+                    replay.stages.push([time, event.data.stage]);
+                    break;
+
+                case GameEventType.FACTORY_BUILD:
+                    // Skip builds without a location
+                    if(event.location === null)
+                        break;
+
+                    // Add the factory
+                    factoryMap[event.data.factory] = {
+                        id: event.data.factory,
+                        name: event.data.factoryName,
+                        location: [event.location.latitude, event.location.longitude],
+                        built: time,
+                        destroyed: null,
+                        owners: [[time, event.team]]
+                    };
+                    replay.factories.push(factoryMap[event.data.factory]);
+                    break;
+
+                case GameEventType.FACTORY_CAPTURE:
+                    // Add the new owner
+                    if(factory !== null)
+                        factory.owners.push([time, event.team]);
+                    break;
+
+                case GameEventType.FACTORY_DESTROY:
+                    // Set the destruction time
+                    if(factory !== null)
+                        factory.destroyed = time;
+                    break;
+
+                case GameEventType.SHOP_START:
+                    // Add the shop
+                    shopMap[event.data.shop] = {
+                        user: event.user,
+                        start: time,
+                        end: null
+                    };
+                    replay.shops.push(shopMap[event.data.shop]);
+                    break;
+
+                case GameEventType.SHOP_END:
+                    // Set the end time of the shop
+                    if(shopMap.hasOwnProperty(event.data.shop))
+                        shopMap[event.data.shop].end = time;
+                    break;
+            }
+        });
+
+        // Add existing factories that weren't built while events were logged, present since their creation
+        factories.forEach(function(factoryObject) {
+            // Skip factories that are already known, or that don't have a location
+            if(factoryMap.hasOwnProperty(factoryObject.id) || factoryObject.location === null)
+                return;
+
+            // Get the creation time
+            const time = factoryObject.createDate.getTime();
+            includeTime(time);
+
+            // Add the factory
+            factoryMap[factoryObject.id] = {
+                id: factoryObject.id,
+                name: factoryObject.name,
+                location: [factoryObject.location.latitude, factoryObject.location.longitude],
+                built: time,
+                destroyed: null,
+                owners: [[time, factoryObject.team]]
+            };
+            replay.factories.push(factoryMap[factoryObject.id]);
+        });
+
+        // Get the display names of all players and shop users
+        var userNames = {};
+        replay.players.map((player) => player.id)
+            .concat(replay.shops.map((shop) => shop.user))
+            .forEach(function(userId) {
+                // Skip users we're already fetching
+                if(userNames.hasOwnProperty(userId))
+                    return;
+
+                // Get the display name of the user
+                userNames[userId] = null;
+                latch.add();
+                Core.model.userModelManager._instanceManager.create(userId).getDisplayName(function(err, name) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set the name
+                    userNames[userId] = name;
+
+                    // Resolve the latch
+                    latch.resolve();
+                });
+            });
+
+        // Call back when we're done
+        latch.then(function() {
+            // Set the player names
+            replay.players.forEach((player) => player.name = userNames[player.id]);
+
+            // Call back with the replay data
+            if(!calledBack)
+                callback(null, replay);
+            calledBack = true;
+        });
+    });
+};
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game replay pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/replay', self.get);
+        router.get('/:game/replay/data', self.getData);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Get the replay properties of the game
+        getReplayGame(game, user, function(err, gameObject) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user may replay the game
+            if(!gameObject.canReplay) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Render the replay page
+            LayoutRenderer.render(req, res, next, 'game/replay', 'Replay', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: gameObject
+            });
+        });
+    },
+
+    /**
+     * Get the replay data as JSON.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    getData: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.session.valid) {
+            res.json({
+                status: 'error',
+                error: {
+                    message: 'No permission'
+                }
+            });
+            return;
+        }
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Send an error response if the game is invalid
+        if(game === undefined) {
+            res.json({
+                status: 'error',
+                error: {
+                    message: 'Invalid game ID'
+                }
+            });
+            return;
+        }
+
+        // Get the replay properties of the game
+        getReplayGame(game, user, function(err, gameObject) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Send an error response if the user may not replay the game
+            if(!gameObject.canReplay) {
+                res.json({
+                    status: 'error',
+                    error: {
+                        message: 'You don\'t have permission to replay this game'
+                    }
+                });
+                return;
+            }
+
+            // Create the replay data
+            createReplayData(game, function(err, replay) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Send the replay data
+                res.json({
+                    status: 'ok',
+                    replay
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,327 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Format the given date as a value for a local date and time input field, in the server's timezone.
+ *
+ * @param {Date|null} date Date to format.
+ * @return {string} Formatted date, or an empty string if no date is given.
+ */
+const formatDateInput = function(date) {
+    // Return an empty string if no date is given
+    if(date === null)
+        return '';
+
+    // Create a function to pad numbers with a leading zero
+    const pad = (num) => (num < 10 ? '0' : '') + num;
+
+    // Format the date
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + 'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+};
+
+/**
+ * Parse the given date input value, in the server's timezone.
+ *
+ * @param {string|undefined} value Input value.
+ * @return {Date|null|undefined} Parsed date, null if no date was entered, or undefined if the value is invalid.
+ */
+const parseDateInput = function(value) {
+    // Return null if no value is entered
+    if(value === undefined || !_.isString(value) || value.trim().length <= 0)
+        return null;
+
+    // Parse the date, and make sure it's valid
+    const date = new Date(value.trim());
+    return !isNaN(date.getTime()) ? date : undefined;
+};
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game schedule pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/schedule', self.get);
+        router.post('/:game/schedule', self.post);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a game object
+        var gameObject = {
+            id: game.getIdHex()
+        };
+
+        // Create a callback latch for the games properties
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game
+        var hasPermission = false;
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set whether the user has permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the game schedule
+        var schedule = null;
+        latch.add();
+        Core.gameManager.getGameSchedule(game, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the schedule
+            schedule = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Render the page when we're ready
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Set the game stage
+            gameObject.stage = schedule.stage;
+
+            // Render the game schedule page
+            LayoutRenderer.render(req, res, next, 'game/schedule', 'Schedule', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: gameObject,
+                schedule: {
+                    startDate: formatDateInput(schedule.startDate !== null ? new Date(schedule.startDate) : null),
+                    endDate: formatDateInput(schedule.endDate !== null ? new Date(schedule.endDate) : null),
+                    duration: schedule.duration !== null ? schedule.duration / (60 * 1000) : ''
+                },
+                serverTime: formatDateInput(new Date()).replace('T', ' ')
+            });
+        });
+    },
+
+    /**
+     * Post page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Parse the start and end date
+        const startDate = parseDateInput(req.body['field-start-date']);
+        const endDate = parseDateInput(req.body['field-end-date']);
+        if(startDate === undefined || endDate === undefined) {
+            next(new Error('Invalid date entered.'));
+            return;
+        }
+
+        // Parse the duration in minutes
+        var duration = req.body['field-duration'];
+        if(duration === undefined || !_.isString(duration) || duration.trim().length <= 0)
+            duration = null;
+        else {
+            // Parse the value, and make sure it's a valid positive number
+            duration = parseFloat(duration.trim());
+            if(!_.isFinite(duration) || duration <= 0) {
+                next(new Error('Invalid duration entered.'));
+                return;
+            }
+
+            // Convert the duration to milliseconds
+            duration = Math.round(duration * 60 * 1000);
+        }
+
+        // Make sure the end date is after the start date
+        if(startDate !== null && endDate !== null && endDate.getTime() <= startDate.getTime()) {
+            next(new Error('The end time must be after the start time.'));
+            return;
+        }
+
+        // Create a callback latch
+        var latch = new CallbackLatch();
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game, and the game stage
+        var hasPermission = false;
+        var gameStage = null;
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set whether the user has permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the game stage
+        latch.add();
+        game.getStage(function(err, stage) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the stage
+            gameStage = stage;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Continue when we're done
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // The schedule can't be changed anymore when the game is finished
+            if(gameStage === 2) {
+                next(new Error('The game schedule can\'t be changed anymore, because the game has already been finished.'));
+                return;
+            }
+
+            // Update the game schedule
+            Core.gameManager.setGameSchedule(game, startDate, endDate, duration, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Render the result page
+                LayoutRenderer.render(req, res, next, 'game/schedule', 'Schedule', {
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    hideBackButton: true,
+                    success: true
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,306 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+var Core = require('../../../Core');
+var Zone = require('../../coordinate/Zone');
+var LayoutRenderer = require('../../layout/LayoutRenderer');
+var CallbackLatch = require('../../util/CallbackLatch');
+
+/**
+ * Parse the given zones input value.
+ *
+ * @param {string|undefined} value Input value, a JSON array of zone objects as used by the client map.
+ * @return {Array|undefined} Array of parsed zones, or undefined if the value is invalid.
+ */
+const parseZonesInput = function(value) {
+    // Return an empty list if no value is entered
+    if(value === undefined || !_.isString(value) || value.trim().length <= 0)
+        return [];
+
+    // Parse the JSON value, and make sure it's an array
+    var rawZones;
+    try {
+        rawZones = JSON.parse(value);
+    } catch(err) {
+        return undefined;
+    }
+    if(!_.isArray(rawZones))
+        return undefined;
+
+    // Create a function to convert a [latitude, longitude] array into a coordinate object
+    const toCoordinate = (point) => _.isArray(point) && point.length === 2 ? {
+        latitude: point[0],
+        longitude: point[1]
+    } : null;
+
+    // Parse each zone
+    var zones = [];
+    for(var i = 0; i < rawZones.length; i++) {
+        // Get the raw zone, and make sure it's an object
+        const rawZone = rawZones[i];
+        if(!_.isObject(rawZone))
+            return undefined;
+
+        // Build the raw zone object
+        var raw = {
+            name: _.isString(rawZone.name) ? rawZone.name.trim() : null,
+            type: rawZone.type
+        };
+        if(_.isArray(rawZone.points))
+            raw.points = rawZone.points.map(toCoordinate);
+        else {
+            raw.center = toCoordinate(rawZone.center);
+            raw.radius = parseFloat(rawZone.radius);
+        }
+
+        // Parse the zone, and make sure it has a name
+        const zone = Zone.parse(raw);
+        if(zone === null || zone.name.length <= 0)
+            return undefined;
+
+        // Add the zone
+        zones.push(zone);
+    }
+
+    // Return the list of zones
+    return zones;
+};
+
+// Export the module
+module.exports = {
+
+    /**
+     * Route the game zones pages.
+     *
+     * @param router Express router object.
+     */
+    route: (router) => {
+        // Store the module instance
+        const self = module.exports;
+
+        // Route the pages
+        router.get('/:game/zones', self.get);
+        router.post('/:game/zones', self.post);
+    },
+
+    /**
+     * Get page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    get: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Create a game object
+        var gameObject = {
+            id: game.getIdHex()
+        };
+
+        // Create a callback latch for the games properties
+        var latch = new CallbackLatch();
+
+        // Make sure we only call back once
+        var calledBack = false;
+
+        // Create a flag to store whether the user has permission to manage this game
+        var hasPermission = false;
+
+        // Fetch the game name
+        latch.add();
+        game.getName(function(err, name) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the property
+            gameObject.name = name;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Determine whether the user has permission to manage this game
+        latch.add();
+        game.hasManagePermission(user, function(err, result) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set whether the user has permission
+            hasPermission = result;
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the play area, to show it as reference
+        latch.add();
+        game.getPlayArea(function(err, playArea) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the play area points
+            gameObject.playArea = playArea !== null ? playArea.toLatLngArray() : [];
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Fetch the zones
+        latch.add();
+        game.getZones(function(err, zones) {
+            // Call back errors
+            if(err !== null) {
+                if(!calledBack)
+                    next(err);
+                calledBack = true;
+                return;
+            }
+
+            // Set the zones
+            gameObject.zones = zones.map((zone) => zone.toClientObject());
+
+            // Resolve the latch
+            latch.resolve();
+        });
+
+        // Render the page when we're ready
+        latch.then(function() {
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Render the game zones page
+            LayoutRenderer.render(req, res, next, 'game/zones', 'Zones', {
+                page: {
+                    leftButton: 'back'
+                },
+                game: gameObject
+            });
+        });
+    },
+
+    /**
+     * Post page.
+     *
+     * @param req Express request object.
+     * @param res Express response object.
+     * @param next Express next callback.
+     */
+    post: (req, res, next) => {
+        // Make sure the user has a valid session
+        if(!req.requireValidSession())
+            return;
+
+        // Get the game and user
+        const game = req.game;
+        const user = req.session.user;
+
+        // Call back if the game is invalid
+        if(game === undefined) {
+            next(new Error('Invalid game.'));
+            return;
+        }
+
+        // Parse the zones
+        const zones = parseZonesInput(req.body['field-zones']);
+        if(zones === undefined) {
+            next(new Error('Invalid zones, each zone must have a name and a valid shape.'));
+            return;
+        }
+
+        // Determine whether the user has permission to manage this game
+        game.hasManagePermission(user, function(err, hasPermission) {
+            // Call back errors
+            if(err !== null) {
+                next(err);
+                return;
+            }
+
+            // Make sure the user has permission to manage the game
+            if(!hasPermission) {
+                LayoutRenderer.render(req, res, next, 'permission/nopermission', 'Whoops!');
+                return;
+            }
+
+            // Update the zones
+            game.setZones(zones, function(err) {
+                // Call back errors
+                if(err !== null) {
+                    next(err);
+                    return;
+                }
+
+                // Send the updated zones to all players if the game is loaded
+                if(Core.gameManager.isGameLoaded(game))
+                    Core.gameManager.sendGameDataToAll(game, function(err) {
+                        // Handle errors
+                        if(err !== null) {
+                            console.error(err.stack || err);
+                            console.error('Failed to send game data to all players after changing the zones, ignoring');
+                        }
+                    });
+
+                // Render the result page
+                LayoutRenderer.render(req, res, next, 'game/zones', 'Zones', {
+                    game: {
+                        id: game.getIdHex()
+                    },
+                    hideBackButton: true,
+                    success: true,
+                    zoneCount: zones.length
+                });
+            });
+        });
+    }
+};
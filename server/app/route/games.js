@@ -49,6 +49,7 @@ router.get('/', function(req, res, next) {
             category: null,
             openCount: 0,
             activeCount: 0,
+            pausedCount: 0,
             finishedCount: 0
         },
         user: {
@@ -57,7 +58,7 @@ router.get('/', function(req, res, next) {
     };
 
     // Count the games
-    latch.add(3);
+    latch.add(4);
     Core.model.gameModelManager.getGamesCountWithStage(0, function(err, gameCount) {
         // Call back errors
         if(err !== null) {
@@ -84,6 +85,19 @@ router.get('/', function(req, res, next) {
         // Resolve the latch
         latch.resolve();
     });
+    Core.model.gameModelManager.getGamesCountWithStage(3, function(err, gameCount) {
+        // Call back errors
+        if(err !== null) {
+            if(!calledBack)
+                next(err);
+            calledBack = true;
+            return;
+        } else
+            options.games.pausedCount = gameCount;
+
+        // Resolve the latch
+        latch.resolve();
+    });
     Core.model.gameModelManager.getGamesCountWithStage(2, function(err, gameCount) {
         // Call back errors
         if(err !== null) {
@@ -140,6 +154,15 @@ router.get('/active', function(req, res, next) {
     renderGameList(req, res, next, 1, -1, 'Active', 'Active games');
 });
 
+router.get('/paused', function(req, res, next) {
+    // Make sure the user has a valid session
+    if(!req.requireValidSession())
+        return;
+
+    // Render the page
+    renderGameList(req, res, next, 3, -1, 'Paused', 'Paused games');
+});
+
 router.get('/finished', function(req, res, next) {
     // Make sure the user has a valid session
     if(!req.requireValidSession())
@@ -259,7 +282,9 @@ function getGameList(stage, limit, callback) {
             var gameObject = {
                 id: game.getIdHex(),
                 name: null,
-                userCount: 0
+                userCount: 0,
+                hasResults: false,
+                winner: null
             };
 
             // Create a callback latch that is used to fetch game data
@@ -301,6 +326,27 @@ function getGameList(stage, limit, callback) {
                 gameDataLatch.resolve();
             });
 
+            // Get the winning team for finished games
+            if(stage === 2) {
+                gameDataLatch.add();
+                game.getResults(function(err, results) {
+                    // Call back errors
+                    if(err !== null) {
+                        if(!calledBack)
+                            callback(err);
+                        calledBack = true;
+                        return;
+                    }
+
+                    // Set whether the game has results, and the name of the winning team
+                    gameObject.hasResults = results !== null;
+                    gameObject.winner = results !== null && results.winner !== null ? results.winner.name : null;
+
+                    // Resolve the latch
+                    gameDataLatch.resolve();
+                });
+            }
+
             // Push the object in the game objects array when we're done
             gameDataLatch.then(function() {
                 // Add the game object to the list
@@ -0,0 +1,96 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+var _ = require('lodash');
+
+/**
+ * CsvUtils class.
+ *
+ * @class
+ * @constructor
+ */
+var CsvUtils = function() {};
+
+/**
+ * Line separator used between CSV records.
+ * @type {string}
+ */
+CsvUtils.LINE_SEPARATOR = '\r\n';
+
+/**
+ * Escape a single value to be used as CSV field.
+ * Dates are formatted as ISO string, objects are formatted as JSON. Fields containing a separator, quote or line
+ * break are quoted.
+ * Text starting with a formula character, tab or carriage return is prefixed with a quote, so spreadsheet
+ * applications don't evaluate it.
+ * Numbers are kept as they are.
+ *
+ * @param {*} value Value to escape.
+ *
+ * @return {string} Escaped CSV field.
+ */
+CsvUtils.escapeValue = function(value) {
+    // Return an empty field for undefined or null values
+    if(value === undefined || value === null)
+        return '';
+
+    // Format dates and objects, and prefix text starting with a formula character
+    if(_.isDate(value))
+        value = value.toISOString();
+    else if(_.isObject(value))
+        value = JSON.stringify(value);
+    else if(_.isString(value) && /^[=+\-@\t\r]/.test(value))
+        value = '\'' + value;
+    else
+        value = String(value);
+
+    // Quote the value if it contains any special characters
+    if(/[",\r\n]/.test(value))
+        return '"' + value.replace(/"/g, '""') + '"';
+
+    // Return the value
+    return value;
+};
+
+/**
+ * Format a list of objects as CSV, with a header record.
+ *
+ * @param {Array} columns Array of column names, which are the keys of the values in each object.
+ * @param {Array} rows Array of objects, one for each record.
+ *
+ * @return {string} CSV string.
+ */
+CsvUtils.format = function(columns, rows) {
+    // Create the header record
+    var lines = [columns.map(CsvUtils.escapeValue).join(',')];
+
+    // Create a record for each row
+    rows.forEach(function(row) {
+        lines.push(columns.map((column) => CsvUtils.escapeValue(row[column])).join(','));
+    });
+
+    // Join the records
+    return lines.join(CsvUtils.LINE_SEPARATOR) + CsvUtils.LINE_SEPARATOR;
+};
+
+// Export the class
+module.exports = CsvUtils;
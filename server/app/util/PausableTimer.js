@@ -0,0 +1,172 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+/**
+ * Constructor.
+ * A timer that calls the given function once after the given delay, which may be paused and resumed.
+ * The timer isn't started automatically.
+ *
+ * @param {function} callback Function to call when the timer fires.
+ * @param {Number} delay Delay in milliseconds.
+ *
+ * @returns {PausableTimer} PausableTimer instance.
+ */
+var PausableTimer = function(callback, delay) {
+    /**
+     * Function to call when the timer fires.
+     * @type {function}
+     * @private
+     */
+    this._callback = callback;
+
+    /**
+     * Time in milliseconds that is left before the timer fires, as of the last time the timer was started.
+     * @type {Number}
+     * @private
+     */
+    this._remaining = Math.max(delay, 0);
+
+    /**
+     * Time in milliseconds the timer was last started or resumed at, or null if it isn't running.
+     * @type {Number|null}
+     * @private
+     */
+    this._startTime = null;
+
+    /**
+     * Timeout handle, or null if the timer isn't running.
+     * @type {*|null}
+     * @private
+     */
+    this._handle = null;
+
+    /**
+     * Flag defining whether the timer has fired or has been cleared.
+     * @type {boolean}
+     * @private
+     */
+    this._finished = false;
+};
+
+/**
+ * Start the timer, or resume it if it was paused.
+ * Nothing happens if the timer is already running or if it has finished.
+ */
+PausableTimer.prototype.start = function() {
+    // Make sure the timer isn't running or finished
+    if(this.isRunning() || this._finished)
+        return;
+
+    // Store this instance
+    const self = this;
+
+    // Remember when the timer was started, and schedule it
+    this._startTime = Date.now();
+    this._handle = setTimeout(function() {
+        // Reset the timer state and mark it as finished
+        self._handle = null;
+        self._startTime = null;
+        self._remaining = 0;
+        self._finished = true;
+
+        // Call the callback
+        self._callback();
+    }, this._remaining);
+};
+
+/**
+ * Pause the timer, keeping track of the time that is left.
+ * Nothing happens if the timer isn't running.
+ */
+PausableTimer.prototype.pause = function() {
+    // Make sure the timer is running
+    if(!this.isRunning())
+        return;
+
+    // Stop the timeout
+    clearTimeout(this._handle);
+    this._handle = null;
+
+    // Determine the time that is left
+    this._remaining = Math.max(this._remaining - (Date.now() - this._startTime), 0);
+    this._startTime = null;
+};
+
+/**
+ * Resume the timer if it was paused.
+ */
+PausableTimer.prototype.resume = function() {
+    this.start();
+};
+
+/**
+ * Clear the timer, so that it won't fire anymore.
+ */
+PausableTimer.prototype.clear = function() {
+    // Stop the timeout if it's running
+    if(this._handle !== null)
+        clearTimeout(this._handle);
+
+    // Reset the timer state and mark it as finished
+    this._handle = null;
+    this._startTime = null;
+    this._finished = true;
+};
+
+/**
+ * Check whether the timer is currently running.
+ *
+ * @return {boolean} True if the timer is running, false if it's paused, finished or not started.
+ */
+PausableTimer.prototype.isRunning = function() {
+    return this._handle !== null;
+};
+
+/**
+ * Check whether the timer has finished, because it fired or because it was cleared.
+ *
+ * @return {boolean} True if finished, false if not.
+ */
+PausableTimer.prototype.isFinished = function() {
+    return this._finished;
+};
+
+/**
+ * Get the time that is left before the timer fires.
+ *
+ * @return {Number} Time left in milliseconds.
+ */
+PausableTimer.prototype.getRemainingTime = function() {
+    // Return zero if the timer has finished
+    if(this._finished)
+        return 0;
+
+    // Return the stored time if the timer isn't running
+    if(!this.isRunning())
+        return this._remaining;
+
+    // Determine the time that is left
+    return Math.max(this._remaining - (Date.now() - this._startTime), 0);
+};
+
+// Export the class
+module.exports = PausableTimer;
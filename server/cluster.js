@@ -36,8 +36,9 @@ if(cluster.isMaster) {
     // Show the master and a message that workers will be started
     console.log('Master ' + process.pid + ' online');
 
-    // Load the configuration
+    // Load the configuration and Redis utilities
     const config = require('./config');
+    const RedisUtils = require('./app/redis/RedisUtils');
 
     // Load the sentry properties
     const sentryEnable = config.sentry.enable;
@@ -57,27 +58,52 @@ if(cluster.isMaster) {
     // Print the number of available CPUs for workers
     console.log('Available CPUs for workers: ' + CPU_COUNT);
 
-    // Determine the number of workers
-    const workerCount = config.cluster.maxWorkerCount !== null && config.cluster.maxWorkerCount !== undefined ?
-            workerCount = Math.min(config.cluster.maxWorkerCount, CPU_COUNT) :
+    // Determine the maximum number of workers
+    const maxWorkerCount = config.cluster.maxWorkerCount !== null && config.cluster.maxWorkerCount !== undefined ?
+            Math.min(config.cluster.maxWorkerCount, CPU_COUNT) :
             CPU_COUNT;
 
-    // Show the number of workers to use
-    console.log('Using number of workers: ' + workerCount);
-
-    // Start the workers
-    console.log('Staring ' + workerCount + ' worker' + (workerCount !== 1 ? 's' : '') + '...');
-
-    // Fork the workers
-    for(var i = 0; i < workerCount; i++)
-        // Fork a worker
-        cluster.fork();
+    // Connect to Redis, which is flushed once here instead of by each worker, as the workers share their state through it
+    RedisUtils.connect(function(err) {
+        // Show errors, the workers will run without sharing their state
+        if(err !== null && err !== undefined) {
+            console.error('Failed to connect to Redis from cluster master, workers can\'t coordinate the games they run.');
+            console.error(err.stack || err);
+        }
+
+        // Only use a single worker if Redis isn't available, multiple workers would all run the same games
+        var workerCount = maxWorkerCount;
+        if(workerCount > 1 && !RedisUtils.isReady()) {
+            console.log('Redis isn\'t available, limiting the number of workers to one.');
+            workerCount = 1;
+        }
+
+        // Show the number of workers to use
+        console.log('Using number of workers: ' + workerCount);
+
+        // Start the workers
+        console.log('Staring ' + workerCount + ' worker' + (workerCount !== 1 ? 's' : '') + '...');
+
+        // Fork the workers
+        for(var i = 0; i < workerCount; i++)
+            // Fork a worker
+            cluster.fork();
+    });
 
     // Replace workers that die
     cluster.on('exit', function(worker, code, signal) {
         // Worker died, show a status message
         console.log('Worker ' + worker.process.pid + ' died. Starting new worker...');
 
+        // Let the other workers take over the games the dead worker owned
+        Object.keys(cluster.workers).forEach(function(id) {
+            if(cluster.workers[id].isConnected())
+                cluster.workers[id].send({
+                    type: 'workerDied',
+                    worker: worker.process.pid
+                });
+        });
+
         // Start a new worker
         cluster.fork();
     });
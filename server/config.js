@@ -165,12 +165,33 @@ config.cache.internal.flushInterval = 5 * 60 * 1000;
  * Maximum number of allowed worker threads.
  * Null or undefined to set it to unlimited.
  *
- * Warning: Multiple workers don't seem to work properly yet along with Socket.IO.
+ * Multiple workers require Redis, through which the workers divide the live games and exchange packets.
+ * Each live game is owned by a single worker, packets for a game are forwarded to the worker that owns it.
+ * Only a single worker is started if Redis isn't available.
+ *
+ * Warning: Socket.IO polling requires sticky sessions when using multiple workers, make sure the load balancer
+ * routes the requests of a client to the same worker.
  *
  * @type {null|number}
  */
 config.cluster.maxWorkerCount = 1;
 
+/**
+ * Time in milliseconds the ownership of a live game by a worker lasts, if it isn't renewed.
+ * Another worker takes the game over when it expires, for example because the owning worker stopped responding.
+ *
+ * @type {number}
+ */
+config.cluster.ownershipTimeout = 30 * 1000;
+
+/**
+ * Interval in milliseconds a worker renews the ownership of it's live games at.
+ * Must be shorter than the ownership timeout.
+ *
+ * @type {number}
+ */
+config.cluster.ownershipRenewInterval = 10 * 1000;
+
 
 /******************************************************************************
  * Web configuration.                                                         *
@@ -383,6 +404,19 @@ config.game.locationDecayTime = 30 * 1000;
  */
 config.game.locationUpdateInterval = 5 * 1000;
 
+/**
+ * Interval in milliseconds to check whether scheduled games should be started or finished.
+ * @type {number}
+ */
+config.game.scheduleInterval = 10 * 1000;
+
+/**
+ * Interval in milliseconds to store a snapshot of the live state of all loaded games, such as pings and shops.
+ * The state is also stored when the server is shut down, and is restored when the games are loaded again.
+ * @type {number}
+ */
+config.game.stateSnapshotInterval = 30 * 1000;
+
 /**
  * Define whether to spread all tasks that have to be invoked automatically over
  * their available time frame, instead of invoking them all at once.
@@ -33,7 +33,41 @@ var gameConfig = {
          * Tick interval in milliseconds.
          * @type {Number}
          */
-        tickInterval: 5 * 1000
+        tickInterval: 5 * 1000,
+
+        /**
+         * Time in milliseconds before the scheduled end of a game, to warn all players the game is about to finish.
+         * @type {Number}
+         */
+        finishWarningTime: 5 * 60 * 1000,
+
+        /**
+         * Minimum time in milliseconds between two recorded location samples of a player, used to replay the game.
+         * Set to zero to disable location recording.
+         * @type {Number}
+         */
+        locationSampleInterval: 10 * 1000,
+
+        /**
+         * Condition that decides which team wins the game.
+         * Either: money, factories, production, value or target. See WinCondition for details.
+         * @type {string}
+         */
+        winCondition: 'money',
+
+        /**
+         * Amount of money a team must reach to win the game, when the target win condition is used.
+         * The game is finished automatically when a team reaches this amount.
+         * @type {Number}
+         */
+        winTarget: 100000,
+
+        /**
+         * Time in milliseconds the last known position of an enemy factory or player is shown on the map,
+         * after it went out of sight.
+         * @type {Number}
+         */
+        lastSeenDuration: 10 * 60 * 1000
     },
 
     /**
@@ -60,6 +94,30 @@ var gameConfig = {
          */
         initialStrength: 1,
 
+        /**
+         * Base price of a strength upgrade.
+         * @type {Number}
+         */
+        strengthBasePrice: 35,
+
+        /**
+         * Power the strength upgrade price grows with, for each strength level.
+         * @type {Number}
+         */
+        strengthPricePower: 1.5,
+
+        /**
+         * Maximum distance in meters between teammates to transfer money and goods to each other.
+         * @type {Number}
+         */
+        transferRange: 15,
+
+        /**
+         * Time in milliseconds a player has to accept a transfer from a teammate.
+         * @type {Number}
+         */
+        transferTimeout: 60 * 1000,
+
         /**
          * Get the upgrades and their cost.
          *
@@ -68,8 +126,8 @@ var gameConfig = {
          */
         getStrengthUpgrades: function(strength) {
             // Base price
-            const basePrice = 35;
-            const power = 1.5;
+            const basePrice = this.strengthBasePrice;
+            const power = this.strengthPricePower;
 
             // Create an array of defences
             var strengths = [{
@@ -151,6 +209,12 @@ var gameConfig = {
          */
         workerInterval: 10 * 1000,
 
+        /**
+         * Number of players in a team for each preferred shop.
+         * @type {Number}
+         */
+        playersPerShop: 8,
+
         /**
          * Get the number of preferred shops in a team, based on the team size.
          * @param {Number} playerCount Number of players in the team.
@@ -162,9 +226,21 @@ var gameConfig = {
                 return 0;
 
             // Determine the preferred number of shops
-            return Math.ceil(playerCount / 8)
+            return Math.ceil(playerCount / this.playersPerShop);
         },
 
+        /**
+         * Minimum lifetime of a shop in milliseconds.
+         * @type {Number}
+         */
+        lifetimeMin: 8 * 60 * 1000,
+
+        /**
+         * Maximum lifetime of a shop in milliseconds.
+         * @type {Number}
+         */
+        lifetimeMax: 12 * 60 * 1000,
+
         /**
          * The lifetime of a shop in milliseconds.
          * Fetched once when a shop is created.
@@ -172,8 +248,8 @@ var gameConfig = {
          */
         getShopLifetime: function() {
             // Define the minimum and maximum shop lifetimes
-            const timeMin = 8 * 60 * 1000;
-            const timeMax = 12 * 60 * 1000;
+            const timeMin = this.lifetimeMin;
+            const timeMax = this.lifetimeMax;
 
             // Randomize the shop lifetime
             return Math.round(Math.random() * (timeMax - timeMin) + timeMin);
@@ -185,19 +261,99 @@ var gameConfig = {
          */
         shopAlertTime: 45 * 1000,
 
+        /**
+         * Minimum price per unit the in goods are sold for.
+         * @type {Number}
+         */
+        inSellPriceMin: 7.5,
+
+        /**
+         * Maximum price per unit the in goods are sold for.
+         * @type {Number}
+         */
+        inSellPriceMax: 11,
+
+        /**
+         * Price multiplier for in goods sold to allies.
+         * @type {Number}
+         */
+        inSellAllyMultiplier: 1.25,
+
+        /**
+         * Minimum price per unit the out goods are bought for.
+         * @type {Number}
+         */
+        outBuyPriceMin: 39,
+
+        /**
+         * Maximum price per unit the out goods are bought for.
+         * @type {Number}
+         */
+        outBuyPriceMax: 51,
+
+        /**
+         * Price multiplier for out goods bought from allies.
+         * @type {Number}
+         */
+        outBuyAllyMultiplier: 0.7,
+
+        /**
+         * Relative price increase of in goods for each unit that is sold by dealers.
+         * @type {Number}
+         */
+        inSellPriceImpact: 0.001,
+
+        /**
+         * Relative price decrease of out goods for each unit that is bought by dealers.
+         * @type {Number}
+         */
+        outBuyPriceImpact: 0.005,
+
+        /**
+         * Factor of the minimum price, market prices never drop below.
+         * @type {Number}
+         */
+        marketPriceMinFactor: 0.5,
+
+        /**
+         * Factor of the maximum price, market prices never rise above.
+         * @type {Number}
+         */
+        marketPriceMaxFactor: 2,
+
+        /**
+         * Part of the difference to the base price, market prices recover each game tick.
+         * @type {Number}
+         */
+        marketRecovery: 0.02,
+
+        /**
+         * Interval in milliseconds market prices are recorded in the price history.
+         * @type {Number}
+         */
+        marketHistoryInterval: 60 * 1000,
+
+        /**
+         * Maximum number of recorded prices in the market price history.
+         * @type {Number}
+         */
+        marketHistorySize: 30,
+
         /**
          * Get the price per unit the in goods are sold for.
-         * Fetched once when a shop is created.
+         * The game market picks a random base price once, and moves it with the traded volume.
+         * @param {Number} [price] Current market price, a random price is picked if not given.
          * @return {Object} ally key with ally cost, enemy key with enemy cost.
          */
-        getInSellPrice: function() {
+        getInSellPrice: function(price) {
             // Define the minimum and maximum price
-            const priceMin = 7.5;
-            const priceMax = 11;
-            const allyMultiplier = 1.25;
+            const priceMin = this.inSellPriceMin;
+            const priceMax = this.inSellPriceMax;
+            const allyMultiplier = this.inSellAllyMultiplier;
 
-            // Randomize the price
-            const price = Math.random() * (priceMax - priceMin) + priceMin;
+            // Randomize the price if it isn't given
+            if(price === undefined)
+                price = Math.random() * (priceMax - priceMin) + priceMin;
 
             // Return the cost object
             return {
@@ -208,24 +364,26 @@ var gameConfig = {
 
         /**
          * Get the price per unit the out goods are bought for.
-         * Fetched once when a shop is created.
+         * The game market picks a random base price once, and moves it with the traded volume.
+         * @param {Number} [price] Current market price, a random price is picked if not given.
          * @return {Object} ally key with ally cost, enemy key with enemy cost.
          */
-        getOutBuyPrice: function() {
+        getOutBuyPrice: function(price) {
             // Define the minimum and maximum price
-            const priceMin = 39;
-            const priceMax = 51;
-            const allyMultiplier = 0.7;
+            const priceMin = this.outBuyPriceMin;
+            const priceMax = this.outBuyPriceMax;
+            const allyMultiplier = this.outBuyAllyMultiplier;
 
-            // Randomize the price
-            const price = Math.random() * (priceMax - priceMin) + priceMin;
+            // Randomize the price if it isn't given
+            if(price === undefined)
+                price = Math.random() * (priceMax - priceMin) + priceMin;
 
             // Return the cost object
             return {
                 ally: +((price * allyMultiplier).toFixed(1)),
                 enemy: +(price.toFixed(1))
             };
-        },
+        }
     },
 
     /**
@@ -281,6 +439,18 @@ var gameConfig = {
          */
         initialOut: 0,
 
+        /**
+         * Production input ratio, the number of in goods produced for each level, each tick.
+         * @type {Number}
+         */
+        productionInRatio: 3,
+
+        /**
+         * Production output ratio, the base number of out goods produced each tick.
+         * @type {Number}
+         */
+        productionOutRatio: 1,
+
         /**
          * Calculate the production input for each tick.
          * @param {Number} level Factory level.
@@ -288,7 +458,7 @@ var gameConfig = {
          */
         getProductionIn: function(level) {
             // Constants
-            const ratioIn = 3;
+            const ratioIn = this.productionInRatio;
 
             // Calculate and return the production value
             return Math.round(level * ratioIn);
@@ -301,12 +471,24 @@ var gameConfig = {
          */
         getProductionOut: function(level) {
             // Constants
-            const ratioOut = 1;
+            const ratioOut = this.productionOutRatio;
 
             // Calculate and return the production value
             return Math.round(ratioOut + Math.pow(level, 1.3) - 1);
         },
 
+        /**
+         * Base price of a new factory.
+         * @type {Number}
+         */
+        buildBasePrice: 400,
+
+        /**
+         * Number of factories a team may build for free.
+         * @type {Number}
+         */
+        buildFreeCount: 3,
+
         /**
          * Function to calculate the factory cost.
          *
@@ -316,12 +498,12 @@ var gameConfig = {
          */
         getBuildCost: function(allyFactoryCount, enemyFactoryCount) {
             // Factory base price
-            const FACTORY_BASE_PRICE = 400;
+            const FACTORY_BASE_PRICE = this.buildBasePrice;
 
-            // Decrease both factory counts by one (to a minimum of 3)
-            // This makes the first 3 factories free to build
-            allyFactoryCount = Math.max(allyFactoryCount - 2, 0);
-            enemyFactoryCount = Math.max(enemyFactoryCount - 2, 0);
+            // Decrease both factory counts by the free count (to a minimum of zero)
+            // This makes the first few factories free to build
+            allyFactoryCount = Math.max(allyFactoryCount - (this.buildFreeCount - 1), 0);
+            enemyFactoryCount = Math.max(enemyFactoryCount - (this.buildFreeCount - 1), 0);
 
             // The first factory costs nothing
             if(allyFactoryCount <= 0)
@@ -338,6 +520,18 @@ var gameConfig = {
             return Math.round(FACTORY_BASE_PRICE * Math.pow(1.4, allyFactoryCount + ratioOffset));
         },
 
+        /**
+         * Base cost to upgrade a level.
+         * @type {Number}
+         */
+        levelBaseCost: 250,
+
+        /**
+         * Cost factor to upgrade a level, multiplied with the level curve.
+         * @type {Number}
+         */
+        levelCostFactor: 500,
+
         /**
          * Get the cost to upgrade a level.
          *
@@ -346,7 +540,7 @@ var gameConfig = {
          */
         getLevelCost: function(level) {
             // Calculate the level cost
-            const levelCost = Math.round(250 + 500 * Math.pow(level - 1, 1.5));
+            const levelCost = Math.round(this.levelBaseCost + this.levelCostFactor * Math.pow(level - 1, 1.5));
 
             // Return the level cost if the level is 10 or below
             if(level <= 10)
@@ -356,6 +550,50 @@ var gameConfig = {
             return Math.round(levelCost * Math.pow(1.2, level - 10));
         },
 
+        /**
+         * Time in milliseconds it takes to build a new factory.
+         * The player that built the factory must stay in range for the construction to progress.
+         * Set to zero to build factories instantly.
+         * @type {Number}
+         */
+        buildTime: 2 * 60 * 1000,
+
+        /**
+         * Time in milliseconds it takes to upgrade a factory to the second level.
+         * Upgrades to higher levels take proportionally longer.
+         * Set to zero to upgrade factories instantly.
+         * @type {Number}
+         */
+        levelUpgradeTime: 60 * 1000,
+
+        /**
+         * Get the time it takes to upgrade a factory to the given level.
+         *
+         * @param {Number} level Level the factory is upgraded to.
+         * @return {Number} Upgrade time in milliseconds.
+         */
+        getLevelUpgradeTime: function(level) {
+            return Math.max(Math.round(this.levelUpgradeTime * (level - 1)), 0);
+        },
+
+        /**
+         * Ratio of the defence a factory has while it's under construction.
+         * @type {Number}
+         */
+        constructionDefenceRatio: 0.5,
+
+        /**
+         * Base price of a defence upgrade.
+         * @type {Number}
+         */
+        defenceBasePrice: 100,
+
+        /**
+         * Power the defence upgrade price grows with, for each defence level.
+         * @type {Number}
+         */
+        defencePricePower: 1.2,
+
         /**
          * Get the upgrades and their cost.
          *
@@ -364,8 +602,8 @@ var gameConfig = {
          */
         getDefenceUpgrades: function(defence) {
             // Base price
-            const basePrice = 100;
-            const power = 1.2;
+            const basePrice = this.defenceBasePrice;
+            const power = this.defencePricePower;
 
             // Create an array of defences
             var defences = [{
@@ -414,6 +652,40 @@ var gameConfig = {
             return defences;
         },
 
+        /**
+         * Mode used to capture factories.
+         * 'instant' takes over a factory as soon as it's attacked.
+         * 'siege' starts a capture progress meter when a factory is attacked, that fills while the conquer value stays
+         * positive and drains while it's negative. The factory is taken over when the meter is full.
+         * @type {String}
+         */
+        captureMode: 'instant',
+
+        /**
+         * Time in milliseconds the conquer value must stay positive to capture a factory in the siege capture mode.
+         * @type {Number}
+         */
+        captureTime: 60 * 1000,
+
+        /**
+         * Time in milliseconds it takes defenders to drain a full capture progress meter in the siege capture mode.
+         * @type {Number}
+         */
+        captureDrainTime: 30 * 1000,
+
+        /**
+         * Minimum time in milliseconds between alerts of the same type for a factory, sent to the owning team.
+         * This prevents enemies moving in and out of range from spamming alerts.
+         * @type {Number}
+         */
+        alertInterval: 60 * 1000,
+
+        /**
+         * The owning team is alerted when the conquer value of a factory rises to this margin below zero, or above.
+         * @type {Number}
+         */
+        alertConquerMargin: 5,
+
         /**
          * Get the new in value when a factory is attacked.
          *
@@ -442,18 +714,290 @@ var gameConfig = {
          */
         attackNewDefence: function(oldDefence) {
             return Math.floor(oldDefence * 0.66);
-        }
+        },
+
+        /**
+         * Base upkeep cost of a factory for each tick.
+         * Upkeep is disabled when this and the level factor are zero.
+         * @type {Number}
+         */
+        upkeepBase: 0,
+
+        /**
+         * Additional upkeep cost for each factory level above the first, for each tick.
+         * @type {Number}
+         */
+        upkeepLevelFactor: 0,
+
+        /**
+         * Get the upkeep cost of a factory for each tick.
+         *
+         * @param {Number} level Factory level.
+         * @return {Number} Upkeep cost.
+         */
+        getUpkeep: function(level) {
+            return Math.max(Math.round(this.upkeepBase + this.upkeepLevelFactor * (level - 1)), 0);
+        },
+
+        /**
+         * Who pays the upkeep of a factory.
+         * 'builder' charges the player that built the factory, as long as the player is part of the owning team.
+         * 'treasury' always charges the treasury of the owning team.
+         * A factory doesn't produce on ticks its upkeep couldn't be paid for.
+         * @type {String}
+         */
+        upkeepPayer: 'builder',
+
+        /**
+         * Time in milliseconds a factory may go without a visit of a friendly player, before it starts to decay.
+         * Set to zero to disable decay.
+         * @type {Number}
+         */
+        decayTime: 0,
+
+        /**
+         * Time in milliseconds before decay starts, at which players are warned about it.
+         * @type {Number}
+         */
+        decayWarningTime: 10 * 60 * 1000,
+
+        /**
+         * Interval in milliseconds between decay steps of a neglected factory.
+         * @type {Number}
+         */
+        decayInterval: 60 * 1000,
+
+        /**
+         * Defence a neglected factory loses on each decay step.
+         * A factory without defence loses a level instead, down to the first level.
+         * @type {Number}
+         */
+        decayDefence: 1,
+
+        /**
+         * Factory types a player may choose from when building a factory, by their ID.
+         *
+         * - name: Display name of the type.
+         * - description: Short description of the type, shown when building a factory.
+         * - productionRatio: Ratio the in and out production of the factory is multiplied with.
+         * - rangeRatio: Ratio the range of the factory is multiplied with, this also affects the visibility of the factory.
+         * - defenceBonus: Defence that is added to the defence of the factory.
+         * - attackLossRatio: Ratio the goods a factory loses when it's taken over are multiplied with.
+         *
+         * @type {Object}
+         */
+        types: {
+            standard: {
+                name: 'Standard',
+                description: 'A balanced all-round factory.',
+                productionRatio: 1,
+                rangeRatio: 1,
+                defenceBonus: 0,
+                attackLossRatio: 1
+            },
+            throughput: {
+                name: 'High-throughput',
+                description: 'Produces half as much more, but has a larger range which makes it easier to spot.',
+                productionRatio: 1.5,
+                rangeRatio: 1.25,
+                defenceBonus: 0,
+                attackLossRatio: 1
+            },
+            stealth: {
+                name: 'Stealth',
+                description: 'Has a smaller range which makes it harder to spot, but produces less.',
+                productionRatio: 0.8,
+                rangeRatio: 0.6,
+                defenceBonus: 0,
+                attackLossRatio: 1
+            },
+            fortified: {
+                name: 'Fortified',
+                description: 'Has bonus defence, but produces less.',
+                productionRatio: 0.8,
+                rangeRatio: 1,
+                defenceBonus: 10,
+                attackLossRatio: 1
+            },
+            storage: {
+                name: 'Storage',
+                description: 'Keeps more of its goods when it\'s taken over, but produces less.',
+                productionRatio: 0.9,
+                rangeRatio: 1,
+                defenceBonus: 0,
+                attackLossRatio: 0.4
+            }
+        },
+
+        /**
+         * ID of the factory type that is used when no type is chosen.
+         * @type {String}
+         */
+        defaultType: 'standard',
+
+        /**
+         * Get the configuration of a factory type.
+         * The default factory type is returned if the given type is unknown.
+         *
+         * @param {String} type ID of the factory type.
+         * @return {Object} Factory type configuration.
+         */
+        getType: function(type) {
+            return this.types.hasOwnProperty(type) ? this.types[type] : this.types[this.defaultType];
+        },
+
+        /**
+         * Price of a jammer, which hides a factory from enemy pings for some time.
+         * @type {Number}
+         */
+        jammerPrice: 750,
+
+        /**
+         * Duration in milliseconds a jammer hides a factory from enemy pings.
+         * @type {Number}
+         */
+        jammerDuration: 10 * 60 * 1000,
+
+        /**
+         * Price of a decoy factory.
+         * A decoy looks like a real factory to enemies, but doesn't produce anything and is destroyed when it's attacked.
+         * @type {Number}
+         */
+        decoyPrice: 150
     },
 
     /**
      * Ping configurations.
      */
     ping: {
+        /**
+         * Duration of the effect of a ping in milliseconds.
+         * @type {Number}
+         */
+        duration: 45 * 1000,
+
+        /**
+         * Team money threshold below which the cheap radar is available.
+         * @type {Number}
+         */
+        cheapRadarTeamMoneyThreshold: 500,
+
+        /**
+         * Price of the cheap radar.
+         * @type {Number}
+         */
+        cheapRadarPrice: 75,
+
+        /**
+         * Radar price as factor of the team money.
+         * @type {Number}
+         */
+        radarPriceFactor: 0.05,
+
+        /**
+         * Minimum radar price.
+         * @type {Number}
+         */
+        radarPriceMin: 500,
+
+        /**
+         * Spy satellite price as factor of the team money.
+         * @type {Number}
+         */
+        satellitePriceFactor: 0.1,
+
+        /**
+         * Minimum spy satellite price.
+         * @type {Number}
+         */
+        satellitePriceMin: 1000,
+
+        /**
+         * Enemy hack price as factor of the team money.
+         * @type {Number}
+         */
+        enemyHackPriceFactor: 0.2,
+
+        /**
+         * Minimum enemy hack price.
+         * @type {Number}
+         */
+        enemyHackPriceMin: 8000,
+
+        /**
+         * Team money threshold from which the enemy hack is available.
+         * @type {Number}
+         */
+        enemyHackTeamMoneyThreshold: 40000,
+
+        /**
+         * Price of the direction finder, which shows the bearing and distance band to the nearest enemy factory.
+         * @type {Number}
+         */
+        directionFinderPrice: 150,
+
+        /**
+         * Distance bands in meters the direction finder reports the distance to the nearest enemy factory in.
+         * @type {Array}
+         */
+        directionFinderBands: [50, 100, 250, 500, 1000],
+
+        /**
+         * Player radar price as factor of the team money.
+         * @type {Number}
+         */
+        playerRadarPriceFactor: 0.05,
+
+        /**
+         * Minimum player radar price.
+         * @type {Number}
+         */
+        playerRadarPriceMin: 400,
+
+        /**
+         * Range of the player radar in meters.
+         * @type {Number}
+         */
+        playerRadarRange: 150,
+
+        /**
+         * Duration in milliseconds enemy players found by the player radar stay visible.
+         * @type {Number}
+         */
+        playerRadarDuration: 20 * 1000,
+
+        /**
+         * Get the distance band the given distance is in.
+         *
+         * @param {Number} distance Distance in meters.
+         * @return {{min: Number, max: Number|null}} Distance band in meters, the maximum is null if the distance is beyond the last band.
+         */
+        getDistanceBand: function(distance) {
+            // Find the first band the distance fits in
+            var min = 0;
+            for(var i = 0; i < this.directionFinderBands.length; i++) {
+                if(distance < this.directionFinderBands[i])
+                    return {
+                        min,
+                        max: this.directionFinderBands[i]
+                    };
+                min = this.directionFinderBands[i];
+            }
+
+            // The distance is beyond the last band
+            return {
+                min,
+                max: null
+            };
+        },
+
         /**
          * Object defining the configuration of a ping, including it's effect strength and price.
          *
          * @typedef {Object} PingConfig
          * @param {String} name Name of the ping.
+         * @param {String} type Type of the ping, 'factory' to reveal enemy factories, 'player' to reveal enemy players,
+         * or 'bearing' to find the bearing and distance band of the nearest enemy factory.
          * @param {Number} price Price to use the ping.
          * @param {Number} range Range of the ping in meters, -1 for an infinite range.
          * @param {Number} duration Duration of the ping's effect in seconds.
@@ -468,15 +1012,18 @@ var gameConfig = {
          */
         getPings: function(teamMoney) {
             // Minimum possible prices and price factors for the pings
-            const CHEAP_RADAR_TEAM_MONEY_THRESHOLD = 500;
-            const CHEAP_RADAR_PRICE = 75;
-            const RADAR_PRICE_FACTOR = 0.05;
-            const RADAR_PRICE_MIN = 500;
-            const SATELLITE_PRICE_FACTOR = 0.1;
-            const SATELLITE_PRICE_MIN = 1000;
-            const ENEMY_HACK_PRICE_FACTOR = 0.2;
-            const ENEMY_HACK_PRICE_MIN = 8000;
-            const ENEMY_HACK_TEAM_MONEY_THRESHOLD = 40000;
+            const CHEAP_RADAR_TEAM_MONEY_THRESHOLD = this.cheapRadarTeamMoneyThreshold;
+            const CHEAP_RADAR_PRICE = this.cheapRadarPrice;
+            const RADAR_PRICE_FACTOR = this.radarPriceFactor;
+            const RADAR_PRICE_MIN = this.radarPriceMin;
+            const SATELLITE_PRICE_FACTOR = this.satellitePriceFactor;
+            const SATELLITE_PRICE_MIN = this.satellitePriceMin;
+            const ENEMY_HACK_PRICE_FACTOR = this.enemyHackPriceFactor;
+            const ENEMY_HACK_PRICE_MIN = this.enemyHackPriceMin;
+            const ENEMY_HACK_TEAM_MONEY_THRESHOLD = this.enemyHackTeamMoneyThreshold;
+            const DIRECTION_FINDER_PRICE = this.directionFinderPrice;
+            const PLAYER_RADAR_PRICE_FACTOR = this.playerRadarPriceFactor;
+            const PLAYER_RADAR_PRICE_MIN = this.playerRadarPriceMin;
 
             // Dynamically determine ping IDs, and create an array of pings
             var i = 1;
@@ -487,9 +1034,10 @@ var gameConfig = {
                 pings.push({
                     id: i++,
                     name: "Cheap Radar",
+                    type: 'factory',
                     price: CHEAP_RADAR_PRICE,
                     range: 25,
-                    duration: 45 * 1000,
+                    duration: this.duration,
                     max: 1
                 });
 
@@ -497,17 +1045,19 @@ var gameConfig = {
             pings.push({
                 id: i++,
                 name: "Radar",
+                type: 'factory',
                 price: Math.round(Math.max(teamMoney * RADAR_PRICE_FACTOR, RADAR_PRICE_MIN)),
                 range: 40,
-                duration: 45 * 1000,
+                duration: this.duration,
                 max: 1
             });
             pings.push({
                 id: i++,
                 name: "Spy Satellite",
+                type: 'factory',
                 price: Math.round(Math.max(teamMoney * SATELLITE_PRICE_FACTOR, SATELLITE_PRICE_MIN)),
                 range: -1,
-                duration: 45 * 1000,
+                duration: this.duration,
                 max: 1
             });
 
@@ -516,12 +1066,33 @@ var gameConfig = {
                 pings.push({
                     id: i++,
                     name: "Enemy Hack",
+                    type: 'factory',
                     price: Math.round(Math.max(teamMoney * ENEMY_HACK_PRICE_FACTOR, ENEMY_HACK_PRICE_MIN)),
                     range: -1,
-                    duration: 45 * 1000,
+                    duration: this.duration,
                     max: 2
                 });
 
+            // Add the direction finder, and the radar for enemy players
+            pings.push({
+                id: i++,
+                name: "Direction Finder",
+                type: 'bearing',
+                price: DIRECTION_FINDER_PRICE,
+                range: -1,
+                duration: 0,
+                max: 1
+            });
+            pings.push({
+                id: i++,
+                name: "Player Radar",
+                type: 'player',
+                price: Math.round(Math.max(teamMoney * PLAYER_RADAR_PRICE_FACTOR, PLAYER_RADAR_PRICE_MIN)),
+                range: this.playerRadarRange,
+                duration: this.playerRadarDuration,
+                max: -1
+            });
+
             // Return the list of pings
             return pings;
         }
@@ -0,0 +1,69 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const ClusterManager = require('../../app/cluster/ClusterManager');
+
+// Cluster manager class
+describe('cluster.ClusterManager', function() {
+    // Disabled state
+    it('Is disabled when not started', function() {
+        const clusterManager = new ClusterManager();
+        assert.isFalse(clusterManager.isEnabled());
+    });
+
+    // Local worker
+    it('Recognizes the local worker', function() {
+        const clusterManager = new ClusterManager();
+        assert.isTrue(clusterManager.isLocalWorker(process.pid.toString()));
+        assert.isFalse(clusterManager.isLocalWorker('0'));
+    });
+
+    // Claiming games
+    it('Owns every game when disabled', function(done) {
+        const clusterManager = new ClusterManager();
+        clusterManager.claimGame('5a1b2c3d4e5f6a7b8c9d0e1f', null, function(err, claimed) {
+            assert.isNull(err);
+            assert.isTrue(claimed);
+
+            clusterManager.getGameOwner('5a1b2c3d4e5f6a7b8c9d0e1f', function(err, owner) {
+                assert.isNull(err);
+                assert.isTrue(clusterManager.isLocalWorker(owner));
+                done();
+            });
+        });
+    });
+
+    // Locks
+    it('Acquires every lock when disabled', function(done) {
+        const clusterManager = new ClusterManager();
+        clusterManager.acquireLock('schedule', 1000, function(err, acquired) {
+            assert.isNull(err);
+            assert.isTrue(acquired);
+            done();
+        });
+    });
+});
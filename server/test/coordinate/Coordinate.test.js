@@ -0,0 +1,51 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const Coordinate = require('../../app/coordinate/Coordinate');
+
+// Origin coordinate used in the tests
+const ORIGIN = new Coordinate({latitude: 52.0, longitude: 4.0});
+
+// Coordinate class
+describe('coordinate.Coordinate', function() {
+    // getBearingTo function
+    it('Bearing to', function() {
+        assert.closeTo(ORIGIN.getBearingTo(new Coordinate({latitude: 52.1, longitude: 4.0})), 0, 1);
+        assert.closeTo(ORIGIN.getBearingTo(new Coordinate({latitude: 52.0, longitude: 4.1})), 90, 1);
+        assert.closeTo(ORIGIN.getBearingTo(new Coordinate({latitude: 51.9, longitude: 4.0})), 180, 1);
+        assert.closeTo(ORIGIN.getBearingTo(new Coordinate({latitude: 52.0, longitude: 3.9})), 270, 1);
+    });
+
+    // getCompassDirection function
+    it('Compass direction', function() {
+        assert.strictEqual(Coordinate.getCompassDirection(0), 'north');
+        assert.strictEqual(Coordinate.getCompassDirection(359), 'north');
+        assert.strictEqual(Coordinate.getCompassDirection(50), 'north-east');
+        assert.strictEqual(Coordinate.getCompassDirection(180), 'south');
+        assert.strictEqual(Coordinate.getCompassDirection(-90), 'west');
+    });
+});
@@ -0,0 +1,71 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const Coordinate = require('../../app/coordinate/Coordinate');
+const Polygon = require('../../app/coordinate/Polygon');
+
+// Square polygon used in the tests
+const SQUARE = [
+    {latitude: 52.0, longitude: 4.0},
+    {latitude: 52.0, longitude: 4.1},
+    {latitude: 52.1, longitude: 4.1},
+    {latitude: 52.1, longitude: 4.0}
+];
+
+// Polygon class
+describe('coordinate.Polygon', function() {
+    // parse function
+    describe('parse', function() {
+        // Valid polygon
+        it('Valid polygon', function() {
+            const polygon = Polygon.parse(SQUARE);
+            assert.isNotNull(polygon);
+            assert.lengthOf(polygon.points, 4);
+            assert.instanceOf(polygon.points[0], Coordinate);
+        });
+
+        // Invalid polygons
+        it('Invalid polygons', function() {
+            assert.isNull(Polygon.parse(null));
+            assert.isNull(Polygon.parse(SQUARE.slice(0, 2)));
+            assert.isNull(Polygon.parse(SQUARE.concat([{latitude: 'a', longitude: 4}])));
+        });
+    });
+
+    // Serialization
+    it('Serialize and deserialize', function() {
+        const polygon = Polygon.deserialize(Polygon.parse(SQUARE).serialize());
+        assert.deepEqual(polygon.toLatLngArray(), SQUARE.map((point) => [point.latitude, point.longitude]));
+    });
+
+    // contains function
+    it('Contains', function() {
+        const polygon = Polygon.parse(SQUARE);
+        assert.isTrue(polygon.contains(new Coordinate({latitude: 52.05, longitude: 4.05})));
+        assert.isFalse(polygon.contains(new Coordinate({latitude: 52.2, longitude: 4.05})));
+    });
+});
@@ -0,0 +1,100 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const Coordinate = require('../../app/coordinate/Coordinate');
+const Zone = require('../../app/coordinate/Zone');
+
+// Raw polygon zone used in the tests
+const POLYGON_ZONE = {
+    name: 'Base',
+    type: Zone.TYPE_SAFE,
+    points: [
+        {latitude: 52.0, longitude: 4.0},
+        {latitude: 52.0, longitude: 4.1},
+        {latitude: 52.1, longitude: 4.1},
+        {latitude: 52.1, longitude: 4.0}
+    ]
+};
+
+// Raw circle zone used in the tests
+const CIRCLE_ZONE = {
+    name: 'Park',
+    type: Zone.TYPE_NO_BUILD,
+    center: {latitude: 52.0, longitude: 4.0},
+    radius: 100
+};
+
+// Zone class
+describe('coordinate.Zone', function() {
+    // parse function
+    describe('parse', function() {
+        // Valid zones
+        it('Valid zones', function() {
+            const polygonZone = Zone.parse(POLYGON_ZONE);
+            assert.isNotNull(polygonZone);
+            assert.isTrue(polygonZone.isPolygon());
+            assert.isTrue(polygonZone.isSafe());
+
+            const circleZone = Zone.parse(CIRCLE_ZONE);
+            assert.isNotNull(circleZone);
+            assert.isFalse(circleZone.isPolygon());
+            assert.isFalse(circleZone.isSafe());
+            assert.isTrue(circleZone.isBuildBlocked());
+        });
+
+        // Invalid zones
+        it('Invalid zones', function() {
+            assert.isNull(Zone.parse(null));
+            assert.isNull(Zone.parse(Object.assign({}, CIRCLE_ZONE, {type: 'unknown'})));
+            assert.isNull(Zone.parse(Object.assign({}, CIRCLE_ZONE, {radius: -5})));
+            assert.isNull(Zone.parse(Object.assign({}, POLYGON_ZONE, {points: POLYGON_ZONE.points.slice(0, 2)})));
+        });
+    });
+
+    // parseList function
+    it('Parse list', function() {
+        assert.lengthOf(Zone.parseList([POLYGON_ZONE, null, CIRCLE_ZONE]), 2);
+        assert.lengthOf(Zone.parseList(null), 0);
+    });
+
+    // toObject function
+    it('To object', function() {
+        assert.deepEqual(Zone.parse(POLYGON_ZONE).toObject(), POLYGON_ZONE);
+        assert.deepEqual(Zone.parse(CIRCLE_ZONE).toObject(), CIRCLE_ZONE);
+    });
+
+    // contains function
+    it('Contains', function() {
+        const polygonZone = Zone.parse(POLYGON_ZONE);
+        assert.isTrue(polygonZone.contains(new Coordinate({latitude: 52.05, longitude: 4.05})));
+        assert.isFalse(polygonZone.contains(new Coordinate({latitude: 52.2, longitude: 4.05})));
+
+        const circleZone = Zone.parse(CIRCLE_ZONE);
+        assert.isTrue(circleZone.contains(new Coordinate({latitude: 52.0005, longitude: 4.0})));
+        assert.isFalse(circleZone.contains(new Coordinate({latitude: 52.01, longitude: 4.0})));
+    });
+});
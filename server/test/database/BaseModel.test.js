@@ -0,0 +1,132 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const BaseModel = require('../../app/database/BaseModel');
+
+/**
+ * Create an in-memory model, that increments its fields with the same guard as MongoDB.
+ *
+ * @param {Object} values Initial field values.
+ * @param {boolean} [fail=false] True to fail every increment with an error.
+ * @return {Object} Model.
+ */
+const createModel = function(values, fail) {
+    return {
+        values,
+        incrementFields: function(fields, callback, options) {
+            // Fail if configured
+            if(fail) {
+                callback(new Error('Increment failed'));
+                return;
+            }
+
+            // Determine the lower bound
+            const min = options !== undefined && options.hasOwnProperty('min') ? options.min : 0;
+
+            // Check the guards
+            for(var field in fields)
+                if(fields[field] < 0 && min !== null && this.values[field] + fields[field] < min) {
+                    callback(null, null);
+                    return;
+                }
+
+            // Apply the increments
+            for(field in fields)
+                this.values[field] += fields[field];
+
+            // Call back with the new values
+            callback(null, this.values);
+        }
+    };
+};
+
+describe('BaseModel.transfer', function() {
+    it('Apply a transfer', function(done) {
+        const user = createModel({in: 10});
+        const factory = createModel({in: 5});
+
+        BaseModel.transfer([
+            {model: user, fields: {in: -4}},
+            {model: factory, fields: {in: 4}}
+        ], function(err, success) {
+            assert.isNull(err);
+            assert.isTrue(success);
+            assert.strictEqual(user.values.in, 6);
+            assert.strictEqual(factory.values.in, 9);
+            done();
+        });
+    });
+
+    it('Abort a transfer without enough balance', function(done) {
+        const user = createModel({in: 3});
+        const factory = createModel({in: 5});
+
+        BaseModel.transfer([
+            {model: factory, fields: {in: 4}},
+            {model: user, fields: {in: -4}}
+        ], function(err, success) {
+            assert.isNull(err);
+            assert.isFalse(success);
+            assert.strictEqual(user.values.in, 3);
+            assert.strictEqual(factory.values.in, 5);
+            done();
+        });
+    });
+
+    it('Revert applied operations when a later one fails', function(done) {
+        const user = createModel({money: 100});
+        const factory = createModel({level: 1}, true);
+
+        BaseModel.transfer([
+            {model: user, fields: {money: -50}},
+            {model: factory, fields: {level: 1}}
+        ], function(err) {
+            assert.instanceOf(err, Error);
+            assert.strictEqual(user.values.money, 100);
+            done();
+        });
+    });
+
+    it('Revert applied operations when a guard fails', function(done) {
+        const user = createModel({money: 100});
+        const team = createModel({money: 10});
+        const factory = createModel({level: 1});
+
+        BaseModel.transfer([
+            {model: user, fields: {money: -50}},
+            {model: team, fields: {money: -20}},
+            {model: factory, fields: {level: 1}}
+        ], function(err, success) {
+            assert.isNull(err);
+            assert.isFalse(success);
+            assert.strictEqual(user.values.money, 100);
+            assert.strictEqual(team.values.money, 10);
+            assert.strictEqual(factory.values.level, 1);
+            done();
+        });
+    });
+});
@@ -0,0 +1,219 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const _ = require('lodash');
+
+const Core = require('../../../Core');
+const gameConfig = require('../../../gameConfig');
+const Game = require('../../../app/live/game/Game');
+const GameManager = require('../../../app/live/game/GameManager');
+const WinCondition = require('../../../app/live/game/WinCondition');
+const User = require('../../../app/live/user/User');
+const Factory = require('../../../app/live/factory/Factory');
+
+/**
+ * Game ID used in the tests.
+ */
+const GAME_ID = '5a1b2c3d4e5f6a7b8c9d0e1f';
+
+/**
+ * Create a live game that isn't backed by the database, with the given team standings.
+ *
+ * @param {Object} overrides Game configuration overrides.
+ * @param {Array} standings Team standings.
+ * @return {Game} Live game.
+ */
+const createGame = function(overrides, standings) {
+    const game = new Game(GAME_ID);
+    const config = _.merge(_.cloneDeep(gameConfig), overrides);
+    game.getGameModel = () => ({ getIdHex: () => GAME_ID });
+    game.getConfig = (callback) => callback(null, config);
+    game.getTeamStandings = (callback) => callback(null, standings);
+    game.__ = (node) => node;
+    return game;
+};
+
+/**
+ * Create a live game that isn't backed by the database, with a loaded market and the given users loaded.
+ *
+ * @param {Array} userIds Hexadecimal IDs of the users to load.
+ * @return {Game} Live game.
+ */
+const createStateGame = function(userIds) {
+    const game = new Game(GAME_ID);
+    game.market.load(gameConfig.shop, 0);
+    userIds.forEach((userId) => game.userManager.users.push(new User(userId, game)));
+    return game;
+};
+
+/**
+ * Run the given function with a game manager that records the game stages it's asked to change to.
+ *
+ * @param {function} test Test function, called with the recorded stages and a function to restore the game manager.
+ */
+const withGameManager = function(test) {
+    const stages = [];
+    const gameManager = Object.create(GameManager.prototype);
+    gameManager.changeGameStage = (game, stage, callback) => {
+        stages.push(stage);
+        callback(null);
+    };
+    gameManager.broadcastMessage = (game, message, callback) => callback(null);
+
+    const previous = Core.gameManager;
+    Core.gameManager = gameManager;
+    test(stages, () => Core.gameManager = previous);
+};
+
+// Game class
+describe('live.game.Game', function() {
+    // Tick
+    describe('tick', function() {
+        // Target reached
+        it('Finish the game when a team reached the target', function(done) {
+            withGameManager(function(stages, restore) {
+                const game = createGame({ game: { winCondition: WinCondition.TARGET, winTarget: 100 } }, [{ name: 'Red', score: 150 }]);
+                game.tick(0, function(err) {
+                    restore();
+                    assert.isNull(err);
+                    assert.deepEqual(stages, [2]);
+                    done();
+                });
+            });
+        });
+
+        // Target not reached
+        it('Keep the game running below the target', function(done) {
+            withGameManager(function(stages, restore) {
+                const game = createGame({ game: { winCondition: WinCondition.TARGET, winTarget: 100 } }, [{ name: 'Red', score: 50 }]);
+                game.tick(0, function(err) {
+                    restore();
+                    assert.isNull(err);
+                    assert.lengthOf(stages, 0);
+                    done();
+                });
+            });
+        });
+
+        // Other win condition
+        it('Ignore the target for other win conditions', function(done) {
+            withGameManager(function(stages, restore) {
+                const game = createGame({ game: { winCondition: WinCondition.MONEY, winTarget: 100 } }, [{ name: 'Red', score: 150 }]);
+                game.tick(0, function(err) {
+                    restore();
+                    assert.isNull(err);
+                    assert.lengthOf(stages, 0);
+                    done();
+                });
+            });
+        });
+    });
+
+    // State
+    describe('getState', function() {
+        const SENDER_ID = '5a1b2c3d4e5f6a7b8c9d0e2a';
+        const RECEIVER_ID = '5a1b2c3d4e5f6a7b8c9d0e2b';
+        const TEAM_ID = '5a1b2c3d4e5f6a7b8c9d0e3a';
+        const FACTORY_ID = '5a1b2c3d4e5f6a7b8c9d0e4a';
+
+        // Round trip
+        it('Restore the market, last seen memory, sieges and transfers', function(done) {
+            // Build some state in a game
+            const game = createStateGame([SENDER_ID, RECEIVER_ID]);
+            game.market.registerInSold(5);
+            game.market.tick(gameConfig.shop.marketHistoryInterval);
+            game.lastSeenMemory.remember(TEAM_ID, 'user', SENDER_ID, 'Sender', { latitude: 52.1, longitude: 5.1 }, 1000);
+            game.transferManager._addTransfer('abc', game.userManager.users[0], game.userManager.users[1], 'money', 50, 60000);
+            const factory = new Factory(FACTORY_ID, game);
+            factory._siege = {
+                user: game.userManager.users[0],
+                team: { getIdHex: () => TEAM_ID },
+                progress: 40
+            };
+            game.factoryManager.factories.push(factory);
+
+            // Store the state as it would be in the database, and restore it in a new game
+            const state = JSON.parse(JSON.stringify(game.getState()));
+            const restored = createStateGame([SENDER_ID, RECEIVER_ID]);
+            const restoredFactory = new Factory(FACTORY_ID, restored);
+            restored.factoryManager.factories.push(restoredFactory);
+            const model = Core.model;
+            Core.model = {
+                gameTeamModelManager: {
+                    _instanceManager: {
+                        create: (teamId) => ({ getIdHex: () => teamId })
+                    }
+                }
+            };
+            restored.restoreState(state, function(err) {
+                Core.model = model;
+                const transfer = restored.transferManager.getTransfer('abc');
+                const transferTime = transfer !== null ? transfer.timer.getRemainingTime() : 0;
+                game.unload();
+                restored.unload();
+                assert.isNull(err);
+
+                // Compare the market
+                assert.deepEqual(restored.market.getInSellPrice(), game.market.getInSellPrice());
+                assert.deepEqual(restored.market.getOutBuyPrice(), game.market.getOutBuyPrice());
+                assert.deepEqual(restored.market.getHistory(), game.market.getHistory());
+
+                // Compare the last seen memory
+                assert.deepEqual(restored.lastSeenMemory.getEntries(TEAM_ID, 5000, 2000), game.lastSeenMemory.getEntries(TEAM_ID, 5000, 2000));
+
+                // Compare the siege
+                assert.isNotNull(restoredFactory._siege);
+                assert.strictEqual(restoredFactory._siege.user, restored.userManager.users[0]);
+                assert.strictEqual(restoredFactory._siege.team.getIdHex(), TEAM_ID);
+                assert.strictEqual(restoredFactory._siege.progress, 40);
+
+                // Compare the transfers
+                assert.isNotNull(transfer);
+                assert.strictEqual(transfer.sender.getIdHex(), SENDER_ID);
+                assert.strictEqual(transfer.receiver.getIdHex(), RECEIVER_ID);
+                assert.strictEqual(transfer.amount, 50);
+                assert.isAbove(transferTime, 0);
+                done();
+            });
+        });
+
+        // Missing users
+        it('Skip transfers of users that aren\'t loaded', function(done) {
+            const game = createStateGame([SENDER_ID, RECEIVER_ID]);
+            game.transferManager._addTransfer('abc', game.userManager.users[0], game.userManager.users[1], 'money', 50, 60000);
+
+            const restored = createStateGame([SENDER_ID]);
+            restored.restoreState(game.getState(), function(err) {
+                game.unload();
+                restored.unload();
+                assert.isNull(err);
+                assert.isNull(restored.transferManager.getTransfer('abc'));
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,85 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+
+const LastSeenMemory = require('../../../app/live/game/LastSeenMemory');
+
+/**
+ * Team IDs used in the tests.
+ */
+const TEAM_A = '58a0f0c8e4b0a1b2c3d4e5f6';
+const TEAM_B = '58a0f0c8e4b0a1b2c3d4e5f7';
+
+describe('LastSeenMemory', function() {
+    it('Remember entries for each team', function() {
+        const memory = new LastSeenMemory();
+        memory.remember(TEAM_A, 'factory', 'abc', 'Lab', { latitude: 1, longitude: 2 }, 1000);
+        const entries = memory.getEntries(TEAM_A, 60 * 1000, 2000);
+        assert.lengthOf(entries, 1);
+        assert.strictEqual(entries[0].type, 'factory');
+        assert.strictEqual(entries[0].name, 'Lab');
+        assert.strictEqual(entries[0].time, 1000);
+        assert.lengthOf(memory.getEntries(TEAM_B, 60 * 1000, 2000), 0);
+    });
+
+    it('Update the position of a seen entry', function() {
+        const memory = new LastSeenMemory();
+        memory.remember(TEAM_A, 'user', 'ABC', 'Player', { latitude: 1, longitude: 2 }, 1000);
+        memory.remember(TEAM_A, 'user', 'abc', 'Player', { latitude: 3, longitude: 4 }, 5000);
+        const entries = memory.getEntries(TEAM_A, 60 * 1000, 6000);
+        assert.lengthOf(entries, 1);
+        assert.strictEqual(entries[0].location.latitude, 3);
+        assert.strictEqual(entries[0].time, 5000);
+    });
+
+    it('Order entries by the time they were seen', function() {
+        const memory = new LastSeenMemory();
+        memory.remember(TEAM_A, 'factory', 'a', 'Old', null, 1000);
+        memory.remember(TEAM_A, 'user', 'b', 'New', null, 3000);
+        memory.remember(TEAM_A, 'factory', 'c', 'Middle', null, 2000);
+        assert.deepEqual(memory.getEntries(TEAM_A, 60 * 1000, 4000).map((entry) => entry.name), ['New', 'Middle', 'Old']);
+    });
+
+    it('Expire old entries', function() {
+        const memory = new LastSeenMemory();
+        memory.remember(TEAM_A, 'factory', 'a', 'Lab', null, 1000);
+        memory.remember(TEAM_A, 'user', 'b', 'Player', null, 50000);
+        assert.lengthOf(memory.getEntries(TEAM_A, 60 * 1000, 61000), 2);
+        assert.lengthOf(memory.getEntries(TEAM_A, 60 * 1000, 61001), 1);
+        assert.lengthOf(memory.getEntries(TEAM_A, 60 * 1000, 0), 1);
+    });
+
+    it('Forget entries for all teams', function() {
+        const memory = new LastSeenMemory();
+        memory.remember(TEAM_A, 'factory', 'a', 'Lab', null, 1000);
+        memory.remember(TEAM_B, 'factory', 'a', 'Lab', null, 1000);
+        memory.remember(TEAM_B, 'user', 'a', 'Player', null, 1000);
+        memory.forget('factory', 'a');
+        assert.lengthOf(memory.getEntries(TEAM_A, 60 * 1000, 2000), 0);
+        assert.lengthOf(memory.getEntries(TEAM_B, 60 * 1000, 2000), 1);
+    });
+});
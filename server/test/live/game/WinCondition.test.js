@@ -0,0 +1,101 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const gameConfig = require('../../../gameConfig');
+const WinCondition = require('../../../app/live/game/WinCondition');
+
+// Team totals used in the tests
+const TEAM = {
+    money: 1000,
+    in: 10,
+    out: 2,
+    factories: 3,
+    production: 40
+};
+
+// Prices goods are valued at in the tests
+const PRICES = {
+    in: 12,
+    out: 45
+};
+
+// WinCondition module
+describe('live.game.WinCondition', function() {
+    // isValid function
+    it('Valid conditions', function() {
+        WinCondition.getConditions().forEach((condition) => assert.isTrue(WinCondition.isValid(condition)));
+        assert.isFalse(WinCondition.isValid('unknown'));
+    });
+
+    // getScore function
+    describe('getScore', function() {
+        // Money based conditions
+        it('Money', function() {
+            assert.strictEqual(WinCondition.getScore(WinCondition.MONEY, TEAM, PRICES), 1000);
+            assert.strictEqual(WinCondition.getScore(WinCondition.TARGET, TEAM, PRICES), 1000);
+        });
+
+        // Factory based conditions
+        it('Factories and production', function() {
+            assert.strictEqual(WinCondition.getScore(WinCondition.FACTORIES, TEAM, PRICES), 3);
+            assert.strictEqual(WinCondition.getScore(WinCondition.PRODUCTION, TEAM, PRICES), 40);
+            assert.strictEqual(WinCondition.getScore(WinCondition.FACTORIES, {money: 5}, PRICES), 0);
+        });
+
+        // Value condition
+        it('Value', function() {
+            assert.strictEqual(WinCondition.getScore(WinCondition.VALUE, TEAM, PRICES), 1000 + 10 * 12 + 2 * 45);
+            assert.strictEqual(WinCondition.getScore(WinCondition.VALUE, TEAM, {in: 12.4, out: 45}), Math.round(1000 + 10 * 12.4 + 2 * 45));
+        });
+
+        // Prices without a market
+        it('Configured prices', function() {
+            const prices = WinCondition.getConfigPrices(gameConfig);
+            assert.strictEqual(prices.in, (gameConfig.shop.inSellPriceMin + gameConfig.shop.inSellPriceMax) / 2);
+            assert.strictEqual(prices.out, (gameConfig.shop.outBuyPriceMin + gameConfig.shop.outBuyPriceMax) / 2);
+        });
+    });
+
+    // rankTeams and getWinner functions
+    describe('rankTeams', function() {
+        // Distinct scores
+        it('Single winner', function() {
+            const teams = WinCondition.rankTeams([{id: 'a', score: 5}, {id: 'b', score: 9}, {id: 'c', score: 1}]);
+            assert.deepEqual(teams.map((team) => team.id), ['b', 'a', 'c']);
+            assert.deepEqual(teams.map((team) => team.rank), [1, 2, 3]);
+            assert.strictEqual(WinCondition.getWinner(teams).id, 'b');
+        });
+
+        // Shared ranks
+        it('Shared first rank', function() {
+            const teams = WinCondition.rankTeams([{id: 'a', score: 9}, {id: 'b', score: 9}, {id: 'c', score: 1}]);
+            assert.deepEqual(teams.map((team) => team.rank), [1, 1, 3]);
+            assert.isNull(WinCondition.getWinner(teams));
+            assert.isNull(WinCondition.getWinner([]));
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const FixedDealer = require('../../../app/live/shop/FixedDealer');
+
+// Raw fixed dealer used in the tests
+const RAW_DEALER = {
+    name: 'Corner shop',
+    location: {latitude: 52.0, longitude: 4.0},
+    team: null,
+    openFrom: '09:00',
+    openUntil: '17:30',
+    inSellMultiplier: 1.5,
+    outBuyMultiplier: 0.8
+};
+
+// FixedDealer class
+describe('live.shop.FixedDealer', function() {
+    // parseTime function
+    it('Parse time', function() {
+        assert.strictEqual(FixedDealer.parseTime('09:30'), 570);
+        assert.strictEqual(FixedDealer.parseTime('0:00'), 0);
+        assert.isNull(FixedDealer.parseTime('24:00'));
+        assert.isNull(FixedDealer.parseTime('12:60'));
+        assert.isNull(FixedDealer.parseTime('noon'));
+        assert.strictEqual(FixedDealer.formatTime(570), '09:30');
+    });
+
+    // parse function
+    describe('parse', function() {
+        // Valid dealers
+        it('Valid dealers', function() {
+            const dealer = FixedDealer.parse(RAW_DEALER);
+            assert.isNotNull(dealer);
+            assert.isFalse(dealer.isAlwaysOpen());
+            assert.deepEqual(dealer.toObject(), RAW_DEALER);
+
+            const alwaysOpen = FixedDealer.parse({
+                name: 'Market',
+                location: {latitude: 52.0, longitude: 4.0}
+            });
+            assert.isNotNull(alwaysOpen);
+            assert.isTrue(alwaysOpen.isAlwaysOpen());
+            assert.strictEqual(alwaysOpen.inSellMultiplier, 1);
+        });
+
+        // Invalid dealers
+        it('Invalid dealers', function() {
+            assert.isNull(FixedDealer.parse(null));
+            assert.isNull(FixedDealer.parse(Object.assign({}, RAW_DEALER, {location: {latitude: 52.0}})));
+            assert.isNull(FixedDealer.parse(Object.assign({}, RAW_DEALER, {openUntil: null})));
+            assert.isNull(FixedDealer.parse(Object.assign({}, RAW_DEALER, {openUntil: '09:00'})));
+            assert.isNull(FixedDealer.parse(Object.assign({}, RAW_DEALER, {inSellMultiplier: 0})));
+            assert.isNull(FixedDealer.parse(Object.assign({}, RAW_DEALER, {team: 5})));
+        });
+    });
+
+    // parseList function
+    it('Parse list', function() {
+        assert.lengthOf(FixedDealer.parseList([RAW_DEALER, null, {}]), 1);
+        assert.lengthOf(FixedDealer.parseList(null), 0);
+    });
+
+    // isOpenAt function
+    describe('isOpenAt', function() {
+        // Opening hours during the day
+        it('Day opening hours', function() {
+            const dealer = FixedDealer.parse(RAW_DEALER);
+            assert.isFalse(dealer.isOpenAt(new Date(2016, 0, 1, 8, 59)));
+            assert.isTrue(dealer.isOpenAt(new Date(2016, 0, 1, 9, 0)));
+            assert.isTrue(dealer.isOpenAt(new Date(2016, 0, 1, 17, 29)));
+            assert.isFalse(dealer.isOpenAt(new Date(2016, 0, 1, 17, 30)));
+        });
+
+        // Opening hours passing midnight
+        it('Night opening hours', function() {
+            const dealer = FixedDealer.parse(Object.assign({}, RAW_DEALER, {openFrom: '22:00', openUntil: '02:00'}));
+            assert.isTrue(dealer.isOpenAt(new Date(2016, 0, 1, 23, 0)));
+            assert.isTrue(dealer.isOpenAt(new Date(2016, 0, 1, 1, 59)));
+            assert.isFalse(dealer.isOpenAt(new Date(2016, 0, 1, 12, 0)));
+        });
+    });
+});
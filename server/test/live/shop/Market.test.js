@@ -0,0 +1,102 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const _ = require('lodash');
+
+const gameConfig = require('../../../gameConfig');
+const Market = require('../../../app/live/shop/Market');
+
+/**
+ * Create a loaded market with fixed base prices.
+ *
+ * @return {Market} Market.
+ */
+const createMarket = function() {
+    // Use the default shop configuration, with fixed prices
+    const shopConfig = _.clone(gameConfig.shop);
+    shopConfig.inSellPriceMin = shopConfig.inSellPriceMax = 10;
+    shopConfig.outBuyPriceMin = shopConfig.outBuyPriceMax = 40;
+
+    // Create and load the market
+    const market = new Market();
+    market.load(shopConfig, 0);
+    return market;
+};
+
+describe('Market', function() {
+    it('Start at the base price', function() {
+        const market = createMarket();
+        assert.isTrue(market.isLoaded());
+        assert.strictEqual(market.getInSellPrice().enemy, 10);
+        assert.strictEqual(market.getOutBuyPrice().enemy, 40);
+        assert.strictEqual(market.getInSellPrice().ally, 12.5);
+        assert.lengthOf(market.getHistory(), 1);
+    });
+
+    it('Raise the in price when in is sold', function() {
+        const market = createMarket();
+        market.registerInSold(100);
+        assert.isAbove(market.getInSellPrice().enemy, 10);
+        assert.strictEqual(market.getOutBuyPrice().enemy, 40);
+    });
+
+    it('Lower the out price when out is bought', function() {
+        const market = createMarket();
+        market.registerOutBought(20);
+        assert.isBelow(market.getOutBuyPrice().enemy, 40);
+        assert.strictEqual(market.getInSellPrice().enemy, 10);
+    });
+
+    it('Keep prices within bounds', function() {
+        const market = createMarket();
+        market.registerInSold(100000);
+        market.registerOutBought(100000);
+        assert.strictEqual(market.getInSellPrice().enemy, 20);
+        assert.strictEqual(market.getOutBuyPrice().enemy, 20);
+    });
+
+    it('Recover prices over time', function() {
+        const market = createMarket();
+        market.registerInSold(200);
+        const raised = market.getInSellPrice().enemy;
+        for(var i = 1; i <= 500; i++)
+            market.tick(i * 1000);
+        assert.isBelow(market.getInSellPrice().enemy, raised);
+        assert.strictEqual(market.getInSellPrice().enemy, 10);
+    });
+
+    it('Record prices in the history interval', function() {
+        const market = createMarket();
+        const interval = gameConfig.shop.marketHistoryInterval;
+        assert.isFalse(market.tick(interval - 1));
+        assert.isTrue(market.tick(interval));
+        assert.lengthOf(market.getHistory(), 2);
+        for(var i = 2; i < 100; i++)
+            market.tick(interval * i);
+        assert.lengthOf(market.getHistory(), gameConfig.shop.marketHistorySize);
+    });
+});
@@ -0,0 +1,145 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const beforeEach = mocha.beforeEach;
+const afterEach = mocha.afterEach;
+const assert = require('chai').assert;
+
+const Core = require('../../Core');
+const PacketType = require('../../app/realtime/PacketType');
+const PacketProcessor = require('../../app/realtime/PacketProcessor');
+
+/**
+ * IDs used in the tests.
+ */
+const GAME_ID = '5a1b2c3d4e5f6a7b8c9d0e1f';
+const FACTORY_ID = '5a1b2c3d4e5f6a7b8c9d0e2f';
+const OWNER_WORKER = '1';
+
+/**
+ * Create an authenticated socket.
+ *
+ * @return {Object} Socket.
+ */
+const createSocket = function() {
+    return {
+        id: 'socket',
+        session: {
+            valid: true,
+            user: { getIdHex: () => '5a1b2c3d4e5f6a7b8c9d0e3f' }
+        }
+    };
+};
+
+// Packet processor class
+describe('realtime.PacketProcessor', function() {
+    // Original core instances, and the messages published to other workers
+    var original = null;
+    var published = [];
+
+    // Set up a worker that doesn't own any game, with a cluster where the game is owned by another worker
+    beforeEach(function() {
+        original = {
+            clusterManager: Core.clusterManager,
+            gameManager: Core.gameManager,
+            model: Core.model
+        };
+        published = [];
+
+        Core.clusterManager = {
+            isEnabled: () => true,
+            isLocalWorker: (workerId) => workerId !== OWNER_WORKER,
+            getGameOwner: (gameId, callback) => callback(null, gameId === GAME_ID ? OWNER_WORKER : null),
+            publish: (workerId, type, data) => published.push({ workerId, type, data })
+        };
+        Core.gameManager = {
+            isGameLoaded: () => false
+        };
+        Core.model = {
+            factoryModelManager: {
+                _instanceManager: {
+                    create: (factoryId) => ({
+                        getGame: (callback) => callback(null, factoryId === FACTORY_ID ? { getIdHex: () => GAME_ID } : null)
+                    })
+                }
+            }
+        };
+    });
+
+    // Restore the core instances
+    afterEach(function() {
+        Core.clusterManager = original.clusterManager;
+        Core.gameManager = original.gameManager;
+        Core.model = original.model;
+    });
+
+    // Packets with a game
+    it('Forward game packets to the owning worker', function() {
+        const processor = new PacketProcessor();
+        var handled = false;
+        processor.registerHandler(PacketType.SHOP_SELL_IN, () => handled = true);
+
+        processor.receivePacket({ type: PacketType.SHOP_SELL_IN, game: GAME_ID, shop: 'token' }, createSocket());
+        assert.isFalse(handled);
+        assert.lengthOf(published, 1);
+        assert.strictEqual(published[0].workerId, OWNER_WORKER);
+        assert.strictEqual(published[0].type, 'packet');
+        assert.strictEqual(published[0].data.packet.shop, 'token');
+    });
+
+    // Factory packets without a game
+    it('Forward factory packets to the worker owning the game of the factory', function() {
+        const processor = new PacketProcessor();
+        var handled = false;
+        processor.registerHandler(PacketType.FACTORY_DEPOSIT, () => handled = true);
+
+        processor.receivePacket({ type: PacketType.FACTORY_DEPOSIT, factory: FACTORY_ID, all: true }, createSocket());
+        assert.isFalse(handled);
+        assert.lengthOf(published, 1);
+        assert.strictEqual(published[0].workerId, OWNER_WORKER);
+    });
+
+    // Packets that aren't for a game
+    it('Handle packets without a game locally', function() {
+        const processor = new PacketProcessor();
+        var handled = false;
+        processor.registerHandler(PacketType.APP_STATUS_REQUEST, () => handled = true);
+
+        processor.receivePacket({ type: PacketType.APP_STATUS_REQUEST }, createSocket());
+        assert.isTrue(handled);
+        assert.lengthOf(published, 0);
+    });
+
+    // Unauthenticated sockets
+    it('Handle packets of unauthenticated sockets locally', function() {
+        const processor = new PacketProcessor();
+        var handled = false;
+        processor.registerHandler(PacketType.SHOP_SELL_IN, () => handled = true);
+
+        processor.receivePacket({ type: PacketType.SHOP_SELL_IN, game: GAME_ID }, { id: 'socket' });
+        assert.isTrue(handled);
+        assert.lengthOf(published, 0);
+    });
+});
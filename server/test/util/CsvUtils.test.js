@@ -0,0 +1,88 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const CsvUtils = require('../../app/util/CsvUtils');
+
+// CSV utilities module
+describe('util.CsvUtils', function() {
+    // escapeValue function
+    describe('escapeValue', function() {
+        // Plain values
+        it('Plain values', function() {
+            assert.equal(CsvUtils.escapeValue('abc'), 'abc');
+            assert.equal(CsvUtils.escapeValue(12.5), '12.5');
+            assert.equal(CsvUtils.escapeValue(false), 'false');
+        });
+
+        // Empty values
+        it('Empty values', function() {
+            assert.equal(CsvUtils.escapeValue(null), '');
+            assert.equal(CsvUtils.escapeValue(undefined), '');
+        });
+
+        // Special characters
+        it('Special characters', function() {
+            assert.equal(CsvUtils.escapeValue('a,b'), '"a,b"');
+            assert.equal(CsvUtils.escapeValue('say "hi"'), '"say ""hi"""');
+            assert.equal(CsvUtils.escapeValue('a\nb'), '"a\nb"');
+        });
+
+        // Formula characters
+        it('Formula characters', function() {
+            assert.equal(CsvUtils.escapeValue('=1+2'), '\'=1+2');
+            assert.equal(CsvUtils.escapeValue('+1'), '\'+1');
+            assert.equal(CsvUtils.escapeValue('-1'), '\'-1');
+            assert.equal(CsvUtils.escapeValue('@SUM(A1)'), '\'@SUM(A1)');
+            assert.equal(CsvUtils.escapeValue('\t=1+2'), '\'\t=1+2');
+            assert.equal(CsvUtils.escapeValue('\r=1+2'), '"\'\r=1+2"');
+            assert.equal(CsvUtils.escapeValue('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+            assert.equal(CsvUtils.escapeValue(-5), '-5');
+        });
+
+        // Dates and objects
+        it('Dates and objects', function() {
+            assert.equal(CsvUtils.escapeValue(new Date(Date.UTC(2016, 0, 1))), '2016-01-01T00:00:00.000Z');
+            assert.equal(CsvUtils.escapeValue({a: 1}), '"{""a"":1}"');
+        });
+    });
+
+    // format function
+    describe('format', function() {
+        // Header and records
+        it('Header and records', function() {
+            assert.equal(CsvUtils.format(['name', 'money'], [
+                {name: 'Red', money: 10},
+                {name: 'Blue, the best', money: 5}
+            ]), 'name,money\r\nRed,10\r\n"Blue, the best",5\r\n');
+        });
+
+        // Missing values
+        it('Missing values', function() {
+            assert.equal(CsvUtils.format(['a', 'b'], [{a: 1}]), 'a,b\r\n1,\r\n');
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/******************************************************************************
+ * Copyright (c) Dworek 2016. All rights reserved.                            *
+ *                                                                            *
+ * @author Tim Visee                                                          *
+ * @website http://timvisee.com/                                              *
+ *                                                                            *
+ * Open Source != No Copyright                                                *
+ *                                                                            *
+ * Permission is hereby granted, free of charge, to any person obtaining a    *
+ * copy of this software and associated documentation files (the "Software"), *
+ * to deal in the Software without restriction, including without limitation  *
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,   *
+ * and/or sell copies of the Software, and to permit persons to whom the      *
+ * Software is furnished to do so, subject to the following conditions:       *
+ *                                                                            *
+ * The above copyright notice and this permission notice shall be included    *
+ * in all copies or substantial portions of the Software.                     *
+ *                                                                            *
+ * You should have received a copy of The MIT License (MIT) along with this   *
+ * program. If not, see <http://opensource.org/licenses/MIT/>.                *
+ ******************************************************************************/
+
+const mocha = require('mocha');
+const it = mocha.it;
+const describe = mocha.describe;
+const assert = require('chai').assert;
+
+const PausableTimer = require('../../app/util/PausableTimer');
+
+// Pausable timer class
+describe('util.PausableTimer', function() {
+    // Firing the timer
+    it('Fires after the delay', function(done) {
+        const timer = new PausableTimer(function() {
+            assert.isTrue(timer.isFinished());
+            assert.isFalse(timer.isRunning());
+            done();
+        }, 10);
+
+        assert.isFalse(timer.isRunning());
+        timer.start();
+        assert.isTrue(timer.isRunning());
+    });
+
+    // Pausing the timer
+    it('Doesn\'t fire while paused', function(done) {
+        var fired = false;
+        const timer = new PausableTimer(() => fired = true, 20);
+
+        timer.start();
+        timer.pause();
+        assert.isFalse(timer.isRunning());
+        assert.isAtMost(timer.getRemainingTime(), 20);
+
+        setTimeout(function() {
+            assert.isFalse(fired);
+            assert.isFalse(timer.isFinished());
+            done();
+        }, 40);
+    });
+
+    // Resuming the timer
+    it('Fires after resuming', function(done) {
+        const timer = new PausableTimer(done, 10);
+
+        timer.start();
+        timer.pause();
+        timer.resume();
+        assert.isTrue(timer.isRunning());
+    });
+
+    // Clearing the timer
+    it('Doesn\'t fire when cleared', function(done) {
+        var fired = false;
+        const timer = new PausableTimer(() => fired = true, 10);
+
+        timer.start();
+        timer.clear();
+        timer.resume();
+        assert.isTrue(timer.isFinished());
+        assert.equal(timer.getRemainingTime(), 0);
+
+        setTimeout(function() {
+            assert.isFalse(fired);
+            done();
+        }, 30);
+    });
+});